@@ -2,6 +2,7 @@
 
 import { readFileSync, existsSync } from 'fs';
 import { DOMParser } from '@xmldom/xmldom';
+import { extractMusicXML, isCompressedFileName } from '../src/utils/mxlReader.js';
 
 class ExerciseValidator {
   constructor(filepath) {
@@ -10,7 +11,7 @@ class ExerciseValidator {
     this.warnings = [];
   }
 
-  validate() {
+  async validate() {
     console.log(`\n🔍 Validating: ${this.filepath}`);
     
     // Check file exists
@@ -19,7 +20,13 @@ class ExerciseValidator {
       return this.reportResults();
     }
 
-    const xmlContent = readFileSync(this.filepath, 'utf8');
+    let xmlContent;
+    try {
+      xmlContent = await this.readContent();
+    } catch (error) {
+      this.errors.push(`Could not read file: ${error.message}`);
+      return this.reportResults();
+    }
     
     // Test 1: Valid XML structure
     this.validateXMLStructure(xmlContent);
@@ -45,6 +52,13 @@ class ExerciseValidator {
     return this.reportResults();
   }
 
+  async readContent() {
+    if (isCompressedFileName(this.filepath)) {
+      return extractMusicXML(readFileSync(this.filepath));
+    }
+    return readFileSync(this.filepath, 'utf8');
+  }
+
   validateXMLStructure(xmlContent) {
     try {
       const parser = new DOMParser();
@@ -187,14 +201,14 @@ class ExerciseValidator {
       const detail = staffDetails[i];
       if (detail.getAttribute('number') === '2') {
         const tunings = detail.getElementsByTagName('staff-tuning');
-        if (tunings.length === 6) {
+        if (tunings.length > 0) {
           hasTuning = true;
         }
       }
     }
 
     if (!hasTuning) {
-      this.errors.push('Staff 2 must have 6 staff-tuning elements (standard guitar tuning)');
+      this.errors.push('Staff 2 must have staff-tuning elements (one per string)');
     }
 
     console.log('  ✅ Dual staff configuration valid');
@@ -329,14 +343,14 @@ class ExerciseValidator {
     }
 
     const divisionsValue = parseInt(divisions.textContent);
+    let expectedDuration = divisionsValue * 4; // Default 4/4
     
     for (let i = 0; i < measures.length; i++) {
       const measure = measures[i];
       const measureNum = measure.getAttribute('number');
       
-      // Get time signature for this measure
+      // Time signatures hold until the next change
       const attributes = measure.getElementsByTagName('attributes')[0];
-      let expectedDuration = divisionsValue * 4; // Default 4/4
       
       if (attributes) {
         const time = attributes.getElementsByTagName('time')[0];
@@ -351,21 +365,28 @@ class ExerciseValidator {
         }
       }
 
-      // Sum durations in measure (staff 1 only to avoid double-counting)
-      let totalDuration = 0;
-      const notes = measure.getElementsByTagName('note');
+      // Pickup measures are shorter than the meter
+      if (measure.getAttribute('implicit') === 'yes') continue;
+
+      // Sum durations per voice of staff 1 (chord members and grace notes take no time)
+      const voiceDurations = {};
+      const elements = Array.from(measure.childNodes)
+        .filter(node => node.nodeName === 'note' || node.nodeName === 'forward');
       
-      for (let j = 0; j < notes.length; j++) {
-        const note = notes[j];
-        const staff = note.getElementsByTagName('staff')[0];
+      elements.forEach(element => {
+        const staff = element.getElementsByTagName('staff')[0];
+        if (!staff || staff.textContent !== '1') return;
+        if (element.getElementsByTagName('chord').length > 0) return;
         
-        if (staff && staff.textContent === '1') {
-          const duration = note.getElementsByTagName('duration')[0];
-          if (duration) {
-            totalDuration += parseInt(duration.textContent);
-          }
+        const duration = element.getElementsByTagName('duration')[0];
+        const voice = element.getElementsByTagName('voice')[0];
+        const voiceNum = voice ? voice.textContent : '1';
+        if (duration) {
+          voiceDurations[voiceNum] = (voiceDurations[voiceNum] || 0) + parseInt(duration.textContent);
         }
-      }
+      });
+      
+      const totalDuration = Math.max(0, ...Object.values(voiceDurations));
 
       if (totalDuration !== expectedDuration && totalDuration !== 0) {
         this.errors.push(`Measure ${measureNum}: duration mismatch (expected ${expectedDuration}, got ${totalDuration})`);
@@ -381,6 +402,7 @@ class ExerciseValidator {
 
     // Read actual tuning from XML staff-tuning elements
     const tuning = {};
+    let capo = 0;
     const staffDetails = doc.getElementsByTagName('staff-details');
     
     for (let i = 0; i < staffDetails.length; i++) {
@@ -392,13 +414,19 @@ class ExerciseValidator {
           const line = tuningElem.getAttribute('line');
           const step = tuningElem.getElementsByTagName('tuning-step')[0];
           const octave = tuningElem.getElementsByTagName('tuning-octave')[0];
+          const alter = tuningElem.getElementsByTagName('tuning-alter')[0];
           
           if (step && octave) {
             const stepToSemitone = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
-            const midiNote = (parseInt(octave.textContent) + 1) * 12 + stepToSemitone[step.textContent];
+            const midiNote = (parseInt(octave.textContent) + 1) * 12 + stepToSemitone[step.textContent] +
+              (alter ? parseInt(alter.textContent) : 0);
             tuning[parseInt(line)] = midiNote;
           }
         }
+        
+        // Frets are counted from the capo
+        const capoElem = detail.getElementsByTagName('capo')[0];
+        capo = capoElem ? parseInt(capoElem.textContent) : 0;
         break;
       }
     }
@@ -449,7 +477,9 @@ class ExerciseValidator {
               if (stringElem && fretElem) {
                 const stringNum = parseInt(stringElem.textContent);
                 const fretNum = parseInt(fretElem.textContent);
-                const calculatedMidi = tuning[stringNum] + fretNum;
+                // String 1 is the highest line of the tab staff
+                const line = Object.keys(tuning).length + 1 - stringNum;
+                const calculatedMidi = tuning[line] + capo + fretNum;
                 
                 staff2Tabs.push({ index: j, stringNum, fretNum, midiNote: calculatedMidi });
               }
@@ -507,10 +537,10 @@ class ExerciseValidator {
 
 // CLI usage
 if (process.argv.length < 3) {
-  console.error('Usage: node validate-exercise-xml.js <path-to-xml-file>');
+  console.error('Usage: node validate-exercise-xml.js <path-to-xml-or-mxl-file>');
   process.exit(1);
 }
 
 const validator = new ExerciseValidator(process.argv[2]);
-const success = validator.validate();
+const success = await validator.validate();
 process.exit(success ? 0 : 1);
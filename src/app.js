@@ -20,22 +20,44 @@ import { PlaybackEngine } from './core/playbackEngine.js';
 import UIManager from './core/uiManager.js';
 import { SettingsManager } from './utils/settingsManager.js';
 import { Storage } from './core/storage.js';
-import { STORAGE_KEYS } from './utils/constants.js';
+import { STORAGE_KEYS, INSTRUMENTS, ANALYSIS_OUTCOMES, EXERCISE_FILE_EXTENSIONS } from './utils/constants.js';
 import { PitchDetector } from './core/pitchDetector.js';
 import { Analyzer } from './core/analyzer.js';
 import { CalibrationManager } from './core/calibrationManager.js';
 import { DrumMachine } from './core/drumMachine.js';
+import { extractMusicXML } from './utils/mxlReader.js';
+import { MidiImporter } from './core/midiImporter.js';
+import { AsciiTabParser } from './core/asciiTabParser.js';
+import { ExerciseGenerator } from './core/exerciseGenerator.js';
+import { SightReadingGenerator } from './core/sightReadingGenerator.js';
+import { Tuner } from './core/tuner.js';
+import { ExerciseLibrary } from './core/exerciseLibrary.js';
+import { getFrequencyRange } from './utils/fretboard.js';
+import {
+  readCatalog,
+  needsDerivedFields,
+  fillDerivedFields,
+  parseCatalogQuery,
+  filterCatalog
+} from './utils/exerciseCatalog.js';
 
 class App {
   constructor() {
     this.loader = new ExerciseLoader();
     this.renderer = null;
     this.engine = null;
+    this.loopStartNote = null; // First shift-clicked note of a loop being set
     this.uiManager = null;
     this.audioActivated = false;
     this.currentExercise = null;
     this.notificationTimeout = null;
 
+    // Uploaded exercises persisted across reloads
+    this.library = new ExerciseLibrary();
+    
+    // Bundled sample exercises from assets/exercises/catalog.json
+    this.catalog = [];
+
     // Jamming mode components
     this.drumMachine = null;
     this.jammingModeActive = false;
@@ -47,6 +69,9 @@ class App {
     this.pitchStream = [];
     this.currentAnalysis = null;
     
+    // String targets for "tune to this exercise"
+    this.stringTuner = new Tuner();
+    
     // Session tracking for relative timestamps - FIXED: Use actual playback start time
     this.sessionStartTime = null;  // Will be set when PlaybackEngine actually starts
     this.playbackStartTime = null; // ACTUAL playback start time from PlaybackEngine
@@ -164,8 +189,8 @@ class App {
       this.pitchDetector = new PitchDetector(this.getAudioContext(), {
         confidenceThreshold: 0.8,  // Increased from 0.6 for better accuracy
         noiseThreshold: -45,       // More aggressive noise filtering
-        minFrequency: 80,
-        maxFrequency: 1000
+        minFrequency: INSTRUMENTS.guitar.frequencyRange.min,
+        maxFrequency: INSTRUMENTS.guitar.frequencyRange.max
       });
       
       // Initialize Calibration Manager with pitch detector and settings
@@ -445,6 +470,66 @@ class App {
     }
   }
   
+  /**
+   * Set up the tuner and pitch detection for the loaded exercise's instrument
+   * @param {ExerciseJSON} exercise - Loaded exercise
+   */
+  updateExerciseTuning(exercise) {
+    // Listen down to the lowest string of the exercise's tuning (Drop D reaches 73 Hz)
+    if (this.pitchDetector && exercise.instrument) {
+      this.pitchDetector.setFrequencyRange(exercise.frequencyRange ||
+        getFrequencyRange(exercise.instrument, exercise.tuning, exercise.capo));
+    }
+
+    const button = document.getElementById('tuner-exercise-btn');
+    const label = document.getElementById('tuner-exercise-tuning');
+    const description = (exercise.tuningName || exercise.tuning.join(' ')) +
+      (exercise.capo ? `, capo ${exercise.capo}` : '');
+
+    if (button) button.disabled = false;
+    if (label) label.textContent = `${exercise.instrument?.name || 'Exercise'} tuning: ${description}`;
+
+    // Targets already in use follow the new exercise
+    if (this.stringTuner.getTargets().length > 0) {
+      this.stringTuner.setTargets(exercise.tuning, exercise.capo);
+      this.renderTunerTargets();
+    }
+  }
+
+  /**
+   * Switch the tuner between chromatic mode and the exercise's strings
+   */
+  toggleExerciseTuning() {
+    const button = document.getElementById('tuner-exercise-btn');
+
+    if (this.stringTuner.getTargets().length > 0) {
+      this.stringTuner.clearTargets();
+      if (button) button.textContent = 'Tune to this exercise';
+    } else if (this.currentExercise) {
+      this.stringTuner.setTargets(this.currentExercise.tuning, this.currentExercise.capo);
+      if (button) button.textContent = 'Chromatic tuner';
+      if (this.currentExercise.capo) {
+        this.showNotification(`Tune open strings, then put the capo on fret ${this.currentExercise.capo}`, 'info');
+      }
+    }
+
+    this.renderTunerTargets();
+  }
+
+  /**
+   * Render the string targets of the Tuner tab
+   * @param {number} [activeString] - String currently being tuned
+   */
+  renderTunerTargets(activeString = null) {
+    const list = document.getElementById('tuner-targets');
+    if (!list) return;
+
+    list.innerHTML = this.stringTuner.getTargets()
+      .map(target => `<li class="tuner-target${target.string === activeString ? ' active' : ''}">` +
+        `<span class="tuner-target-string">${target.string}</span>${target.noteName}</li>`)
+      .join('');
+  }
+
   /**
    * Handle pitch detection events - FIXED: Single compensation point
    */
@@ -474,27 +559,32 @@ class App {
       tunerFreqElement.textContent = data.frequency.toFixed(1);
     }
 
+    // With exercise targets the needle shows the distance to the nearest string
+    const target = this.stringTuner.findTarget(data.frequency);
+    const tunerCents = target ? target.cents : data.centsDeviation;
+    this.renderTunerTargets(target?.string);
+
     if (tunerNoteElement) {
-      tunerNoteElement.textContent = data.noteName;
+      tunerNoteElement.textContent = target ? `${target.noteName} (string ${target.string})` : data.noteName;
     }
 
     if (tunerCentsElement) {
-      const cents = Math.abs(data.centsDeviation).toFixed(1);
+      const cents = Math.abs(tunerCents).toFixed(1);
       tunerCentsElement.textContent = cents;
     }
 
     // Update needle position (-45 to +45 degrees based on cents deviation)
     if (tunerNeedle) {
-      const angle = Math.max(-45, Math.min(45, data.centsDeviation));
+      const angle = Math.max(-45, Math.min(45, tunerCents));
       tunerNeedle.setAttribute('transform', `rotate(${angle} 150 125)`);
     }
 
     // Update color indicator and confidence
     if (tunerColorIndicator) {
       let color = '#EF4444'; // red for out of tune
-      if (Math.abs(data.centsDeviation) < 5) {
+      if (Math.abs(tunerCents) < 5) {
         color = '#10B981'; // green for in tune
-      } else if (Math.abs(data.centsDeviation) < 20) {
+      } else if (Math.abs(tunerCents) < 20) {
         color = '#F59E0B'; // orange for close
       }
       tunerColorIndicator.style.backgroundColor = color;
@@ -596,6 +686,7 @@ class App {
     this.generateDetailedAnalysisReport(result);
     
     this.currentAnalysis = result;
+    this.updateAnalysisOverlay();
     
     // Update score display
     this.updateScoreDisplay(result.aggregate);
@@ -606,6 +697,62 @@ class App {
     }
   }
   
+  /**
+   * Paint the latest analysis onto the score, or restore the clean score
+   * when the overlay is switched off
+   */
+  updateAnalysisOverlay() {
+    if (!this.renderer) return;
+    
+    if (!this.settings.analysisOverlay || !this.currentAnalysis) {
+      this.renderer.clearAnalysisOverlay();
+      return;
+    }
+    
+    const { perNote, extraNotes = [], tolerances } = this.currentAnalysis;
+    const notes = perNote.map(note => {
+      const outcome = Analyzer.getNoteOutcome(note, tolerances);
+      return {
+        noteIds: note.noteIds || [note.noteId],
+        outcome,
+        tooltip: this.describeNoteOutcome(note, outcome)
+      };
+    });
+    const extras = extraNotes.map(extra => ({
+      timestamp: extra.detectedTimestamp,
+      tooltip: `Extra: ${this.midiToNoteName(Math.round(extra.detectedMidi))} at ${Math.round(extra.detectedTimestamp)}ms`
+    }));
+    
+    this.renderer.showAnalysisOverlay(notes, extras);
+  }
+
+  /**
+   * Describe a note's outcome with its pitch and timing deviation
+   * 
+   * @param {Object} note - Entry of the analysis `perNote` results
+   * @param {string} outcome - One of ANALYSIS_OUTCOMES
+   * @returns {string} Tooltip text, e.g. "Late: +12¢, +85ms"
+   */
+  describeNoteOutcome(note, outcome) {
+    const labels = {
+      [ANALYSIS_OUTCOMES.CORRECT]: 'Correct',
+      [ANALYSIS_OUTCOMES.WRONG_PITCH]: 'Wrong pitch',
+      [ANALYSIS_OUTCOMES.EARLY]: 'Early',
+      [ANALYSIS_OUTCOMES.LATE]: 'Late',
+      [ANALYSIS_OUTCOMES.MISSED]: 'Missed'
+    };
+    if (outcome === ANALYSIS_OUTCOMES.MISSED) {
+      return labels[outcome];
+    }
+    
+    const signed = value => `${value > 0 ? '+' : ''}${Math.round(value)}`;
+    const timing = `${signed(note.timingDeviation)}ms`;
+    // Unpitched notes are scored on timing alone
+    return note.unpitched
+      ? `${labels[outcome]}: ${timing}`
+      : `${labels[outcome]}: ${signed(note.pitchDeviation * 100)}¢, ${timing}`;
+  }
+  
   /**
    * Generate enhanced detailed analysis report
    */
@@ -679,7 +826,10 @@ class App {
     // Process each note
     result.perNote.forEach((note, index) => {
       const noteNumber = (index + 1).toString().padStart(2);
-      const expectedNote = this.midiToNoteName(note.expectedMidi);
+      // Unpitched notes are scored on timing alone
+      const expectedNote = note.unpitched
+        ? 'Rhythm'
+        : `${this.midiToNoteName(note.expectedMidi)} (${note.expectedMidi})`;
       const expectedTime = note.expectedTimestamp.toString().padStart(4);
       const detectedNote = note.detectedMidi !== null ? this.midiToNoteName(note.detectedMidi) : '---';
       const detectedMidiStr = note.detectedMidi !== null ? note.detectedMidi.toString() : '---';
@@ -719,7 +869,9 @@ class App {
         
         // Pitch accuracy
         pitchClass = note.pitchCorrect ? 'pitch-correct' : 'pitch-incorrect';
-        if (note.pitchDeviation === 0) {
+        if (note.unpitched) {
+          pitchClass = '';
+        } else if (note.pitchDeviation === 0) {
           pitchClass += ' pitch-perfect';
           pitchStatus = '<span class="check-indicator">✓</span>0¢';
         } else {
@@ -731,7 +883,7 @@ class App {
       const row = `
         <tr>
           <td class="note-cell">${noteNumber}</td>
-          <td class="note-cell">${expectedNote} (${note.expectedMidi})</td>
+          <td class="note-cell">${expectedNote}</td>
           <td class="time-cell">${expectedTime}ms</td>
           <td class="note-cell">${detectedNote} ${detectedMidiStr !== '---' ? `(${detectedMidiStr})` : ''}</td>
           <td class="time-cell">${rawTime}</td>
@@ -1549,7 +1701,9 @@ class App {
         this.currentExercise.timeline,
         this.currentExercise.tempo,
         this.currentExercise.timeSignature,
-        this.currentExercise.upbeat  // NEW: Pass upbeat info for beat calculation
+        this.currentExercise.upbeat,  // NEW: Pass upbeat info for beat calculation
+        this.currentExercise.tempoMap,
+        this.currentExercise.measures
       );
 
       console.log('🥁 Drums scheduled for jamming mode');
@@ -1574,11 +1728,17 @@ class App {
   updateBeatIndicator(data) {
     if (!this.jammingModeActive) return;
 
-    // Update beat lights (1-4)
-    const beatNumber = data.beatNumber || ((data.beat % 4) + 1);
-    for (let i = 1; i <= 4; i++) {
+    // Show one light per beat of the current measure's meter
+    const beatsInMeasure = data.beatsInMeasure || 4;
+    this._ensureBeatLights(beatsInMeasure);
+
+    // Update beat lights
+    const beatNumber = data.beatNumber || ((data.beat % beatsInMeasure) + 1);
+    const lights = document.querySelectorAll('.beat-light');
+    for (let i = 1; i <= lights.length; i++) {
       const light = document.querySelector(`.beat-light[data-beat="${i}"]`);
       if (light) {
+        light.style.display = i <= beatsInMeasure ? '' : 'none';
         if (i === beatNumber) {
           light.classList.add('active');
           if (i === 1) light.classList.add('accent'); // Beat 1 gets accent
@@ -1589,6 +1749,24 @@ class App {
     }
   }
 
+  /**
+   * Make sure the beat indicator has at least one light per beat
+   *
+   * @param {number} count - Beats in the current measure
+   * @private
+   */
+  _ensureBeatLights(count) {
+    const indicator = document.querySelector('.beat-indicator');
+    if (!indicator) return;
+
+    for (let i = indicator.querySelectorAll('.beat-light').length + 1; i <= count; i++) {
+      const light = document.createElement('div');
+      light.className = 'beat-light';
+      light.dataset.beat = String(i);
+      indicator.appendChild(light);
+    }
+  }
+
   /**
    * Handle jamming play button
    */
@@ -1771,7 +1949,9 @@ class App {
           this.currentExercise.timeline,
           bpm,
           this.currentExercise.timeSignature,
-          this.currentExercise.upbeat  // NEW: Pass upbeat info for beat calculation
+          this.currentExercise.upbeat,  // NEW: Pass upbeat info for beat calculation
+          this.currentExercise.tempoMap,
+          this.currentExercise.measures
         );
       }
     }
@@ -1787,7 +1967,7 @@ class App {
     console.log('🎵 Jamming file upload triggered:', file.name, file.type);
 
     try {
-      const xmlContent = await this.readFileAsText(file);
+      const xmlContent = await this.readExerciseFile(file);
       console.log('📄 Jamming file read successfully, length:', xmlContent.length);
 
       // Load the exercise for jamming
@@ -1808,6 +1988,8 @@ class App {
       // Parse exercise
       const exercise = await this.loader.parseXML(xmlContent);
       this.currentExercise = exercise;
+      this.currentAnalysis = null; // Belongs to the previous exercise
+      this.updateExerciseTuning(exercise);
 
       // Determine which tempo to use based on user preference
       const xmlTempo = exercise.tempo;
@@ -1843,14 +2025,17 @@ class App {
         notationDiv.id = 'jamming-notation-renderer';
         container.appendChild(notationDiv);
 
-        this.renderer = new NotationRenderer();
+        this.renderer = new NotationRenderer({ viewMode: this.settings.notationView });
         this.renderer.init(notationDiv);
+        this.renderer.on('note:click', (data) => this.handleScoreClick(data));
         await this.renderer.render(exercise);
       }
 
       // Create playback engine with appropriate tempo
       this.engine = new PlaybackEngine(exercise.timeline, {
         bpm: playbackTempo,
+        tempoMap: exercise.tempoMap,
+        measures: exercise.measures,
         timeSignature: exercise.timeSignature,
         instrument: document.getElementById('instrumentSelect').value,
         instrumentMode: document.getElementById('instrumentMode').value
@@ -1911,6 +2096,8 @@ class App {
       }
     }
     
+    this.stringTuner.setReferencePitch(this.settings.referencePitch);
+    
     // Apply to Tuner (when available)
     if (this.uiManager && this.uiManager.tuner) {
       console.log('🎵 Applying settings to tuner module...');
@@ -2071,6 +2258,8 @@ class App {
     // Tuner mode controls
     document.getElementById('tuner-microphone-toggle').addEventListener('change', 
       this.toggleTunerMode.bind(this));
+    document.getElementById('tuner-exercise-btn')?.addEventListener('click',
+      this.toggleExerciseTuning.bind(this));
       
     // NEW: Calibration controls
     document.getElementById('calibrate-latency-btn').addEventListener('click', 
@@ -2087,6 +2276,11 @@ class App {
       });
     });
       
+    // File uploads accept the formats the loader reads
+    const accept = Object.values(EXERCISE_FILE_EXTENSIONS).flat().join(',');
+    document.querySelectorAll('#exerciseFilePractice, #exerciseFileLessons, #exerciseFileJamming')
+      .forEach(input => { input.accept = accept; });
+
     // File upload - Practice tab
     document.getElementById('exerciseFilePractice').addEventListener('change', 
       this.handleFileUpload.bind(this));
@@ -2095,10 +2289,32 @@ class App {
     document.getElementById('exerciseFileLessons').addEventListener('change', 
       this.handleFileUpload.bind(this));
       
-    // Sample exercise loading
-    document.querySelectorAll('.exercise-item .btn').forEach(button => {
-      button.addEventListener('click', this.handleSampleExerciseLoad.bind(this));
+    // Sample exercise catalog - list is rendered from the manifest
+    document.getElementById('exerciseList')?.addEventListener('click', (event) => {
+      if (event.target.closest('.exercise-item .btn')) {
+        this.handleSampleExerciseLoad(event);
+      }
+    });
+    document.getElementById('catalogSearch')?.addEventListener('input', () => this.renderCatalog());
+    document.getElementById('catalogDifficulty')?.addEventListener('change', () => this.renderCatalog());
+    this.loadCatalog();
+
+    // Scale and arpeggio generator - Lessons tab
+    document.getElementById('generator-shape')?.addEventListener('change', (event) => {
+      document.getElementById('generator-position').hidden = event.target.value !== 'position';
     });
+    document.getElementById('generator-btn')?.addEventListener('click',
+      this.handleGenerateExercise.bind(this));
+
+    // Sight-reading generator - Lessons tab
+    document.getElementById('sight-reading-btn')?.addEventListener('click',
+      this.handleGenerateSightReading.bind(this));
+
+    // Exercise library - Lessons tab
+    document.getElementById('libraryList')?.addEventListener('click',
+      this.handleLibraryAction.bind(this));
+    this.library.on('library:changed', () => this.renderLibrary());
+    this.renderLibrary();
 
     // Jamming tab controls
     document.getElementById('jam-play-btn')?.addEventListener('click',
@@ -2216,6 +2432,8 @@ class App {
     const settingsAnalyzerSmoothingValue = document.getElementById('settings-analyzer-smoothing-value');
     const settingsDifficulty = document.getElementById('settings-difficulty');
     const settingsUseXmlTempo = document.getElementById('settings-use-xml-tempo');
+    const settingsNotationView = document.getElementById('settings-notation-view');
+    const analysisOverlayToggle = document.getElementById('analysis-overlay-toggle');
 
     // Initialize values
     if (settingsInstrument) settingsInstrument.value = this.settings.instrument;
@@ -2235,6 +2453,8 @@ class App {
     }
     if (settingsDifficulty) settingsDifficulty.value = this.settings.difficulty;
     if (settingsUseXmlTempo) settingsUseXmlTempo.checked = this.settings.useXmlTempo;
+    if (settingsNotationView) settingsNotationView.value = this.settings.notationView;
+    if (analysisOverlayToggle) analysisOverlayToggle.checked = this.settings.analysisOverlay;
 
     // Event handlers
     settingsInstrument?.addEventListener('change', (e) => {
@@ -2354,6 +2574,21 @@ class App {
       this.showNotification(`Use XML tempo: ${e.target.checked ? 'Enabled' : 'Disabled'}`, 'info');
     });
 
+    settingsNotationView?.addEventListener('change', async (e) => {
+      this.saveSetting('notationView', e.target.value);
+      try {
+        await this.renderer?.setViewMode(e.target.value);
+      } catch (error) {
+        console.error('Failed to change notation view:', error);
+        this.showNotification('Failed to redraw notation: ' + error.message, 'error');
+      }
+    });
+
+    analysisOverlayToggle?.addEventListener('change', (e) => {
+      this.saveSetting('analysisOverlay', e.target.checked);
+      this.updateAnalysisOverlay();
+    });
+
     // Manual latency controls
     const manualLatencyInput = document.getElementById('manual-latency');
     const resetManualLatencyBtn = document.getElementById('reset-manual-latency');
@@ -2534,6 +2769,58 @@ class App {
     }
   }
   
+  /**
+   * Handle a click on a note in the score
+   * 
+   * A plain click seeks playback to the note. Shift-clicks set a loop: the
+   * first marks its start, the second its end (including that note), and
+   * shift-clicking while a loop is set clears it.
+   * 
+   * @param {Object} data - `note:click` event data from NotationRenderer
+   */
+  handleScoreClick({ noteId, shiftKey }) {
+    if (!this.engine) return;
+    
+    // The engine timeline follows tempo changes, the rendered one does not
+    const note = this.engine.timeline.find(entry => entry.id === noteId);
+    if (!note) return;
+    
+    if (!shiftKey) {
+      this.engine.seek(note.timestamp);
+      this.renderer?.highlightNotes([noteId], 'active');
+      return;
+    }
+    
+    if (this.engine.getLoop()) {
+      this.engine.clearLoop();
+      this.loopStartNote = null;
+      this.showNotification('Loop cleared', 'info');
+      return;
+    }
+    
+    // A start picked before the engine was recreated no longer applies
+    if (!this.loopStartNote || !this.engine.timeline.includes(this.loopStartNote)) {
+      this.loopStartNote = note;
+      this.showNotification(`Loop start set at measure ${note.measure}. Shift-click the last note to loop.`, 'info');
+      return;
+    }
+    
+    const [first, last] = [this.loopStartNote, note].sort((a, b) => a.timestamp - b.timestamp);
+    this.loopStartNote = null;
+    
+    try {
+      this.engine.setLoop(first.timestamp, last.timestamp + last.duration);
+      if (this.engine.getState() !== 'playing') {
+        this.engine.seek(first.timestamp);
+        this.renderer?.highlightNotes([first.id], 'active');
+      }
+      this.showNotification(`Looping measures ${first.measure}-${last.measure}`, 'success');
+    } catch (error) {
+      console.error('Loop error:', error);
+      this.showNotification('Could not set loop: ' + error.message, 'error');
+    }
+  }
+  
   /**
    * Handle pause button click
    */
@@ -2808,7 +3095,16 @@ class App {
       const newExercise = {
         ...this.currentExercise,
         tempo: newTempo,
-        timeline: recalculatedTimeline
+        timeline: recalculatedTimeline,
+        ...(this.currentExercise.tempoMap && {
+          tempoMap: this.loader.recalculateTempoMap(this.currentExercise.tempoMap, oldTempo, newTempo)
+        }),
+        ...(this.currentExercise.measures && {
+          measures: this.loader.recalculateMeasures(this.currentExercise.measures, oldTempo, newTempo)
+        }),
+        ...(this.currentExercise.chordSymbols && {
+          chordSymbols: this.loader.recalculateChordSymbols(this.currentExercise.chordSymbols, oldTempo, newTempo)
+        })
       };
       
       // Update current exercise with recalculated timeline
@@ -2848,6 +3144,8 @@ class App {
     // Create new playback engine with recalculated timeline
     this.engine = new PlaybackEngine(newExercise.timeline, {
       bpm: newTempo,
+      tempoMap: newExercise.tempoMap,
+      measures: newExercise.measures,
       timeSignature: newExercise.timeSignature,
       instrument: currentInstrument,
       instrumentMode: currentInstrumentMode
@@ -2978,13 +3276,15 @@ class App {
     console.log('📁 File upload triggered:', file.name, file.type);
     
     try {
-      const xmlContent = await this.readFileAsText(file);
+      const xmlContent = await this.readExerciseFile(file);
       console.log('📄 File read successfully, length:', xmlContent.length);
       
       // Load the exercise - this includes parsing, rendering, and engine setup
       await this.loadExercise(xmlContent, file.name);
       console.log('✅ Exercise loaded successfully from file upload');
       
+      await this.saveToLibrary(file.name, xmlContent);
+      
     } catch (error) {
       console.error('❌ File load error:', error);
       this.showNotification('Failed to load file: ' + error.message, 'error');
@@ -3005,26 +3305,330 @@ class App {
       }
       const xmlContent = await response.text();
       await this.loadExercise(xmlContent, fileName);
+      this.describeCatalogEntry(fileName);
     } catch (error) {
       console.error('Sample exercise load error:', error);
       this.showNotification('Failed to load exercise: ' + error.message, 'error');
     }
   }
   
+  /**
+   * Load the sample exercise catalog; the manifest already describes each
+   * score, so none is fetched until it is opened
+   */
+  async loadCatalog() {
+    const baseUrl = 'assets/exercises';
+    try {
+      const response = await fetch(`${baseUrl}/catalog.json`);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch ${baseUrl}/catalog.json`);
+      }
+      this.catalog = readCatalog(await response.json(), baseUrl);
+    } catch (error) {
+      console.error('Catalog load error:', error);
+      const list = document.getElementById('exerciseList');
+      if (list) list.textContent = 'Sample exercises could not be loaded.';
+      return;
+    }
+    this.renderCatalog();
+  }
+
+  /**
+   * Fill in what an opened sample's score says about itself (key, meter,
+   * range) when its catalog entry leaves it out
+   * @param {string} url - Catalog entry URL of the loaded exercise
+   */
+  describeCatalogEntry(url) {
+    const index = this.catalog.findIndex(entry => entry.url === url);
+    if (index === -1 || !needsDerivedFields(this.catalog[index]) || !this.currentExercise) return;
+
+    this.catalog[index] = fillDerivedFields(this.catalog[index], this.loader.describeExercise(this.currentExercise));
+    this.renderCatalog();
+  }
+
+  /**
+   * Render the sample exercises matching the Lessons tab search and level
+   */
+  renderCatalog() {
+    const list = document.getElementById('exerciseList');
+    if (!list) return;
+
+    const query = parseCatalogQuery(document.getElementById('catalogSearch')?.value || '');
+    const level = document.getElementById('catalogDifficulty')?.value;
+    if (level) {
+      query.difficulty = [level];
+    }
+    const entries = filterCatalog(this.catalog, query);
+    const titles = new Map(this.catalog.map(entry => [entry.id, entry.title]));
+
+    const count = document.getElementById('catalogCount');
+    if (count) {
+      count.textContent = entries.length === this.catalog.length
+        ? `${entries.length} exercises`
+        : `${entries.length} of ${this.catalog.length} exercises`;
+    }
+
+    list.replaceChildren();
+    if (entries.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'exercise-list-empty';
+      empty.textContent = 'No exercises match your search.';
+      list.appendChild(empty);
+      return;
+    }
+
+    entries.forEach(entry => {
+      const item = document.createElement('div');
+      item.className = 'exercise-item';
+      item.dataset.file = entry.url;
+
+      const info = document.createElement('div');
+      info.className = 'exercise-info';
+      const title = document.createElement('h5');
+      title.textContent = entry.title || entry.file;
+      const details = document.createElement('p');
+      details.textContent = [
+        entry.difficulty && entry.difficulty[0].toUpperCase() + entry.difficulty.slice(1),
+        entry.tags[0] && entry.tags[0].replace(/\b\w/g, letter => letter.toUpperCase()),
+        entry.key,
+        entry.timeSignature,
+        entry.tempoRange && (entry.tempoRange.min === entry.tempoRange.max
+          ? `${entry.tempoRange.min} BPM`
+          : `${entry.tempoRange.min}–${entry.tempoRange.max} BPM`)
+      ].filter(Boolean).join(' • ');
+      info.append(title, details);
+
+      if (entry.prerequisites.length > 0) {
+        const prerequisites = document.createElement('p');
+        prerequisites.className = 'exercise-prerequisites';
+        prerequisites.textContent = 'After: ' + entry.prerequisites.map(id => titles.get(id)).join(', ');
+        info.appendChild(prerequisites);
+      }
+
+      const button = document.createElement('button');
+      button.className = 'btn btn-sm btn-primary';
+      button.textContent = 'Load';
+      item.append(info, button);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Generate a scale or arpeggio exercise from the Lessons tab form and
+   * open it in Practice mode
+   */
+  async handleGenerateExercise() {
+    const value = id => document.getElementById(id)?.value;
+    const shape = value('generator-shape');
+    const options = {
+      type: value('generator-type'),
+      tonic: value('generator-tonic'),
+      pattern: value('generator-pattern'),
+      direction: value('generator-direction'),
+      rhythm: value('generator-rhythm'),
+      tempo: parseInt(value('generator-tempo'), 10) || undefined
+    };
+    if (shape === 'position') {
+      options.position = parseInt(value('generator-position'), 10);
+    } else {
+      options.shape = shape;
+    }
+
+    try {
+      const xmlContent = new ExerciseGenerator().toMusicXML(options);
+      this.switchTab('practice');
+      await this.loadExercise(xmlContent, 'Generated exercise', { useScoreTempo: true });
+    } catch (error) {
+      console.error('Exercise generation error:', error);
+      this.showNotification('Failed to generate exercise: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Generate a sight-reading melody from the Lessons tab form and open it
+   * in Practice mode
+   *
+   * Without a seed a random one is drawn and shown in the form, so the
+   * melody can be generated again.
+   */
+  async handleGenerateSightReading() {
+    const value = id => document.getElementById(id)?.value.trim();
+    const seedInput = document.getElementById('sight-reading-seed');
+    let seed = value('sight-reading-seed');
+    if (!seed) {
+      seed = String(Math.floor(Math.random() * 1000000));
+      if (seedInput) {
+        seedInput.value = seed;
+      }
+    }
+
+    const options = {
+      difficulty: value('sight-reading-difficulty'),
+      seed: /^\d+$/.test(seed) ? parseInt(seed, 10) : seed
+    };
+    if (value('sight-reading-key')) {
+      options.key = value('sight-reading-key');
+    }
+    const measures = parseInt(value('sight-reading-measures'), 10);
+    if (measures > 0) {
+      options.measures = measures;
+    }
+
+    try {
+      const xmlContent = new SightReadingGenerator().toMusicXML(options);
+      this.switchTab('practice');
+      await this.loadExercise(xmlContent, 'Sight reading', { useScoreTempo: true });
+    } catch (error) {
+      console.error('Sight-reading generation error:', error);
+      this.showNotification('Failed to generate melody: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Keep an uploaded exercise in the library and mark it as opened
+   * @param {string} fileName - Uploaded file name
+   * @param {string} xmlContent - MusicXML text
+   */
+  async saveToLibrary(fileName, xmlContent) {
+    try {
+      const entry = await this.library.add({
+        name: fileName,
+        content: xmlContent,
+        exercise: this.currentExercise
+      });
+      await this.library.markOpened(entry.id);
+    } catch (error) {
+      console.error('Library save error:', error);
+      this.showNotification('Exercise loaded but not saved to library: ' + error.message, 'warning');
+    }
+  }
+
+  /**
+   * Render the exercise library list of the Lessons tab
+   */
+  async renderLibrary() {
+    const list = document.getElementById('libraryList');
+    if (!list) return;
+
+    let entries;
+    try {
+      entries = await this.library.list();
+    } catch (error) {
+      console.error('Library list error:', error);
+      return;
+    }
+
+    list.replaceChildren();
+    if (entries.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'exercise-list-empty';
+      empty.textContent = 'Uploaded exercises are saved here.';
+      list.appendChild(empty);
+      return;
+    }
+
+    entries.forEach(entry => {
+      const item = document.createElement('div');
+      item.className = 'exercise-item library-item' + (entry.favourite ? ' favourite' : '');
+      item.dataset.libraryId = entry.id;
+
+      const info = document.createElement('div');
+      info.className = 'exercise-info';
+      const title = document.createElement('h5');
+      title.textContent = entry.name;
+      const details = document.createElement('p');
+      details.textContent = [
+        entry.composer,
+        entry.timeSignature && `${entry.timeSignature.beats}/${entry.timeSignature.beatType}`,
+        entry.tempo && `${entry.tempo} BPM`,
+        entry.lastOpened && `Opened ${new Date(entry.lastOpened).toLocaleDateString()}`
+      ].filter(Boolean).join(' • ');
+      info.append(title, details);
+
+      const actions = document.createElement('div');
+      actions.className = 'library-actions';
+      [
+        ['favourite', entry.favourite ? '★' : '☆', entry.favourite ? 'Remove from favourites' : 'Add to favourites'],
+        ['rename', 'Rename', 'Rename exercise'],
+        ['delete', 'Delete', 'Delete from library'],
+        ['load', 'Load', 'Load exercise']
+      ].forEach(([action, label, description]) => {
+        const button = document.createElement('button');
+        button.className = `btn btn-sm ${action === 'load' ? 'btn-primary' : 'btn-secondary'}`;
+        button.dataset.action = action;
+        button.textContent = label;
+        button.title = description;
+        button.setAttribute('aria-label', description);
+        actions.appendChild(button);
+      });
+
+      item.append(info, actions);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Handle load, favourite, rename and delete buttons of library entries
+   */
+  async handleLibraryAction(event) {
+    const button = event.target.closest('button[data-action]');
+    const item = button?.closest('.library-item');
+    if (!item) return;
+
+    const id = item.dataset.libraryId;
+    try {
+      switch (button.dataset.action) {
+        case 'load': {
+          const entry = await this.library.get(id);
+          if (!entry) throw new Error('Exercise no longer in library');
+          await this.loadExercise(entry.content, entry.name);
+          await this.library.markOpened(id);
+          break;
+        }
+        case 'favourite':
+          await this.library.toggleFavourite(id);
+          break;
+        case 'rename': {
+          const current = item.querySelector('h5')?.textContent || '';
+          const name = prompt('Rename exercise', current);
+          if (name !== null && name.trim() && name.trim() !== current) {
+            await this.library.rename(id, name);
+          }
+          break;
+        }
+        case 'delete':
+          if (confirm(`Delete "${item.querySelector('h5')?.textContent}" from your library?`)) {
+            await this.library.remove(id);
+            this.showNotification('Exercise removed from library', 'info');
+          }
+          break;
+      }
+    } catch (error) {
+      console.error('Library action error:', error);
+      this.showNotification('Library error: ' + error.message, 'error');
+    }
+  }
+
   /**
    * Load and display an exercise
+   * @param {string} xmlContent - MusicXML text
+   * @param {string} [exerciseName] - Name shown when the score has no title
+   * @param {Object} [options] - { useScoreTempo } overrides the "use MusicXML
+   *   tempo" setting, e.g. for generated exercises with a chosen tempo
    */
-  async loadExercise(xmlContent, exerciseName = 'Unknown') {
+  async loadExercise(xmlContent, exerciseName = 'Unknown', { useScoreTempo = this.settings.useXmlTempo } = {}) {
     try {
       // Parse exercise
       const exercise = await this.loader.parseXML(xmlContent);
       this.currentExercise = exercise;
+      this.currentAnalysis = null; // Belongs to the previous exercise
+      this.updateExerciseTuning(exercise);
       
       // Determine which tempo to use based on user preference
       const xmlTempo = exercise.tempo;
       let playbackTempo = this.settings.tempo; // Default to user's tempo
       
-      if (this.settings.useXmlTempo) {
+      if (useScoreTempo) {
         // Use XML tempo - update settings and UI
         playbackTempo = xmlTempo;
         this.settings.tempo = xmlTempo;
@@ -3038,13 +3642,16 @@ class App {
       
       // Render notation - this is the critical async operation that takes time
       const container = document.getElementById('notation-container');
-      this.renderer = new NotationRenderer();
+      this.renderer = new NotationRenderer({ viewMode: this.settings.notationView });
       this.renderer.init(container);
+      this.renderer.on('note:click', (data) => this.handleScoreClick(data));
       await this.renderer.render(exercise);
       
       // Create playback engine with appropriate tempo
       this.engine = new PlaybackEngine(exercise.timeline, {
         bpm: playbackTempo,
+        tempoMap: exercise.tempoMap,
+        measures: exercise.measures,
         timeSignature: exercise.timeSignature,
         instrument: document.getElementById('instrumentSelect').value,
         instrumentMode: document.getElementById('instrumentMode').value
@@ -3128,6 +3735,29 @@ class App {
     });
   }
   
+  /**
+   * Read MusicXML text from an uploaded exercise file, unpacking .mxl archives
+   * and converting MIDI files and plain-text ASCII tab to notation with tab
+   */
+  async readExerciseFile(file) {
+    const format = ExerciseLoader.getFileFormat(file.name);
+    if (format === 'COMPRESSED') {
+      return extractMusicXML(await file.arrayBuffer());
+    }
+    if (format === 'MIDI') {
+      return new MidiImporter().toMusicXML(await file.arrayBuffer(), {
+        title: file.name.replace(/\.midi?$/i, '')
+      });
+    }
+    if (format === 'TAB') {
+      return new AsciiTabParser().toMusicXML(await this.readFileAsText(file));
+    }
+    if (!format) {
+      throw new Error(`Unsupported file type. Expected ${Object.values(EXERCISE_FILE_EXTENSIONS).flat().join(', ')}`);
+    }
+    return this.readFileAsText(file);
+  }
+  
   /**
    * Show notification using UIManager for auto-hide functionality
    */
@@ -16,6 +16,8 @@ import { Logger } from '../utils/logger.js';
 import { Storage } from './storage.js';
 import { performanceMonitor } from '../utils/performanceMonitor.js';
 import { SCORING, SMOOTHING_PRESETS } from './enhancedAnalyzerConstants.js';
+import { groupChordEvents, getEventNotes } from '../utils/timelineUtils.js';
+import { ANALYSIS_OUTCOMES } from '../utils/constants.js';
 
 /**
  * Tolerance presets configuration
@@ -384,6 +386,7 @@ export class Analyzer extends EventEmitter {
       const result = {
         aggregate,
         perNote: perNoteResults,
+        extraNotes: this._extraNotes,
         exerciseId: referenceTimeline[0]?.exerciseId || 'unknown',
         timestamp: Date.now(),
         tolerances: {
@@ -430,6 +433,32 @@ export class Analyzer extends EventEmitter {
     }
   }
 
+  /**
+   * Sort a per-note result into the outcome shown on the score
+   * 
+   * Wrong pitch takes precedence over timing; unpitched notes can only be
+   * early, late or correct.
+   * 
+   * @param {Object} noteResult - Entry of `result.perNote`
+   * @param {Object} tolerances - `result.tolerances` { pitch (cents), timing (ms) }
+   * @returns {string} One of `ANALYSIS_OUTCOMES` except EXTRA
+   */
+  static getNoteOutcome(noteResult, tolerances) {
+    if (noteResult.classification === 'MISSED') {
+      return ANALYSIS_OUTCOMES.MISSED;
+    }
+    if (!noteResult.unpitched && Math.abs(noteResult.pitchDeviation * 100) > tolerances.pitch) {
+      return ANALYSIS_OUTCOMES.WRONG_PITCH;
+    }
+    if (noteResult.timingDeviation < -tolerances.timing) {
+      return ANALYSIS_OUTCOMES.EARLY;
+    }
+    if (noteResult.timingDeviation > tolerances.timing) {
+      return ANALYSIS_OUTCOMES.LATE;
+    }
+    return ANALYSIS_OUTCOMES.CORRECT;
+  }
+
   /**
    * Set analysis tolerances with validation
    * @param {ToleranceConfig} tolerances - New tolerance configuration
@@ -1085,6 +1114,7 @@ export class Analyzer extends EventEmitter {
   _evaluateNotesWithSequentialMatching(reference, allPitchEvents, onsetEvents, currentTempo) {
     const results = [];
     const usedDetectionIndices = new Set();
+    const usedOnsetIndices = new Set();
 
     console.log('🔍 Sequential Best-Fit Matching - Processing reference notes in chronological order:');
     console.log('- Reference notes:', reference.length);
@@ -1095,25 +1125,42 @@ export class Analyzer extends EventEmitter {
     // PHASE 1: Track previous reference notes for sequence context
     const previousRefNotes = [];
 
+    // Chords are one strum: score them as a single event against any member pitch
+    const referenceEvents = groupChordEvents(reference);
+
     // Process reference notes in chronological order
-    reference.forEach((refNote, refIndex) => {
-      console.log(`🔍 Processing reference note ${refIndex + 1}/${reference.length}: ${refNote.id} (MIDI: ${refNote.midi}, Time: ${refNote.timestamp}ms)`);
+    referenceEvents.forEach((refNote, refIndex) => {
+      const members = getEventNotes(refNote);
+      console.log(`🔍 Processing reference note ${refIndex + 1}/${referenceEvents.length}: ${refNote.id} (MIDI: ${members.map(m => m.midi).join('+')}, Time: ${refNote.timestamp}ms)`);
+
+      // Unpitched notes (muted strums, slaps, slashes) are scored on their onset alone
+      const unpitched = members.every(member => member.unpitched);
 
       // Find best matching detection for this reference note
-      const bestMatch = this._findBestSequentialMatch(
-        refNote,
-        allPitchEvents,
-        onsetEvents,
-        usedDetectionIndices,
-        currentTempo,
-        previousRefNotes.slice(0, 2), // Pass last 2 reference notes for sequence context
-        refIndex // Pass note index for adaptive window scaling
-      );
+      const bestMatch = unpitched ?
+        this._findOnsetMatch(refNote, onsetEvents, usedOnsetIndices, currentTempo, refIndex) :
+        this._findBestSequentialMatch(
+          refNote,
+          allPitchEvents,
+          onsetEvents,
+          usedDetectionIndices,
+          currentTempo,
+          previousRefNotes.slice(0, 2), // Pass last 2 reference notes for sequence context
+          refIndex // Pass note index for adaptive window scaling
+        );
+
+      // Expected pitch is the chord member closest to what was played
+      let expectedMidi = null;
+      if (!unpitched) {
+        expectedMidi = bestMatch ?
+          this._getClosestExpectedMidi(refNote, bestMatch.selectedPitch) :
+          members.find(member => !member.unpitched).midi;
+      }
 
       // PHASE 1: Update sequence tracking with matched note
-      if (bestMatch) {
+      if (bestMatch && !unpitched) {
         previousRefNotes.unshift({
-          midi: refNote.midi,
+          midi: expectedMidi,
           timestamp: bestMatch.selectedTimestamp // Use the matched timestamp for interval calculations
         });
         // Keep only last 2 notes for context
@@ -1123,15 +1170,26 @@ export class Analyzer extends EventEmitter {
       }
 
       if (bestMatch) {
-        // Mark detection as used
-        usedDetectionIndices.add(bestMatch.detectionIndex);
+        // Mark detection as used (an onset match also claims the pitch readings of its attack)
+        if (unpitched) {
+          usedOnsetIndices.add(bestMatch.onsetIndex);
+          this._claimAttackPitchEvents(bestMatch.selectedTimestamp, allPitchEvents, usedDetectionIndices);
+        } else {
+          usedDetectionIndices.add(bestMatch.detectionIndex);
+        }
 
         // Calculate scoring
-        const pitchDeviation = bestMatch.selectedPitch - refNote.midi;
+        const pitchDeviation = unpitched ? 0 : bestMatch.selectedPitch - expectedMidi;
         const timingDeviation = bestMatch.selectedTimestamp - refNote.timestamp;
 
-        const pitchScore = this._getPitchScoreMultiplier(pitchDeviation);
-        const timingScore = this._getTimingScoreMultiplier(timingDeviation);
+        const pitchScore = unpitched ? 1 : this._getPitchScoreMultiplier(pitchDeviation);
+        let timingFactor = 1;
+        if (refNote.grace) {
+          timingFactor = SCORING.GRACE_TIMING_FACTOR;
+        } else if (refNote.legato) {
+          timingFactor = SCORING.LEGATO_TIMING_FACTOR;
+        }
+        const timingScore = this._getTimingScoreMultiplier(timingDeviation / timingFactor);
         const combinedScore = pitchScore * timingScore;
 
         // Classify note based on combined score
@@ -1149,7 +1207,7 @@ export class Analyzer extends EventEmitter {
         }
 
         console.log(`✅ Matched reference note ${refIndex + 1} with detection:`, {
-          expectedMidi: refNote.midi,
+          expectedMidi,
           detectedMidi: bestMatch.selectedPitch,
           expectedTime: refNote.timestamp,
           detectedTime: bestMatch.selectedTimestamp,
@@ -1162,8 +1220,10 @@ export class Analyzer extends EventEmitter {
 
         results.push({
           noteId: refNote.id,
+          chordId: refNote.chordId || null,
+          noteIds: members.map(m => m.id),
           classification,
-          expectedMidi: refNote.midi,
+          expectedMidi,
           expectedTimestamp: refNote.timestamp,
           detectedMidi: bestMatch.selectedPitch,
           detectedTimestamp: bestMatch.selectedTimestamp,
@@ -1178,15 +1238,18 @@ export class Analyzer extends EventEmitter {
           pitchScore,
           timingScore,
           combinedScore,
-          score: combinedScore * 100
+          score: combinedScore * 100,
+          ...(unpitched && { unpitched: true })
         });
       } else {
         console.log(`❌ No suitable match found for reference note ${refIndex + 1} - marking as MISSED`);
 
         results.push({
           noteId: refNote.id,
+          chordId: refNote.chordId || null,
+          noteIds: members.map(m => m.id),
           classification: 'MISSED',
-          expectedMidi: refNote.midi,
+          expectedMidi,
           expectedTimestamp: refNote.timestamp,
           detectedMidi: null,
           detectedTimestamp: null,
@@ -1201,13 +1264,15 @@ export class Analyzer extends EventEmitter {
           pitchScore: 0,
           timingScore: 0,
           combinedScore: 0,
-          score: 0
+          score: 0,
+          ...(unpitched && { unpitched: true })
         });
       }
     });
 
     // Handle extra notes (detected but not matched to any reference)
-    this._handleExtraNotesForSequentialMatching(allPitchEvents, onsetEvents, usedDetectionIndices);
+    this._handleExtraNotesForSequentialMatching(allPitchEvents, onsetEvents, usedDetectionIndices, reference,
+      usedOnsetIndices);
 
     // Summary statistics
     const summary = {
@@ -1327,6 +1392,7 @@ export class Analyzer extends EventEmitter {
     const windowEnd = refNote.timestamp + windowSize * 0.7; // Favor earlier detections
 
     // PHASE 1: Consecutive pitch handling - build sequence context
+    // (chord events have no single pitch, so they never count as repeated)
     const sequenceContext = {
       isConsecutiveSamePitch: previousRefNotes.length >= 1 && previousRefNotes[0].midi === refNote.midi,
       expectedInterval: previousRefNotes.length >= 1 ?
@@ -1355,23 +1421,25 @@ export class Analyzer extends EventEmitter {
       let onsetTimestamp = null;
       let onsetConfidence = 0;
 
-      if (correspondingOnset) {
+      // Legato notes are sounded by the fretting hand without a new pick attack,
+      // so a nearby onset belongs to the note before and must not replace the pitch
+      if (correspondingOnset && !refNote.legato) {
         // Use onset pitch if it's more confident or closer in time
         const onsetTimeDiff = Math.abs(correspondingOnset.timestamp - eventTime);
-        const onsetConfidence = correspondingOnset.confidence || 0;
+        const candidateConfidence = correspondingOnset.confidence || 0;
 
-        if (onsetConfidence > confidence || onsetTimeDiff < 50) {
+        if (candidateConfidence > confidence || onsetTimeDiff < 50) {
           selectedPitch = correspondingOnset.midi;
           selectedTimestamp = correspondingOnset.timestamp;
           source = 'onset';
-          confidence = onsetConfidence;
+          confidence = candidateConfidence;
           onsetTimestamp = correspondingOnset.timestamp;
-          onsetConfidence = onsetConfidence;
+          onsetConfidence = candidateConfidence;
         }
       }
 
       // Calculate match score with tier-adjusted tolerances
-      const pitchDiff = Math.abs(selectedPitch - refNote.midi);
+      const pitchDiff = Math.abs(selectedPitch - this._getClosestExpectedMidi(refNote, selectedPitch));
       const timeDiff = Math.abs(selectedTimestamp - refNote.timestamp);
 
       // Pitch score (0-1, higher is better) - adjusted by tier tolerance
@@ -1424,6 +1492,95 @@ export class Analyzer extends EventEmitter {
     return null;
   }
 
+  /**
+   * Find the onset that plays an unpitched reference note
+   * 
+   * Only timing counts: the nearest unused onset inside the matching window
+   * wins, widening the window through the same tiers as pitched matching.
+   * @private
+   * @param {Object} refNote - Unpitched reference note or chord event
+   * @param {Array} onsetEvents - Onset events
+   * @param {Set} usedOnsetIndices - Indices of already used onsets
+   * @param {number} currentTempo - Current tempo in BPM
+   * @param {number} noteIndex - Position of note in sequence (0-based)
+   * @returns {Object|null} Match result or null
+   */
+  _findOnsetMatch(refNote, onsetEvents, usedOnsetIndices, currentTempo, noteIndex = 0) {
+    const baseWindowSize = this._calculateMatchingWindow(currentTempo, noteIndex);
+
+    for (const windowMultiplier of [1.0, 1.5, 2.0]) {
+      const windowSize = baseWindowSize * windowMultiplier;
+      let bestIndex = -1;
+
+      onsetEvents.forEach((onset, onsetIndex) => {
+        if (usedOnsetIndices.has(onsetIndex)) return;
+        if (onset.timestamp < refNote.timestamp - windowSize ||
+            onset.timestamp > refNote.timestamp + windowSize * 0.7) return;
+
+        if (bestIndex === -1 || Math.abs(onset.timestamp - refNote.timestamp) <
+            Math.abs(onsetEvents[bestIndex].timestamp - refNote.timestamp)) {
+          bestIndex = onsetIndex;
+        }
+      });
+
+      if (bestIndex !== -1) {
+        const onset = onsetEvents[bestIndex];
+        return {
+          onsetIndex: bestIndex,
+          selectedPitch: onset.midi ?? null,
+          selectedTimestamp: onset.timestamp,
+          originalTimestamp: onset.originalTimestamp || onset.timestamp,
+          confidence: onset.confidence || 0,
+          source: 'onset',
+          onsetTimestamp: onset.timestamp,
+          onsetConfidence: onset.confidence || 0
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Mark the pitch readings of a percussive attack as used
+   * 
+   * A muted strum or slap still gives the pitch detector readings around
+   * its onset; they belong to the matched note rather than being extras.
+   * @private
+   * @param {number} onsetTimestamp - Timestamp of the matched onset
+   * @param {Array} allPitchEvents - All pitch events
+   * @param {Set} usedDetectionIndices - Indices of used pitch events (modified)
+   */
+  _claimAttackPitchEvents(onsetTimestamp, allPitchEvents, usedDetectionIndices) {
+    allPitchEvents.forEach((pitchEvent, index) => {
+      if (Math.abs(pitchEvent.timestamp - onsetTimestamp) <= 100) {
+        usedDetectionIndices.add(index);
+      }
+    });
+  }
+
+  /**
+   * Get the expected MIDI note for a reference event
+   * For chords this is the member closest to the detected pitch, since a
+   * monophonic detector reports only one of the sounding strings.
+   * @private
+   * @param {Object} refEvent - Reference note or grouped chord event
+   * @param {number} detectedMidi - Detected MIDI value
+   * @returns {number} Expected MIDI note number
+   */
+  _getClosestExpectedMidi(refEvent, detectedMidi) {
+    if (!refEvent.isChord) {
+      return refEvent.midi;
+    }
+
+    // Muted members of a chord have no pitch to compare
+    const pitched = refEvent.notes.filter(note => !note.unpitched);
+    return pitched.reduce((closest, note) =>
+      Math.abs(note.midi - detectedMidi) < Math.abs(closest - detectedMidi) ? note.midi : closest,
+      pitched[0].midi
+    );
+  }
+
   /**
    * Calculate dynamic matching window based on tempo and note position
    * @private
@@ -1492,13 +1649,24 @@ export class Analyzer extends EventEmitter {
    * @param {Array} allPitchEvents - All pitch events
    * @param {Array} onsetEvents - Onset events
    * @param {Set} usedDetectionIndices - Indices of used detections
+   * @param {Array} reference - Reference timeline (tied notes absorb their sustain)
+   * @param {Set} usedOnsetIndices - Indices of onsets matched to unpitched notes
    */
-  _handleExtraNotesForSequentialMatching(allPitchEvents, onsetEvents, usedDetectionIndices) {
+  _handleExtraNotesForSequentialMatching(allPitchEvents, onsetEvents, usedDetectionIndices, reference = [],
+    usedOnsetIndices = new Set()) {
     const extraNotes = [];
 
+    // A tied note is held, not re-plucked: its pitch keeps sounding for the whole sustain
+    const tiedNotes = reference.filter(note => note.tied);
+    const isHeldTie = (detNote) => tiedNotes.some(note =>
+      Math.abs(detNote.midi - note.midi) < 0.5 &&
+      detNote.timestamp >= note.timestamp &&
+      detNote.timestamp <= note.timestamp + note.duration
+    );
+
     // Find unmatched pitch events
     allPitchEvents.forEach((detNote, index) => {
-      if (!usedDetectionIndices.has(index)) {
+      if (!usedDetectionIndices.has(index) && !isHeldTie(detNote)) {
         const detectedTimestamp = detNote.compensatedTimestamp !== undefined
           ? detNote.compensatedTimestamp
           : detNote.timestamp;
@@ -1515,7 +1683,8 @@ export class Analyzer extends EventEmitter {
     });
 
     // Find unmatched onset events
-    onsetEvents.forEach((detNote) => {
+    onsetEvents.forEach((detNote, index) => {
+      if (usedOnsetIndices.has(index)) return;
       const detectedTimestamp = detNote.compensatedTimestamp !== undefined
         ? detNote.compensatedTimestamp
         : detNote.timestamp;
@@ -1774,10 +1943,13 @@ export class Analyzer extends EventEmitter {
    * @returns {Object} Empty result object
    */
   _generateEmptyResult(referenceTimeline) {
-    const perNote = referenceTimeline.map(note => ({
+    const referenceEvents = groupChordEvents(referenceTimeline);
+    const perNote = referenceEvents.map(note => ({
       noteId: note.id,
+      chordId: note.chordId || null,
+      noteIds: getEventNotes(note).map(m => m.id),
       classification: 'MISSED',
-      expectedMidi: note.midi,
+      expectedMidi: getEventNotes(note)[0].midi,
       expectedTimestamp: note.timestamp,
       detectedMidi: null,
       detectedTimestamp: null,
@@ -1797,13 +1969,14 @@ export class Analyzer extends EventEmitter {
         averageTimingDeviation: 0,
         timingConsistencyScore: 0,
         notesCorrect: 0,
-        notesMissed: referenceTimeline.length,
+        notesMissed: referenceEvents.length,
         notesWrongPitch: 0,
         notesWrongTiming: 0,
         notesExtra: 0,
-        totalNotes: referenceTimeline.length
+        totalNotes: referenceEvents.length
       },
       perNote,
+      extraNotes: [],
       exerciseId: referenceTimeline[0]?.exerciseId || 'unknown',
       timestamp: Date.now(),
       tolerances: this.tolerances,
@@ -0,0 +1,559 @@
+/**
+ * @module asciiTabParser
+ * @description Plain-text ASCII guitar tab import
+ *
+ * Reads tab systems such as
+ *
+ *     e|---0---3---|
+ *     B|---1-------|
+ *
+ * with optional tuning labels, technique markers and a rhythm line, and
+ * writes a dual-staff MusicXML score that ExerciseLoader parses like any
+ * other exercise.
+ *
+ * @see Architecture.md §3.1 (Exercise Loader Module)
+ */
+
+import { EventEmitter } from '../utils/eventEmitter.js';
+import { Logger } from '../utils/logger.js';
+import {
+  STANDARD_TUNING,
+  noteNameToMidi,
+  midiToNoteName
+} from '../utils/fretboard.js';
+import { writeTabScore } from '../utils/musicXmlWriter.js';
+import { INSTRUMENTS } from '../utils/constants.js';
+
+// Characters allowed on a tab line after its label
+const TAB_CONTENT = /^[-0-9|:xXhHpPbrs/\\~().<>^*=\s]*$/;
+
+// Rhythm line letters and their length in quarter notes
+const RHYTHM_VALUES = { w: 4, h: 2, q: 1, e: 0.5, s: 0.25, t: 0.125 };
+const RHYTHM_LINE = /^[\swhqestWHQEST.]+$/;
+const RHYTHM_TOKEN = /^[whqest]\.*$/i;
+
+/**
+ * AsciiTabParser - Convert ASCII tab text to exercise scores
+ *
+ * Responsibilities:
+ * - Find tab systems (three or more aligned string lines) in free text
+ * - Derive the tuning from string labels
+ * - Read frets, dead notes and h, p, /, \, b, r and ~ technique markers
+ * - Infer rhythm from a rhythm line or from column spacing
+ * - Write MusicXML with notation and tab staves
+ */
+class AsciiTabParser extends EventEmitter {
+  /**
+   * Create ASCII tab parser
+   *
+   * @param {Object} config - Parser configuration
+   * @param {number} config.tempo - Tempo when the text gives none (BPM)
+   * @param {Object} config.timeSignature - Meter when the text gives none
+   * @param {Array<number>} config.grid - Subdivisions per quarter note that
+   *   spacing-derived rhythm snaps to
+   * @param {number} config.maxFret - Highest fret number read as one number
+   */
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      tempo: 120,
+      timeSignature: { beats: 4, beatType: 4 },
+      grid: [4],
+      maxFret: 24,
+      ...config
+    };
+  }
+
+  /**
+   * Convert ASCII tab text to MusicXML with notation and tab staves
+   *
+   * @param {string} text - Tab text
+   * @param {Object} options - Conversion options
+   * @param {string} options.title - Score title (default: first text line)
+   * @param {Array<string>} options.tuning - Tuning, lowest string first
+   *   (default: from string labels)
+   * @param {number} options.tempo - Tempo in BPM (default: "Tempo: 90" in the text)
+   * @param {Object} options.timeSignature - { beats, beatType } (default:
+   *   "Time: 3/4" in the text)
+   * @returns {string} MusicXML document
+   * @throws {Error} If the text contains no tab systems
+   */
+  toMusicXML(text, options = {}) {
+    if (typeof text !== 'string') {
+      throw new Error('Invalid ASCII tab: must be a string');
+    }
+
+    const lines = text.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    const systems = this._findSystems(lines);
+    if (systems.length === 0) {
+      throw new Error('No ASCII tab systems found');
+    }
+
+    // Unlabelled strings take the tuning of the first instrument with as many strings
+    const stringCount = systems[0].strings.length;
+    const instrument = Object.values(INSTRUMENTS).find(({ tuning }) => tuning.length === stringCount);
+    const tuning = options.tuning || this._deriveTuning(systems[0].strings.map(line => line.label)) ||
+      instrument?.tuning || STANDARD_TUNING.slice(-stringCount);
+    const openStrings = tuning.map(noteNameToMidi);
+
+    const header = this._readHeader(lines, systems);
+    const timeSignature = options.timeSignature || header.timeSignature || this.config.timeSignature;
+    const tempo = options.tempo || header.tempo || this.config.tempo;
+    const divisions = this._getDivisions();
+    const measureLength = Math.round(timeSignature.beats * 4 / timeSignature.beatType * divisions);
+
+    const measures = [];
+    const chords = [];
+    systems.forEach(system => {
+      if (system.strings.length !== stringCount) {
+        Logger.log(Logger.WARN, 'AsciiTabParser', 'Skipping system with different string count', {
+          line: system.line,
+          strings: system.strings.length
+        });
+        return;
+      }
+      this._readSystem(system, openStrings, divisions, measureLength).forEach(measure => {
+        const start = measures.length * measureLength;
+        measures.push({
+          number: measures.length + 1,
+          start,
+          length: measureLength,
+          timeSignature: { ...timeSignature },
+          tempos: measures.length === 0 ? [{ offset: 0, bpm: tempo }] : [],
+          repeatStart: measure.repeatStart,
+          repeatEnd: measure.repeatEnd
+        });
+        measure.chords.forEach(chord => {
+          chords.push({ ...chord, start: start + chord.start, end: start + chord.end });
+        });
+      });
+    });
+
+    return writeTabScore({
+      title: options.title || header.title || 'ASCII Tab',
+      partName: 'Guitar',
+      tuning: openStrings.map((midi, index) => midiToNoteName(midi, tuning[index].includes('b'))),
+      divisions,
+      measures,
+      chords
+    });
+  }
+
+  /**
+   * Find tab systems and their rhythm lines
+   *
+   * @param {Array<string>} lines - Text lines
+   * @returns {Array<Object>} Systems { line, strings: [{ label, start,
+   *   content }], rhythm } with strings top (string 1) first
+   * @private
+   */
+  _findSystems(lines) {
+    const systems = [];
+    let run = [];
+
+    const flush = (endIndex) => {
+      if (run.length >= 3) {
+        const firstLine = endIndex - run.length;
+        const above = firstLine > 0 ? lines[firstLine - 1] : '';
+        const rhythm = this._isRhythmLine(above, run) ? above : null;
+        systems.push({ line: firstLine + 1, strings: run, rhythm });
+      }
+      run = [];
+    };
+
+    lines.forEach((line, index) => {
+      const tabLine = this._readTabLine(line);
+      if (tabLine) {
+        run.push(tabLine);
+      } else {
+        flush(index);
+      }
+    });
+    flush(lines.length);
+
+    return systems;
+  }
+
+  /**
+   * Tell a rhythm line from text such as a title
+   *
+   * Rhythm letters are either separated by whitespace ("q q h") or written
+   * together with each letter over a note column, so a word like "sweet"
+   * above the tab stays text.
+   *
+   * @param {string} line - Text line above a system
+   * @param {Array<Object>} strings - Tab lines of the system from `_readTabLine`
+   * @returns {boolean} True if the line gives the system's rhythm
+   * @private
+   */
+  _isRhythmLine(line, strings) {
+    if (!RHYTHM_LINE.test(line) || !/[a-z]/i.test(line)) {
+      return false;
+    }
+    if (line.trim().split(/\s+/).every(token => RHYTHM_TOKEN.test(token))) {
+      return true;
+    }
+
+    const noteColumns = new Set();
+    strings.forEach(({ start, content }) => {
+      [...content].forEach((char, index) => {
+        if (/[0-9xX]/.test(char)) noteColumns.add(start + index);
+      });
+    });
+    return [...line].every((char, column) => !/[a-z]/i.test(char) || noteColumns.has(column));
+  }
+
+  /**
+   * Read a single tab line
+   *
+   * @param {string} line - Text line
+   * @returns {Object|null} { label, start, content } where `start` is the
+   *   column the content begins at, or null if this is not a tab line
+   * @private
+   */
+  _readTabLine(line) {
+    const match = /^\s*([A-Ga-g][#b]?\d?)?\s*\|?/.exec(line);
+    const content = line.slice(match[0].length).replace(/\s+$/, '');
+
+    if (!TAB_CONTENT.test(content) || (content.match(/-/g) || []).length < 3) {
+      return null;
+    }
+
+    return { label: match[1] || null, start: match[0].length, content };
+  }
+
+  /**
+   * Derive a tuning from string labels
+   *
+   * The lowest string is placed nearest the guitar's (or bass guitar's for
+   * four strings) low E, and each higher string is the next matching pitch
+   * above. Labels with an octave number are taken as written.
+   *
+   * @param {Array<string|null>} labels - Labels top (string 1) first
+   * @returns {Array<string>|null} Tuning lowest first, or null without labels
+   * @private
+   */
+  _deriveTuning(labels) {
+    if (labels.some(label => !label)) {
+      return null;
+    }
+
+    const reference = labels.length <= 4 ? noteNameToMidi('E1') : noteNameToMidi('E2');
+    const tuning = [];
+    let previous = null;
+
+    [...labels].reverse().forEach(label => {
+      const name = label.charAt(0).toUpperCase() + label.slice(1);
+      let midi;
+      if (/\d$/.test(name)) {
+        midi = noteNameToMidi(name);
+      } else {
+        const pitchClass = noteNameToMidi(`${name}4`) % 12;
+        if (previous === null) {
+          midi = reference - 6 + ((pitchClass - (reference - 6)) % 12 + 12) % 12;
+        } else {
+          midi = previous + 1 + ((pitchClass - previous - 1) % 12 + 12) % 12;
+        }
+      }
+      tuning.push(midiToNoteName(midi, name.length > 1 && name.charAt(1) === 'b'));
+      previous = midi;
+    });
+
+    return tuning;
+  }
+
+  /**
+   * Read title, tempo and time signature from the text around the tab
+   *
+   * @param {Array<string>} lines - Text lines
+   * @param {Array<Object>} systems - Systems from `_findSystems`
+   * @returns {Object} { title, tempo, timeSignature } (null where not found)
+   * @private
+   */
+  _readHeader(lines, systems) {
+    const tabLines = new Set();
+    systems.forEach(system => {
+      for (let i = 0; i < system.strings.length; i++) tabLines.add(system.line - 1 + i);
+      if (system.rhythm !== null) tabLines.add(system.line - 2);
+    });
+
+    const textLines = lines.filter((line, index) => !tabLines.has(index) && line.trim());
+    const text = textLines.join('\n');
+
+    const tempoMatch = /(?:tempo|bpm)\s*[:=]?\s*(\d{2,3})/i.exec(text);
+    const timeMatch = /time(?:\s*signature)?\s*[:=]?\s*(\d{1,2})\s*\/\s*(1|2|4|8|16|32)\b/i.exec(text);
+    const titleLine = textLines.find(line => !/^\s*(?:tempo|bpm|time|tuning)\b/i.test(line));
+
+    return {
+      title: titleLine ? titleLine.trim().replace(/^title\s*:\s*/i, '').slice(0, 80) : null,
+      tempo: tempoMatch ? parseInt(tempoMatch[1], 10) : null,
+      timeSignature: timeMatch
+        ? { beats: parseInt(timeMatch[1], 10), beatType: parseInt(timeMatch[2], 10) }
+        : null
+    };
+  }
+
+  /**
+   * Get the MusicXML divisions per quarter note
+   *
+   * Covers both the spacing grid and 32nd notes from rhythm lines.
+   *
+   * @returns {number} Divisions per quarter note
+   * @private
+   */
+  _getDivisions() {
+    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+    return [8, ...this.config.grid].reduce((lcm, value) => lcm * value / gcd(lcm, value), 1);
+  }
+
+  /**
+   * Read the measures of one system
+   *
+   * @param {Object} system - System from `_findSystems`
+   * @param {Array<number>} openStrings - Open string MIDI notes, lowest first
+   * @param {number} divisions - Divisions per quarter note
+   * @param {number} measureLength - Measure length in divisions
+   * @returns {Array<Object>} Measures { chords, repeatStart, repeatEnd } with
+   *   chord positions relative to the measure start
+   * @private
+   */
+  _readSystem(system, openStrings, divisions, measureLength) {
+    const stringCount = system.strings.length;
+    const notes = system.strings.flatMap((line, index) =>
+      this._readString(line.content, index + 1, openStrings[stringCount - 1 - index])
+    );
+
+    const segments = this._findSegments(system.strings[0].content);
+    const rhythm = this._readRhythm(system);
+
+    // Group notes of each measure into chords by column
+    const measures = segments.map(segment => {
+      const byColumn = new Map();
+      notes
+        .filter(note => note.column >= segment.start && note.column < segment.end)
+        .forEach(note => {
+          if (!byColumn.has(note.column)) byColumn.set(note.column, []);
+          byColumn.get(note.column).push(note);
+        });
+      const columns = [...byColumn.keys()].sort((a, b) => a - b);
+      return { segment, columns, byColumn };
+    });
+
+    const totalChords = measures.reduce((sum, measure) => sum + measure.columns.length, 0);
+    const useRhythm = rhythm.length > 0 && rhythm.length === totalChords;
+    if (rhythm.length > 0 && !useRhythm) {
+      Logger.log(Logger.WARN, 'AsciiTabParser', 'Rhythm line does not match the notes; using spacing', {
+        line: system.line,
+        rhythmValues: rhythm.length,
+        chords: totalChords
+      });
+    }
+
+    // Dashes every measure starts with are padding, not a rest
+    const padding = Math.min(...measures
+      .filter(measure => measure.columns.length > 0)
+      .map(measure => measure.columns[0] - measure.segment.start));
+
+    let rhythmIndex = 0;
+    return measures.map(({ segment, columns, byColumn }) => {
+      const starts = useRhythm
+        ? this._rhythmStarts(rhythm.slice(rhythmIndex, rhythmIndex += columns.length), divisions)
+        : this._spacingStarts(columns, segment, padding, divisions, measureLength);
+
+      const chords = columns.map((column, index) => ({
+        start: Math.min(starts[index], measureLength - 1),
+        end: index + 1 < columns.length ? Math.min(starts[index + 1], measureLength) : measureLength,
+        notes: byColumn.get(column)
+          .sort((a, b) => a.tab.string - b.tab.string)
+          .map(({ midi, tab, techniques, dead }) => ({ midi, tab, techniques, dead }))
+      })).filter(chord => chord.end > chord.start);
+
+      return { chords, repeatStart: segment.repeatStart, repeatEnd: segment.repeatEnd };
+    });
+  }
+
+  /**
+   * Read the notes and techniques on one string line
+   *
+   * @param {string} content - Line content after the label
+   * @param {number} string - String number (1 = highest)
+   * @param {number} openMidi - MIDI note of the open string
+   * @returns {Array<Object>} Notes { column, midi, tab, techniques, dead }
+   * @private
+   */
+  _readString(content, string, openMidi) {
+    const notes = [];
+    let previous = null;
+    let connector = null;
+
+    const readNumber = (index) => {
+      let digits = '';
+      while (index < content.length && /\d/.test(content[index]) && digits.length < 2) {
+        if (digits && parseInt(digits + content[index], 10) > this.config.maxFret) break;
+        digits += content[index];
+        index++;
+      }
+      return { value: digits ? parseInt(digits, 10) : null, next: index };
+    };
+
+    let index = 0;
+    while (index < content.length) {
+      const char = content[index];
+
+      if (/\d/.test(char) || char === 'x' || char === 'X') {
+        const dead = !/\d/.test(char);
+        const { value, next } = dead ? { value: 0, next: index + 1 } : readNumber(index);
+        const note = {
+          column: index,
+          midi: openMidi + value,
+          tab: { string, fret: value },
+          techniques: [],
+          dead
+        };
+
+        if (connector && previous && !dead) {
+          const type = connector === 'h' ? 'hammer-on' : connector === 'p' ? 'pull-off' : 'slide';
+          previous.techniques.push({ type, role: 'start' });
+          note.techniques.push({ type, role: 'stop' });
+        }
+
+        notes.push(note);
+        previous = note;
+        connector = null;
+        index = next;
+        continue;
+      }
+
+      if ('hHpP/\\s'.includes(char)) {
+        connector = char.toLowerCase() === 'h' ? 'h' : char.toLowerCase() === 'p' ? 'p' : 'slide';
+      } else if (char === 'b' && previous) {
+        // Bend to the written fret, or a whole step when none is given
+        const { value, next } = readNumber(index + 1);
+        const alter = value !== null ? value - previous.tab.fret : 2;
+        previous.techniques.push({ type: 'bend', alter: alter > 0 ? alter : 2, release: false });
+        index = next;
+        continue;
+      } else if (char === 'r' && previous) {
+        // Release back from a bend; the number is where it returns to, not a new note
+        const bend = previous.techniques.find(technique => technique.type === 'bend');
+        if (bend) bend.release = true;
+        index = readNumber(index + 1).next;
+        continue;
+      } else if (char === '~' && previous) {
+        if (!previous.techniques.some(technique => technique.type === 'vibrato')) {
+          previous.techniques.push({ type: 'vibrato' });
+        }
+      } else if (char === '|') {
+        connector = null;
+      }
+
+      index++;
+    }
+
+    return notes;
+  }
+
+  /**
+   * Find measure segments between bar lines
+   *
+   * @param {string} content - Content of the first string line
+   * @returns {Array<Object>} Segments { start, end, repeatStart, repeatEnd }
+   *   as column ranges
+   * @private
+   */
+  _findSegments(content) {
+    const bars = [];
+    for (let i = 0; i < content.length; i++) {
+      if (content[i] === '|') bars.push(i);
+    }
+
+    const bounds = [-1, ...bars, content.length];
+    const segments = [];
+    for (let i = 0; i + 1 < bounds.length; i++) {
+      let start = bounds[i] + 1;
+      let end = bounds[i + 1];
+      const repeatStart = content[start] === ':';
+      const repeatEnd = content[end - 1] === ':';
+      if (repeatStart) start++;
+      if (repeatEnd) end--;
+
+      // Skip double bar lines and whitespace after the final bar
+      if (end - start < 1 || !content.slice(start, end).includes('-')) continue;
+      segments.push({ start, end, repeatStart, repeatEnd });
+    }
+    return segments;
+  }
+
+  /**
+   * Read rhythm values from the line above a system
+   *
+   * @param {Object} system - System from `_findSystems`
+   * @returns {Array<number>} Durations in quarter notes in column order
+   * @private
+   */
+  _readRhythm(system) {
+    if (!system.rhythm) {
+      return [];
+    }
+
+    const values = [];
+    const pattern = /([whqest])(\.*)/gi;
+    let match;
+    while ((match = pattern.exec(system.rhythm)) !== null) {
+      values.push(RHYTHM_VALUES[match[1].toLowerCase()] * (2 - 0.5 ** match[2].length));
+    }
+    return values;
+  }
+
+  /**
+   * Convert rhythm values to chord start positions
+   *
+   * @param {Array<number>} values - Durations in quarter notes
+   * @param {number} divisions - Divisions per quarter note
+   * @returns {Array<number>} Starts in divisions from the measure start
+   * @private
+   */
+  _rhythmStarts(values, divisions) {
+    let position = 0;
+    return values.map(value => {
+      const start = position;
+      position += Math.round(value * divisions);
+      return start;
+    });
+  }
+
+  /**
+   * Infer chord start positions from column spacing
+   *
+   * After the padding, each chord lasts in proportion to the columns up to
+   * the next chord (or the bar line), snapped to the grid.
+   *
+   * @param {Array<number>} columns - Chord columns in order
+   * @param {Object} segment - Segment from `_findSegments`
+   * @param {number} padding - Leading columns that are not part of the measure
+   * @param {number} divisions - Divisions per quarter note
+   * @param {number} measureLength - Measure length in divisions
+   * @returns {Array<number>} Starts in divisions from the measure start
+   * @private
+   */
+  _spacingStarts(columns, segment, padding, divisions, measureLength) {
+    if (columns.length === 0) {
+      return [];
+    }
+
+    const first = segment.start + padding;
+    const width = segment.end - first;
+    const step = divisions / Math.max(...this.config.grid);
+    let previous = -step;
+
+    return columns.map(column => {
+      const exact = (column - first) / width * measureLength;
+      const snapped = Math.round(exact / step) * step;
+      previous = Math.max(snapped, previous + step);
+      return previous;
+    });
+  }
+}
+
+export { AsciiTabParser };
@@ -8,6 +8,14 @@
 
 import { EventEmitter } from '../utils/eventEmitter.js';
 import { Logger } from '../utils/logger.js';
+import {
+  groupChordEvents,
+  createTempoMap,
+  quartersToMs,
+  msToQuarters,
+  getMeterBeats,
+  createMeasureTable
+} from '../utils/timelineUtils.js';
 
 /**
  * DrumMachine - Generate and play drum patterns synchronized with playback
@@ -260,16 +268,25 @@ export class DrumMachine extends EventEmitter {
   /**
    * Schedule drum patterns for the entire exercise
    *
+   * Patterns are laid out measure by measure, so meter changes and pickup
+   * measures keep the groove aligned with the bar lines.
+   *
    * @param {Array} timeline - Exercise timeline
    * @param {number} tempo - BPM
    * @param {Object} timeSignature - Time signature object
    * @param {Object} upbeat - Upbeat information (optional)
+   * @param {Array} tempoMap - Exercise tempo map (optional); when it changes
+   *   tempo, hits are placed in Transport ticks to follow the BPM changes
+   *   programmed by PlaybackEngine
+   * @param {Array} measures - Exercise measure table (optional); without it a
+   *   constant meter from `timeSignature` and `upbeat` is assumed
    */
-  scheduleDrums(timeline, tempo, timeSignature, upbeat = null) {
+  scheduleDrums(timeline, tempo, timeSignature, upbeat = null, tempoMap = null, measures = null) {
     // Store upbeat info for beat calculation
     this.upbeat = upbeat || { hasUpbeat: false, upbeatBeats: 0, startBeat: 1 };
     this.tempo = tempo;
     this.timeSignature = timeSignature;
+    this.tempoMap = Array.isArray(tempoMap) && tempoMap.length > 1 ? tempoMap : null;
 
     Logger.log(Logger.INFO, 'DrumMachine', '=== STARTING DRUM SCHEDULING ===', {
       timelineLength: timeline.length,
@@ -294,68 +311,48 @@ export class DrumMachine extends EventEmitter {
       return;
     }
 
-    // Calculate timing parameters
-    const beatDuration = 60000 / tempo; // ms per beat
-    const measureDuration = beatDuration * (timeSignature.beats || 4);
-    const subdivisionDuration = beatDuration; // Each subdivision is a quarter note (beat)
-
-    Logger.log(Logger.DEBUG, 'DrumMachine', 'Timing calculations', {
-      beatDuration: beatDuration + 'ms',
-      measureDuration: measureDuration + 'ms',
-      subdivisionDuration: subdivisionDuration + 'ms',
-      patternSubdivisions: pattern.subdivisions
-    });
+    // Measure positions are in quarter notes; times follow the tempo map,
+    // or the given tempo when the exercise has no tempo changes
+    const timingMap = this.tempoMap || createTempoMap(tempo);
 
     // Schedule drum hits at regular intervals (independent of note timing)
-    const exerciseDuration = timeline[timeline.length - 1]?.timestamp || 0;
+    // Chords count as one event so their members do not stretch the exercise
+    const events = groupChordEvents(timeline);
+    const exerciseDuration = events[events.length - 1]?.timestamp || 0;
 
-    // Calculate total measures based on exercise duration and time signature
-    const beatsPerMeasure = timeSignature.beats || 4;
-    const totalMeasures = Math.ceil((exerciseDuration / 1000) / (60 / tempo) / beatsPerMeasure);
-    const totalSubdivisions = totalMeasures * pattern.subdivisions;
+    const measureTable = Array.isArray(measures) && measures.length > 0
+      ? measures
+      : this._buildUniformMeasures(msToQuarters(timingMap, exerciseDuration), timeSignature, this.upbeat, timingMap);
 
     Logger.log(Logger.INFO, 'DrumMachine', 'Starting drum hit scheduling loop', {
       exerciseDuration: exerciseDuration + 'ms',
-      totalMeasures: totalMeasures,
-      totalSubdivisions: totalSubdivisions,
+      musicalEvents: events.length,
+      totalMeasures: measureTable.length,
+      patternSubdivisions: pattern.subdivisions,
       patternLength: pattern.pattern.length
     });
 
-    let currentTime = 0;
-    let measureNumber = 0;
-    let subdivisionIndex = 0;
     let scheduledHits = 0;
 
-    // Schedule exactly the number of subdivisions needed for the musical structure
-    while (subdivisionIndex < totalSubdivisions) {
-      // Get the hit for this subdivision
-      const hit = pattern.pattern[subdivisionIndex % pattern.pattern.length];
+    measureTable.forEach((measure, measureNumber) => {
+      this._getMeasureSteps(pattern, measure).forEach(step => {
+        if (!step.hit) return;
 
-      if (hit) {
+        const currentTime = quartersToMs(timingMap, measure.position + step.offset);
         Logger.log(Logger.DEBUG, 'DrumMachine', 'Scheduling drum hit', {
           time: currentTime + 'ms',
           measure: measureNumber,
-          subdivision: subdivisionIndex,
-          hit: hit
+          subdivision: step.index,
+          hit: step.hit
         });
-        this._scheduleDrumHit(hit, currentTime, measureNumber, subdivisionIndex);
+        this._scheduleDrumHit(step.hit, currentTime, measureNumber, step.index, step.beatNumber, step.beatsInMeasure);
         scheduledHits++;
-      }
-
-      // Move to next subdivision
-      currentTime += subdivisionDuration;
-      subdivisionIndex++;
-
-      // Check if we've completed a measure
-      if (subdivisionIndex % pattern.subdivisions === 0) {
-        measureNumber++;
-      }
-    }
+      });
+    });
 
     Logger.log(Logger.INFO, 'DrumMachine', '=== DRUM SCHEDULING COMPLETE ===', {
       style: this.currentStyle,
-      measures: measureNumber,
-      subdivisions: subdivisionIndex,
+      measures: measureTable.length,
       scheduledHits: scheduledHits,
       duration: exerciseDuration + 'ms',
       scheduledEventsCount: this.scheduledDrumEvents.length,
@@ -363,6 +360,77 @@ export class DrumMachine extends EventEmitter {
     });
   }
 
+  /**
+   * Lay out measures of a single meter covering the exercise
+   *
+   * @param {number} totalQuarters - Exercise length in quarter notes
+   * @param {Object} timeSignature - Time signature object
+   * @param {Object} upbeat - Upbeat information
+   * @param {Array} tempoMap - Tempo map used for timing
+   * @returns {Array<Object>} Measure table as produced by ExerciseLoader
+   * @private
+   */
+  _buildUniformMeasures(totalQuarters, timeSignature, upbeat, tempoMap) {
+    const meter = { beats: timeSignature?.beats || 4, beatType: timeSignature?.beatType || 4 };
+    const measureLength = meter.beats * 4 / meter.beatType;
+    const layout = [];
+    let position = 0;
+
+    if (upbeat && upbeat.hasUpbeat && upbeat.upbeatBeats > 0) {
+      const length = upbeat.upbeatBeats * 4 / meter.beatType;
+      layout.push({ number: 0, pass: 1, position, length, timeSignature: meter, isPickup: true });
+      position += length;
+    }
+
+    do {
+      layout.push({ number: layout.length + 1, pass: 1, position, length: measureLength, timeSignature: meter, isPickup: false });
+      position += measureLength;
+    } while (position < totalQuarters);
+
+    return createMeasureTable(layout, tempoMap);
+  }
+
+  /**
+   * Fit the current pattern to one measure
+   *
+   * Patterns are written for the meter listed first in `timeSignatures`.
+   * Their steps per counted beat are kept and repeated over the beats of
+   * the measure, so a 4/4 groove also drives 3/4 or 6/8 bars (counted in
+   * dotted quarters). Pickup measures play the end of the pattern.
+   *
+   * @param {Object} pattern - Drum pattern definition
+   * @param {Object} measure - Measure table entry
+   * @returns {Array<Object>} Steps { hit, index, offset, beatNumber, beatsInMeasure }
+   *   with `offset` in quarter notes from the measure start
+   * @private
+   */
+  _getMeasureSteps(pattern, measure) {
+    const [patternBeats, patternBeatType] = (pattern.timeSignatures?.[0] || '4/4').split('/').map(Number);
+    const patternMeter = getMeterBeats({ beats: patternBeats, beatType: patternBeatType });
+    const stepsPerBeat = Math.max(1, Math.round(pattern.subdivisions / patternMeter.count));
+
+    const meter = getMeterBeats(measure.timeSignature);
+    const stepQuarters = meter.quarters / stepsPerBeat;
+    const missing = measure.isPickup ? meter.count * meter.quarters - measure.length : 0;
+    const epsilon = 1e-6;
+
+    const steps = [];
+    for (let index = 0; index * stepQuarters - missing < measure.length - epsilon; index++) {
+      const offset = index * stepQuarters - missing;
+      if (offset < -epsilon) continue;
+
+      steps.push({
+        hit: pattern.pattern[index % pattern.pattern.length],
+        index,
+        offset,
+        beatNumber: Math.floor(index / stepsPerBeat) % meter.count + 1,
+        beatsInMeasure: meter.count
+      });
+    }
+
+    return steps;
+  }
+
   /**
    * Schedule a single drum hit at specified time
    *
@@ -370,10 +438,15 @@ export class DrumMachine extends EventEmitter {
    * @param {number} timeMs - Time in milliseconds
    * @param {number} measureNumber - Current measure number
    * @param {number} subdivisionIndex - Index within the pattern
+   * @param {number} beatNumber - Beat of the measure the hit falls in (1-based)
+   * @param {number} beatsInMeasure - Counted beats of the measure's meter
    * @private
    */
-  _scheduleDrumHit(hit, timeMs, measureNumber, subdivisionIndex) {
+  _scheduleDrumHit(hit, timeMs, measureNumber, subdivisionIndex, beatNumber, beatsInMeasure) {
     const timeSeconds = timeMs / 1000;
+    const transportTime = this.tempoMap
+      ? `${Math.round(msToQuarters(this.tempoMap, timeMs) * (Tone.Transport.PPQ || 192))}i`
+      : timeSeconds;
 
     Logger.log(Logger.DEBUG, 'DrumMachine', 'Scheduling Transport event', {
       timeMs: timeMs + 'ms',
@@ -387,9 +460,6 @@ export class DrumMachine extends EventEmitter {
 
     try {
       const eventId = Tone.Transport.schedule((time) => {
-        // Calculate beat number with upbeat awareness
-        const beatNumber = this._calculateBeatNumber(timeMs);
-        
         Logger.log(Logger.DEBUG, 'DrumMachine', '=== TRANSPORT EVENT FIRED ===', {
           scheduledTime: timeSeconds + 's',
           actualTime: time,
@@ -401,8 +471,8 @@ export class DrumMachine extends EventEmitter {
           beatNumber: beatNumber,
           hit: hit
         });
-        this._playDrumHit(hit, time, measureNumber, subdivisionIndex, beatNumber);
-      }, timeSeconds);
+        this._playDrumHit(hit, time, measureNumber, subdivisionIndex, beatNumber, beatsInMeasure);
+      }, transportTime);
 
       this.scheduledDrumEvents.push(eventId);
 
@@ -430,9 +500,10 @@ export class DrumMachine extends EventEmitter {
    * @param {number} measureNumber - Current measure number
    * @param {number} hitIndex - Index within the pattern
    * @param {number} beatNumber - Calculated beat number (1-based)
+   * @param {number} beatsInMeasure - Counted beats of the measure's meter
    * @private
    */
-  _playDrumHit(hit, time, measureNumber, hitIndex, beatNumber) {
+  _playDrumHit(hit, time, measureNumber, hitIndex, beatNumber, beatsInMeasure) {
     Logger.log(Logger.DEBUG, 'DrumMachine', 'Playing drum hit', {
       hit: hit,
       time: time,
@@ -502,6 +573,7 @@ export class DrumMachine extends EventEmitter {
         measure: measureNumber,
         beat: hitIndex,
         beatNumber: beatNumber, // NEW: Include calculated beat number
+        beatsInMeasure: beatsInMeasure,
         time: time
       });
 
@@ -512,65 +584,6 @@ export class DrumMachine extends EventEmitter {
     }
   }
 
-  /**
-   * Calculate which beat number to display based on timestamp and upbeat info
-   * 
-   * @param {number} timestamp - Current timestamp in ms
-   * @returns {number} Beat number to display (1-based)
-   * @private
-   */
-  _calculateBeatNumber(timestamp) {
-    if (!this.upbeat || !this.timeSignature || !this.tempo) {
-      return 1; // Fallback
-    }
-
-    const beatDurationMs = (60000 / this.tempo) * (4 / this.timeSignature.beatType);
-    const beatsPerMeasure = this.timeSignature.beats;
-    
-    // If we have an upbeat, we need to adjust the beat calculation
-    if (this.upbeat.hasUpbeat) {
-      const upbeatDurationMs = this.upbeat.upbeatBeats * beatDurationMs;
-      
-      if (timestamp < upbeatDurationMs) {
-        // We're in the upbeat measure - calculate which beat of the upbeat
-        const beatInUpbeat = Math.floor(timestamp / beatDurationMs);
-        const calculatedBeat = this.upbeat.startBeat + beatInUpbeat;
-        
-        Logger.log(Logger.DEBUG, 'DrumMachine', 'Beat calculation (upbeat)', {
-          timestamp: timestamp + 'ms',
-          upbeatDurationMs: upbeatDurationMs + 'ms',
-          beatInUpbeat: beatInUpbeat,
-          startBeat: this.upbeat.startBeat,
-          calculatedBeat: calculatedBeat
-        });
-        
-        return calculatedBeat;
-      } else {
-        // After upbeat - adjust time by subtracting upbeat duration
-        const adjustedTime = timestamp - upbeatDurationMs;
-        const beatNumber = Math.floor(adjustedTime / beatDurationMs) % beatsPerMeasure + 1;
-        
-        Logger.log(Logger.DEBUG, 'DrumMachine', 'Beat calculation (post-upbeat)', {
-          timestamp: timestamp + 'ms',
-          adjustedTime: adjustedTime + 'ms',
-          beatNumber: beatNumber
-        });
-        
-        return beatNumber;
-      }
-    }
-    
-    // No upbeat - normal calculation
-    const beatNumber = Math.floor(timestamp / beatDurationMs) % beatsPerMeasure + 1;
-    
-    Logger.log(Logger.DEBUG, 'DrumMachine', 'Beat calculation (no upbeat)', {
-      timestamp: timestamp + 'ms',
-      beatNumber: beatNumber
-    });
-    
-    return beatNumber;
-  }
-
   /**
    * Clear all scheduled drum events
    * @private
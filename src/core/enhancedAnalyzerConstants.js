@@ -34,7 +34,13 @@ export const SCORING = {
   SMOOTHING_WINDOW_MS: 100,
 
   // Minimum note duration to require hold validation
-  HOLD_THRESHOLD_MS: 500
+  HOLD_THRESHOLD_MS: 500,
+
+  // Grace note timing deviations are divided by this factor (ornaments are played freely)
+  GRACE_TIMING_FACTOR: 3,
+
+  // Legato timing deviations are divided by this factor (no attack, so the pitch change is found later)
+  LEGATO_TIMING_FACTOR: 2
 };
 
 // Difficulty presets with smoothing configurations
@@ -0,0 +1,384 @@
+/**
+ * @module exerciseGenerator
+ * @description Procedural scale and arpeggio exercises
+ *
+ * Builds a fretboard box for a scale or arpeggio in a key, at a hand
+ * position or CAGED shape, runs a pattern (straight, thirds, groups of
+ * four) up and/or down through it in a rhythm, and writes a dual-staff
+ * MusicXML score that ExerciseLoader parses like any other exercise.
+ * Notes are spelled for the key, so A major has C#, F# and G#, not Db.
+ *
+ * @example
+ * const xml = new ExerciseGenerator().toMusicXML({
+ *   type: 'minor-pentatonic', tonic: 'A', shape: 'E', pattern: 'thirds', rhythm: 'eighths'
+ * });
+ *
+ * @see Architecture.md §3.1 (Exercise Loader Module)
+ */
+
+import { EventEmitter } from '../utils/eventEmitter.js';
+import { STANDARD_TUNING, noteNameToMidi, midiToNoteName } from '../utils/fretboard.js';
+import { getKeyFifths, transposePitch } from '../utils/keys.js';
+import { writeTabScore } from '../utils/musicXmlWriter.js';
+
+/**
+ * Scale and arpeggio types
+ *
+ * Degrees are [semitones, letter steps] above the tonic. `mode` is the
+ * MusicXML key mode and `fifths` the key signature relative to the
+ * tonic's major key.
+ */
+const EXERCISE_TYPES = {
+  major: { name: 'Major Scale', mode: 'major', fifths: 0, degrees: [[0, 0], [2, 1], [4, 2], [5, 3], [7, 4], [9, 5], [11, 6]] },
+  'natural-minor': { name: 'Natural Minor Scale', mode: 'minor', fifths: -3, degrees: [[0, 0], [2, 1], [3, 2], [5, 3], [7, 4], [8, 5], [10, 6]] },
+  'harmonic-minor': { name: 'Harmonic Minor Scale', mode: 'minor', fifths: -3, degrees: [[0, 0], [2, 1], [3, 2], [5, 3], [7, 4], [8, 5], [11, 6]] },
+  'melodic-minor': { name: 'Melodic Minor Scale', mode: 'minor', fifths: -3, degrees: [[0, 0], [2, 1], [3, 2], [5, 3], [7, 4], [9, 5], [11, 6]] },
+  dorian: { name: 'Dorian Mode', mode: 'dorian', fifths: -2, degrees: [[0, 0], [2, 1], [3, 2], [5, 3], [7, 4], [9, 5], [10, 6]] },
+  phrygian: { name: 'Phrygian Mode', mode: 'phrygian', fifths: -4, degrees: [[0, 0], [1, 1], [3, 2], [5, 3], [7, 4], [8, 5], [10, 6]] },
+  lydian: { name: 'Lydian Mode', mode: 'lydian', fifths: 1, degrees: [[0, 0], [2, 1], [4, 2], [6, 3], [7, 4], [9, 5], [11, 6]] },
+  mixolydian: { name: 'Mixolydian Mode', mode: 'mixolydian', fifths: -1, degrees: [[0, 0], [2, 1], [4, 2], [5, 3], [7, 4], [9, 5], [10, 6]] },
+  locrian: { name: 'Locrian Mode', mode: 'locrian', fifths: -5, degrees: [[0, 0], [1, 1], [3, 2], [5, 3], [6, 4], [8, 5], [10, 6]] },
+  'major-pentatonic': { name: 'Major Pentatonic Scale', mode: 'major', fifths: 0, degrees: [[0, 0], [2, 1], [4, 2], [7, 4], [9, 5]] },
+  'minor-pentatonic': { name: 'Minor Pentatonic Scale', mode: 'minor', fifths: -3, degrees: [[0, 0], [3, 2], [5, 3], [7, 4], [10, 6]] },
+  blues: { name: 'Blues Scale', mode: 'minor', fifths: -3, degrees: [[0, 0], [3, 2], [5, 3], [6, 4], [7, 4], [10, 6]] },
+  'major-arpeggio': { name: 'Major Arpeggio', mode: 'major', fifths: 0, degrees: [[0, 0], [4, 2], [7, 4]] },
+  'minor-arpeggio': { name: 'Minor Arpeggio', mode: 'minor', fifths: -3, degrees: [[0, 0], [3, 2], [7, 4]] },
+  'diminished-arpeggio': { name: 'Diminished Arpeggio', mode: 'minor', fifths: -3, degrees: [[0, 0], [3, 2], [6, 4]] },
+  'augmented-arpeggio': { name: 'Augmented Arpeggio', mode: 'major', fifths: 0, degrees: [[0, 0], [4, 2], [8, 4]] },
+  'dominant7-arpeggio': { name: 'Dominant 7th Arpeggio', mode: 'mixolydian', fifths: -1, degrees: [[0, 0], [4, 2], [7, 4], [10, 6]] },
+  'major7-arpeggio': { name: 'Major 7th Arpeggio', mode: 'major', fifths: 0, degrees: [[0, 0], [4, 2], [7, 4], [11, 6]] },
+  'minor7-arpeggio': { name: 'Minor 7th Arpeggio', mode: 'minor', fifths: -3, degrees: [[0, 0], [3, 2], [7, 4], [10, 6]] },
+  'half-diminished-arpeggio': { name: 'Half-Diminished Arpeggio', mode: 'locrian', fifths: -5, degrees: [[0, 0], [3, 2], [6, 4], [10, 6]] },
+  'diminished7-arpeggio': { name: 'Diminished 7th Arpeggio', mode: 'minor', fifths: -3, degrees: [[0, 0], [3, 2], [6, 4], [9, 6]] }
+};
+
+// CAGED shapes: string carrying the root and where the box starts relative to the root fret
+const CAGED_SHAPES = {
+  C: { rootString: 5, offset: -3 },
+  A: { rootString: 5, offset: -1 },
+  G: { rootString: 6, offset: -3 },
+  E: { rootString: 6, offset: -1 },
+  D: { rootString: 4, offset: -1 }
+};
+
+// Divisions per quarter note; fits eighths, triplets and sixteenths
+const DIVISIONS = 12;
+
+// Note lengths in divisions
+const RHYTHMS = {
+  quarters: { duration: 12, name: 'Quarters' },
+  eighths: { duration: 6, name: 'Eighths' },
+  triplets: { duration: 4, name: 'Triplets' },
+  sixteenths: { duration: 3, name: 'Sixteenths' }
+};
+
+// Notes played from each step through the box, as offsets from that step
+const PATTERNS = {
+  straight: { name: 'Straight', group: [0] },
+  thirds: { name: 'Thirds', group: [0, 2] },
+  fours: { name: 'Groups of 4', group: [0, 1, 2, 3] }
+};
+
+const DIRECTIONS = ['ascending', 'descending', 'ascending-descending'];
+
+/**
+ * ExerciseGenerator - Write scale and arpeggio exercises
+ *
+ * Responsibilities:
+ * - Collect the notes of a scale or arpeggio within a fretboard box
+ * - Spell them for the key and give each a string and fret
+ * - Order them by pattern and direction and lay them out in a rhythm
+ * - Write MusicXML with notation and tab staves
+ */
+class ExerciseGenerator extends EventEmitter {
+  /**
+   * Create exercise generator
+   *
+   * @param {Object} config - Generator configuration
+   * @param {number} config.tempo - Tempo when none is given (BPM)
+   * @param {Object} config.timeSignature - Meter { beats, beatType }
+   * @param {number} config.span - Frets above the position the hand reaches
+   * @param {number} config.maxFret - Highest fret a box may use
+   */
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      tempo: 80,
+      timeSignature: { beats: 4, beatType: 4 },
+      span: 4,
+      maxFret: 20,
+      ...config
+    };
+  }
+
+  /**
+   * Ids of the scale and arpeggio types the generator knows
+   *
+   * @returns {Array<string>} Type ids such as 'major' or 'minor7-arpeggio'
+   */
+  static get types() {
+    return Object.keys(EXERCISE_TYPES);
+  }
+
+  /**
+   * Generate an exercise as MusicXML with notation and tab staves
+   *
+   * @param {Object} options - Exercise options
+   * @param {string} options.type - Scale or arpeggio type (see `types`)
+   * @param {string} options.tonic - Key tonic such as 'A', 'F#' or 'Bb'
+   * @param {string} [options.shape] - CAGED shape 'C', 'A', 'G', 'E' or 'D'
+   *   (standard tuning); default 'E' unless a position is given
+   * @param {number} [options.position] - Lowest fret of the box
+   * @param {string} [options.pattern='straight'] - 'straight', 'thirds' or 'fours'
+   * @param {string} [options.direction='ascending-descending'] - 'ascending',
+   *   'descending' or 'ascending-descending'
+   * @param {string} [options.rhythm='eighths'] - 'quarters', 'eighths',
+   *   'triplets' or 'sixteenths'
+   * @param {number} [options.tempo] - Tempo in BPM
+   * @param {Array<string>} [options.tuning] - Open strings, lowest first
+   * @param {string} [options.title] - Score title (default: from the options)
+   * @returns {string} MusicXML document
+   * @throws {Error} If an option is unknown or the box holds too few notes
+   */
+  toMusicXML(options = {}) {
+    const {
+      type,
+      tonic,
+      pattern = 'straight',
+      direction = 'ascending-descending',
+      rhythm = 'eighths',
+      tuning = STANDARD_TUNING
+    } = options;
+    const tempo = options.tempo || this.config.tempo;
+
+    const scale = EXERCISE_TYPES[type];
+    if (!scale) {
+      throw new Error(`Unknown scale or arpeggio type: ${type}`);
+    }
+    const majorFifths = getKeyFifths(tonic, 'major');
+    if (majorFifths === null) {
+      throw new Error(`Unknown tonic: ${tonic}`);
+    }
+    if (!PATTERNS[pattern]) {
+      throw new Error(`Unknown pattern: ${pattern}`);
+    }
+    if (!DIRECTIONS.includes(direction)) {
+      throw new Error(`Unknown direction: ${direction}`);
+    }
+    if (!RHYTHMS[rhythm]) {
+      throw new Error(`Unknown rhythm: ${rhythm}`);
+    }
+    if (!(tempo > 0)) {
+      throw new Error(`Invalid tempo: ${tempo}`);
+    }
+
+    const fifths = majorFifths + scale.fifths;
+    if (fifths < -7 || fifths > 7) {
+      throw new Error(`${tonic} ${scale.name} has no key signature; use the enharmonic tonic`);
+    }
+
+    const openStrings = tuning.map(noteNameToMidi);
+    const shape = options.position == null ? (options.shape || 'E') : options.shape;
+    const position = this._getPosition(tonic, shape, options.position, openStrings);
+    const box = this._getBox(tonic, scale, position, openStrings);
+    if (box.length < 3) {
+      throw new Error(`Too few ${scale.name} notes at fret ${position}`);
+    }
+
+    const notes = this._applyPattern(box, PATTERNS[pattern], direction);
+    const { measures, chords } = this._layout(notes, RHYTHMS[rhythm], tempo, { fifths, mode: scale.mode });
+
+    const placement = shape ? `${shape} Shape` : `Position ${position}`;
+    const title = options.title ||
+      `${tonic} ${scale.name} - ${placement}, ${PATTERNS[pattern].name}, ${RHYTHMS[rhythm].name}`;
+
+    return writeTabScore({
+      title,
+      partName: 'Guitar',
+      tuning: openStrings.map((midi, index) => midiToNoteName(midi, tuning[index].includes('b'))),
+      divisions: DIVISIONS,
+      measures,
+      chords
+    });
+  }
+
+  /**
+   * Find the lowest fret of the box
+   *
+   * @param {string} tonic - Key tonic
+   * @param {string|undefined} shape - CAGED shape
+   * @param {number|undefined} position - Explicit position
+   * @param {Array<number>} openStrings - Open string MIDI notes, lowest first
+   * @returns {number} Fret the box starts at
+   * @private
+   */
+  _getPosition(tonic, shape, position, openStrings) {
+    if (position != null) {
+      if (!Number.isInteger(position) || position < 0 || position > this.config.maxFret - this.config.span) {
+        throw new Error(`Invalid position: ${position}`);
+      }
+      return position;
+    }
+
+    const caged = CAGED_SHAPES[shape];
+    if (!caged) {
+      throw new Error(`Unknown CAGED shape: ${shape}`);
+    }
+    if (openStrings.length !== 6) {
+      throw new Error('CAGED shapes need a six-string tuning; give a position instead');
+    }
+
+    // Lowest root fret on the shape's string; a box one fret below the nut
+    // becomes the open position
+    const open = openStrings[openStrings.length - caged.rootString];
+    let rootFret = ((noteNameToMidi(`${tonic}4`) - open) % 12 + 12) % 12;
+    if (rootFret + caged.offset < -1) {
+      rootFret += 12;
+    }
+    return Math.max(0, rootFret + caged.offset);
+  }
+
+  /**
+   * Collect the scale notes within the box, lowest first
+   *
+   * Each pitch is played on the lowest string that reaches it before the
+   * next string does, which gives the usual two- and three-note-per-string
+   * patterns. The run starts and ends on the lowest and highest tonic in
+   * the box when there is more than one.
+   *
+   * @param {string} tonic - Key tonic
+   * @param {Object} scale - Entry of EXERCISE_TYPES
+   * @param {number} position - Lowest fret of the box
+   * @param {Array<number>} openStrings - Open string MIDI notes, lowest first
+   * @returns {Array<Object>} Notes { midi, pitch, tab: { string, fret } }
+   * @private
+   */
+  _getBox(tonic, scale, position, openStrings) {
+    const tonicPc = ((noteNameToMidi(`${tonic}4`) % 12) + 12) % 12;
+    const degreeOf = new Map(scale.degrees.map(([semitones, steps]) => [(tonicPc + semitones) % 12, { semitones, steps }]));
+    const highestFret = Math.min(position + this.config.span, this.config.maxFret);
+    const tonicPitch = {
+      step: tonic.charAt(0).toUpperCase(),
+      alter: tonic.length > 1 ? (tonic.charAt(1) === '#' ? 1 : -1) * (tonic.length - 1) : 0,
+      octave: 4
+    };
+
+    const inBox = stringIndex => {
+      const frets = [];
+      for (let fret = position; fret <= highestFret; fret++) {
+        const midi = openStrings[stringIndex] + fret;
+        if (degreeOf.has(midi % 12)) {
+          frets.push({ fret, midi });
+        }
+      }
+      return frets;
+    };
+
+    const box = [];
+    openStrings.forEach((open, stringIndex) => {
+      const nextLowest = stringIndex + 1 < openStrings.length ? inBox(stringIndex + 1)[0]?.midi : Infinity;
+      inBox(stringIndex)
+        .filter(({ midi }) => midi < (nextLowest ?? Infinity) && (box.length === 0 || midi > box[box.length - 1].midi))
+        .forEach(({ fret, midi }) => {
+          box.push({
+            midi,
+            pitch: this._spell(tonicPitch, midi, degreeOf.get(midi % 12)),
+            tab: { string: openStrings.length - stringIndex, fret }
+          });
+        });
+    });
+
+    const roots = box.map((note, index) => (note.midi % 12 === tonicPc ? index : -1)).filter(index => index >= 0);
+    return roots.length >= 2 ? box.slice(roots[0], roots[roots.length - 1] + 1) : box;
+  }
+
+  /**
+   * Spell a scale note from its degree
+   *
+   * @param {Object} tonicPitch - Tonic { step, alter, octave }
+   * @param {number} midi - MIDI note number
+   * @param {Object} degree - { semitones, steps } above the tonic
+   * @returns {Object} Pitch { step, alter, octave }
+   * @private
+   */
+  _spell(tonicPitch, midi, { semitones, steps }) {
+    const spelled = transposePitch(tonicPitch, semitones, steps);
+    const spelledMidi = noteNameToMidi(`${spelled.step}${spelled.octave}`) + spelled.alter;
+    return { ...spelled, octave: spelled.octave + Math.round((midi - spelledMidi) / 12) };
+  }
+
+  /**
+   * Order the box notes by pattern and direction
+   *
+   * @param {Array<Object>} box - Box notes, lowest first
+   * @param {Object} pattern - Entry of PATTERNS
+   * @param {string} direction - Entry of DIRECTIONS
+   * @returns {Array<Object>} Notes in playing order
+   * @private
+   */
+  _applyPattern(box, pattern, direction) {
+    const run = notes => {
+      const reach = Math.max(...pattern.group);
+      const played = [];
+      for (let start = 0; start + reach < notes.length; start++) {
+        pattern.group.forEach(offset => played.push(notes[start + offset]));
+      }
+      // Groups stop short of the top; finish on the last note
+      if (played[played.length - 1] !== notes[notes.length - 1]) {
+        played.push(notes[notes.length - 1]);
+      }
+      return played;
+    };
+
+    if (direction === 'ascending') {
+      return run(box);
+    }
+    const down = run([...box].reverse());
+    if (direction === 'descending') {
+      return down;
+    }
+    return [...run(box), ...down.slice(1)];
+  }
+
+  /**
+   * Lay the notes out in measures
+   *
+   * The last note is held to the end of its measure.
+   *
+   * @param {Array<Object>} notes - Notes in playing order
+   * @param {Object} rhythm - Entry of RHYTHMS
+   * @param {number} tempo - Tempo in BPM
+   * @param {Object} key - Key signature { fifths, mode }
+   * @returns {Object} { measures, chords } for writeTabScore
+   * @private
+   */
+  _layout(notes, rhythm, tempo, key) {
+    const { timeSignature } = this.config;
+    const measureLength = Math.round(timeSignature.beats * 4 / timeSignature.beatType * DIVISIONS);
+
+    const chords = notes.map((note, index) => ({
+      start: index * rhythm.duration,
+      end: (index + 1) * rhythm.duration,
+      notes: [note]
+    }));
+    const last = chords[chords.length - 1];
+    last.end = Math.ceil(last.end / measureLength) * measureLength;
+
+    const measures = [];
+    for (let start = 0; start < last.end; start += measureLength) {
+      measures.push({
+        number: measures.length + 1,
+        start,
+        length: measureLength,
+        timeSignature: { ...timeSignature },
+        key,
+        tempos: start === 0 ? [{ offset: 0, bpm: tempo }] : []
+      });
+    }
+
+    return { measures, chords };
+  }
+}
+
+export { ExerciseGenerator };
@@ -0,0 +1,452 @@
+/**
+ * Exercise Library - Persistent collection of uploaded exercises
+ *
+ * Keeps uploaded scores in IndexedDB so they survive a reload, together
+ * with the metadata the Lessons tab lists (title, composer, tempo, time
+ * signature), the last time each one was opened and a favourite flag.
+ * IndexedDB has no 5MB cap like LocalStorage, so large scores are stored
+ * whole. Records are keyed with STORAGE_KEYS.EXERCISE_CACHE_PREFIX; the
+ * metadata and the MusicXML text live in separate stores so listing the
+ * library never reads the scores, and duplicates are found by content hash.
+ *
+ * Falls back to an in-memory collection when IndexedDB is unavailable.
+ *
+ * @example
+ * const library = new ExerciseLibrary();
+ * const entry = await library.add({ name: 'etude.xml', content: xml, exercise });
+ * const entries = await library.list();
+ *
+ * @extends EventEmitter
+ * @fires library:changed - Emitted after an entry is added, renamed, removed or updated
+ * @see Architecture.md §3.9 (Storage Module)
+ */
+
+import { EventEmitter } from '../utils/eventEmitter.js';
+import { Logger } from '../utils/logger.js';
+import { STORAGE_KEYS } from '../utils/constants.js';
+
+const DEFAULT_CONFIG = {
+  dbName: 'g4',
+  storeName: 'exercises',
+  scoreStoreName: 'scores',
+  dbVersion: 2
+};
+
+/**
+ * Hash score text for duplicate lookup (FNV-1a with the length appended)
+ *
+ * @param {string} content - MusicXML text
+ * @returns {string} Hash; equal content always gives the same hash
+ */
+function hashContent(content) {
+  let hash = 2166136261;
+  for (let i = 0; i < content.length; i++) {
+    hash = Math.imul(hash ^ content.charCodeAt(i), 16777619) >>> 0;
+  }
+  return `${hash.toString(16)}-${content.length}`;
+}
+
+/**
+ * Library entry structure (list() omits content)
+ * @typedef {Object} LibraryEntry
+ * @property {string} id - Entry id
+ * @property {string} name - Display name
+ * @property {string} fileName - Original file name
+ * @property {string} [content] - MusicXML text
+ * @property {string|null} title - Score title
+ * @property {string|null} composer - Score composer
+ * @property {number|null} tempo - Initial tempo in BPM
+ * @property {Object|null} timeSignature - { beats, beatType }
+ * @property {number} size - Content length in characters
+ * @property {number} addedAt - Upload time (ms since epoch)
+ * @property {number|null} lastOpened - Last load time (ms since epoch)
+ * @property {boolean} favourite - Favourite flag
+ */
+
+export class ExerciseLibrary extends EventEmitter {
+  /**
+   * Initialize library
+   * @param {Object} config - { dbName, storeName, scoreStoreName, dbVersion, indexedDB }
+   */
+  constructor(config = {}) {
+    super();
+
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.indexedDB = 'indexedDB' in config ? config.indexedDB : globalThis.indexedDB;
+
+    this.db = null;
+    this.inMemoryFallback = new Map();
+    this.inMemoryScores = new Map();
+    this.usingFallback = false;
+    this.ready = null;
+  }
+
+  /**
+   * Open the database; safe to call repeatedly
+   * @returns {Promise<void>}
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = this._open();
+    }
+    return this.ready;
+  }
+
+  /**
+   * Add an exercise to the library
+   *
+   * Adding content that is already stored returns the existing entry
+   * instead of creating a duplicate.
+   *
+   * @param {Object} source - { name, content, exercise }
+   * @param {string} source.name - File name of the upload
+   * @param {string} source.content - MusicXML text
+   * @param {Object} [source.exercise] - Parsed ExerciseJSON for metadata
+   * @returns {Promise<LibraryEntry>} Stored entry without content
+   */
+  async add({ name, content, exercise = null }) {
+    if (typeof content !== 'string' || !content) {
+      throw new Error('Exercise content must be a non-empty string');
+    }
+    await this.init();
+
+    const hash = hashContent(content);
+    for (const candidate of await this._getByHash(hash)) {
+      if (await this._getContent(candidate.key) === content) {
+        return this._summary(candidate);
+      }
+    }
+
+    const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    const record = {
+      key: STORAGE_KEYS.EXERCISE_CACHE_PREFIX + id,
+      id,
+      name: exercise?.title || name || 'Untitled',
+      fileName: name || null,
+      hash,
+      title: exercise?.title || null,
+      composer: exercise?.composer || null,
+      tempo: exercise?.tempo ?? null,
+      timeSignature: exercise?.timeSignature || null,
+      size: content.length,
+      addedAt: Date.now(),
+      lastOpened: null,
+      favourite: false
+    };
+
+    await this._put(record, content);
+    this.emit('library:changed', { action: 'added', id });
+    return this._summary(record);
+  }
+
+  /**
+   * List entries without their content
+   *
+   * Favourites come first, then the most recently opened, then the most
+   * recently added.
+   *
+   * @returns {Promise<LibraryEntry[]>}
+   */
+  async list() {
+    await this.init();
+    return (await this._getAll())
+      .map(record => this._summary(record))
+      .sort((a, b) =>
+        (b.favourite - a.favourite) ||
+        ((b.lastOpened ?? 0) - (a.lastOpened ?? 0)) ||
+        (b.addedAt - a.addedAt));
+  }
+
+  /**
+   * Get an entry including its content
+   * @param {string} id - Entry id
+   * @returns {Promise<LibraryEntry|null>}
+   */
+  async get(id) {
+    await this.init();
+    const record = await this._getRecord(id);
+    if (!record) {
+      return null;
+    }
+    return { ...this._summary(record), content: await this._getContent(record.key) };
+  }
+
+  /**
+   * Get the most recently opened entry
+   * @returns {Promise<LibraryEntry|null>} Entry without content
+   */
+  async getLastOpened() {
+    const opened = (await this.list()).filter(entry => entry.lastOpened);
+    return opened.reduce((latest, entry) =>
+      (!latest || entry.lastOpened > latest.lastOpened ? entry : latest), null);
+  }
+
+  /**
+   * Rename an entry
+   * @param {string} id - Entry id
+   * @param {string} name - New display name
+   * @returns {Promise<LibraryEntry>}
+   */
+  async rename(id, name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      throw new Error('Exercise name must not be empty');
+    }
+    return this._update(id, { name: trimmed }, 'renamed');
+  }
+
+  /**
+   * Set or clear the favourite flag
+   * @param {string} id - Entry id
+   * @param {boolean} favourite - New flag
+   * @returns {Promise<LibraryEntry>}
+   */
+  async setFavourite(id, favourite) {
+    return this._update(id, { favourite: Boolean(favourite) }, 'favourite');
+  }
+
+  /**
+   * Flip the favourite flag
+   * @param {string} id - Entry id
+   * @returns {Promise<LibraryEntry>}
+   */
+  async toggleFavourite(id) {
+    await this.init();
+    const record = await this._requireRecord(id);
+    return this._update(id, { favourite: !record.favourite }, 'favourite');
+  }
+
+  /**
+   * Record that an entry was loaded
+   * @param {string} id - Entry id
+   * @returns {Promise<LibraryEntry>}
+   */
+  async markOpened(id) {
+    return this._update(id, { lastOpened: Date.now() }, 'opened');
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} id - Entry id
+   * @returns {Promise<boolean>} True when an entry was removed
+   */
+  async remove(id) {
+    await this.init();
+    if (!(await this._getRecord(id))) {
+      return false;
+    }
+
+    const key = STORAGE_KEYS.EXERCISE_CACHE_PREFIX + id;
+    if (this.usingFallback) {
+      this.inMemoryFallback.delete(key);
+      this.inMemoryScores.delete(key);
+    } else {
+      await this._transaction('readwrite', (store, scores) => {
+        scores.delete(key);
+        return store.delete(key);
+      }, [this.config.storeName, this.config.scoreStoreName]);
+    }
+
+    this.emit('library:changed', { action: 'removed', id });
+    return true;
+  }
+
+  /**
+   * Open IndexedDB, or switch to the in-memory fallback
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _open() {
+    if (!this.indexedDB) {
+      Logger.log(Logger.WARN, 'ExerciseLibrary', 'IndexedDB unavailable, using in-memory fallback');
+      this.usingFallback = true;
+      return;
+    }
+
+    try {
+      this.db = await new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.config.dbName, this.config.dbVersion);
+        request.onupgradeneeded = (event) => this._upgrade(request.result, request.transaction, event.oldVersion);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Database upgrade blocked'));
+      });
+    } catch (error) {
+      Logger.log(Logger.WARN, 'ExerciseLibrary', 'Failed to open IndexedDB, using in-memory fallback', {
+        error: error?.message
+      });
+      this.usingFallback = true;
+    }
+  }
+
+  /**
+   * Create or migrate the object stores
+   *
+   * Version 1 kept the MusicXML text in the metadata records; it is moved
+   * to the scores store and replaced by a hash.
+   *
+   * @private
+   * @param {IDBDatabase} db - Database being upgraded
+   * @param {IDBTransaction} transaction - Version change transaction
+   * @param {number} oldVersion - Version before the upgrade (0 when new)
+   */
+  _upgrade(db, transaction, oldVersion) {
+    const { storeName, scoreStoreName } = this.config;
+    const store = db.objectStoreNames.contains(storeName)
+      ? transaction.objectStore(storeName)
+      : db.createObjectStore(storeName, { keyPath: 'key' });
+    if (!db.objectStoreNames.contains(scoreStoreName)) {
+      db.createObjectStore(scoreStoreName, { keyPath: 'key' });
+    }
+    if (!store.indexNames.contains('hash')) {
+      store.createIndex('hash', 'hash');
+    }
+    if (oldVersion === 0) {
+      return;
+    }
+
+    const scores = transaction.objectStore(scoreStoreName);
+    store.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      const { content, ...record } = cursor.value;
+      if (typeof content === 'string') {
+        scores.put({ key: record.key, content });
+        cursor.update({ ...record, hash: hashContent(content) });
+      }
+      cursor.continue();
+    };
+  }
+
+  /**
+   * Run a single request in a transaction
+   * @private
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} action - (...stores) => IDBRequest
+   * @param {string[]} [storeNames] - Stores passed to `action` (default the metadata store)
+   * @returns {Promise<any>} Request result once the transaction completes
+   */
+  _transaction(mode, action, storeNames = [this.config.storeName]) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeNames, mode);
+      const request = action(...storeNames.map(name => transaction.objectStore(name)));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+
+  /**
+   * @private
+   * @returns {Promise<Object[]>} All metadata records
+   */
+  async _getAll() {
+    if (this.usingFallback) {
+      return [...this.inMemoryFallback.values()].map(record => ({ ...record }));
+    }
+    return this._transaction('readonly', store => store.getAll());
+  }
+
+  /**
+   * @private
+   * @param {string} id - Entry id
+   * @returns {Promise<Object|null>} Stored record
+   */
+  async _getRecord(id) {
+    const key = STORAGE_KEYS.EXERCISE_CACHE_PREFIX + id;
+    if (this.usingFallback) {
+      const record = this.inMemoryFallback.get(key);
+      return record ? { ...record } : null;
+    }
+    return (await this._transaction('readonly', store => store.get(key))) || null;
+  }
+
+  /**
+   * @private
+   * @param {string} hash - Content hash
+   * @returns {Promise<Object[]>} Metadata records whose content has this hash
+   */
+  async _getByHash(hash) {
+    if (this.usingFallback) {
+      return [...this.inMemoryFallback.values()].filter(record => record.hash === hash);
+    }
+    return this._transaction('readonly', store => store.index('hash').getAll(hash));
+  }
+
+  /**
+   * @private
+   * @param {string} key - Record key
+   * @returns {Promise<string|null>} Stored MusicXML text
+   */
+  async _getContent(key) {
+    if (this.usingFallback) {
+      return this.inMemoryScores.get(key) ?? null;
+    }
+    const score = await this._transaction('readonly', scores => scores.get(key), [this.config.scoreStoreName]);
+    return score ? score.content : null;
+  }
+
+  /**
+   * @private
+   * @param {string} id - Entry id
+   * @returns {Promise<Object>} Stored record
+   * @throws {Error} When no entry has this id
+   */
+  async _requireRecord(id) {
+    const record = await this._getRecord(id);
+    if (!record) {
+      throw new Error(`Exercise ${id} not found in library`);
+    }
+    return record;
+  }
+
+  /**
+   * @private
+   * @param {Object} record - Metadata record to store
+   * @param {string} [content] - MusicXML text, stored alongside when given
+   * @returns {Promise<void>}
+   */
+  async _put(record, content) {
+    if (this.usingFallback) {
+      this.inMemoryFallback.set(record.key, { ...record });
+      if (content !== undefined) {
+        this.inMemoryScores.set(record.key, content);
+      }
+      return;
+    }
+    if (content === undefined) {
+      await this._transaction('readwrite', store => store.put(record));
+      return;
+    }
+    await this._transaction('readwrite', (store, scores) => {
+      scores.put({ key: record.key, content });
+      return store.put(record);
+    }, [this.config.storeName, this.config.scoreStoreName]);
+  }
+
+  /**
+   * Merge changes into a stored record
+   * @private
+   * @param {string} id - Entry id
+   * @param {Object} changes - Fields to overwrite
+   * @param {string} action - Action reported in library:changed
+   * @returns {Promise<LibraryEntry>} Updated entry without content
+   */
+  async _update(id, changes, action) {
+    await this.init();
+    const record = { ...(await this._requireRecord(id)), ...changes };
+    await this._put(record);
+    this.emit('library:changed', { action, id });
+    return this._summary(record);
+  }
+
+  /**
+   * @private
+   * @param {Object} record - Stored record
+   * @returns {LibraryEntry} Entry without key, hash and content
+   */
+  _summary(record) {
+    const { key, hash, content, ...entry } = record;
+    return entry;
+  }
+}
@@ -12,6 +12,48 @@
 
 import { EventEmitter } from '../utils/eventEmitter.js';
 import { Logger } from '../utils/logger.js';
+import {
+  createTempoMap,
+  quartersToMs,
+  getTempoAt,
+  getMeterBeats,
+  createMeasureTable,
+  getPerformanceOrder,
+  isLegatoNote
+} from '../utils/timelineUtils.js';
+import { extractMusicXML } from '../utils/mxlReader.js';
+import { writeExercise } from '../utils/musicXmlWriter.js';
+import { MidiImporter } from './midiImporter.js';
+import { AsciiTabParser } from './asciiTabParser.js';
+import { ExerciseGenerator } from './exerciseGenerator.js';
+import { SightReadingGenerator } from './sightReadingGenerator.js';
+import { FingeringEngine } from './fingeringEngine.js';
+import { DYNAMICS, ARTICULATIONS, EXERCISE_FILE_EXTENSIONS } from '../utils/constants.js';
+import { formatChordSymbol, formatPitchClass } from '../utils/chordSymbols.js';
+import {
+  STANDARD_TUNING,
+  applyCapo,
+  detectInstrument,
+  getFrequencyRange,
+  getInstrument,
+  getSoundingMidi,
+  getTuningName,
+  midiToNoteName,
+  midiToPitch,
+  noteNameToMidi
+} from '../utils/fretboard.js';
+import {
+  describeKey,
+  estimateKey,
+  getKeyFifths,
+  getLetterShift,
+  getPitchClass,
+  transposeFifths,
+  transposePitch
+} from '../utils/keys.js';
+
+// Noteheads of notes played for their timing only (muted strums, slaps, slashes)
+const ONSET_NOTEHEADS = ['x', 'cross', 'circle-x', 'slash'];
 
 /**
  * ExerciseLoader - Parse MusicXML and generate exercise data
@@ -24,6 +66,50 @@ import { Logger } from '../utils/logger.js';
  * - Support file upload and sample exercise loading
  */
 class ExerciseLoader extends EventEmitter {
+  /**
+   * Create exercise loader
+   * 
+   * @param {Object} config - Loader configuration
+   * @param {number} config.maxFileSize - Maximum upload size in bytes
+   * @param {Array<string>} config.allowedTypes - Accepted upload MIME types
+   *   (browsers report an empty type for .mxl and .musicxml files)
+   * @param {Object} config.midi - MidiImporter configuration for .mid files
+   * @param {Object} config.asciiTab - AsciiTabParser configuration for .tab files
+   * @param {Object} config.generator - ExerciseGenerator configuration for
+   *   generated scale and arpeggio exercises
+   * @param {Object} config.sightReading - SightReadingGenerator configuration
+   *   for generated sight-reading melodies
+   * @param {boolean} config.autoFingering - Fill `tab` of notation notes in
+   *   scores without tablature
+   * @param {boolean} config.generateTabStaff - Add a generated TAB staff to
+   *   the `osmdInput` of scores without tablature
+   * @param {Object} config.fingering - FingeringEngine configuration
+   */
+  constructor(config = {}) {
+    super();
+    
+    this.config = {
+      maxFileSize: 5 * 1024 * 1024,
+      allowedTypes: [
+        'text/xml',
+        'application/xml',
+        'application/vnd.recordare.musicxml+xml',
+        'application/vnd.recordare.musicxml',
+        'application/zip',
+        'application/x-zip-compressed',
+        'audio/midi',
+        'audio/mid',
+        'audio/x-midi',
+        'text/plain',
+        ''
+      ],
+      autoFingering: true,
+      generateTabStaff: false,
+      fingering: {},
+      ...config
+    };
+  }
+
   /**
    * Parse MusicXML string into ExerciseJSON structure
    * 
@@ -68,25 +154,48 @@ class ExerciseLoader extends EventEmitter {
       const timeSignature = this._parseTimeSignature(xmlDoc);
       
       // Get divisions from first measure
-      const firstMeasure = xmlDoc.querySelector('measure[number="1"]');
+      const firstMeasure = xmlDoc.querySelector('part > measure');
       const divisionsElement = firstMeasure?.querySelector('attributes > divisions');
       const divisions = divisionsElement ? parseInt(divisionsElement.textContent, 10) : 1;
       
-      // Detect upbeat (anacrusis)
-      const upbeatInfo = this._detectUpbeat(xmlDoc, divisions, timeSignature);
+      // Extract instrument and tuning; tab frets count from the capo
+      const writtenTuning = this._extractTuning(xmlDoc);
+      const instrument = this._extractInstrument(xmlDoc, writtenTuning);
+      const tuning = writtenTuning || [...instrument.tuning];
+      const capo = this._extractCapo(xmlDoc);
+      const soundingTuning = applyCapo(tuning, capo);
       
-      // Extract tuning
-      const tuning = this._extractTuning(xmlDoc);
+      // Scores without tablature are fingered automatically; a generated tab
+      // staff is only drawn, so it is added to a copy kept out of the timeline
+      const needsFingering = !xmlDoc.querySelector('technical > fret');
+      const fingering = this._createFingering(instrument);
+      let osmdInput = xmlContent;
+      const tabDoc = needsFingering && this.config.generateTabStaff ? xmlDoc.cloneNode(true) : null;
+      if (tabDoc && fingering.addTabStaff(tabDoc, tuning, capo)) {
+        osmdInput = new XMLSerializer().serializeToString(tabDoc);
+      }
       
       this.emit('parse:progress', { percent: 30, stage: 'Extracting instrument data' });
       
       // Build timeline
-      const timeline = this._buildTimeline(xmlDoc, metadata.tempo, timeSignature);
+      const { timeline: performedNotes, tempoMap, measures, chordSymbols } =
+        this._buildTimeline(xmlDoc, metadata.tempo, timeSignature, soundingTuning, instrument.maxFret);
       this.emit('parse:progress', { percent: 80, stage: 'Building timeline' });
       
+      // Detect upbeat (anacrusis)
+      const upbeatInfo = this._detectUpbeat(measures, divisions);
+      
       // Sort and validate timeline
-      timeline.sort((a, b) => a.timestamp - b.timestamp);
+      performedNotes.sort((a, b) => a.timestamp - b.timestamp);
+      const timeline = this._mergeTiedNotes(performedNotes);
+      this._shareNotations(timeline);
       this._assignNoteIds(timeline);
+      this._assignChordIds(timeline);
+      if (needsFingering && this.config.autoFingering) {
+        fingering.fingerTimeline(timeline, soundingTuning);
+      }
+      
+      const key = this._extractKey(xmlDoc, timeline);
       
       // Count systems and measures
       const systemCount = this._detectSystems(xmlDoc);
@@ -101,11 +210,19 @@ class ExerciseLoader extends EventEmitter {
         title: metadata.title,
         composer: metadata.composer,
         tempo: metadata.tempo,
+        tempoMap,
         timeSignature,
+        key,
         upbeat: upbeatInfo, // NEW: Upbeat information
+        measures,
+        instrument,
         tuning,
+        tuningName: getTuningName(tuning),
+        capo,
+        frequencyRange: getFrequencyRange(instrument, tuning, capo),
         timeline,
-        osmdInput: xmlContent, // Preserve complete MusicXML
+        chordSymbols,
+        osmdInput, // Complete MusicXML, with any generated tab staff
         systemCount,
         measureCount
       };
@@ -144,10 +261,87 @@ class ExerciseLoader extends EventEmitter {
     }
   }
 
+  /**
+   * Parse compressed MusicXML (.mxl) archive into ExerciseJSON structure
+   * 
+   * @param {ArrayBuffer|Uint8Array} data - Raw .mxl archive contents
+   * @returns {Promise<ExerciseJSON>} Parsed exercise data
+   * @throws {Error} If the archive has no readable score or parsing fails
+   */
+  async parseMXL(data) {
+    const xmlContent = await extractMusicXML(data);
+    return this.parseXML(xmlContent);
+  }
+
+  /**
+   * Parse Standard MIDI File into ExerciseJSON structure
+   * 
+   * The MIDI file is converted to MusicXML with a generated tab staff, which
+   * becomes the exercise's `osmdInput`.
+   * 
+   * @param {ArrayBuffer|Uint8Array} data - Raw MIDI file contents
+   * @param {Object} options - MidiImporter.toMusicXML options (tracks, title, tuning)
+   * @returns {Promise<ExerciseJSON>} Parsed exercise data
+   * @throws {Error} If the MIDI file is invalid or has no notes to import
+   */
+  async parseMIDI(data, options = {}) {
+    const xmlContent = new MidiImporter(this.config.midi).toMusicXML(data, options);
+    return this.parseXML(xmlContent);
+  }
+
+  /**
+   * Parse plain-text ASCII tab into ExerciseJSON structure
+   * 
+   * The tab is converted to MusicXML with notation and tab staves, which
+   * becomes the exercise's `osmdInput`.
+   * 
+   * @param {string} text - ASCII tab text
+   * @param {Object} options - AsciiTabParser.toMusicXML options (title, tuning, tempo, timeSignature)
+   * @returns {Promise<ExerciseJSON>} Parsed exercise data
+   * @throws {Error} If the text contains no tab systems
+   */
+  async parseASCIITab(text, options = {}) {
+    const xmlContent = new AsciiTabParser(this.config.asciiTab).toMusicXML(text, options);
+    return this.parseXML(xmlContent);
+  }
+
+  /**
+   * Generate a scale or arpeggio exercise
+   * 
+   * The generated MusicXML, with notation and tab staves, becomes the
+   * exercise's `osmdInput`.
+   * 
+   * @param {Object} options - ExerciseGenerator.toMusicXML options (type,
+   *   tonic, shape or position, pattern, direction, rhythm, tempo)
+   * @returns {Promise<ExerciseJSON>} Parsed exercise data
+   * @throws {Error} If an option is invalid
+   */
+  async generateExercise(options) {
+    const xmlContent = new ExerciseGenerator(this.config.generator).toMusicXML(options);
+    return this.parseXML(xmlContent);
+  }
+
+  /**
+   * Generate a sight-reading melody
+   * 
+   * The same options and seed always give the same melody.
+   * 
+   * @param {Object} options - SightReadingGenerator.toMusicXML options
+   *   (difficulty, seed, key, strings, frets, rhythms, rests, accidentals,
+   *   maxLeap, measures, tempo)
+   * @returns {Promise<ExerciseJSON>} Parsed exercise data
+   * @throws {Error} If an option is invalid
+   */
+  async generateSightReading(options) {
+    const xmlContent = new SightReadingGenerator(this.config.sightReading).toMusicXML(options);
+    return this.parseXML(xmlContent);
+  }
+
   /**
    * Load exercise from file upload
    * 
-   * @param {File} file - Uploaded MusicXML file
+   * @param {File} file - Uploaded MusicXML (.xml, .musicxml), compressed (.mxl),
+   *   MIDI (.mid, .midi) or ASCII tab (.tab, .txt) file
    * @returns {Promise<ExerciseJSON>} Parsed exercise data
    * @throws {Error} If file is invalid or parse fails
    */
@@ -156,11 +350,24 @@ class ExerciseLoader extends EventEmitter {
       // Validate file
       this._validateFile(file);
       
-      // Read file content
-      const xmlContent = await this._readFile(file);
-      
-      // Parse content
-      const exercise = await this.parseXML(xmlContent);
+      const format = ExerciseLoader.getFileFormat(file.name);
+      let exercise;
+      if (format === 'MIDI') {
+        // MIDI files are converted to notation, titled after the file
+        exercise = await this.parseMIDI(await this._readFileAsArrayBuffer(file), {
+          title: file.name.replace(/\.midi?$/i, '')
+        });
+      } else if (format === 'TAB') {
+        exercise = await this.parseASCIITab(await this._readFile(file));
+      } else {
+        // Read file content, unpacking compressed archives
+        const xmlContent = format === 'COMPRESSED'
+          ? await extractMusicXML(await this._readFileAsArrayBuffer(file))
+          : await this._readFile(file);
+        
+        // Parse content
+        exercise = await this.parseXML(xmlContent);
+      }
       
       // Add filename to result (optional)
       exercise.filename = file.name;
@@ -248,17 +455,23 @@ class ExerciseLoader extends EventEmitter {
           errors.push('note.staff must be 1 or 2');
         }
         
-        if (!note.isRest && (note.midi < 0 || note.midi > 127)) {
+        if (note.unpitched) {
+          if (note.midi !== null) {
+            errors.push('note.midi must be null for unpitched notes');
+          }
+        } else if (!note.isRest && (typeof note.midi !== 'number' || note.midi < 0 || note.midi > 127)) {
           errors.push('note.midi must be 0-127');
         }
         
         // Validate tablature data
         if (note.staff === 2 && note.tab) {
-          if (note.tab.string < 1 || note.tab.string > 6) {
-            errors.push('tab.string must be 1-6');
+          const stringCount = exercise.tuning?.length || exercise.instrument?.strings || 6;
+          const maxFret = exercise.instrument?.maxFret ?? 24;
+          if (note.tab.string < 1 || note.tab.string > stringCount) {
+            errors.push(`tab.string must be 1-${stringCount}`);
           }
-          if (note.tab.fret < 0 || note.tab.fret > 24) {
-            errors.push('tab.fret must be 0-24');
+          if (note.tab.fret < 0 || note.tab.fret > maxFret) {
+            errors.push(`tab.fret must be 0-${maxFret}`);
           }
         }
       }
@@ -293,8 +506,9 @@ class ExerciseLoader extends EventEmitter {
    */
   _validateFile(file) {
     // Check file type
+    const extensions = Object.values(EXERCISE_FILE_EXTENSIONS).flat().join(', ');
     if (!this.config.allowedTypes.includes(file.type)) {
-      throw new Error('Invalid file type. Only MusicXML (.xml) files are allowed.');
+      throw new Error(`Invalid file type. Only MusicXML, MIDI and tab files (${extensions}) are allowed.`);
     }
     
     // Check file size
@@ -303,11 +517,25 @@ class ExerciseLoader extends EventEmitter {
     }
     
     // Check file extension
-    if (!file.name.match(/\.(xml|musicxml)$/i)) {
-      throw new Error('Invalid file extension. Expected .xml or .musicxml');
+    if (!ExerciseLoader.getFileFormat(file.name)) {
+      throw new Error(`Invalid file extension. Expected ${extensions}`);
     }
   }
 
+  /**
+   * Get the upload format of a file from its extension
+   * 
+   * @param {string} fileName - File name
+   * @returns {string|null} Key of EXERCISE_FILE_EXTENSIONS ('MUSICXML',
+   *   'COMPRESSED', 'MIDI' or 'TAB'), or null for other files
+   */
+  static getFileFormat(fileName) {
+    const name = String(fileName || '').toLowerCase();
+    const format = Object.entries(EXERCISE_FILE_EXTENSIONS)
+      .find(([, extensions]) => extensions.some(extension => name.endsWith(extension)));
+    return format ? format[0] : null;
+  }
+
   /**
    * Read file content as text
    * 
@@ -331,6 +559,29 @@ class ExerciseLoader extends EventEmitter {
     });
   }
 
+  /**
+   * Read file content as binary
+   * 
+   * @param {File} file - File to read
+   * @returns {Promise<ArrayBuffer>} File content
+   * @private
+   */
+  _readFileAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      
+      reader.onload = (event) => {
+        resolve(event.target.result);
+      };
+      
+      reader.onerror = () => {
+        reject(new Error('Failed to read file'));
+      };
+      
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
   /**
    * Extract metadata from MusicXML
    * 
@@ -347,410 +598,1553 @@ class ExerciseLoader extends EventEmitter {
     const composerElement = xmlDoc.querySelector('creator[type="composer"]');
     const composer = composerElement ? composerElement.textContent : 'Unknown';
     
-    // Extract tempo (default to 120)
+    // Extract tempo (default to 120); a metronome mark is used when no
+    // playback tempo is given
     let tempo = 120;
     const soundElement = xmlDoc.querySelector('sound[tempo]');
-    if (soundElement) {
-      const tempoValue = parseInt(soundElement.getAttribute('tempo'), 10);
-      if (!isNaN(tempoValue) && tempoValue > 0 && tempoValue < 500) {
-        tempo = tempoValue;
-      }
+    const metronomeElement = xmlDoc.querySelector('direction-type > metronome');
+    const tempoValue = soundElement
+      ? this._parseTempo(soundElement.getAttribute('tempo'))
+      : metronomeElement && this._metronomeToQuarterBpm(metronomeElement);
+    if (tempoValue) {
+      tempo = tempoValue;
     }
     
     return { title, composer, tempo };
   }
 
   /**
-   * Detect if first measure is an upbeat (anacrusis)
+   * Parse a tempo value, rejecting anything outside the supported range
    * 
-   * @param {Document} xmlDoc - Parsed XML document
-   * @param {number} divisions - Divisions per quarter note
-   * @param {Object} timeSignature - Time signature object
-   * @returns {Object} Upbeat info: { hasUpbeat: boolean, upbeatBeats: number, startBeat: number }
+   * @param {string|number} value - Tempo in quarter notes per minute
+   * @returns {number|null} Tempo, or null if invalid
    * @private
    */
-  _detectUpbeat(xmlDoc, divisions, timeSignature) {
-    const firstMeasure = xmlDoc.querySelector('measure[number="1"]');
-    if (!firstMeasure) {
-      return { hasUpbeat: false, upbeatBeats: 0, startBeat: 1 };
-    }
-    
-    // Calculate total duration of notes in first measure
-    let totalDuration = 0;
-    const notes = firstMeasure.querySelectorAll('note');
-    
-    notes.forEach(noteElement => {
-      // Only count notes from staff 1 (notation staff)
-      const staffElement = noteElement.querySelector('staff');
-      const staff = staffElement ? parseInt(staffElement.textContent, 10) : 1;
-      
-      if (staff === 1) {
-        const durationElement = noteElement.querySelector('duration');
-        if (durationElement) {
-          totalDuration += parseInt(durationElement.textContent, 10);
-        }
-      }
-    });
-    
-    // Calculate expected full measure duration
-    const fullMeasureDuration = divisions * timeSignature.beats;
-    
-    Logger.log(Logger.DEBUG, 'ExerciseLoader', 'Upbeat detection', {
-      totalDuration,
-      fullMeasureDuration,
-      divisions,
-      timeSignatureBeats: timeSignature.beats
-    });
-    
-    // If first measure is incomplete, it's an upbeat
-    if (totalDuration < fullMeasureDuration && totalDuration > 0) {
-      const upbeatDuration = totalDuration;
-      const upbeatBeats = upbeatDuration / divisions;
-      const startBeat = timeSignature.beats - upbeatBeats + 1; // e.g., 4 - 2 + 1 = 3
-      
-      Logger.log(Logger.INFO, 'ExerciseLoader', 'Upbeat detected', {
-        upbeatDuration,
-        upbeatBeats,
-        startBeat: Math.ceil(startBeat),
-        fullMeasureDuration
-      });
-      
-      return {
-        hasUpbeat: true,
-        upbeatBeats,
-        startBeat: Math.ceil(startBeat),
-        upbeatDuration,
-        fullMeasureDuration
-      };
-    }
-    
-    Logger.log(Logger.DEBUG, 'ExerciseLoader', 'No upbeat detected');
-    
-    return { hasUpbeat: false, upbeatBeats: 0, startBeat: 1 };
+  _parseTempo(value) {
+    // Editors often export values such as 79.9998 for a marked 80
+    const tempo = Math.round(parseFloat(value) * 100) / 100;
+    return !isNaN(tempo) && tempo > 0 && tempo < 500 ? tempo : null;
   }
 
   /**
-   * Parse time signature from first measure attributes
+   * Convert a metronome mark to quarter notes per minute
    * 
-   * @param {Document} xmlDoc - Parsed XML document
-   * @returns {Object} Time signature object
+   * @param {Element} metronome - Metronome element (e.g. dotted half = 60)
+   * @returns {number|null} Tempo, or null for marks without a beat unit
+   *   and per-minute value (e.g. metric modulations)
    * @private
    */
-  _parseTimeSignature(xmlDoc) {
-    const timeElement = xmlDoc.querySelector('attributes > time');
+  _metronomeToQuarterBpm(metronome) {
+    const beatUnit = metronome.querySelector('beat-unit');
+    const perMinute = metronome.querySelector('per-minute');
+    if (!beatUnit || !perMinute) return null;
     
-    if (timeElement) {
-      const beatsElement = timeElement.querySelector('beats');
-      const beatTypeElement = timeElement.querySelector('beat-type');
-      
-      const beats = beatsElement ? parseInt(beatsElement.textContent, 10) : 4;
-      const beatType = beatTypeElement ? parseInt(beatTypeElement.textContent, 10) : 4;
-      
-      return { beats, beatType };
+    const unitQuarters = {
+      whole: 4, half: 2, quarter: 1, eighth: 0.5, '16th': 0.25, '32nd': 0.125
+    }[beatUnit.textContent.trim()];
+    if (!unitQuarters) return null;
+    
+    // Only dots belonging to the first beat unit
+    let dots = 0;
+    let sibling = beatUnit.nextElementSibling;
+    while (sibling && sibling.tagName === 'beat-unit-dot') {
+      dots++;
+      sibling = sibling.nextElementSibling;
     }
     
-    // Default to 4/4
-    return { beats: 4, beatType: 4 };
+    const quarters = unitQuarters * (2 - Math.pow(0.5, dots));
+    return this._parseTempo(parseFloat(perMinute.textContent) * quarters);
   }
 
   /**
-   * Extract guitar tuning from staff 2 details
+   * Read the tempo set by a direction or sound element
    * 
-   * @param {Document} xmlDoc - Parsed XML document
-   * @returns {Array} Array of pitch strings
+   * The playback tempo of `<sound tempo>` wins over a printed metronome mark.
+   * 
+   * @param {Element} element - Direction or sound element
+   * @returns {number|null} Tempo in quarter notes per minute, or null
    * @private
    */
-  _extractTuning(xmlDoc) {
-    const tuningElements = xmlDoc.querySelectorAll('staff-details[number="2"] > staff-tuning');
-    
-    if (tuningElements.length === 6) {
-      const tuning = [];
-      tuningElements.forEach((elem) => {
-        const stepElement = elem.querySelector('tuning-step');
-        const octaveElement = elem.querySelector('tuning-octave');
-        
-        if (stepElement && octaveElement) {
-          const step = stepElement.textContent;
-          const octave = parseInt(octaveElement.textContent, 10);
-          tuning.push(`${step}${octave}`);
-        }
-      });
-      
-      if (tuning.length === 6) {
-        return tuning;
-      }
+  _readTempoMark(element) {
+    const sound = element.tagName === 'sound' ? element : element.querySelector('sound[tempo]');
+    if (sound && sound.hasAttribute('tempo')) {
+      return this._parseTempo(sound.getAttribute('tempo'));
     }
     
-    // Default to standard guitar tuning
-    return ['E2', 'A2', 'D3', 'G3', 'B3', 'E4'];
+    const metronome = element.querySelector('direction-type > metronome');
+    return metronome ? this._metronomeToQuarterBpm(metronome) : null;
   }
 
   /**
-   * Build chronological timeline of all notes
+   * Detect if first measure is an upbeat (anacrusis)
    * 
-   * @param {Document} xmlDoc - Parsed XML document
-   * @param {number} tempo - Beats per minute
-   * @param {Object} timeSignature - Time signature object
-   * @returns {Array} Timeline array
+   * @param {Array<Object>} measures - Measure table in performance order
+   * @param {number} divisions - Divisions per quarter note
+   * @returns {Object} Upbeat info: { hasUpbeat: boolean, upbeatBeats: number, startBeat: number }
+   *   where upbeatBeats counts beat-type units (e.g. eighths in 6/8)
    * @private
    */
-  _buildTimeline(xmlDoc, tempo, timeSignature) {
-    const timeline = [];
-    let currentTime = 0; // in milliseconds
-    let systemNumber = 1;
-    let divisions = 1;
-    
-    // Get all measures
-    const measures = xmlDoc.querySelectorAll('measure');
-    
-    measures.forEach((measure) => {
-      // Check for new system
-      const printElement = measure.querySelector('print[new-system="yes"]');
-      if (printElement) {
-        systemNumber++;
-      }
-      
-      // Check for divisions change
-      const divisionsElement = measure.querySelector('attributes > divisions');
-      if (divisionsElement) {
-        divisions = parseInt(divisionsElement.textContent, 10) || 1;
-      }
-      
-      // Process all child elements in order
-      const elements = Array.from(measure.children);
-      
-      for (const element of elements) {
-        if (element.tagName === 'note') {
-          // Handle rest notes - add to timeline with isRest flag
-          if (element.querySelector('rest')) {
-            const durationElement = element.querySelector('duration');
-            if (durationElement) {
-              const duration = parseInt(durationElement.textContent, 10);
-              const timing = this._calculateTimestamp(divisions, duration, currentTime, tempo);
-              
-              const staffElement = element.querySelector('staff');
-              const staff = staffElement ? parseInt(staffElement.textContent, 10) : 1;
-              
-              timeline.push({
-                timestamp: timing.timestamp,
-                duration: timing.duration,
-                isRest: true,
-                staff,
-                system: systemNumber
-              });
-              
-              currentTime = timing.timestamp + timing.duration;
-            }
-            continue;
-          }
-          
-          // Extract pitch
-          const pitch = this._extractPitch(element);
-          if (!pitch) continue;
-          
-          // Calculate MIDI
-          const midi = this._convertPitchToMIDI(pitch);
-          
-          // Extract duration and calculate timestamp
-          const durationElement = element.querySelector('duration');
-          if (!durationElement) continue;
-          
-          const duration = parseInt(durationElement.textContent, 10);
-          const timing = this._calculateTimestamp(divisions, duration, currentTime, tempo);
-          
-          // Extract staff
-          const staffElement = element.querySelector('staff');
-          const staff = staffElement ? parseInt(staffElement.textContent, 10) : 1;
-          
-          // Extract voice
-          const voiceElement = element.querySelector('voice');
-          const voice = voiceElement ? parseInt(voiceElement.textContent, 10) : 1;
-          
-          // Extract tablature data if staff 2
-          const tab = staff === 2 ? this._extractTabData(element) : null;
-          
-          // Create timeline note
-          const note = {
-            timestamp: timing.timestamp,
-            duration: timing.duration,
-            midi,
-            pitch,
-            staff,
-            voice,
-            tab,
-            system: systemNumber
-          };
-          
-          timeline.push(note);
-          
-          // Advance current time
-          currentTime = timing.timestamp + timing.duration;
-          
-        } else if (element.tagName === 'backup') {
-          // Rewind time
-          const durationElement = element.querySelector('duration');
-          if (durationElement) {
-            const duration = parseInt(durationElement.textContent, 10);
-            const backupTime = this._calculateTimestamp(divisions, duration, currentTime, tempo).duration;
-            currentTime -= backupTime;
-          }
-          
-        } else if (element.tagName === 'forward') {
-          // Advance time without notes
-          const durationElement = element.querySelector('duration');
-          if (durationElement) {
-            const duration = parseInt(durationElement.textContent, 10);
-            const forwardTime = this._calculateTimestamp(divisions, duration, currentTime, tempo).duration;
-            currentTime += forwardTime;
-          }
-        }
-      }
+  _detectUpbeat(measures, divisions) {
+    const firstMeasure = measures[0];
+    if (!firstMeasure || !firstMeasure.isPickup) {
+      Logger.log(Logger.DEBUG, 'ExerciseLoader', 'No upbeat detected');
+      return { hasUpbeat: false, upbeatBeats: 0, startBeat: 1 };
+    }
+    
+    const { beats, beatType } = firstMeasure.timeSignature;
+    const upbeatBeats = firstMeasure.length * beatType / 4;
+    // Beat in which the pickup starts, e.g., 4 - 2 + 1 = 3
+    const startBeat = Math.floor(beats - upbeatBeats) + 1;
+    const upbeatDuration = firstMeasure.length * divisions;
+    const fullMeasureDuration = beats * 4 / beatType * divisions;
+    
+    Logger.log(Logger.INFO, 'ExerciseLoader', 'Upbeat detected', {
+      upbeatDuration,
+      upbeatBeats,
+      startBeat,
+      fullMeasureDuration
     });
     
-    return timeline;
+    return {
+      hasUpbeat: true,
+      upbeatBeats,
+      startBeat,
+      upbeatDuration,
+      fullMeasureDuration
+    };
   }
 
   /**
-   * Extract pitch data from note element
+   * Parse time signature from first measure attributes
    * 
-   * @param {Element} noteElement - Note element
-   * @returns {Object} Pitch object or null
+   * @param {Document} xmlDoc - Parsed XML document
+   * @returns {Object} Time signature object
    * @private
    */
-  _extractPitch(noteElement) {
-    const pitchElement = noteElement.querySelector('pitch');
-    if (!pitchElement) return null;
-    
-    const stepElement = pitchElement.querySelector('step');
-    const octaveElement = pitchElement.querySelector('octave');
-    const alterElement = pitchElement.querySelector('alter');
-    
-    if (!stepElement || !octaveElement) return null;
+  _parseTimeSignature(xmlDoc) {
+    const timeElement = xmlDoc.querySelector('attributes > time');
     
-    const step = stepElement.textContent;
-    const octave = parseInt(octaveElement.textContent, 10);
-    const alter = alterElement ? parseInt(alterElement.textContent, 10) : 0;
+    if (timeElement) {
+      return this._readTimeSignature(timeElement);
+    }
     
-    return { step, octave, alter };
+    // Default to 4/4
+    return { beats: 4, beatType: 4 };
   }
 
   /**
-   * Convert pitch object to MIDI note number
+   * Read a time signature element
    * 
-   * @param {Object} pitch - Pitch object with step, octave, alter
-   * @returns {number} MIDI note number (0-127)
+   * Additive numerators such as "3+2" are summed.
+   * 
+   * @param {Element} timeElement - Time element
+   * @returns {Object} Time signature object
    * @private
    */
-  _convertPitchToMIDI(pitch) {
-    // Step to MIDI offset (C=0, D=2, E=4, F=5, G=7, A=9, B=11)
-    const stepOffsets = {
-      'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11
-    };
+  _readTimeSignature(timeElement) {
+    const beatsElement = timeElement.querySelector('beats');
+    const beatTypeElement = timeElement.querySelector('beat-type');
     
-    const stepOffset = stepOffsets[pitch.step] || 0;
-    const baseMidi = (pitch.octave + 1) * 12 + stepOffset;
-    const midi = baseMidi + pitch.alter;
+    const beats = beatsElement
+      ? beatsElement.textContent.split('+').reduce((sum, part) => sum + (parseInt(part, 10) || 0), 0)
+      : 4;
+    const beatType = beatTypeElement ? parseInt(beatTypeElement.textContent, 10) : 4;
     
-    // Clamp to valid MIDI range
-    return Math.max(0, Math.min(127, midi));
+    return { beats: beats || 4, beatType: beatType || 4 };
   }
 
   /**
-   * Calculate timestamp and duration from musical divisions
+   * Determine the key of the exercise
    * 
-   * @param {number} divisions - Divisions per quarter note
-   * @param {number} duration - Duration in divisions
-   * @param {number} currentTime - Current time in milliseconds
-   * @param {number} tempo - Beats per minute
-   * @returns {Object} Object with timestamp and duration in milliseconds
+   * The first `<key>` gives the key signature; when it has no major/minor
+   * `<mode>` the pitch content decides between the major key and its
+   * relative minor. Scores without a key signature are estimated entirely
+   * from the notes.
+   * 
+   * @param {Document} xmlDoc - Parsed XML document
+   * @param {Array} timeline - Timeline of the exercise
+   * @returns {Object} { fifths, mode, tonic, name, source } where source is
+   *   'signature' or 'estimate'
    * @private
    */
-  _calculateTimestamp(divisions, duration, currentTime, tempo) {
-    // Convert divisions to quarter note equivalents
-    const quarterNoteUnits = duration / divisions;
+  _extractKey(xmlDoc, timeline) {
+    const notes = timeline.filter(note => !note.isRest && !note.unpitched && note.staff === 1);
+    const fifthsElement = xmlDoc.querySelector('key > fifths');
+    const fifths = fifthsElement ? parseInt(fifthsElement.textContent, 10) : NaN;
+    
+    if (isNaN(fifths)) {
+      const { confidence, ...key } = notes.length > 0 ? estimateKey(notes) : describeKey(0);
+      return { ...key, source: 'estimate' };
+    }
     
-    // Convert to milliseconds: (quarter notes) * (milliseconds per quarter note)
-    const millisecondsPerQuarter = 60000 / tempo; // 60000 ms per minute
-    const durationMs = quarterNoteUnits * millisecondsPerQuarter;
+    const mode = fifthsElement.parentNode.querySelector('mode')?.textContent.trim();
+    if (mode === 'major' || mode === 'minor') {
+      return { ...describeKey(fifths, mode), source: 'signature' };
+    }
     
-    return {
-      timestamp: currentTime,
-      duration: durationMs
-    };
+    const { confidence, ...key } = notes.length > 0 ? estimateKey(notes, fifths) : describeKey(fifths);
+    return { ...key, source: 'signature' };
   }
 
   /**
-   * Extract tablature information (string and fret)
+   * Extract the tuning from tab staff details
    * 
-   * @param {Element} noteElement - Note element
-   * @returns {Object|null} Tab data object or null
+   * Reads the `<staff-tuning>` elements of the tab staff (staff 2, or the
+   * first staff that has any), so 4-, 7- and 8-string instruments and
+   * altered tunings such as Drop D or half step down are kept. Line 1 is
+   * the lowest string.
+   * 
+   * @param {Document} xmlDoc - Parsed XML document
+   * @returns {Array<string>|null} Open string pitches, lowest first, or null if
+   *   the score has no tuning
    * @private
    */
-  _extractTabData(noteElement) {
-    const notations = noteElement.querySelector('notations');
-    if (!notations) return null;
-    
-    const technical = notations.querySelector('technical');
-    if (!technical) return null;
-    
-    const stringElement = technical.querySelector('string');
-    const fretElement = technical.querySelector('fret');
+  _extractTuning(xmlDoc) {
+    const details = Array.from(xmlDoc.querySelectorAll('staff-details'))
+      .filter(element => element.querySelector('staff-tuning'));
+    const tabDetails = details.find(element => element.getAttribute('number') === '2') || details[0];
+    if (!tabDetails) {
+      return null;
+    }
     
-    if (stringElement && fretElement) {
-      const string = parseInt(stringElement.textContent, 10);
-      const fret = parseInt(fretElement.textContent, 10);
+    const strings = [];
+    tabDetails.querySelectorAll('staff-tuning').forEach((elem, index) => {
+      const step = elem.querySelector('tuning-step')?.textContent.trim();
+      const octave = parseInt(elem.querySelector('tuning-octave')?.textContent, 10);
+      const alter = parseFloat(elem.querySelector('tuning-alter')?.textContent) || 0;
+      const line = parseInt(elem.getAttribute('line'), 10) || index + 1;
       
-      // Validate the extracted values
-      if (!isNaN(string) && !isNaN(fret) && 
-          string >= 1 && string <= 6 && 
-          fret >= 0 && fret <= 24) {
-        return { string, fret };
+      if (noteNameToMidi(`${step}${octave}`) !== null) {
+        strings.push({ line, name: formatPitchClass({ step, alter }) + octave });
       }
+    });
+    
+    if (strings.length === 0) {
+      return null;
     }
     
-    return null;
+    return strings.sort((a, b) => a.line - b.line).map(string => string.name);
   }
 
   /**
-   * Assign unique IDs to all notes in timeline
+   * Identify the instrument from the first part's name and the tuning
    * 
-   * @param {Array} timeline - Timeline array to modify
+   * @param {Document} xmlDoc - Parsed XML document
+   * @param {Array<string>|null} tuning - Tuning written in the score
+   * @returns {Object} Instrument definition (see `INSTRUMENTS`) with `strings`
+   *   set to the written string count
    * @private
    */
-  _assignNoteIds(timeline) {
-    timeline.forEach((note, index) => {
-      note.id = `n${index + 1}`;
-    });
+  _extractInstrument(xmlDoc, tuning) {
+    const scorePart = xmlDoc.querySelector('part-list > score-part');
+    const name = [
+      scorePart?.querySelector('part-name')?.textContent,
+      scorePart?.querySelector('score-instrument > instrument-name')?.textContent
+    ].filter(Boolean).join(' ');
+    
+    const instrument = detectInstrument(tuning, name);
+    return tuning ? { ...instrument, strings: tuning.length } : instrument;
   }
 
   /**
-   * Detect system breaks and count total systems
+   * Create a fingering engine limited to the instrument's frets
    * 
-   * @param {Document} xmlDoc - Parsed XML document
-   * @returns {number} Total system count
+   * @param {Object} instrument - Instrument definition
+   * @returns {FingeringEngine} Engine using `config.fingering`
    * @private
    */
-  _detectSystems(xmlDoc) {
-    const systemBreaks = xmlDoc.querySelectorAll('print[new-system="yes"]');
-    return systemBreaks.length + 1; // +1 for first system
+  _createFingering(instrument) {
+    const fingering = new FingeringEngine(this.config.fingering);
+    fingering.config.maxFret = Math.min(fingering.config.maxFret, instrument.maxFret);
+    return fingering;
   }
 
   /**
-   * Generate unique exercise ID
+   * Extract the capo fret from staff details
    * 
-   * @param {string} title - Exercise title
-   * @returns {string} Unique ID
+   * @param {Document} xmlDoc - Parsed XML document
+   * @returns {number} Capo fret, 0 when there is no capo
    * @private
    */
-  _generateId(title) {
-    const timestamp = Date.now();
+  _extractCapo(xmlDoc) {
+    const capoElement = xmlDoc.querySelector('staff-details > capo');
+    const capo = capoElement ? parseInt(capoElement.textContent, 10) : 0;
+    return capo > 0 ? capo : 0;
+  }
+
+  /**
+   * Build chronological timeline of all notes
+   * 
+   * Measures are read once in written order and then laid out in
+   * performance order, so repeats, voltas and D.C./D.S. jumps produce the
+   * notes actually played. Every event carries its written `measure` number,
+   * the `pass` (1-based count of how often that measure has been played) and
+   * `writtenTimestamp` (its position when the score is read straight through).
+   * 
+   * Positions are collected in quarter notes and converted to milliseconds
+   * through a tempo map built from `<sound tempo>` and `<metronome>` marks,
+   * so tempo changes and rit./accel. passages are timed as performed.
+   * 
+   * @param {Document} xmlDoc - Parsed XML document
+   * @param {number} tempo - Initial tempo in beats per minute
+   * @param {Object} timeSignature - Time signature object
+   * @param {Array<string>} [tuning=STANDARD_TUNING] - Sounding open strings (capo
+   *   applied), used to pitch tab notes written without `<pitch>`
+   * @param {number} [maxFret=24] - Highest fret of the instrument
+   * @returns {Object} { timeline, tempoMap, measures, chordSymbols } where
+   *   tempoMap, the measure table and the chord symbol track follow
+   *   performance order
+   * @private
+   */
+  _buildTimeline(xmlDoc, tempo, timeSignature, tuning = STANDARD_TUNING, maxFret = 24) {
+    const timeline = [];
+    const partHarmonies = [];
+    const parts = Array.from(xmlDoc.querySelectorAll('part'));
+    
+    // System breaks are usually only printed in the first part
+    const newSystemAt = new Set();
+    parts.forEach(part => {
+      Array.from(part.querySelectorAll('measure')).forEach((measure, index) => {
+        if (measure.querySelector('print[new-system="yes"]')) {
+          newSystemAt.add(index);
+        }
+      });
+    });
+    
+    // Read every written measure once (divisions carry over in written order)
+    const partData = parts.map(part => {
+      const measures = Array.from(part.querySelectorAll('measure'));
+      const state = {
+        divisions: 1,
+        timeSignature: { beats: 4, beatType: 4 },
+        tuning,
+        maxFret,
+        slash: {},
+        tabStaves: this._readTabStaves(part),
+        alternateStaves: this._readAlternateStaves(part)
+      };
+      return {
+        measures,
+        measureData: measures.map(measure => this._readMeasureEvents(measure, state))
+      };
+    });
+    
+    // Tempo marks may sit in any part; the first part defines the measure layout
+    const layout = partData[0] || { measures: [], measureData: [] };
+    const tempoMarks = layout.measureData.map((_, index) => {
+      const marks = { tempos: [], rampStarts: [] };
+      partData.forEach(({ measureData }) => {
+        if (!measureData[index]) return;
+        marks.tempos.push(...measureData[index].tempoMarks);
+        marks.rampStarts.push(...measureData[index].rampStarts);
+      });
+      return marks;
+    });
+    
+    const writtenStarts = [];
+    let writtenPosition = 0;
+    layout.measureData.forEach(({ length }) => {
+      writtenStarts.push(writtenPosition);
+      writtenPosition += length;
+    });
+    
+    const performanceOrder = this._buildPerformanceOrder(layout.measures);
+    const performedStarts = [];
+    let performedPosition = 0;
+    performanceOrder.forEach(({ index }) => {
+      performedStarts.push(performedPosition);
+      performedPosition += layout.measureData[index].length;
+    });
+    
+    const writtenTempoMap = createTempoMap(tempo, this._collectTempoPoints(
+      tempoMarks, layout.measureData.map((_, index) => ({ index, start: writtenStarts[index] }))
+    ));
+    
+    // After a jump the tempo written at the landing measure is restored
+    const performedPoints = this._collectTempoPoints(
+      tempoMarks, performanceOrder.map(({ index }, orderIndex) => ({ index, start: performedStarts[orderIndex] }))
+    );
+    performanceOrder.forEach(({ index }, orderIndex) => {
+      if (orderIndex > 0 && performanceOrder[orderIndex - 1].index + 1 !== index) {
+        performedPoints.push({
+          position: performedStarts[orderIndex],
+          bpm: getTempoAt(writtenTempoMap, quartersToMs(writtenTempoMap, writtenStarts[index]))
+        });
+      }
+    });
+    const tempoMap = createTempoMap(tempo, performedPoints);
+    
+    // Measure table: meter and beat positions of every performed measure
+    const measures = createMeasureTable(performanceOrder.map(({ index, pass }, orderIndex) => {
+      const { number, length, timeSignature: meter, implicit } = layout.measureData[index];
+      const meterBeats = getMeterBeats(meter);
+      const fullLength = meterBeats.count * meterBeats.quarters;
+      return {
+        number,
+        pass,
+        position: performedStarts[orderIndex],
+        length,
+        timeSignature: meter,
+        isPickup: index === 0 && length > 0 && (implicit || length < fullLength - 1e-6)
+      };
+    }), tempoMap);
+    
+    partData.forEach(({ measureData }, partIndex) => {
+      const systems = [];
+      let systemNumber = 1;
+      measureData.forEach((_, index) => {
+        if (newSystemAt.has(index)) {
+          systemNumber++;
+        }
+        systems.push(systemNumber);
+      });
+      
+      const partTimeline = [];
+      const dynamicPoints = [];
+      const harmonies = [];
+      
+      // Lay the measures out in the order they are performed
+      performanceOrder.forEach(({ index, pass }, orderIndex) => {
+        if (!measureData[index]) return;
+        const { number, events, dynamics } = measureData[index];
+        const measureStart = performedStarts[orderIndex];
+        
+        harmonies.push(...measureData[index].harmonies.map(({ offset, ...chord }) => ({
+          ...chord,
+          timestamp: quartersToMs(tempoMap, measureStart + offset),
+          measure: number,
+          pass
+        })));
+        
+        dynamicPoints.push(...dynamics.map(({ offset, ...mark }) => ({
+          ...mark,
+          timestamp: quartersToMs(tempoMap, measureStart + offset)
+        })));
+        const accents = dynamics.filter(mark => mark.type === 'accent').map(mark => mark.offset);
+        
+        for (const { offset, duration, chordKey, ...event } of events) {
+          const onset = quartersToMs(tempoMap, measureStart + offset);
+          const entry = {
+            ...event,
+            timestamp: onset,
+            duration: quartersToMs(tempoMap, measureStart + offset + duration) - onset,
+            writtenTimestamp: quartersToMs(writtenTempoMap, writtenStarts[index] + offset),
+            system: systems[index],
+            measure: number,
+            pass
+          };
+          
+          // Repeated measures must not share nested objects
+          if (entry.pitch) entry.pitch = { ...entry.pitch };
+          if (entry.tab) entry.tab = { ...entry.tab };
+          if (entry.techniques) entry.techniques = entry.techniques.map(technique => ({ ...technique }));
+          if (entry.articulations) entry.articulations = [...entry.articulations];
+          
+          // Sforzando markings accent every note written at their position
+          if (!entry.isRest && accents.some(position => Math.abs(position - offset) < 1e-6)) {
+            entry.articulations = entry.articulations || [];
+            if (!entry.articulations.includes('accent')) entry.articulations.push('accent');
+          }
+          
+          // Each performed occurrence of a chord is its own group
+          if (chordKey !== undefined) {
+            entry.chordKey = `${partIndex}:${orderIndex}:${chordKey}`;
+          }
+          
+          partTimeline.push(entry);
+        }
+      });
+      
+      this._applyDynamics(partTimeline, dynamicPoints);
+      timeline.push(...partTimeline);
+      partHarmonies.push(harmonies);
+    });
+    
+    // Chord symbols come from the first part that has any
+    const endTimestamp = quartersToMs(tempoMap, performedPosition);
+    const harmonies = (partHarmonies.find(chords => chords.length > 0) || [])
+      .sort((a, b) => a.timestamp - b.timestamp);
+    const chordSymbols = harmonies.map((chord, index) => ({
+      id: `h${index + 1}`,
+      ...chord,
+      symbol: formatChordSymbol(chord),
+      duration: (harmonies[index + 1]?.timestamp ?? endTimestamp) - chord.timestamp
+    }));
+    
+    return { timeline, tempoMap, measures, chordSymbols };
+  }
+
+  /**
+   * Give every note of a part the velocity of the dynamics it is played at
+   * 
+   * Dynamic levels hold until the next marking. A crescendo or diminuendo
+   * wedge ramps from the current level to the marking that follows it (or
+   * one `DYNAMICS.WEDGE_STEP` up or down when the next marking is far
+   * away); notes before any marking use `DYNAMICS.DEFAULT_VELOCITY`.
+   * Dynamics apply to all staves of the part.
+   * 
+   * @param {Array<Object>} entries - Timeline entries of one part (modified)
+   * @param {Array<Object>} points - Dynamic marks in performance order { timestamp, type, velocity? }
+   * @private
+   */
+  _applyDynamics(entries, points) {
+    const order = { level: 0, stop: 1, crescendo: 2, diminuendo: 2 };
+    const marks = points
+      .filter(point => point.type !== 'accent')
+      .sort((a, b) => a.timestamp - b.timestamp || order[a.type] - order[b.type]);
+    
+    // Anchors { timestamp, velocity, ramp } where ramp glides from the previous anchor
+    const anchors = [];
+    let level = DYNAMICS.DEFAULT_VELOCITY;
+    
+    marks.forEach((mark, index) => {
+      if (mark.type === 'level') {
+        level = mark.velocity;
+        anchors.push({ timestamp: mark.timestamp, velocity: level, ramp: false });
+        return;
+      }
+      if (mark.type === 'stop') return;
+      
+      const following = marks.slice(index + 1);
+      const next = following.find(other => other.type === 'level');
+      const end = following.find(other => other.type === 'stop')?.timestamp ?? next?.timestamp;
+      if (end === undefined || end <= mark.timestamp) return;
+      
+      const step = mark.type === 'crescendo' ? DYNAMICS.WEDGE_STEP : -DYNAMICS.WEDGE_STEP;
+      const target = next && next.timestamp <= end + (end - mark.timestamp) ?
+        next.velocity :
+        Math.min(1, Math.max(DYNAMICS.LEVELS.pppp, level + step));
+      
+      anchors.push({ timestamp: mark.timestamp, velocity: level, ramp: false });
+      anchors.push({ timestamp: end, velocity: target, ramp: true });
+      level = target;
+    });
+    anchors.sort((a, b) => a.timestamp - b.timestamp);
+    
+    entries.forEach(entry => {
+      if (entry.isRest) return;
+      
+      const nextIndex = anchors.findIndex(anchor => anchor.timestamp > entry.timestamp + 1e-6);
+      const previous = anchors[(nextIndex === -1 ? anchors.length : nextIndex) - 1];
+      const next = anchors[nextIndex];
+      let velocity = previous ? previous.velocity : DYNAMICS.DEFAULT_VELOCITY;
+      
+      if (previous && next && next.ramp) {
+        const progress = (entry.timestamp - previous.timestamp) / (next.timestamp - previous.timestamp);
+        velocity += (next.velocity - velocity) * progress;
+      }
+      
+      entry.velocity = Math.round(velocity * 1000) / 1000;
+    });
+  }
+
+  /**
+   * Place the tempo marks of laid-out measures on an absolute position axis
+   * 
+   * A rit./accel. instruction turns the next tempo mark into a gradual
+   * change starting where the instruction is written.
+   * 
+   * @param {Array<Object>} tempoMarks - Per written measure { tempos, rampStarts }
+   * @param {Array<Object>} placements - Measures in layout order { index, start }
+   * @returns {Array<Object>} Tempo points { position, bpm, ramp } for createTempoMap
+   * @private
+   */
+  _collectTempoPoints(tempoMarks, placements) {
+    const points = [];
+    let rampPending = false;
+    
+    placements.forEach(({ index, start }) => {
+      const marks = [
+        ...tempoMarks[index].tempos.map(mark => ({ ...mark, type: 'tempo' })),
+        ...tempoMarks[index].rampStarts.map(offset => ({ offset, type: 'ramp' }))
+      ].sort((a, b) => a.offset - b.offset);
+      
+      marks.forEach(mark => {
+        const position = start + mark.offset;
+        if (mark.type === 'ramp') {
+          points.push({ position, bpm: null });
+          rampPending = true;
+        } else {
+          points.push({ position, bpm: mark.bpm, ramp: rampPending });
+          rampPending = false;
+        }
+      });
+    });
+    
+    return points;
+  }
+
+  /**
+   * Read the notes and rests of a single measure
+   * 
+   * Offsets are relative to the start of the measure so the same measure can
+   * be placed several times when repeats are expanded. All positions are in
+   * quarter notes; the caller converts them to milliseconds.
+   * 
+   * @param {Element} measure - Measure element
+   * @param {Object} state - Running parse state ({ divisions, timeSignature }), updated in place
+   * @returns {Object} { number, events, length, timeSignature, implicit, tempoMarks,
+   *   rampStarts, dynamics, harmonies } where tempoMarks are { offset, bpm },
+   *   rampStarts are offsets of rit./accel., dynamics are marks from
+   *   `_readDynamicMarks` and harmonies are chords from `_readHarmony`
+   * @private
+   */
+  _readMeasureEvents(measure, state) {
+    const events = [];
+    const tempoMarks = [];
+    const rampStarts = [];
+    const dynamics = [];
+    const harmonies = [];
+    let currentTime = 0;
+    let lastNoteEvent = null;
+    let pendingGraces = [];
+    
+    const parsedNumber = parseInt(measure.getAttribute('number'), 10);
+    const number = isNaN(parsedNumber) ? null : parsedNumber;
+    
+    // Check for divisions change
+    const divisionsElement = measure.querySelector('attributes > divisions');
+    if (divisionsElement) {
+      state.divisions = parseInt(divisionsElement.textContent, 10) || 1;
+    }
+    const divisions = state.divisions;
+    
+    // Meter changes take effect from the measure that states them
+    const timeElement = measure.querySelector('attributes > time');
+    if (timeElement) {
+      state.timeSignature = this._readTimeSignature(timeElement);
+    }
+    
+    // Furthest point reached, in case the measure ends after a backup
+    let measureEnd = 0;
+    
+    // Process all child elements in order
+    const elements = Array.from(measure.children);
+    
+    for (const element of elements) {
+      if (element.tagName === 'note') {
+        // Handle rest notes - add to timeline with isRest flag
+        if (element.querySelector('rest')) {
+          const durationElement = element.querySelector('duration');
+          if (durationElement) {
+            const duration = parseInt(durationElement.textContent, 10) / divisions;
+            
+            const staffElement = element.querySelector('staff');
+            const staff = staffElement ? parseInt(staffElement.textContent, 10) : 1;
+            
+            events.push({
+              offset: currentTime,
+              duration,
+              isRest: true,
+              staff
+            });
+            
+            currentTime += duration;
+            measureEnd = Math.max(measureEnd, currentTime);
+          }
+          continue;
+        }
+        
+        // Extract staff
+        const staffElement = element.querySelector('staff');
+        const staff = staffElement ? parseInt(staffElement.textContent, 10) : 1;
+        
+        // Extract tablature data (staff 2, or another staff with a TAB clef)
+        const tab = state.tabStaves.has(staff) ? this._extractTabData(element, state.tuning.length, state.maxFret) : null;
+        
+        // Unpitched notes, percussive noteheads and slash notation only mark onsets
+        const onsetOnly = this._readOnsetOnly(element, staff, state);
+        
+        // Extract pitch; tab written without one sounds at string/fret + tuning + capo
+        const pitch = this._extractPitch(element) ||
+          (onsetOnly ? this._extractDisplayPosition(element) : null) ||
+          (tab ? midiToPitch(getSoundingMidi(tab, state.tuning)) : null);
+        if (!pitch) continue;
+        
+        // Calculate MIDI (onset-only notes keep their pitch as a display position)
+        const midi = onsetOnly ? null : this._convertPitchToMIDI(pitch);
+        
+        // Extract voice
+        const voiceElement = element.querySelector('voice');
+        const voice = voiceElement ? parseInt(voiceElement.textContent, 10) : 1;
+        
+        const techniques = this._extractTechniques(element);
+        const articulations = this._extractArticulations(element);
+        const lyrics = this._extractLyrics(element);
+        
+        // Grace notes have no duration; they borrow time once their main note is known
+        const graceElement = element.querySelector('grace');
+        if (graceElement) {
+          pendingGraces.push({
+            midi,
+            pitch,
+            staff,
+            voice,
+            tab,
+            ...(techniques && { techniques }),
+            ...(articulations && { articulations }),
+            ...(lyrics && { lyrics }),
+            ...(onsetOnly && { unpitched: true, notehead: onsetOnly.notehead }),
+            withPrevious: !!element.querySelector('chord') && pendingGraces.length > 0,
+            stealPrevious: graceElement.hasAttribute('steal-time-previous')
+          });
+          continue;
+        }
+        
+        // Extract duration and calculate timestamp
+        const durationElement = element.querySelector('duration');
+        if (!durationElement) continue;
+        
+        const duration = parseInt(durationElement.textContent, 10) / divisions;
+        
+        // Chord members sound together with the preceding note
+        const isChordMember = !!element.querySelector('chord') && lastNoteEvent !== null;
+        const onset = isChordMember ? lastNoteEvent.offset : currentTime;
+        
+        // Ties are merged into one sustained note after the timeline is sorted
+        const tieTypes = Array.from(element.querySelectorAll('tie'))
+          .map(tie => tie.getAttribute('type'));
+        
+        const noteEvent = {
+          offset: onset,
+          duration,
+          midi,
+          pitch,
+          staff,
+          voice,
+          tab
+        };
+        if (tieTypes.includes('start')) noteEvent.tieStart = true;
+        if (tieTypes.includes('stop')) noteEvent.tieStop = true;
+        if (techniques) noteEvent.techniques = techniques;
+        if (articulations) noteEvent.articulations = articulations;
+        if (lyrics) noteEvent.lyrics = lyrics;
+        if (onsetOnly) {
+          noteEvent.unpitched = true;
+          noteEvent.notehead = onsetOnly.notehead;
+        }
+        
+        // Dynamics may also be written on the note itself
+        dynamics.push(...this._readDynamicMarks(element, onset));
+        
+        if (isChordMember) {
+          // Group key is the index of the chord's first note in this measure
+          if (lastNoteEvent.chordKey === undefined) {
+            lastNoteEvent.chordKey = events.indexOf(lastNoteEvent);
+          }
+          noteEvent.chordKey = lastNoteEvent.chordKey;
+        } else {
+          if (pendingGraces.length > 0) {
+            const previous = lastNoteEvent && lastNoteEvent.voice === voice &&
+              lastNoteEvent.staff === staff ? lastNoteEvent : null;
+            events.push(...this._placeGraceNotes(pendingGraces, noteEvent, previous));
+            pendingGraces = [];
+          }
+          
+          lastNoteEvent = noteEvent;
+          
+          // Advance current time (chord members do not move the cursor)
+          currentTime = onset + duration;
+          measureEnd = Math.max(measureEnd, currentTime);
+        }
+        
+        events.push(noteEvent);
+        
+      } else if (element.tagName === 'backup') {
+        // Rewind time
+        const durationElement = element.querySelector('duration');
+        if (durationElement) {
+          currentTime -= parseInt(durationElement.textContent, 10) / divisions;
+        }
+        
+      } else if (element.tagName === 'forward') {
+        // Advance time without notes
+        const durationElement = element.querySelector('duration');
+        if (durationElement) {
+          currentTime += parseInt(durationElement.textContent, 10) / divisions;
+          measureEnd = Math.max(measureEnd, currentTime);
+        }
+        
+      } else if (element.tagName === 'attributes') {
+        // Slash notation holds until it is stopped (per staff, or for all staves)
+        element.querySelectorAll('measure-style > slash').forEach(slash => {
+          const slashStaff = slash.parentNode.getAttribute('number') || 'all';
+          state.slash[slashStaff] = slash.getAttribute('type') === 'start';
+        });
+        
+      } else if (element.tagName === 'harmony') {
+        harmonies.push(this._readHarmony(element, currentTime + this._readOffset(element, divisions)));
+        
+      } else if (element.tagName === 'direction' || element.tagName === 'sound') {
+        // Directions may be placed away from the current position
+        const position = currentTime + this._readOffset(element, divisions);
+        
+        const bpm = this._readTempoMark(element);
+        if (bpm) {
+          tempoMarks.push({ offset: position, bpm });
+        }
+        
+        const words = Array.from(element.querySelectorAll('direction-type > words'))
+          .map(word => word.textContent).join(' ');
+        if (/\b(rit|ritard|ritardando|rall|rallentando|accel|accelerando)\b/i.test(words)) {
+          rampStarts.push(position);
+        }
+        
+        dynamics.push(...this._readDynamicMarks(element, position));
+      }
+    }
+    
+    return {
+      number,
+      events: this._takeAlternateTab(events, state.alternateStaves),
+      length: Math.max(measureEnd, currentTime),
+      timeSignature: { ...state.timeSignature },
+      implicit: measure.getAttribute('implicit') === 'yes',
+      tempoMarks,
+      rampStarts,
+      dynamics,
+      harmonies
+    };
+  }
+
+  /**
+   * Find staves that are read as tablature
+   * 
+   * Staff 2 is the tab staff of the dual-staff layout; a staff with a TAB
+   * clef, such as the only staff of a tab-only score, is read as tab too.
+   * 
+   * @param {Element} part - Part element
+   * @returns {Set<number>} Staff numbers of tab staves
+   * @private
+   */
+  _readTabStaves(part) {
+    return new Set([2, ...Array.from(part.querySelectorAll('attributes > clef'))
+      .filter(clef => clef.querySelector('sign')?.textContent.trim() === 'TAB')
+      .map(clef => parseInt(clef.getAttribute('number'), 10) || 1)]);
+  }
+
+  /**
+   * Find staves that draw the music of the staff above them again
+   * 
+   * A `<staff-type>alternate</staff-type>` staff, such as the tab staff
+   * written for a notation-only exercise on export, is kept out of the
+   * timeline like the generated tab staff of `generateTabStaff`.
+   * 
+   * @param {Element} part - Part element
+   * @returns {Set<number>} Staff numbers of alternate staves
+   * @private
+   */
+  _readAlternateStaves(part) {
+    return new Set(Array.from(part.querySelectorAll('attributes > staff-details'))
+      .filter(details => details.querySelector('staff-type')?.textContent.trim() === 'alternate')
+      .map(details => parseInt(details.getAttribute('number'), 10) || 1));
+  }
+
+  /**
+   * Drop the notes of alternate staves, keeping their string and fret
+   * 
+   * Each alternate note gives its tab to the note of the staff above with
+   * the same onset and pitch.
+   * 
+   * @param {Array<Object>} events - Events of one measure
+   * @param {Set<number>} alternateStaves - Staves from `_readAlternateStaves`
+   * @returns {Array<Object>} Events of the other staves
+   * @private
+   */
+  _takeAlternateTab(events, alternateStaves) {
+    if (alternateStaves.size === 0) return events;
+    
+    const kept = events.filter(event => !alternateStaves.has(event.staff));
+    events
+      .filter(event => alternateStaves.has(event.staff) && !event.isRest && event.tab)
+      .forEach(copy => {
+        const note = kept.find(event => !event.isRest && !event.tab && event.staff === copy.staff - 1 &&
+          event.midi === copy.midi && !!event.grace === !!copy.grace && Math.abs(event.offset - copy.offset) < 1e-6);
+        if (note) note.tab = copy.tab;
+      });
+    return kept;
+  }
+
+  /**
+   * Read the `<offset>` of a direction or harmony element
+   * 
+   * @param {Element} element - Direction, sound or harmony element
+   * @param {number} divisions - Divisions per quarter note
+   * @returns {number} Offset from the current position in quarter notes
+   * @private
+   */
+  _readOffset(element, divisions) {
+    const offsetElement = Array.from(element.children)
+      .find(child => child.tagName === 'offset');
+    return offsetElement ? parseInt(offsetElement.textContent, 10) / divisions || 0 : 0;
+  }
+
+  /**
+   * Read a `<harmony>` chord symbol
+   * 
+   * @param {Element} element - Harmony element
+   * @param {number} offset - Position in quarter notes from the measure start
+   * @returns {Object} { offset, root, kind, text, bass } with root and bass as
+   *   { step, alter } (root is null for "no chord" and function-only harmonies)
+   * @private
+   */
+  _readHarmony(element, offset) {
+    const readPitch = (container, prefix) => {
+      const step = container?.querySelector(`${prefix}-step`)?.textContent.trim();
+      if (!step) return null;
+      return { step, alter: parseFloat(container.querySelector(`${prefix}-alter`)?.textContent) || 0 };
+    };
+    const kindElement = element.querySelector('kind');
+    
+    return {
+      offset,
+      root: readPitch(element.querySelector('root'), 'root'),
+      kind: kindElement?.textContent.trim() || 'major',
+      text: kindElement?.getAttribute('text') ?? null,
+      bass: readPitch(element.querySelector('bass'), 'bass')
+    };
+  }
+
+  /**
+   * Read dynamic markings of a direction, sound or note element
+   * 
+   * `<dynamics>` levels (pppp-ffff) set the velocity from `DYNAMICS.LEVELS`;
+   * sforzando marks accent the notes they are written at. Without a
+   * `<dynamics>` element, `<words>` starting with a marking ("p", "mf
+   * (mezzo-forte)") are read the same way. Crescendo and diminuendo wedges
+   * are returned as start/stop marks, and `<sound dynamics>` (a percentage
+   * of forte) is used when no marking is given.
+   * 
+   * @param {Element} element - Direction, sound or note element
+   * @param {number} offset - Position in quarter notes from the measure start
+   * @returns {Array<Object>} Marks { offset, type, velocity? } where type is
+   *   'level', 'accent', 'crescendo', 'diminuendo' or 'stop'
+   * @private
+   */
+  _readDynamicMarks(element, offset) {
+    const marks = [];
+    const addLevel = name => marks.push({ offset, type: 'level', velocity: DYNAMICS.LEVELS[name] });
+    
+    const addMarking = name => {
+      if (DYNAMICS.LEVELS[name] !== undefined) {
+        addLevel(name);
+      } else if (DYNAMICS.SFORZANDO.includes(name)) {
+        marks.push({ offset, type: 'accent' });
+        if (DYNAMICS.SFORZANDO_LEVELS[name]) {
+          addLevel(DYNAMICS.SFORZANDO_LEVELS[name]);
+        }
+      }
+    };
+    
+    let markings = Array.from(element.querySelectorAll('dynamics > *')).map(marking => marking.tagName);
+    if (markings.length === 0) {
+      // Dynamics typed as text: the marking must be a word of its own
+      markings = Array.from(element.querySelectorAll('direction-type > words'))
+        .map(words => words.textContent.match(/^\s*([a-z]+)(?![a-z-])/)?.[1])
+        .filter(name => DYNAMICS.LEVELS[name] !== undefined || DYNAMICS.SFORZANDO.includes(name));
+    }
+    markings.forEach(addMarking);
+    
+    element.querySelectorAll('direction-type > wedge').forEach(wedge => {
+      const type = wedge.getAttribute('type');
+      if (type === 'crescendo' || type === 'diminuendo' || type === 'stop') {
+        marks.push({ offset, type });
+      }
+    });
+    
+    const sound = element.tagName === 'sound' ? element :
+      Array.from(element.children).find(child => child.tagName === 'sound');
+    const percentage = parseFloat(sound?.getAttribute('dynamics'));
+    if (markings.length === 0 && percentage >= 0) {
+      marks.push({ offset, type: 'level', velocity: Math.min(1, DYNAMICS.LEVELS.f * percentage / 100) });
+    }
+    
+    return marks;
+  }
+
+  /**
+   * Give grace notes real time by stealing it from a neighbouring note
+   * 
+   * Grace notes are played as short ornaments (a 32nd note, or less when the
+   * main note is very short). By default they take time from the start of the
+   * following main note; `steal-time-previous` takes it from the end of the
+   * previous note in the same voice instead.
+   * 
+   * @param {Array<Object>} graces - Pending grace notes in written order
+   * @param {Object} principal - Main note event the graces lead into (modified)
+   * @param {Object|null} previous - Previous note event in the same voice (modified)
+   * @returns {Array<Object>} Grace note events with offsets and durations in quarter notes
+   * @private
+   */
+  _placeGraceNotes(graces, principal, previous) {
+    const slots = graces.filter(grace => !grace.withPrevious).length;
+    const thirtySecond = 1 / 8;
+    const graceLength = Math.min(thirtySecond, principal.duration / (2 * slots));
+    const total = graceLength * slots;
+    
+    let start;
+    if (graces[0].stealPrevious && previous && previous.duration > total * 2) {
+      start = principal.offset - total;
+      previous.duration -= total;
+    } else {
+      start = principal.offset;
+      principal.offset += total;
+      principal.duration -= total;
+    }
+    
+    let slot = -1;
+    return graces.map(({ withPrevious, stealPrevious, ...grace }) => {
+      if (!withPrevious) slot++;
+      return {
+        ...grace,
+        offset: start + slot * graceLength,
+        duration: graceLength,
+        grace: true
+      };
+    });
+  }
+
+  /**
+   * Collect repeat, volta and jump markers for each written measure
+   * 
+   * @param {Array<Element>} measures - Measure elements of one part
+   * @returns {Array<Object>} Marker info per measure index
+   * @private
+   */
+  _readRepeatMarkers(measures) {
+    const hasSound = (measure, attribute) =>
+      Array.from(measure.querySelectorAll('sound'))
+        .some(sound => sound.hasAttribute(attribute) && sound.getAttribute(attribute) !== 'no');
+    
+    const markers = measures.map(measure => {
+      const backward = measure.querySelector('barline repeat[direction="backward"]');
+      const times = backward ? parseInt(backward.getAttribute('times'), 10) : NaN;
+      
+      return {
+        forwardRepeat: !!measure.querySelector('barline repeat[direction="forward"]'),
+        // A backward repeat always plays the section at least twice; some
+        // editors (e.g. TuxGuitar) write times="1" meaning "repeat once"
+        backwardRepeat: backward ? Math.max(2, isNaN(times) ? 2 : times) : 0,
+        endingNumbers: null,
+        segno: hasSound(measure, 'segno') || !!measure.querySelector('direction-type > segno'),
+        coda: hasSound(measure, 'coda') || !!measure.querySelector('direction-type > coda'),
+        toCoda: hasSound(measure, 'tocoda'),
+        daCapo: hasSound(measure, 'dacapo'),
+        dalSegno: hasSound(measure, 'dalsegno'),
+        fine: hasSound(measure, 'fine')
+      };
+    });
+    
+    // Volta brackets span from the "start" ending to its "stop"/"discontinue"
+    let openEnding = null;
+    measures.forEach((measure, index) => {
+      Array.from(measure.querySelectorAll('barline ending')).forEach(ending => {
+        if (ending.getAttribute('type') === 'start') {
+          const numbers = (ending.getAttribute('number') || '1')
+            .split(/[\s,]+/)
+            .map(n => parseInt(n, 10))
+            .filter(n => !isNaN(n));
+          openEnding = numbers.length > 0 ? numbers : [1];
+        }
+      });
+      
+      if (openEnding) {
+        markers[index].endingNumbers = openEnding;
+      }
+      
+      const closes = Array.from(measure.querySelectorAll('barline ending'))
+        .some(ending => ending.getAttribute('type') !== 'start');
+      if (closes) {
+        openEnding = null;
+      }
+    });
+    
+    return markers;
+  }
+
+  /**
+   * Expand repeats, voltas and D.C./D.S./Coda/Fine jumps into performance order
+   * 
+   * @see getPerformanceOrder in src/utils/timelineUtils.js
+   * 
+   * @param {Array<Element>} measures - Measure elements of one part
+   * @returns {Array<Object>} Ordered list of { index, pass } entries
+   * @private
+   */
+  _buildPerformanceOrder(measures) {
+    return getPerformanceOrder(this._readRepeatMarkers(measures));
+  }
+
+  /**
+   * Extract pitch data from note element
+   * 
+   * @param {Element} noteElement - Note element
+   * @returns {Object} Pitch object or null
+   * @private
+   */
+  _extractPitch(noteElement) {
+    const pitchElement = noteElement.querySelector('pitch');
+    if (!pitchElement) return null;
+    
+    const stepElement = pitchElement.querySelector('step');
+    const octaveElement = pitchElement.querySelector('octave');
+    const alterElement = pitchElement.querySelector('alter');
+    
+    if (!stepElement || !octaveElement) return null;
+    
+    const step = stepElement.textContent;
+    const octave = parseInt(octaveElement.textContent, 10);
+    const alter = alterElement ? parseInt(alterElement.textContent, 10) : 0;
+    
+    return { step, octave, alter };
+  }
+
+  /**
+   * Read whether a note is played for its timing only
+   * 
+   * `<unpitched>` notes, percussive noteheads (`ONSET_NOTEHEADS`, e.g. muted
+   * strums and slaps) and notes written under `<measure-style><slash>` have
+   * no pitch to score. Notes in slash measures show a slash notehead unless
+   * they name another one.
+   * 
+   * @param {Element} noteElement - Note element
+   * @param {number} staff - Staff of the note
+   * @param {Object} state - Reading state with `slash` flags by staff number or 'all'
+   * @returns {Object|null} { notehead } with notehead null for plain
+   *   `<unpitched>` notes, or null for pitched notes
+   * @private
+   */
+  _readOnsetOnly(noteElement, staff, state) {
+    const written = noteElement.querySelector('notehead')?.textContent.trim() || null;
+    const slash = state.slash[staff] ?? state.slash.all ?? false;
+    
+    if (!noteElement.querySelector('unpitched') && !ONSET_NOTEHEADS.includes(written) && !slash) {
+      return null;
+    }
+    
+    if (written && written !== 'normal') {
+      return { notehead: written };
+    }
+    return { notehead: slash ? 'slash' : null };
+  }
+
+  /**
+   * Extract the staff position of an unpitched note
+   * 
+   * @param {Element} noteElement - Note element
+   * @returns {Object|null} Pitch object { step, octave, alter } for the
+   *   display position (the middle line of the treble staff when none is
+   *   given), or null without `<unpitched>`
+   * @private
+   */
+  _extractDisplayPosition(noteElement) {
+    const unpitched = noteElement.querySelector('unpitched');
+    if (!unpitched) return null;
+    
+    const step = unpitched.querySelector('display-step')?.textContent.trim();
+    const octave = parseInt(unpitched.querySelector('display-octave')?.textContent, 10);
+    
+    return step && !isNaN(octave) ? { step, octave, alter: 0 } : { step: 'B', octave: 4, alter: 0 };
+  }
+
+  /**
+   * Convert pitch object to MIDI note number
+   * 
+   * @param {Object} pitch - Pitch object with step, octave, alter
+   * @returns {number} MIDI note number (0-127)
+   * @private
+   */
+  _convertPitchToMIDI(pitch) {
+    // Step to MIDI offset (C=0, D=2, E=4, F=5, G=7, A=9, B=11)
+    const stepOffsets = {
+      'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11
+    };
+    
+    const stepOffset = stepOffsets[pitch.step] || 0;
+    const baseMidi = (pitch.octave + 1) * 12 + stepOffset;
+    const midi = baseMidi + pitch.alter;
+    
+    // Clamp to valid MIDI range
+    return Math.max(0, Math.min(127, midi));
+  }
+
+  /**
+   * Extract tablature information (string and fret)
+   * 
+   * @param {Element} noteElement - Note element
+   * @param {number} [stringCount=6] - Strings of the instrument
+   * @param {number} [maxFret=24] - Highest fret of the instrument
+   * @returns {Object|null} Tab data object or null
+   * @private
+   */
+  _extractTabData(noteElement, stringCount = 6, maxFret = 24) {
+    const notations = noteElement.querySelector('notations');
+    if (!notations) return null;
+    
+    const technical = notations.querySelector('technical');
+    if (!technical) return null;
+    
+    const stringElement = technical.querySelector('string');
+    const fretElement = technical.querySelector('fret');
+    
+    if (stringElement && fretElement) {
+      const string = parseInt(stringElement.textContent, 10);
+      const fret = parseInt(fretElement.textContent, 10);
+      
+      // Validate the extracted values
+      if (!isNaN(string) && !isNaN(fret) && 
+          string >= 1 && string <= stringCount && 
+          fret >= 0 && fret <= maxFret) {
+        return { string, fret };
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Extract guitar techniques from a note's notations
+   * 
+   * Reads `<technical>` bends, hammer-ons, pull-offs, harmonics and palm
+   * mutes (`<other-technical>P.M.</other-technical>` or `<play><mute>palm`),
+   * `<slide>`/`<glissando>` lines and vibrato written as `<wavy-line>` or
+   * `<vibrato>`. Hammer-ons, pull-offs and slides have the role 'start' on
+   * the note they leave and 'stop' on the note they arrive at.
+   * 
+   * @param {Element} noteElement - Note element
+   * @returns {Array<Object>|null} Techniques { type, ... } or null if none
+   * @private
+   */
+  _extractTechniques(noteElement) {
+    const techniques = [];
+    const add = technique => {
+      if (!techniques.some(other => other.type === technique.type && other.role === technique.role)) {
+        techniques.push(technique);
+      }
+    };
+    
+    noteElement.querySelectorAll('technical > hammer-on, technical > pull-off, notations > slide, notations > glissando')
+      .forEach(element => {
+        const role = element.getAttribute('type');
+        if (role !== 'start' && role !== 'stop') return;
+        add({ type: element.tagName === 'glissando' ? 'slide' : element.tagName, role });
+      });
+    
+    const bends = Array.from(noteElement.querySelectorAll('technical > bend'));
+    if (bends.length > 0) {
+      const alter = Math.abs(parseFloat(bends[0].querySelector('bend-alter')?.textContent)) || 2;
+      const releasesOnly = !!bends[0].querySelector('release');
+      add({
+        type: 'bend',
+        alter,
+        preBend: releasesOnly || !!bends[0].querySelector('pre-bend'),
+        release: bends.some(bend => !!bend.querySelector('release'))
+      });
+    }
+    
+    const harmonic = noteElement.querySelector('technical > harmonic');
+    if (harmonic) {
+      add({
+        type: 'harmonic',
+        kind: harmonic.querySelector('artificial') ? 'artificial' : 'natural',
+        pitch: ['sounding-pitch', 'touching-pitch'].find(name => harmonic.querySelector(name))
+          ?.replace('-pitch', '') || 'base'
+      });
+    }
+    
+    const palmMute = Array.from(noteElement.querySelectorAll('technical > other-technical'))
+      .some(element => /^\s*(p\.?\s*m\.?|palm[\s-]*mute)\s*$/i.test(element.textContent)) ||
+      Array.from(noteElement.querySelectorAll('play > mute'))
+        .some(element => element.textContent.trim() === 'palm');
+    if (palmMute) {
+      add({ type: 'palm-mute' });
+    }
+    
+    if (noteElement.querySelector('ornaments > wavy-line, ornaments > vibrato, technical > vibrato')) {
+      add({ type: 'vibrato' });
+    }
+    
+    return techniques.length > 0 ? techniques : null;
+  }
+
+  /**
+   * Extract articulations from a note's notations
+   * 
+   * @param {Element} noteElement - Note element
+   * @returns {Array<string>|null} Names known to `ARTICULATIONS` (e.g. 'staccato'),
+   *   or null if none
+   * @private
+   */
+  _extractArticulations(noteElement) {
+    const articulations = Array.from(noteElement.querySelectorAll('notations > articulations > *'))
+      .map(element => element.tagName)
+      .filter(name => ARTICULATIONS[name]);
+    
+    return articulations.length > 0 ? [...new Set(articulations)] : null;
+  }
+
+  /**
+   * Extract lyric syllables sung on a note
+   * 
+   * Elided syllables (several `<text>` in one lyric) are joined with '‿'.
+   * 
+   * @param {Element} noteElement - Note element
+   * @returns {Array<Object>|null} Lyrics { verse, text, syllabic, extend }
+   *   where syllabic is 'single', 'begin', 'middle' or 'end', or null if none
+   * @private
+   */
+  _extractLyrics(noteElement) {
+    const lyrics = Array.from(noteElement.querySelectorAll('lyric'))
+      .map((lyric, index) => ({
+        verse: parseInt(lyric.getAttribute('number'), 10) || index + 1,
+        text: Array.from(lyric.querySelectorAll('text')).map(text => text.textContent).join('‿'),
+        syllabic: lyric.querySelector('syllabic')?.textContent.trim() || 'single',
+        extend: !!lyric.querySelector('extend')
+      }))
+      .filter(lyric => lyric.text || lyric.extend);
+    
+    return lyrics.length > 0 ? lyrics : null;
+  }
+
+  /**
+   * Assign unique IDs to all notes in timeline
+   * 
+   * @param {Array} timeline - Timeline array to modify
+   * @private
+   */
+  _assignNoteIds(timeline) {
+    timeline.forEach((note, index) => {
+      note.id = `n${index + 1}`;
+    });
+  }
+
+  /**
+   * Collapse tie chains into single sustained notes
+   * 
+   * A note with `<tie type="start">` absorbs the following notes of the same
+   * pitch, staff and voice that carry `<tie type="stop">` and begin where it
+   * ends. The surviving note is flagged `tied: true` and lists every written
+   * note of the chain in `tieSegments` so the renderer can still step through
+   * them; techniques and articulations written on any note of the chain are kept.
+   * 
+   * @param {Array} timeline - Timeline sorted by timestamp
+   * @returns {Array} Timeline without tie continuations
+   * @private
+   */
+  _mergeTiedNotes(timeline) {
+    const openTies = new Map();
+    const merged = [];
+    
+    for (const note of timeline) {
+      if (note.isRest) {
+        merged.push(note);
+        continue;
+      }
+      
+      const { tieStart, tieStop } = note;
+      delete note.tieStart;
+      delete note.tieStop;
+      
+      const key = `${note.staff}|${note.voice}|${note.midi}`;
+      const head = tieStop ? openTies.get(key) : undefined;
+      
+      // Continuation must start where the sustained note currently ends
+      if (head && Math.abs(head.timestamp + head.duration - note.timestamp) < 1) {
+        head.duration += note.duration;
+        head.tieSegments.push({ writtenTimestamp: note.writtenTimestamp, duration: note.duration });
+        (note.techniques || []).forEach(technique => {
+          head.techniques = head.techniques || [];
+          if (!head.techniques.some(other => other.type === technique.type && other.role === technique.role)) {
+            head.techniques.push(technique);
+          }
+        });
+        (note.articulations || []).forEach(articulation => {
+          head.articulations = head.articulations || [];
+          if (!head.articulations.includes(articulation)) {
+            head.articulations.push(articulation);
+          }
+        });
+        if (!tieStart) {
+          openTies.delete(key);
+        }
+        continue;
+      }
+      
+      if (tieStart) {
+        note.tied = true;
+        note.tieSegments = [{ writtenTimestamp: note.writtenTimestamp, duration: note.duration }];
+        openTies.set(key, note);
+      }
+      
+      merged.push(note);
+    }
+    
+    return merged;
+  }
+
+  /**
+   * Copy techniques and articulations between the notation and tab copies of a note
+   *
+   * Scores often mark bends and legato only on the tab staff and staccato
+   * only on the notation staff, while both staves are played and analysis
+   * reads the notation staff; a note without techniques (or articulations)
+   * takes those of the note with the same pitch and onset on the other staff.
+   *
+   * @param {Array} timeline - Merged timeline to modify
+   * @private
+   */
+  _shareNotations(timeline) {
+    const key = note => `${Math.round(note.timestamp)}|${note.midi}`;
+    const copies = {
+      techniques: techniques => techniques.map(technique => ({ ...technique })),
+      articulations: articulations => [...articulations]
+    };
+
+    Object.entries(copies).forEach(([field, copy]) => {
+      const byStaff = { 1: new Map(), 2: new Map() };
+
+      timeline.forEach(note => {
+        if (!note.isRest && note[field] && byStaff[note.staff]) {
+          byStaff[note.staff].set(key(note), note[field]);
+        }
+      });
+
+      timeline.forEach(note => {
+        if (note.isRest || note[field] || !byStaff[note.staff]) return;
+        const shared = byStaff[note.staff === 1 ? 2 : 1].get(key(note));
+        if (shared) {
+          note[field] = copy(shared);
+        }
+      });
+    });
+  }
+
+  /**
+   * Assign stable group IDs to chord members
+   * 
+   * Notes that sound together as a written chord share a `chordId`
+   * (`c1`, `c2`, ... in timeline order); all other notes get `chordId: null`.
+   * 
+   * @param {Array} timeline - Sorted timeline array to modify
+   * @private
+   */
+  _assignChordIds(timeline) {
+    const chordIds = new Map();
+    
+    timeline.forEach(note => {
+      if (note.isRest) return;
+      
+      if (note.chordKey === undefined) {
+        note.chordId = null;
+        return;
+      }
+      
+      if (!chordIds.has(note.chordKey)) {
+        chordIds.set(note.chordKey, `c${chordIds.size + 1}`);
+      }
+      note.chordId = chordIds.get(note.chordKey);
+      delete note.chordKey;
+    });
+  }
+
+  /**
+   * Detect system breaks and count total systems
+   * 
+   * @param {Document} xmlDoc - Parsed XML document
+   * @returns {number} Total system count
+   * @private
+   */
+  _detectSystems(xmlDoc) {
+    const systemBreaks = xmlDoc.querySelectorAll('print[new-system="yes"]');
+    return systemBreaks.length + 1; // +1 for first system
+  }
+
+  /**
+   * Generate unique exercise ID
+   * 
+   * @param {string} title - Exercise title
+   * @returns {string} Unique ID
+   * @private
+   */
+  _generateId(title) {
+    const timestamp = Date.now();
     const sanitizedTitle = title.toLowerCase().replace(/[^a-z0-9]/g, '-');
     return `${sanitizedTitle}-${timestamp}`;
   }
 
+  /**
+   * Write an exercise back to dual-staff MusicXML
+   * 
+   * The result loads with the same timeline and measure table: repeated
+   * measures are written once with repeat barlines, voltas and D.C./D.S.
+   * marks. Exercises without tablature get an alternate tab staff from
+   * their fingering, which is left out of the timeline when loaded.
+   * 
+   * @param {ExerciseJSON} exercise - Parsed exercise
+   * @returns {string} MusicXML document
+   * @throws {Error} If the exercise has no timeline or measure table
+   * @public
+   */
+  exportMusicXML(exercise) {
+    if (!exercise || !Array.isArray(exercise.timeline) || !Array.isArray(exercise.measures)) {
+      throw new Error('Invalid exercise provided for export');
+    }
+    
+    return writeExercise(exercise);
+  }
+
+  /**
+   * Describe an exercise for the catalog
+   * 
+   * Derives the catalog fields that can be read from the score itself;
+   * the catalog manifest only needs to hold what cannot (difficulty,
+   * techniques, tags, prerequisites).
+   * 
+   * @param {ExerciseJSON} exercise - Parsed exercise
+   * @returns {Object} { title, composer, key, timeSignature, tempoRange,
+   *   measureCount, noteRange } with key as e.g. 'A minor', timeSignature
+   *   as '3/4', tempoRange as { min, max } BPM over the tempo map and
+   *   noteRange as { lowest, highest } note names (null without notes)
+   * @public
+   */
+  describeExercise(exercise) {
+    if (!exercise || !Array.isArray(exercise.timeline)) {
+      throw new Error('Invalid exercise provided for description');
+    }
+    
+    const tempos = (exercise.tempoMap || [])
+      .map(entry => entry.bpm)
+      .filter(bpm => bpm > 0);
+    if (tempos.length === 0 && exercise.tempo > 0) {
+      tempos.push(exercise.tempo);
+    }
+    
+    const midis = exercise.timeline
+      .filter(note => note.staff === 1 && !note.isRest && Number.isFinite(note.midi))
+      .map(note => note.midi);
+    const { beats, beatType } = exercise.timeSignature || {};
+    
+    return {
+      title: exercise.title || null,
+      composer: exercise.composer || null,
+      key: exercise.key?.name || null,
+      timeSignature: beats && beatType ? `${beats}/${beatType}` : null,
+      tempoRange: tempos.length > 0
+        ? { min: Math.round(Math.min(...tempos)), max: Math.round(Math.max(...tempos)) }
+        : null,
+      measureCount: exercise.measureCount ?? null,
+      noteRange: midis.length > 0
+        ? { lowest: midiToNoteName(Math.min(...midis)), highest: midiToNoteName(Math.max(...midis)) }
+        : null
+    };
+  }
+
   /**
    * Get filtered timeline for analysis (staff 1 only)
    * 
+   * Entries carry the exercise id and title, which the analyzer keeps in
+   * the performance history.
+   * 
    * @param {ExerciseJSON} exercise - Exercise to get analysis timeline for
    * @returns {Array} Filtered timeline with only staff 1 notes
    */
@@ -764,16 +2158,454 @@ class ExerciseLoader extends EventEmitter {
       .filter(note => note.staff === 1 && !note.isRest)
       .map(note => ({
         id: note.id,
+        exerciseId: exercise.id,
+        title: exercise.title,
         midi: note.midi,
         timestamp: note.timestamp,
         duration: note.duration,
-        pitch: note.pitch
+        pitch: note.pitch,
+        chordId: note.chordId ?? null,
+        tied: !!note.tied,
+        grace: !!note.grace,
+        legato: isLegatoNote(note),
+        unpitched: !!note.unpitched
       }));
   }
 
+  /**
+   * Transpose an exercise by a number of semitones
+   * 
+   * The score in `osmdInput` is rewritten (key signatures, notes and chord
+   * symbols spelled for the new key, tab) and parsed again, so the timeline,
+   * chord symbols and rendered score all follow. Tab keeps its strings when
+   * every fret stays playable and is fingered again otherwise.
+   * 
+   * @param {ExerciseJSON} exercise - Parsed exercise
+   * @param {number} semitones - Whole semitones, positive upwards
+   * @param {Object} [options] - Transposition options
+   * @param {number} [options.fifths] - Key signature to spell the new key
+   *   with (e.g. 6 for F# major rather than Gb major)
+   * @returns {Promise<ExerciseJSON>} Transposed exercise with the same id and
+   *   its total `transposition` in semitones
+   * @public
+   */
+  async transpose(exercise, semitones, options = {}) {
+    if (!exercise || typeof exercise.osmdInput !== 'string') {
+      throw new Error('Invalid exercise provided for transposition');
+    }
+    
+    if (!Number.isInteger(semitones)) {
+      throw new Error('Transposition must be a whole number of semitones');
+    }
+    
+    const key = exercise.key || describeKey(0);
+    const targetKey = describeKey(options.fifths ?? transposeFifths(key.fifths, semitones), key.mode);
+    if ((getPitchClass(key.tonic) + semitones - getPitchClass(targetKey.tonic)) % 12 !== 0) {
+      throw new Error(`${targetKey.name} is not ${semitones} semitones from ${key.name}`);
+    }
+    
+    const xmlDoc = new DOMParser().parseFromString(exercise.osmdInput, 'text/xml');
+    this._transposeScore(xmlDoc, semitones, getLetterShift(key.tonic, targetKey.tonic),
+      targetKey.fifths - key.fifths);
+    this._refretTab(xmlDoc, semitones, applyCapo(exercise.tuning || STANDARD_TUNING, exercise.capo),
+      this._createFingering(exercise.instrument || getInstrument('guitar')));
+    
+    const transposed = await this.parseXML(new XMLSerializer().serializeToString(xmlDoc));
+    
+    return {
+      ...transposed,
+      ...(exercise.filename && { filename: exercise.filename }),
+      ...(exercise.excerpt && { excerpt: exercise.excerpt }),
+      id: exercise.id,
+      key: { ...targetKey, source: key.source },
+      transposition: (exercise.transposition || 0) + semitones
+    };
+  }
+
+  /**
+   * Transpose an exercise into the key with the given tonic
+   * 
+   * The mode is kept. Of the two directions the smaller move is taken,
+   * unless only the other keeps every note within the instrument's range.
+   * 
+   * @param {ExerciseJSON} exercise - Parsed exercise
+   * @param {string} tonic - Target tonic such as 'G', 'F#' or 'Bb'
+   * @returns {Promise<ExerciseJSON>} Transposed exercise
+   * @public
+   */
+  async transposeToKey(exercise, tonic) {
+    const key = exercise?.key || describeKey(0);
+    const fifths = getKeyFifths(tonic, key.mode);
+    if (fifths === null) {
+      throw new Error(`Unknown key: ${tonic} ${key.mode}`);
+    }
+    
+    const up = (((getPitchClass(tonic) - getPitchClass(key.tonic)) % 12) + 12) % 12;
+    const shifts = [up, up - 12].sort((a, b) => Math.abs(a) - Math.abs(b));
+    const semitones = shifts.find(shift => this._fitsInstrument(exercise, shift)) ?? shifts[0];
+    
+    return this.transpose(exercise, semitones, { fifths });
+  }
+
+  /**
+   * Check that a transposed exercise stays within the instrument's range
+   * 
+   * @param {ExerciseJSON} exercise - Parsed exercise
+   * @param {number} semitones - Transposition to check
+   * @returns {boolean} True if every note can be fretted
+   * @private
+   */
+  _fitsInstrument(exercise, semitones) {
+    const strings = applyCapo(exercise.tuning || [], exercise.capo).map(noteNameToMidi)
+      .filter(midi => midi !== null);
+    if (strings.length === 0) return true;
+    
+    const lowest = Math.min(...strings);
+    const fingering = this._createFingering(exercise.instrument || getInstrument('guitar'));
+    const highest = Math.max(...strings) + fingering.config.maxFret;
+    return exercise.timeline.every(note =>
+      note.isRest || note.unpitched || (note.midi + semitones >= lowest && note.midi + semitones <= highest));
+  }
+
+  /**
+   * Rewrite key signatures, pitches and chord symbols of a score
+   * 
+   * Written accidentals are removed; the renderer derives them from the
+   * transposed pitches and key signatures.
+   * 
+   * @param {Document} xmlDoc - Score to modify
+   * @param {number} semitones - Transposition, positive upwards
+   * @param {number} letterShift - Letter steps from the old to the new tonic
+   * @param {number} fifthsShift - Change of the key signature
+   * @private
+   */
+  _transposeScore(xmlDoc, semitones, letterShift, fifthsShift) {
+    xmlDoc.querySelectorAll('key > fifths').forEach(element => {
+      let fifths = parseInt(element.textContent, 10) + fifthsShift;
+      if (fifths > 7) fifths -= 12;
+      if (fifths < -7) fifths += 12;
+      element.textContent = String(fifths);
+    });
+    
+    xmlDoc.querySelectorAll('note > pitch').forEach(pitchElement => {
+      const note = pitchElement.parentNode;
+      const pitch = this._extractPitch(note);
+      if (!pitch) return;
+      
+      const transposed = transposePitch(pitch, semitones, letterShift);
+      pitchElement.querySelector('step').textContent = transposed.step;
+      pitchElement.querySelector('octave').textContent = String(transposed.octave);
+      this._setAlter(pitchElement, 'alter', transposed.alter, pitchElement.querySelector('octave'));
+      note.querySelectorAll('accidental').forEach(accidental => accidental.remove());
+    });
+    
+    xmlDoc.querySelectorAll('harmony > root, harmony > bass').forEach(container => {
+      const prefix = container.tagName;
+      const stepElement = container.querySelector(`${prefix}-step`);
+      if (!stepElement) return;
+      
+      const alterElement = container.querySelector(`${prefix}-alter`);
+      const transposed = transposePitch({
+        step: stepElement.textContent.trim(),
+        alter: parseFloat(alterElement?.textContent) || 0,
+        octave: 4
+      }, semitones, letterShift);
+      stepElement.textContent = transposed.step;
+      this._setAlter(container, `${prefix}-alter`, transposed.alter, stepElement.nextSibling);
+    });
+  }
+
+  /**
+   * Write or remove the alteration element of a pitch
+   * 
+   * @param {Element} parent - Pitch, root or bass element
+   * @param {string} name - Alteration element name ('alter', 'root-alter', ...)
+   * @param {number} alter - Semitones; 0 removes the element
+   * @param {Node|null} before - Node to insert a new element before
+   * @private
+   */
+  _setAlter(parent, name, alter, before) {
+    let element = parent.querySelector(name);
+    if (alter === 0) {
+      element?.remove();
+      return;
+    }
+    
+    if (!element) {
+      element = parent.ownerDocument.createElement(name);
+      parent.insertBefore(element, before);
+    }
+    element.textContent = String(alter);
+  }
+
+  /**
+   * Move the tab of a transposed score
+   * 
+   * Frets shift by the transposition when all of them stay between 0 and
+   * the fingering engine's `maxFret`; otherwise the tab is fingered again
+   * for the new pitches. Tab written without a `<pitch>` sounds at its
+   * string/fret in the tuning. Notes that cannot be played lose their tab.
+   * 
+   * @param {Document} xmlDoc - Score with transposed pitches, modified
+   * @param {number} semitones - Transposition, positive upwards
+   * @param {Array<string>} tuning - Sounding open strings (capo applied), lowest first
+   * @param {FingeringEngine} engine - Engine for the exercise's instrument
+   * @private
+   */
+  _refretTab(xmlDoc, semitones, tuning, engine) {
+    // Transposed MIDI of each tab note; pitches are already transposed
+    const midis = new Map();
+    xmlDoc.querySelectorAll('note').forEach(note => {
+      const fretElement = note.querySelector('technical > fret');
+      if (!fretElement) return;
+      
+      const pitch = this._extractPitch(note);
+      const sounding = pitch ? null : getSoundingMidi({
+        string: parseInt(note.querySelector('technical > string')?.textContent, 10),
+        fret: parseInt(fretElement.textContent, 10)
+      }, tuning);
+      const midi = pitch ? this._convertPitchToMIDI(pitch) : sounding !== null && sounding + semitones;
+      if (Number.isFinite(midi)) {
+        midis.set(note, midi);
+      }
+    });
+    const tabNotes = [...midis.keys()];
+    if (tabNotes.length === 0) return;
+    
+    const frets = tabNotes.map(note =>
+      parseInt(note.querySelector('technical > fret').textContent, 10) + semitones);
+    
+    if (frets.every(fret => fret >= 0 && fret <= engine.config.maxFret)) {
+      tabNotes.forEach((note, index) => {
+        note.querySelector('technical > fret').textContent = String(frets[index]);
+      });
+      return;
+    }
+    
+    const chords = [];
+    tabNotes.forEach(note => {
+      if (note.querySelector('chord') && chords.length > 0) {
+        chords[chords.length - 1].push(note);
+      } else {
+        chords.push([note]);
+      }
+    });
+    
+    const positions = engine.assignChords(chords.map(chord => chord.map(note => midis.get(note))), tuning);
+    chords.forEach((chord, chordIndex) => chord.forEach((note, noteIndex) => {
+      const position = positions[chordIndex][noteIndex];
+      const technical = note.querySelector('technical');
+      if (position) {
+        let stringElement = technical.querySelector('string');
+        if (!stringElement) {
+          stringElement = technical.insertBefore(xmlDoc.createElement('string'), technical.querySelector('fret'));
+        }
+        stringElement.textContent = String(position.string);
+        technical.querySelector('fret').textContent = String(position.fret);
+      } else {
+        technical.querySelectorAll('string, fret').forEach(element => element.remove());
+      }
+    }));
+  }
+
+  /**
+   * Cut a range of measures out as an exercise of its own
+   * 
+   * The measures of `osmdInput` with written numbers from `first` to
+   * `last` are kept and parsed again, so timestamps start at zero and the
+   * result plays, renders and scores like any other exercise. The
+   * divisions, key, meter, clefs and tab tuning in effect at the first
+   * measure are written into it, as is the tempo in effect there. A range
+   * starting at the first full measure keeps the pickup before it. Repeat
+   * signs, voltas and jumps are dropped, so the measures play once in
+   * written order.
+   * 
+   * @param {ExerciseJSON} exercise - Parsed exercise
+   * @param {number} first - Number of the first measure
+   * @param {number} [last=first] - Number of the last measure
+   * @returns {Promise<ExerciseJSON>} Exercise with its own id and title and
+   *   `excerpt` { parentId, firstMeasure, lastMeasure }
+   * @throws {Error} If the exercise has no score or the range no measures
+   * @public
+   */
+  async sliceMeasures(exercise, first, last = first) {
+    if (!exercise || typeof exercise.osmdInput !== 'string') {
+      throw new Error('Invalid exercise provided for slicing');
+    }
+    
+    if (!Number.isInteger(first) || !Number.isInteger(last) || first > last) {
+      throw new Error(`Invalid measure range: ${first}-${last}`);
+    }
+    
+    const xmlDoc = new DOMParser().parseFromString(exercise.osmdInput, 'text/xml');
+    const parts = Array.from(xmlDoc.querySelectorAll('part'));
+    const layout = Array.from(parts[0]?.querySelectorAll(':scope > measure') || []);
+    const inRange = layout
+      .map((measure, index) => ({ number: parseInt(measure.getAttribute('number'), 10), index }))
+      .filter(({ number }) => number >= first && number <= last);
+    if (inRange.length === 0) {
+      throw new Error(`No measures ${first}-${last} in exercise`);
+    }
+    
+    let start = inRange[0].index;
+    const end = inRange[inRange.length - 1].index;
+    if (start === 1 && exercise.measures?.[0]?.isPickup) {
+      start = 0;
+    }
+    
+    // Tempo in effect where the first kept measure is first played
+    const firstNumber = parseInt(layout[start].getAttribute('number'), 10);
+    const performed = exercise.measures?.find(measure => measure.number === firstNumber);
+    const tempo = performed && exercise.tempoMap
+      ? getTempoAt(exercise.tempoMap, performed.timestamp)
+      : exercise.tempo;
+    
+    parts.forEach((part, partIndex) => {
+      const measures = Array.from(part.querySelectorAll(':scope > measure'));
+      if (!measures[start]) return;
+      
+      this._carryAttributes(measures.slice(0, start), measures[start]);
+      if (partIndex === 0 && start > 0) {
+        this._carryTempo(measures[start], tempo);
+      }
+      measures.forEach((measure, index) => {
+        if (index < start || index > end) {
+          measure.remove();
+        }
+      });
+    });
+    this._removeRepeats(xmlDoc);
+    
+    const lastNumber = parseInt(layout[end].getAttribute('number'), 10);
+    const title = `${exercise.title || 'Untitled'} (mm. ${firstNumber}-${lastNumber})`;
+    let workTitle = xmlDoc.querySelector('work-title');
+    if (!workTitle) {
+      const work = xmlDoc.createElement('work');
+      workTitle = work.appendChild(xmlDoc.createElement('work-title'));
+      const root = xmlDoc.documentElement;
+      root.insertBefore(work, root.firstElementChild);
+    }
+    workTitle.textContent = title;
+    const movementTitle = xmlDoc.querySelector('movement-title');
+    if (movementTitle) {
+      movementTitle.textContent = title;
+    }
+    
+    const slice = await this.parseXML(new XMLSerializer().serializeToString(xmlDoc));
+    
+    return {
+      ...slice,
+      excerpt: { parentId: exercise.id, firstMeasure: firstNumber, lastMeasure: lastNumber }
+    };
+  }
+
+  /**
+   * Write the attributes in effect into the first measure of a slice
+   * 
+   * Divisions, key, meter, staves, clefs, staff details (tab tuning and
+   * capo) and transposition set by earlier measures are added unless the
+   * measure sets them itself.
+   * 
+   * @param {Array<Element>} earlier - Measures before the slice, in order
+   * @param {Element} measure - First measure of the slice, modified
+   * @private
+   */
+  _carryAttributes(earlier, measure) {
+    const order = ['divisions', 'key', 'time', 'staves', 'clef', 'staff-details', 'transpose'];
+    const identify = element => `${element.tagName}:${element.getAttribute('number') || ''}`;
+    
+    const inEffect = new Map();
+    earlier.forEach(previous => {
+      previous.querySelectorAll(':scope > attributes > *').forEach(element => {
+        if (order.includes(element.tagName)) {
+          inEffect.set(identify(element), element);
+        }
+      });
+    });
+    if (inEffect.size === 0) return;
+    
+    // Attributes before the first note apply from the start of the measure
+    const children = Array.from(measure.children);
+    const firstNote = children.findIndex(element => element.tagName === 'note');
+    let attributes = (firstNote === -1 ? children : children.slice(0, firstNote))
+      .find(element => element.tagName === 'attributes');
+    if (!attributes) {
+      attributes = measure.ownerDocument.createElement('attributes');
+      const print = measure.querySelector(':scope > print');
+      measure.insertBefore(attributes, print ? print.nextSibling : measure.firstChild);
+    }
+    
+    const own = new Set(Array.from(attributes.children).map(identify));
+    inEffect.forEach((element, id) => {
+      if (!own.has(id)) {
+        attributes.appendChild(element.cloneNode(true));
+      }
+    });
+    
+    // Keep the schema order of the elements
+    Array.from(attributes.children)
+      .map((element, index) => ({ element, index, rank: order.indexOf(element.tagName) }))
+      .sort((a, b) => (a.rank === -1 || b.rank === -1 ? a.index - b.index : a.rank - b.rank || a.index - b.index))
+      .forEach(({ element }) => attributes.appendChild(element));
+  }
+
+  /**
+   * Mark the tempo in effect at the start of a slice
+   * 
+   * Nothing is added when the measure opens with a tempo of its own.
+   * 
+   * @param {Element} measure - First measure of the slice, modified
+   * @param {number} bpm - Quarter notes per minute
+   * @private
+   */
+  _carryTempo(measure, bpm) {
+    for (const element of Array.from(measure.children)) {
+      if (element.tagName === 'note' || element.tagName === 'forward') break;
+      if ((element.tagName === 'sound' && element.hasAttribute('tempo')) ||
+          (element.tagName === 'direction' && element.querySelector('sound[tempo], metronome'))) {
+        return;
+      }
+    }
+    
+    const xmlDoc = measure.ownerDocument;
+    const direction = new DOMParser().parseFromString(
+      '<direction placement="above"><direction-type><metronome><beat-unit>quarter</beat-unit>' +
+      `<per-minute>${Math.round(bpm)}</per-minute></metronome></direction-type>` +
+      `<sound tempo="${Math.round(bpm * 100) / 100}"/></direction>`, 'text/xml').documentElement;
+    const attributes = measure.querySelector(':scope > attributes');
+    measure.insertBefore(xmlDoc.importNode(direction, true), attributes ? attributes.nextSibling : measure.firstChild);
+  }
+
+  /**
+   * Remove repeat signs, voltas and jumps from a score
+   * 
+   * @param {Document} xmlDoc - Score, modified
+   * @private
+   */
+  _removeRepeats(xmlDoc) {
+    xmlDoc.querySelectorAll('barline > repeat, barline > ending').forEach(element => element.remove());
+    xmlDoc.querySelectorAll('barline').forEach(barline => {
+      if (barline.children.length === 0) barline.remove();
+    });
+    
+    const jumps = ['segno', 'coda', 'tocoda', 'dacapo', 'dalsegno', 'fine'];
+    xmlDoc.querySelectorAll('sound').forEach(sound => {
+      jumps.forEach(attribute => sound.removeAttribute(attribute));
+    });
+    xmlDoc.querySelectorAll('direction-type > segno, direction-type > coda').forEach(element => {
+      const direction = element.closest('direction');
+      element.parentNode.remove();
+      if (direction && !direction.querySelector('direction-type')) direction.remove();
+    });
+  }
+
   /**
    * Recalculate timeline timestamps for a new tempo
    * 
+   * The whole piece is scaled proportionally, so written tempo changes keep
+   * their relative size; use `recalculateTempoMap` to scale the tempo map
+   * to match.
+   * 
    * @param {Array} originalTimeline - Original timeline with old tempo
    * @param {number} oldTempo - Original tempo in BPM
    * @param {number} newTempo - New tempo in BPM
@@ -798,13 +2630,104 @@ class ExerciseLoader extends EventEmitter {
     const recalculatedTimeline = originalTimeline.map(note => ({
       ...note,
       timestamp: Math.round(note.timestamp * tempoRatio),
-      duration: Math.round(note.duration * tempoRatio)
+      duration: Math.round(note.duration * tempoRatio),
+      ...(note.writtenTimestamp !== undefined && {
+        writtenTimestamp: Math.round(note.writtenTimestamp * tempoRatio)
+      }),
+      ...(note.tieSegments && {
+        tieSegments: note.tieSegments.map(segment => ({
+          writtenTimestamp: Math.round(segment.writtenTimestamp * tempoRatio),
+          duration: Math.round(segment.duration * tempoRatio)
+        }))
+      })
     }));
     
     console.log(`✅ Timeline recalculation complete: ${originalTimeline.length} notes processed`);
     
     return recalculatedTimeline;
   }
+
+  /**
+   * Scale a tempo map proportionally for a new base tempo
+   * 
+   * @param {Array} tempoMap - Tempo map from the parsed exercise
+   * @param {number} oldTempo - Original base tempo in BPM
+   * @param {number} newTempo - New base tempo in BPM
+   * @returns {Array} New tempo map matching `recalculateTimeline` output
+   * @public
+   */
+  recalculateTempoMap(tempoMap, oldTempo, newTempo) {
+    if (!tempoMap || !Array.isArray(tempoMap)) {
+      throw new Error('Invalid tempo map provided for recalculation');
+    }
+    
+    if (oldTempo <= 0 || newTempo <= 0) {
+      throw new Error('Invalid tempo values provided for recalculation');
+    }
+    
+    const tempoRatio = oldTempo / newTempo;
+    
+    return tempoMap.map(entry => ({
+      ...entry,
+      timestamp: entry.timestamp * tempoRatio,
+      bpm: entry.bpm / tempoRatio
+    }));
+  }
+
+  /**
+   * Scale a measure table proportionally for a new base tempo
+   * 
+   * @param {Array} measures - Measure table from the parsed exercise
+   * @param {number} oldTempo - Original base tempo in BPM
+   * @param {number} newTempo - New base tempo in BPM
+   * @returns {Array} New measure table matching `recalculateTimeline` output
+   * @public
+   */
+  recalculateMeasures(measures, oldTempo, newTempo) {
+    if (!measures || !Array.isArray(measures)) {
+      throw new Error('Invalid measure table provided for recalculation');
+    }
+    
+    if (oldTempo <= 0 || newTempo <= 0) {
+      throw new Error('Invalid tempo values provided for recalculation');
+    }
+    
+    const tempoRatio = oldTempo / newTempo;
+    
+    return measures.map(measure => ({
+      ...measure,
+      timestamp: measure.timestamp * tempoRatio,
+      duration: measure.duration * tempoRatio,
+      beats: measure.beats.map(beat => ({ ...beat, timestamp: beat.timestamp * tempoRatio }))
+    }));
+  }
+
+  /**
+   * Scale a chord symbol track proportionally for a new base tempo
+   * 
+   * @param {Array} chordSymbols - Chord symbols from the parsed exercise
+   * @param {number} oldTempo - Original base tempo in BPM
+   * @param {number} newTempo - New base tempo in BPM
+   * @returns {Array} New chord symbols matching `recalculateTimeline` output
+   * @public
+   */
+  recalculateChordSymbols(chordSymbols, oldTempo, newTempo) {
+    if (!chordSymbols || !Array.isArray(chordSymbols)) {
+      throw new Error('Invalid chord symbols provided for recalculation');
+    }
+    
+    if (oldTempo <= 0 || newTempo <= 0) {
+      throw new Error('Invalid tempo values provided for recalculation');
+    }
+    
+    const tempoRatio = oldTempo / newTempo;
+    
+    return chordSymbols.map(chord => ({
+      ...chord,
+      timestamp: chord.timestamp * tempoRatio,
+      duration: chord.duration * tempoRatio
+    }));
+  }
 }
 
 export { ExerciseLoader };
@@ -0,0 +1,625 @@
+/**
+ * @module fingeringEngine
+ * @description Automatic string/fret assignment for scores without tablature
+ *
+ * Chooses a string and fret for every pitched note from the exercise tuning
+ * so the passage can drive the fretboard and tab views. The whole passage is
+ * optimised at once: each chord's playable shapes are scored for stretch and
+ * finger count, and a dynamic programming pass picks the sequence of shapes
+ * with the least hand movement between them.
+ *
+ * @see Architecture.md §3.1 (Exercise Loader Module)
+ * @see Architecture.md §4.1 (ExerciseJSON Structure)
+ */
+
+import { EventEmitter } from '../utils/eventEmitter.js';
+import { Logger } from '../utils/logger.js';
+import { STANDARD_TUNING, applyCapo, getFretPositions, midiToPitch, noteNameToMidi } from '../utils/fretboard.js';
+
+// Frets the fretting hand covers without shifting (index to little finger)
+const HAND_SPAN = 3;
+
+// Cost of a note that no free string can play
+const UNPLACED_COST = 1000;
+
+// Children of <note> that follow <stem>, in schema order
+const AFTER_STEM = ['notehead', 'notehead-text', 'staff', 'beam', 'notations', 'lyric', 'play', 'listen'];
+const AFTER_STAFF = ['beam', 'notations', 'lyric', 'play', 'listen'];
+
+// Notations that stay on the generated tab staff
+const TAB_NOTATIONS = ['tied', 'tuplet'];
+
+/**
+ * FingeringEngine - Assign string/fret positions to pitched notes
+ *
+ * Responsibilities:
+ * - Enumerate playable shapes for each chord (one note per string)
+ * - Penalise stretches beyond the hand span and shapes needing too many fingers
+ * - Minimise position shifts across the whole passage
+ * - Fill `note.tab` on ExerciseJSON timelines
+ * - Add a generated TAB staff to notation-only MusicXML
+ */
+class FingeringEngine extends EventEmitter {
+  /**
+   * Create fingering engine
+   *
+   * @param {Object} config - Engine configuration
+   * @param {number} config.maxFret - Highest usable fret
+   * @param {number} config.maxStretch - Widest comfortable fret span of a shape
+   * @param {number} config.shiftWeight - Cost per fret of moving the hand
+   * @param {number} config.shiftPenalty - Cost of any position shift
+   * @param {number} config.stretchWeight - Cost per fret of a shape's span
+   * @param {number} config.heightWeight - Cost per fret of playing higher up the neck
+   * @param {number} config.maxShapes - Shapes kept per chord for the search
+   */
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      maxFret: 20,
+      maxStretch: 4,
+      shiftWeight: 1,
+      shiftPenalty: 2,
+      stretchWeight: 2,
+      heightWeight: 0.3,
+      maxShapes: 48,
+      ...config
+    };
+  }
+
+  /**
+   * Assign string/fret positions to a sequence of chords
+   *
+   * @param {Array<Array<number>>} chords - MIDI note numbers of each chord
+   *   (single notes are one-note chords), in playing order
+   * @param {Array<string>} [tuning=STANDARD_TUNING] - Open string pitches, lowest first
+   * @returns {Array<Array<Object|null>>} Positions { string, fret } aligned
+   *   with each chord's notes; null for notes that cannot be placed
+   *
+   * @example
+   * engine.assignChords([[64], [67], [48, 52, 55]]);
+   * // [[{ string: 1, fret: 0 }], [{ string: 1, fret: 3 }],
+   * //  [{ string: 5, fret: 3 }, { string: 4, fret: 2 }, { string: 3, fret: 0 }]]
+   */
+  assignChords(chords, tuning = STANDARD_TUNING) {
+    if (chords.length === 0) {
+      return [];
+    }
+
+    // Each step keeps the cheapest path for every shape and hand position
+    let paths = null;
+
+    chords.forEach(midis => {
+      const next = new Map();
+      this._getShapes(midis, tuning).forEach((shape, shapeIndex) => {
+        const height = shape.low === null ? 0 : shape.low * this.config.heightWeight;
+        const candidates = paths
+          ? paths.map(path => {
+            const { shift, hand } = this._moveHand(path.hand, shape);
+            const cost = path.cost + shape.cost + height +
+              (shift > 0 ? this.config.shiftPenalty + shift * this.config.shiftWeight : 0);
+            return { cost, hand, shape, previous: path };
+          })
+          : [{ cost: shape.cost + height, hand: shape.low, shape, previous: null }];
+
+        candidates.forEach(candidate => {
+          const key = `${shapeIndex}:${candidate.hand}`;
+          if (!next.has(key) || candidate.cost < next.get(key).cost) {
+            next.set(key, candidate);
+          }
+        });
+      });
+      paths = Array.from(next.values());
+    });
+
+    const result = [];
+    let path = paths.reduce((a, b) => (b.cost < a.cost ? b : a));
+    while (path) {
+      result.unshift(path.shape.positions);
+      path = path.previous;
+    }
+
+    const unplaced = result.flat().filter(position => position === null).length;
+    if (unplaced > 0) {
+      Logger.log(Logger.WARN, 'FingeringEngine', 'Some notes cannot be played in this tuning', {
+        unplaced
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Fill `tab` of pitched notation notes that have no tablature
+   *
+   * Notes sounding at the same time are fingered as one chord, whatever
+   * their voice.
+   *
+   * @param {Array<Object>} timeline - ExerciseJSON timeline (modified in place)
+   * @param {Array<string>} [tuning=STANDARD_TUNING] - Open string pitches, lowest first
+   * @returns {number} Number of notes given a position
+   */
+  fingerTimeline(timeline, tuning = STANDARD_TUNING) {
+    const notes = timeline
+      .filter(note => !note.isRest && note.staff === 1 && !note.tab && typeof note.midi === 'number')
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    const groups = [];
+    notes.forEach(note => {
+      const last = groups[groups.length - 1];
+      if (last && Math.abs(last[0].timestamp - note.timestamp) < 1) {
+        last.push(note);
+      } else {
+        groups.push([note]);
+      }
+    });
+
+    const positions = this.assignChords(groups.map(group => group.map(note => note.midi)), tuning);
+
+    let assigned = 0;
+    groups.forEach((group, groupIndex) => {
+      group.forEach((note, noteIndex) => {
+        const position = positions[groupIndex][noteIndex];
+        if (position) {
+          note.tab = { ...position };
+          assigned++;
+        }
+      });
+    });
+
+    this.emit('fingering:complete', { notes: notes.length, assigned });
+    return assigned;
+  }
+
+  /**
+   * Add a generated TAB staff to a notation-only MusicXML document
+   *
+   * The first part gets a second staff holding a copy of its notes in
+   * voices 5 and up with `<technical>` string/fret, the layout used by the
+   * bundled exercises. Parts that already have more than one staff are left
+   * unchanged.
+   *
+   * @param {Document} xmlDoc - Parsed MusicXML document (modified in place)
+   * @param {Array<string>} [tuning=STANDARD_TUNING] - Open string pitches, lowest first
+   * @param {number} [capo=0] - Capo fret; frets are written relative to it
+   * @returns {boolean} True if a tab staff was added
+   */
+  addTabStaff(xmlDoc, tuning = STANDARD_TUNING, capo = 0) {
+    const part = xmlDoc.querySelector('part');
+    if (!part) return false;
+
+    const hasStaves = Array.from(part.querySelectorAll('attributes > staves'))
+      .some(element => parseInt(element.textContent, 10) > 1);
+    if (hasStaves) return false;
+
+    const measures = Array.from(part.querySelectorAll('measure'));
+    const firstAttributes = measures[0]?.querySelector('attributes');
+    if (!firstAttributes) return false;
+
+    // Copy every measure's music for staff 2 and note the written onsets
+    const pitched = [];
+    let divisions = 1;
+    let measureStart = 0;
+    const copies = measures.map(measure => {
+      const divisionsElement = measure.querySelector('attributes > divisions');
+      if (divisionsElement) {
+        divisions = parseInt(divisionsElement.textContent, 10) || 1;
+      }
+
+      const copy = this._copyMeasureMusic(measure, xmlDoc, measureStart, divisions, pitched);
+      measureStart += copy.length / divisions;
+      return copy;
+    });
+
+    if (pitched.length === 0) return false;
+
+    this._writeTabAttributes(firstAttributes, part, xmlDoc, tuning, capo);
+    this._fingerCopies(pitched, applyCapo(tuning, capo), xmlDoc);
+
+    measures.forEach((measure, index) => {
+      const { elements, end } = copies[index];
+      const anchor = Array.from(measure.children)
+        .find(child => child.tagName === 'barline' && child.getAttribute('location') === 'right') || null;
+
+      const backup = this._createElement(xmlDoc, 'backup');
+      backup.appendChild(this._createElement(xmlDoc, 'duration', String(end)));
+      measure.insertBefore(backup, anchor);
+      elements.forEach(element => measure.insertBefore(element, anchor));
+    });
+
+    Logger.log(Logger.INFO, 'FingeringEngine', 'Generated tab staff', {
+      measures: measures.length,
+      notes: pitched.length
+    });
+
+    return true;
+  }
+
+  /**
+   * List the playable shapes of a chord with their own cost
+   *
+   * @param {Array<number>} midis - MIDI note numbers sounding together
+   * @param {Array<string>} tuning - Open string pitches, lowest first
+   * @returns {Array<Object>} Shapes { positions, low, high, cost } where low
+   *   and high are the lowest and highest fretted frets (null if all open)
+   * @private
+   */
+  _getShapes(midis, tuning) {
+    const candidates = midis.map(midi => getFretPositions(midi, tuning, this.config.maxFret));
+    const shapes = [];
+    const current = new Array(midis.length).fill(null);
+    const usedStrings = new Set();
+
+    const search = (index) => {
+      if (index === midis.length) {
+        shapes.push(this._scoreShape([...current]));
+        return;
+      }
+
+      let placed = false;
+      for (const position of candidates[index]) {
+        if (usedStrings.has(position.string)) continue;
+        usedStrings.add(position.string);
+        current[index] = position;
+        search(index + 1);
+        usedStrings.delete(position.string);
+        current[index] = null;
+        placed = true;
+      }
+
+      // Leave the note out only when no free string can play it
+      if (!placed) {
+        search(index + 1);
+      }
+    };
+    search(0);
+
+    return shapes
+      .sort((a, b) => a.cost - b.cost)
+      .slice(0, this.config.maxShapes);
+  }
+
+  /**
+   * Score a chord shape on its own
+   *
+   * Stretches beyond `maxStretch` and shapes needing more than four fingers
+   * (frets above the lowest one, which a barre can cover) are heavily
+   * penalised so they are only used when nothing else fits.
+   *
+   * @param {Array<Object|null>} positions - Position of each note
+   * @returns {Object} Shape { positions, low, high, cost }
+   * @private
+   */
+  _scoreShape(positions) {
+    const fretted = positions.filter(position => position && position.fret > 0);
+    const unplaced = positions.filter(position => position === null).length;
+
+    if (fretted.length === 0) {
+      return { positions, low: null, high: null, cost: unplaced * UNPLACED_COST };
+    }
+
+    const frets = fretted.map(position => position.fret);
+    const low = Math.min(...frets);
+    const high = Math.max(...frets);
+    const span = high - low;
+    const fingers = 1 + fretted.filter(position => position.fret > low).length;
+
+    let cost = unplaced * UNPLACED_COST + span * this.config.stretchWeight;
+    if (span > this.config.maxStretch) {
+      cost += (span - this.config.maxStretch) * 100;
+    }
+    if (fingers > 4) {
+      cost += (fingers - 4) * 100;
+    }
+
+    return { positions, low, high, cost };
+  }
+
+  /**
+   * Move the hand so a shape lies under the fingers
+   *
+   * The hand covers `HAND_SPAN` frets above its index finger and moves as
+   * little as possible; open-string shapes leave it where it is.
+   *
+   * @param {number|null} hand - Current index finger fret (null before the first fretted note)
+   * @param {Object} shape - Shape from `_scoreShape`
+   * @returns {Object} { shift, hand } frets moved and the new hand position
+   * @private
+   */
+  _moveHand(hand, shape) {
+    if (shape.low === null) {
+      return { shift: 0, hand };
+    }
+    if (hand === null) {
+      return { shift: 0, hand: shape.low };
+    }
+    if (shape.low < hand) {
+      return { shift: hand - shape.low, hand: shape.low };
+    }
+    if (shape.high > hand + HAND_SPAN) {
+      const target = Math.min(shape.low, shape.high - HAND_SPAN);
+      return { shift: target - hand, hand: target };
+    }
+    return { shift: 0, hand };
+  }
+
+  /**
+   * Copy the notes, backups and forwards of a measure onto staff 2
+   *
+   * @param {Element} measure - Measure element
+   * @param {Document} xmlDoc - Owning document
+   * @param {number} measureStart - Written start of the measure in quarter notes
+   * @param {number} divisions - Divisions per quarter note
+   * @param {Array<Object>} pitched - Collects { copy, midi, onset, tieStop } of copied pitched notes
+   * @returns {Object} { elements, end, length } copies, cursor position at
+   *   the end of the measure and the furthest position reached (in divisions)
+   * @private
+   */
+  _copyMeasureMusic(measure, xmlDoc, measureStart, divisions, pitched) {
+    const elements = [];
+    let cursor = 0;
+    let length = 0;
+    let lastOnset = 0;
+
+    Array.from(measure.children).forEach(element => {
+      const duration = parseInt(element.querySelector('duration')?.textContent, 10) || 0;
+
+      if (element.tagName === 'backup') {
+        elements.push(element.cloneNode(true));
+        cursor = Math.max(0, cursor - duration);
+        return;
+      }
+      if (element.tagName === 'forward') {
+        const copy = element.cloneNode(true);
+        this._moveToTabStaff(copy, xmlDoc);
+        elements.push(copy);
+        cursor += duration;
+        length = Math.max(length, cursor);
+        return;
+      }
+      if (element.tagName !== 'note') return;
+
+      const copy = element.cloneNode(true);
+      this._moveToTabStaff(copy, xmlDoc);
+      elements.push(copy);
+
+      const isChord = !!element.querySelector('chord');
+      const isGrace = !!element.querySelector('grace');
+      const onset = isChord ? lastOnset : cursor;
+
+      const midi = this._readMidi(element);
+      if (midi !== null) {
+        const tieStop = Array.from(element.querySelectorAll('tie'))
+          .some(tie => tie.getAttribute('type') === 'stop');
+        pitched.push({
+          copy,
+          midi,
+          // Grace notes sort just before their main note
+          onset: measureStart + onset / divisions - (isGrace ? 1e-3 : 0),
+          tieStop
+        });
+      }
+
+      if (!isChord && !isGrace) {
+        lastOnset = cursor;
+        cursor += duration;
+        length = Math.max(length, cursor);
+      }
+    });
+
+    return { elements, end: cursor, length };
+  }
+
+  /**
+   * Turn a copied note or forward into a staff 2 element
+   *
+   * Voices move up by four, stems are hidden and notations other than ties
+   * and tuplets are dropped so articulations are not printed twice.
+   *
+   * @param {Element} element - Copied note or forward element
+   * @param {Document} xmlDoc - Owning document
+   * @private
+   */
+  _moveToTabStaff(element, xmlDoc) {
+    const child = name => Array.from(element.children).find(node => node.tagName === name) || null;
+    const firstOf = names => Array.from(element.children).find(node => names.includes(node.tagName)) || null;
+
+    const voice = child('voice');
+    if (voice) {
+      voice.textContent = String((parseInt(voice.textContent, 10) || 1) + 4);
+    } else if (element.tagName === 'note') {
+      element.insertBefore(this._createElement(xmlDoc, 'voice', '5'),
+        firstOf(['type', 'dot', 'accidental', 'time-modification', 'stem', ...AFTER_STEM]));
+    }
+
+    if (element.tagName === 'note') {
+      ['stem', 'beam', 'lyric'].forEach(name => {
+        Array.from(element.children)
+          .filter(node => node.tagName === name)
+          .forEach(node => this._removeElement(node));
+      });
+      if (!child('rest')) {
+        element.insertBefore(this._createElement(xmlDoc, 'stem', 'none'), firstOf(AFTER_STEM));
+      }
+
+      const notations = child('notations');
+      if (notations) {
+        Array.from(notations.children)
+          .filter(node => !TAB_NOTATIONS.includes(node.tagName))
+          .forEach(node => this._removeElement(node));
+        if (notations.children.length === 0) {
+          this._removeElement(notations);
+        }
+      }
+    }
+
+    const staff = child('staff');
+    if (staff) {
+      staff.textContent = '2';
+    } else {
+      element.insertBefore(this._createElement(xmlDoc, 'staff', '2'),
+        element.tagName === 'note' ? firstOf(AFTER_STAFF) : null);
+    }
+  }
+
+  /**
+   * Finger the copied notes and write their string/fret
+   *
+   * Tied continuations keep the position of the note they continue.
+   *
+   * @param {Array<Object>} pitched - Copied notes from `_copyMeasureMusic`
+   * @param {Array<string>} tuning - Open string pitches, lowest first
+   * @param {Document} xmlDoc - Owning document
+   * @private
+   */
+  _fingerCopies(pitched, tuning, xmlDoc) {
+    const ordered = pitched
+      .map((note, index) => ({ ...note, index }))
+      .sort((a, b) => a.onset - b.onset || a.index - b.index);
+
+    const groups = [];
+    ordered.filter(note => !note.tieStop).forEach(note => {
+      const last = groups[groups.length - 1];
+      if (last && Math.abs(last[0].onset - note.onset) < 1e-6) {
+        last.push(note);
+      } else {
+        groups.push([note]);
+      }
+    });
+
+    const positions = this.assignChords(groups.map(group => group.map(note => note.midi)), tuning);
+    groups.forEach((group, groupIndex) => {
+      group.forEach((note, noteIndex) => {
+        note.position = positions[groupIndex][noteIndex];
+      });
+    });
+
+    // Tied continuations follow in onset order, after the note they continue
+    const held = new Map();
+    ordered.forEach(note => {
+      const position = note.tieStop ? held.get(note.midi) : note.position;
+      held.set(note.midi, position);
+      if (!position) return;
+
+      let notations = Array.from(note.copy.children).find(node => node.tagName === 'notations');
+      if (!notations) {
+        notations = this._createElement(xmlDoc, 'notations');
+        const anchor = Array.from(note.copy.children)
+          .find(node => ['lyric', 'play', 'listen'].includes(node.tagName)) || null;
+        note.copy.insertBefore(notations, anchor);
+      }
+      const technical = this._createElement(xmlDoc, 'technical');
+      technical.appendChild(this._createElement(xmlDoc, 'string', String(position.string)));
+      technical.appendChild(this._createElement(xmlDoc, 'fret', String(position.fret)));
+      notations.appendChild(technical);
+    });
+  }
+
+  /**
+   * Declare the second staff as TAB in the first attributes element
+   *
+   * Unnumbered clefs in the part are numbered for staff 1 so they no longer
+   * apply to both staves.
+   *
+   * @param {Element} attributes - First attributes element of the part
+   * @param {Element} part - Part element
+   * @param {Document} xmlDoc - Owning document
+   * @param {Array<string>} tuning - Open string pitches, lowest first
+   * @param {number} capo - Capo fret (0 for none)
+   * @private
+   */
+  _writeTabAttributes(attributes, part, xmlDoc, tuning, capo) {
+    part.querySelectorAll('attributes > clef').forEach(clef => {
+      if (!clef.hasAttribute('number')) {
+        clef.setAttribute('number', '1');
+      }
+    });
+
+    const following = ['part-symbol', 'instruments', 'clef', 'staff-details', 'transpose',
+      'directive', 'measure-style'];
+    const anchor = Array.from(attributes.children)
+      .find(node => following.includes(node.tagName)) || null;
+    attributes.insertBefore(this._createElement(xmlDoc, 'staves', '2'), anchor);
+
+    const clefs = Array.from(attributes.children).filter(node => node.tagName === 'clef');
+    const afterClefs = clefs.length > 0 ? clefs[clefs.length - 1].nextSibling : null;
+
+    const clef = this._createElement(xmlDoc, 'clef');
+    clef.setAttribute('number', '2');
+    clef.appendChild(this._createElement(xmlDoc, 'sign', 'TAB'));
+    clef.appendChild(this._createElement(xmlDoc, 'line', '5'));
+
+    const details = this._createElement(xmlDoc, 'staff-details');
+    details.setAttribute('number', '2');
+    details.appendChild(this._createElement(xmlDoc, 'staff-lines', String(tuning.length)));
+    tuning.forEach((note, index) => {
+      const pitch = midiToPitch(noteNameToMidi(note), note.includes('b'));
+      const staffTuning = this._createElement(xmlDoc, 'staff-tuning');
+      staffTuning.setAttribute('line', String(index + 1));
+      staffTuning.appendChild(this._createElement(xmlDoc, 'tuning-step', pitch.step));
+      if (pitch.alter) {
+        staffTuning.appendChild(this._createElement(xmlDoc, 'tuning-alter', String(pitch.alter)));
+      }
+      staffTuning.appendChild(this._createElement(xmlDoc, 'tuning-octave', String(pitch.octave)));
+      details.appendChild(staffTuning);
+    });
+    if (capo) {
+      details.appendChild(this._createElement(xmlDoc, 'capo', String(capo)));
+    }
+
+    attributes.insertBefore(clef, clefs.length > 0 ? afterClefs : anchor);
+    attributes.insertBefore(details, clef.nextSibling);
+  }
+
+  /**
+   * Read the MIDI note number of a pitched note element
+   *
+   * @param {Element} noteElement - Note element
+   * @returns {number|null} MIDI note number, or null for rests and unpitched notes
+   * @private
+   */
+  _readMidi(noteElement) {
+    const pitch = noteElement.querySelector('pitch');
+    if (!pitch) return null;
+
+    const step = pitch.querySelector('step')?.textContent.trim();
+    const octave = pitch.querySelector('octave')?.textContent.trim();
+    const alter = parseFloat(pitch.querySelector('alter')?.textContent) || 0;
+    const natural = noteNameToMidi(`${step}${octave}`);
+
+    return natural === null ? null : natural + Math.round(alter);
+  }
+
+  /**
+   * Remove an element together with the indentation before it
+   *
+   * @param {Element} element - Element to remove
+   * @private
+   */
+  _removeElement(element) {
+    const previous = element.previousSibling;
+    if (previous && previous.nodeType === 3 && !previous.textContent.trim()) {
+      previous.remove();
+    }
+    element.remove();
+  }
+
+  /**
+   * Create an element with optional text content
+   *
+   * @param {Document} xmlDoc - Owning document
+   * @param {string} name - Tag name
+   * @param {string} [text] - Text content
+   * @returns {Element} New element
+   * @private
+   */
+  _createElement(xmlDoc, name, text) {
+    const element = xmlDoc.createElement(name);
+    if (text !== undefined) {
+      element.textContent = text;
+    }
+    return element;
+  }
+}
+
+export { FingeringEngine };
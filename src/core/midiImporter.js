@@ -0,0 +1,499 @@
+/**
+ * @module midiImporter
+ * @description Standard MIDI File import as notation and tablature
+ *
+ * Reads format 0 and 1 Standard MIDI Files and writes an equivalent
+ * MusicXML score with a notation staff and an auto-fingered tab staff.
+ * ExerciseLoader parses that score, so MIDI exercises have exactly the
+ * ExerciseJSON shape of MusicXML ones and NotationRenderer can display the
+ * generated score as `osmdInput`.
+ *
+ * @see Architecture.md §3.1 (Exercise Loader Module)
+ * @see Architecture.md §4.1 (ExerciseJSON Structure)
+ */
+
+import { EventEmitter } from '../utils/eventEmitter.js';
+import { Logger } from '../utils/logger.js';
+import { STANDARD_TUNING, getInstrument } from '../utils/fretboard.js';
+import { writeTabScore } from '../utils/musicXmlWriter.js';
+import { FingeringEngine } from './fingeringEngine.js';
+
+const DRUM_CHANNEL = 9;
+
+/**
+ * MidiImporter - Convert Standard MIDI Files to exercise scores
+ *
+ * Responsibilities:
+ * - Parse MIDI header, tracks and channel/meta events
+ * - Summarize tracks so the caller can choose which ones to import
+ * - Quantize notes to a straight/triplet grid and split them into measures
+ * - Generate string/fret tablature for the selected notes
+ * - Write MusicXML with tempo, time signature and key changes
+ */
+class MidiImporter extends EventEmitter {
+  /**
+   * Create MIDI importer
+   *
+   * @param {Object} config - Importer configuration
+   * @param {Array<number>} config.grid - Subdivisions per quarter note that
+   *   note starts and ends snap to (default 16ths and eighth triplets)
+   * @param {Array<string>} config.tuning - Tab tuning, lowest string first
+   * @param {number} config.maxFret - Highest fret used for tablature
+   */
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      grid: [4, 3],
+      tuning: STANDARD_TUNING,
+      maxFret: 20,
+      ...config
+    };
+  }
+
+  /**
+   * Summarize the tracks of a MIDI file
+   *
+   * @param {ArrayBuffer|Uint8Array} data - Raw MIDI file contents
+   * @returns {Array<Object>} Tracks { index, name, channels, program,
+   *   noteCount, isDrums } in file order
+   * @throws {Error} If the data is not a Standard MIDI File
+   */
+  getTracks(data) {
+    const midi = this._parseFile(data);
+    return midi.tracks.map(track => this._summarizeTrack(track));
+  }
+
+  /**
+   * Convert a MIDI file to MusicXML with notation and tab staves
+   *
+   * @param {ArrayBuffer|Uint8Array} data - Raw MIDI file contents
+   * @param {Object} options - Conversion options
+   * @param {Array<number>} options.tracks - Track indices to import (default:
+   *   every track with notes outside the drum channel)
+   * @param {string} options.title - Score title (default: first track name)
+   * @param {Array<string>} options.tuning - Tab tuning, lowest string first
+   * @param {string} options.instrument - `INSTRUMENTS` key (e.g. 'bass') giving the
+   *   default tuning, fret range and part name
+   * @returns {string} MusicXML document
+   * @throws {Error} If the file is invalid or the selected tracks contain no notes
+   */
+  toMusicXML(data, options = {}) {
+    const midi = this._parseFile(data);
+    const instrument = options.instrument ? getInstrument(options.instrument) : null;
+    const tuning = options.tuning || instrument?.tuning || this.config.tuning;
+    const maxFret = Math.min(this.config.maxFret, instrument?.maxFret ?? Infinity);
+    const summaries = midi.tracks.map(track => this._summarizeTrack(track));
+
+    const selected = options.tracks ||
+      summaries.filter(track => track.noteCount > 0 && !track.isDrums).map(track => track.index);
+    const explicitTracks = !!options.tracks;
+
+    const notes = [];
+    selected.forEach(index => {
+      const track = midi.tracks[index];
+      if (!track) {
+        throw new Error(`MIDI file has no track ${index}`);
+      }
+      notes.push(...this._collectNotes(track, explicitTracks));
+    });
+
+    if (notes.length === 0) {
+      throw new Error('MIDI file contains no notes in the selected tracks');
+    }
+
+    const conductor = this._collectConductorEvents(midi.tracks);
+    const divisions = this._getDivisions();
+    const toDivisions = ticks => this._quantize(ticks / midi.division, divisions);
+
+    const chords = this._buildChords(notes, toDivisions, divisions);
+    const measures = this._layoutMeasures(conductor, toDivisions, divisions,
+      chords[chords.length - 1].end);
+    this._assignTabs(chords, tuning, maxFret);
+
+    const title = options.title ||
+      summaries.map(track => track.name).find(Boolean) || 'Imported MIDI';
+    const partName = selected.length === 1 && summaries[selected[0]]?.name || instrument?.name || 'Guitar';
+
+    Logger.log(Logger.INFO, 'MidiImporter', 'Converted MIDI file', {
+      tracks: selected,
+      notes: notes.length,
+      measures: measures.length
+    });
+
+    return writeTabScore({ title, partName, tuning, divisions, measures, chords });
+  }
+
+  /**
+   * Parse Standard MIDI File structure
+   *
+   * @param {ArrayBuffer|Uint8Array} data - Raw MIDI file contents
+   * @returns {Object} { format, division, tracks: [{ index, events }] } with
+   *   events { tick, type, ... } in absolute ticks
+   * @throws {Error} If the header is invalid or uses SMPTE timing
+   * @private
+   */
+  _parseFile(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const readChunkType = offset => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+    if (bytes.length < 14 || readChunkType(0) !== 'MThd') {
+      throw new Error('Invalid MIDI file: missing MThd header');
+    }
+
+    const headerLength = view.getUint32(4);
+    const format = view.getUint16(8);
+    const trackCount = view.getUint16(10);
+    const division = view.getUint16(12);
+
+    if (division & 0x8000) {
+      throw new Error('Unsupported MIDI file: SMPTE time division');
+    }
+
+    const tracks = [];
+    let offset = 8 + headerLength;
+    while (tracks.length < trackCount && offset + 8 <= bytes.length) {
+      const chunkLength = view.getUint32(offset + 4);
+      const chunkEnd = Math.min(bytes.length, offset + 8 + chunkLength);
+      if (readChunkType(offset) === 'MTrk') {
+        tracks.push({
+          index: tracks.length,
+          events: this._parseTrack(bytes, offset + 8, chunkEnd)
+        });
+      }
+      offset = offset + 8 + chunkLength;
+    }
+
+    return { format, division, tracks };
+  }
+
+  /**
+   * Parse the events of one track chunk
+   *
+   * @param {Uint8Array} bytes - File contents
+   * @param {number} start - Offset of the first event
+   * @param {number} end - Offset after the last byte of the chunk
+   * @returns {Array<Object>} Events with absolute `tick`
+   * @private
+   */
+  _parseTrack(bytes, start, end) {
+    const events = [];
+    let offset = start;
+    let tick = 0;
+    let runningStatus = null;
+
+    const readVariableLength = () => {
+      let value = 0;
+      let byte;
+      do {
+        byte = bytes[offset++];
+        value = (value << 7) | (byte & 0x7f);
+      } while (byte & 0x80 && offset < end);
+      return value;
+    };
+
+    while (offset < end) {
+      tick += readVariableLength();
+
+      let status = bytes[offset];
+      if (status & 0x80) {
+        offset++;
+      } else if (runningStatus !== null) {
+        status = runningStatus;
+      } else {
+        throw new Error('Invalid MIDI file: data byte without status');
+      }
+
+      if (status === 0xff) {
+        const metaType = bytes[offset++];
+        const length = readVariableLength();
+        const payload = bytes.subarray(offset, offset + length);
+        offset += length;
+        const event = this._parseMetaEvent(metaType, payload);
+        if (event) events.push({ tick, ...event });
+        if (metaType === 0x2f) break;
+        continue;
+      }
+
+      if (status === 0xf0 || status === 0xf7) {
+        offset += readVariableLength();
+        continue;
+      }
+
+      runningStatus = status;
+      const type = status & 0xf0;
+      const channel = status & 0x0f;
+      const data1 = bytes[offset++];
+      const data2 = type === 0xc0 || type === 0xd0 ? 0 : bytes[offset++];
+
+      if (type === 0x90 && data2 > 0) {
+        events.push({ tick, type: 'noteOn', channel, midi: data1, velocity: data2 });
+      } else if (type === 0x80 || type === 0x90) {
+        events.push({ tick, type: 'noteOff', channel, midi: data1 });
+      } else if (type === 0xc0) {
+        events.push({ tick, type: 'program', channel, program: data1 });
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Decode the meta events used for import
+   *
+   * @param {number} metaType - Meta event type byte
+   * @param {Uint8Array} payload - Event data
+   * @returns {Object|null} Decoded event, or null for ignored meta events
+   * @private
+   */
+  _parseMetaEvent(metaType, payload) {
+    switch (metaType) {
+      case 0x03:
+        // Some sequencers write NUL-terminated names
+        return { type: 'trackName', text: new TextDecoder().decode(payload).replace(/[\u0000-\u001f]/g, '').trim() };
+      case 0x51: {
+        const microseconds = (payload[0] << 16) | (payload[1] << 8) | payload[2];
+        return { type: 'tempo', bpm: Math.round(60000000 / microseconds * 100) / 100 };
+      }
+      case 0x58:
+        return { type: 'timeSignature', beats: payload[0], beatType: 2 ** payload[1] };
+      case 0x59:
+        return { type: 'keySignature', fifths: (payload[0] << 24) >> 24, mode: payload[1] ? 'minor' : 'major' };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Summarize a parsed track
+   *
+   * @param {Object} track - Parsed track
+   * @returns {Object} { index, name, channels, program, noteCount, isDrums }
+   * @private
+   */
+  _summarizeTrack(track) {
+    const noteOns = track.events.filter(event => event.type === 'noteOn');
+    const channels = [...new Set(noteOns.map(event => event.channel))].sort((a, b) => a - b);
+    const nameEvent = track.events.find(event => event.type === 'trackName');
+    const programEvent = track.events.find(event => event.type === 'program');
+
+    return {
+      index: track.index,
+      name: nameEvent ? nameEvent.text : '',
+      channels,
+      program: programEvent ? programEvent.program : null,
+      noteCount: noteOns.length,
+      isDrums: channels.length > 0 && channels.every(channel => channel === DRUM_CHANNEL)
+    };
+  }
+
+  /**
+   * Pair note-on and note-off events into notes
+   *
+   * @param {Object} track - Parsed track
+   * @param {boolean} includeDrums - Keep notes on the drum channel
+   * @returns {Array<Object>} Notes { start, end, midi } in ticks
+   * @private
+   */
+  _collectNotes(track, includeDrums) {
+    const notes = [];
+    const sounding = new Map();
+
+    track.events.forEach(event => {
+      if (event.type !== 'noteOn' && event.type !== 'noteOff') return;
+      if (event.channel === DRUM_CHANNEL && !includeDrums) return;
+
+      const key = `${event.channel}|${event.midi}`;
+      if (event.type === 'noteOn') {
+        if (!sounding.has(key)) sounding.set(key, []);
+        sounding.get(key).push(event.tick);
+        return;
+      }
+
+      const starts = sounding.get(key);
+      if (starts && starts.length > 0) {
+        notes.push({ start: starts.shift(), end: event.tick, midi: event.midi });
+      }
+    });
+
+    // Notes never switched off last until the end of the track
+    const trackEnd = track.events.length > 0 ? track.events[track.events.length - 1].tick : 0;
+    sounding.forEach((starts, key) => {
+      const midi = parseInt(key.split('|')[1], 10);
+      starts.forEach(start => notes.push({ start, end: Math.max(trackEnd, start + 1), midi }));
+    });
+
+    return notes;
+  }
+
+  /**
+   * Gather tempo, time signature and key events from all tracks
+   *
+   * @param {Array<Object>} tracks - Parsed tracks
+   * @returns {Array<Object>} Conductor events sorted by tick
+   * @private
+   */
+  _collectConductorEvents(tracks) {
+    return tracks
+      .flatMap(track => track.events)
+      .filter(event => ['tempo', 'timeSignature', 'keySignature'].includes(event.type))
+      .sort((a, b) => a.tick - b.tick);
+  }
+
+  /**
+   * Get the MusicXML divisions per quarter note for the grid
+   *
+   * Twice the least common multiple of the grid subdivisions, so the
+   * difference between a straight and a triplet position stays writable.
+   *
+   * @returns {number} Divisions per quarter note
+   * @private
+   */
+  _getDivisions() {
+    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+    return 2 * this.config.grid.reduce((lcm, value) => lcm * value / gcd(lcm, value), 1);
+  }
+
+  /**
+   * Snap a position to the nearest grid point
+   *
+   * @param {number} quarters - Position in quarter notes
+   * @param {number} divisions - Divisions per quarter note
+   * @returns {number} Position in divisions
+   * @private
+   */
+  _quantize(quarters, divisions) {
+    let best = 0;
+    let bestError = Infinity;
+    this.config.grid.forEach(subdivision => {
+      const snapped = Math.round(quarters * subdivision) / subdivision;
+      const error = Math.abs(snapped - quarters);
+      if (error < bestError - 1e-9) {
+        best = snapped;
+        bestError = error;
+      }
+    });
+    return Math.round(best * divisions);
+  }
+
+  /**
+   * Group quantized notes into a single stream of chords
+   *
+   * Notes starting together form one chord. Each chord lasts as long as its
+   * longest note but is cut off by the next chord, so the stream can be
+   * written as one voice.
+   *
+   * @param {Array<Object>} notes - Notes { start, end, midi } in ticks
+   * @param {Function} toDivisions - Tick to quantized divisions converter
+   * @param {number} divisions - Divisions per quarter note
+   * @returns {Array<Object>} Chords { start, end, midis } in divisions
+   * @private
+   */
+  _buildChords(notes, toDivisions, divisions) {
+    const byStart = new Map();
+    notes.forEach(note => {
+      const start = toDivisions(note.start);
+      const end = toDivisions(note.end);
+      const chord = byStart.get(start) || { start, end: start, midis: [] };
+      chord.end = Math.max(chord.end, end);
+      if (!chord.midis.includes(note.midi)) chord.midis.push(note.midi);
+      byStart.set(start, chord);
+    });
+
+    const minimumLength = divisions / Math.max(...this.config.grid);
+    const chords = [...byStart.values()].sort((a, b) => a.start - b.start);
+    chords.forEach((chord, index) => {
+      const next = chords[index + 1];
+      chord.midis.sort((a, b) => a - b);
+      chord.end = Math.max(chord.end, chord.start + minimumLength);
+      if (next) chord.end = Math.min(chord.end, next.start);
+    });
+
+    return chords;
+  }
+
+  /**
+   * Lay out measures from time signature and conductor events
+   *
+   * A time signature change that does not fall on a barline takes effect at
+   * the next barline. A short opening bar in a meter of its own becomes a
+   * pickup (anacrusis) to the following meter.
+   *
+   * @param {Array<Object>} conductor - Conductor events in ticks
+   * @param {Function} toDivisions - Tick to quantized divisions converter
+   * @param {number} divisions - Divisions per quarter note
+   * @param {number} end - End of the last note in divisions
+   * @returns {Array<Object>} Measures { number, start, length, timeSignature,
+   *   key, tempos: [{ offset, bpm }], isPickup } in divisions
+   * @private
+   */
+  _layoutMeasures(conductor, toDivisions, divisions, end) {
+    const events = conductor.map(event => ({ ...event, position: toDivisions(event.tick) }));
+    const measures = [];
+    let timeSignature = { beats: 4, beatType: 4 };
+    let key = { fifths: 0, mode: 'major' };
+    let start = 0;
+
+    while (start < end || measures.length === 0) {
+      events
+        .filter(event => event.position <= start && event.type !== 'tempo')
+        .forEach(event => {
+          if (event.type === 'timeSignature') {
+            timeSignature = { beats: event.beats, beatType: event.beatType };
+          } else {
+            key = { fifths: event.fifths, mode: event.mode };
+          }
+        });
+
+      const length = Math.round(timeSignature.beats * 4 / timeSignature.beatType * divisions);
+      const tempos = events
+        .filter(event => event.type === 'tempo' &&
+          event.position >= start && event.position < start + length)
+        .map(event => ({ offset: event.position - start, bpm: event.bpm }));
+
+      measures.push({
+        number: measures.length + 1,
+        start,
+        length,
+        timeSignature: { ...timeSignature },
+        key: { ...key },
+        tempos
+      });
+      start += length;
+    }
+
+    // A short opening bar in its own meter is a pickup to the following meter
+    const [first, second] = measures;
+    if (second && first.length < second.length &&
+        (first.timeSignature.beats !== second.timeSignature.beats ||
+         first.timeSignature.beatType !== second.timeSignature.beatType)) {
+      first.timeSignature = { ...second.timeSignature };
+      first.isPickup = true;
+      measures.forEach(measure => { measure.number--; });
+    }
+
+    return measures;
+  }
+
+  /**
+   * Generate string/fret positions for every chord
+   *
+   * Sets `notes` ({ midi, tab }) on each chord for the MusicXML writer.
+   *
+   * @param {Array<Object>} chords - Chords from `_buildChords`
+   * @param {Array<string>} tuning - Tab tuning, lowest string first
+   * @param {number} maxFret - Highest fret to use
+   * @private
+   */
+  _assignTabs(chords, tuning, maxFret) {
+    const engine = new FingeringEngine({ maxFret });
+    const tabs = engine.assignChords(chords.map(chord => chord.midis), tuning);
+
+    chords.forEach((chord, chordIndex) => {
+      chord.notes = chord.midis.map((midi, index) => ({ midi, tab: tabs[chordIndex][index] }));
+    });
+  }
+}
+
+export { MidiImporter };
@@ -3,8 +3,9 @@
  * @description OSMD-based notation rendering and visual feedback
  * 
  * Uses a single OpenSheetMusicDisplay instance to render both standard
- * notation and tablature staves simultaneously. Provides DOM element mapping
- * and visual feedback capabilities.
+ * notation and tablature staves simultaneously, or only one of them in the
+ * notation-only and tab-only view modes. Provides DOM element mapping and
+ * visual feedback capabilities.
  * 
  * @see Architecture.md §3.2 (Notation Renderer Module)
  * @see Architecture.md §4.1 (ExerciseJSON Structure)
@@ -12,6 +13,16 @@
 
 import { EventEmitter } from '../utils/eventEmitter.js';
 import { Logger } from '../utils/logger.js';
+import { NOTATION_VIEW_MODES, ANALYSIS_OUTCOMES } from '../utils/constants.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// CSS classes painted by the analysis overlay
+const OUTCOME_CLASSES = Object.values(ANALYSIS_OUTCOMES).map(outcome => `analysis-${outcome}`);
+
+// Ghost markers for extra notes sit this far (SVG units) above the nearest drawn note
+const GHOST_OFFSET = 8;
+const GHOST_RADIUS = 4;
 
 /**
  * NotationRenderer - Render MusicXML with OSMD and provide visual feedback
@@ -20,13 +31,17 @@ import { Logger } from '../utils/logger.js';
  * - Render MusicXML using single OSMD instance
  * - Map note IDs to DOM elements for visual highlighting
  * - Scroll notation to keep current note visible
+ * - Map clicks on the score back to timeline notes
+ * - Paint analysis outcomes onto the score
  * - Provide clear/reset functionality
  */
 class NotationRenderer extends EventEmitter {
   /**
    * Initialize NotationRenderer
    * 
-   * @param {Object} config - Configuration options
+   * @param {Object} config - Configuration options (passed on to OSMD)
+   * @param {string} config.viewMode - Staves to draw, one of
+   *   `NOTATION_VIEW_MODES` ('notation', 'tab' or 'both')
    */
   constructor(config = {}) {
     super();
@@ -40,6 +55,7 @@ class NotationRenderer extends EventEmitter {
       autoResize: true,
       renderSingleHorizontalStaffline: false,
       followCursor: false,  // Manual cursor control
+      viewMode: NOTATION_VIEW_MODES.BOTH,
       ...config
     };
     
@@ -60,6 +76,14 @@ class NotationRenderer extends EventEmitter {
     this.cursorTimeline = null;
     this.cursorIndex = 0;
     this.lastRenderedNoteIndex = -1;  // Track which timeline note we last rendered
+    this.writtenIndexMap = [];  // Timeline index -> position in written (unrolled-repeat-free) order
+    this.visibleStaves = null;  // Staff numbers drawn by the view mode (null = all)
+    this.clickHandler = null;
+
+    // Analysis overlay: { notes, extras } while shown, and what it painted
+    this.analysisOverlay = null;
+    this.overlayElements = new Set();
+    this.overlayMarkers = [];
 
     // Performance monitoring
     this.renderStartTime = null;
@@ -75,7 +99,13 @@ class NotationRenderer extends EventEmitter {
       throw new Error('Container element is required');
     }
     
+    if (this.containerElement && this.clickHandler) {
+      this.containerElement.removeEventListener('click', this.clickHandler);
+    }
+    
     this.containerElement = containerElement;
+    this.clickHandler = event => this._handleClick(event);
+    containerElement.addEventListener('click', this.clickHandler);
     
     // Create OSMD instance
     this.osmd = new opensheetmusicdisplay.OpenSheetMusicDisplay(containerElement, this.config);
@@ -102,6 +132,12 @@ class NotationRenderer extends EventEmitter {
     }
     
     this.renderStartTime = Date.now();
+    
+    // Analysis results belong to one exercise; redraws of it keep them
+    const overlay = exercise === this.currentExercise ? this.analysisOverlay : null;
+    this.clearAnalysisOverlay();
+    this.analysisOverlay = overlay;
+    
     this.currentExercise = exercise;
     this.isRendering = true;
     
@@ -111,8 +147,12 @@ class NotationRenderer extends EventEmitter {
         exerciseId: exercise.id 
       });
       
+      // Drop the staves hidden by the view mode before OSMD lays out the score
+      const { xml, staves } = this._filterStaves(exercise.osmdInput, this.config.viewMode);
+      this.visibleStaves = staves;
+      
       // Load and render MusicXML
-      await this.osmd.load(exercise.osmdInput);
+      await this.osmd.load(xml);
       await this.osmd.render();
       
       this.emit('render:progress', { 
@@ -123,6 +163,10 @@ class NotationRenderer extends EventEmitter {
       // Build DOM element mapping
       await this._buildElementMap(exercise);
       
+      if (this.analysisOverlay) {
+        this._paintAnalysisOverlay();
+      }
+      
       this.emit('render:progress', { 
         percent: 90, 
         stage: 'Finalizing' 
@@ -185,10 +229,11 @@ class NotationRenderer extends EventEmitter {
     await new Promise(resolve => setTimeout(resolve, 100));
     
     try {
-      // Store timeline for cursor control
-      this.cursorTimeline = exercise.timeline;
+      // Store timeline for cursor control (only the notes that are drawn)
+      this.cursorTimeline = this._getVisibleTimeline(exercise.timeline);
       this.cursorIndex = 0;
       this.lastRenderedNoteIndex = -1;  // ✅ ADD: Reset cursor state
+      this.writtenIndexMap = this._buildWrittenIndexMap(this.cursorTimeline);
 
       // Initialize OSMD cursor
       if (!this.osmd.cursor) {
@@ -204,6 +249,9 @@ class NotationRenderer extends EventEmitter {
       // Store cursor reference for highlighting
       this.cursorEnabled = true;
       
+      // The cursor highlights without it, but clicks and the analysis overlay need the element map
+      this._mapGraphicalNotes();
+      
       Logger.log(Logger.INFO, 'NotationRenderer', 'Using OSMD cursor for highlighting', {
         timelineLength: exercise.timeline.length
       });
@@ -244,8 +292,8 @@ class NotationRenderer extends EventEmitter {
       count: noteElements.length
     });
     
-    // Map elements to timeline notes sequentially
-    const timeline = exercise.timeline;
+    // Map elements to drawn timeline notes sequentially
+    const timeline = this._getVisibleTimeline(exercise.timeline);
     const maxElements = Math.min(noteElements.length, timeline.length);
     
     for (let i = 0; i < maxElements; i++) {
@@ -264,6 +312,95 @@ class NotationRenderer extends EventEmitter {
     });
   }
 
+  /**
+   * Map the notes OSMD has drawn to drawn timeline notes
+   * 
+   * Graphical notes are grouped by measure, staff and position in the
+   * measure, and matched to the first performed pass of that measure;
+   * chord members pair up from the lowest pitch. Tied continuations and
+   * grace notes stay unmapped.
+   * 
+   * @private
+   */
+  _mapGraphicalNotes() {
+    const measureList = this.osmd?.GraphicSheet?.MeasureList;
+    if (!Array.isArray(measureList) || !Array.isArray(this.cursorTimeline)) {
+      return;
+    }
+    
+    try {
+      const groups = new Map();
+      measureList.flat().forEach(graphicalMeasure => {
+        (graphicalMeasure?.staffEntries || []).forEach(staffEntry => {
+          (staffEntry.graphicalVoiceEntries || []).forEach(voiceEntry => {
+            (voiceEntry.notes || []).forEach(graphicalNote => {
+              const sourceNote = graphicalNote.sourceNote;
+              const element = graphicalNote.getSVGGElement?.();
+              if (!sourceNote || !element || sourceNote.IsGraceNote || !sourceNote.SourceMeasure) return;
+              
+              const position = this._toScorePosition(sourceNote.SourceMeasure, sourceNote.ParentStaffEntry);
+              const key = `${position.measure}|${position.staffIndex}|${position.quarters}`;
+              if (!groups.has(key)) {
+                groups.set(key, { position, drawn: [] });
+              }
+              const isRest = typeof sourceNote.isRest === 'function' && sourceNote.isRest();
+              groups.get(key).drawn.push({ element, pitch: isRest ? -1 : sourceNote.halfTone ?? 0 });
+            });
+          });
+        });
+      });
+      
+      groups.forEach(({ position, drawn }) => {
+        const notes = this._findNotesAtScorePosition(position);
+        drawn.sort((a, b) => a.pitch - b.pitch);
+        notes.forEach((note, index) => {
+          const { element } = drawn[Math.min(index, drawn.length - 1)];
+          element.setAttribute('data-note-id', note.id);
+          this.noteElementMap.set(note.id, element);
+        });
+      });
+      
+      Logger.log(Logger.INFO, 'NotationRenderer', 'Mapped drawn notes', {
+        mappedNotes: this.noteElementMap.size
+      });
+    } catch (error) {
+      Logger.log(Logger.WARN, 'NotationRenderer', 'Could not map drawn notes', {
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Find the notes starting exactly at a written position
+   * 
+   * @param {Object} position - { measure, quarters, staffIndex }
+   * @returns {Array<Object>} First-pass notes on that staff, lowest pitch
+   *   first (rests before notes); empty when a tie continues there
+   * @private
+   */
+  _findNotesAtScorePosition(position) {
+    const nearest = this._findNoteAtScorePosition(position);
+    const staff = this.visibleStaves ? this.visibleStaves[position.staffIndex] : position.staffIndex + 1;
+    if (!nearest || (nearest.staff ?? 1) !== staff) {
+      return [];
+    }
+    
+    // Nearest is only exact if it lies within a 32nd note of the position
+    const measureInfo = this.currentExercise?.measures?.find(entry =>
+      entry.number === nearest.measure && (entry.pass ?? 1) === (nearest.pass ?? 1));
+    if (measureInfo && measureInfo.length > 0) {
+      const target = measureInfo.timestamp + measureInfo.duration * position.quarters / measureInfo.length;
+      if (Math.abs(nearest.timestamp - target) > measureInfo.duration / measureInfo.length / 8) {
+        return [];
+      }
+    }
+    
+    return this.cursorTimeline
+      .filter(note => note.measure === nearest.measure && (note.pass ?? 1) === (nearest.pass ?? 1) &&
+        (note.staff ?? 1) === staff && !note.grace && Math.abs(note.timestamp - nearest.timestamp) < 1)
+      .sort((a, b) => (a.isRest ? -1 : a.midi ?? 0) - (b.isRest ? -1 : b.midi ?? 0));
+  }
+
   /**
    * Find SVG element for a specific note
    * 
@@ -400,9 +537,9 @@ class NotationRenderer extends EventEmitter {
         return;
       }
       
-      // Skip cursor movement for rests - keep cursor on last note
+      // Skip cursor movement for rests and grace notes - keep cursor on last note
       const note = this.cursorTimeline[noteIndex];
-      if (note && note.isRest) {
+      if (note && (note.isRest || note.grace)) {
         Logger.log(Logger.DEBUG, 'NotationRenderer', 'Skipping cursor for rest', { noteId });
         return;
       }
@@ -426,6 +563,11 @@ class NotationRenderer extends EventEmitter {
   /**
    * Find note in timeline by ID
    * 
+   * A note on a staff hidden by the view mode resolves to its copy on the
+   * drawn staff: the note played at the same time with the same pitch, or
+   * failing that the same string and fret, so each chord member finds its
+   * own notehead.
+   * 
    * @param {string} noteId - Note identifier to find
    * @returns {number} Index of note in timeline, or -1 if not found
    * @private
@@ -436,7 +578,309 @@ class NotationRenderer extends EventEmitter {
       return -1;
     }
     
-    return this.cursorTimeline.findIndex(note => note.id === noteId);
+    const index = this.cursorTimeline.findIndex(note => note.id === noteId);
+    if (index !== -1 || !this.visibleStaves) {
+      return index;
+    }
+    
+    const hidden = this.currentExercise?.timeline?.find(note => note.id === noteId);
+    if (!hidden) {
+      return -1;
+    }
+    const candidates = this.cursorTimeline
+      .map((note, index) => ({ note, index }))
+      .filter(({ note }) => !note.isRest && !note.grace && Math.abs(note.timestamp - hidden.timestamp) < 1);
+    const copy = candidates.find(({ note }) => hidden.midi != null && note.midi === hidden.midi) ||
+      candidates.find(({ note }) => hidden.tab && note.tab &&
+        note.tab.string === hidden.tab.string && note.tab.fret === hidden.tab.fret) ||
+      candidates[0];
+    return copy ? copy.index : -1;
+  }
+
+  /**
+   * Report a click or tap on the score as a `note:click` event
+   * { noteId, timestamp, measure, shiftKey }
+   * 
+   * @param {MouseEvent} event - Click event from the container
+   * @private
+   */
+  _handleClick(event) {
+    const note = this._findClickedNote(event);
+    if (!note) {
+      return;
+    }
+    
+    Logger.log(Logger.DEBUG, 'NotationRenderer', 'Note clicked', { noteId: note.id });
+    
+    this.emit('note:click', {
+      noteId: note.id,
+      timestamp: note.timestamp,
+      measure: note.measure ?? null,
+      shiftKey: !!event.shiftKey
+    });
+  }
+
+  /**
+   * Map a clicked element or score position to its timeline note
+   * 
+   * Elements in the element map resolve directly. Anywhere else, OSMD's
+   * graphic sheet gives the nearest note or staff entry, which is matched
+   * by measure and position; clicking empty space in a measure lands on
+   * the note closest to the click.
+   * 
+   * @param {MouseEvent} event - Click event from the container
+   * @returns {Object|null} Drawn timeline note, or null when nothing was hit
+   * @private
+   */
+  _findClickedNote(event) {
+    if (!Array.isArray(this.cursorTimeline)) {
+      return null;
+    }
+    
+    for (const [noteId, element] of this.noteElementMap) {
+      if (element === event.target || element.contains?.(event.target)) {
+        const index = this._findNoteInTimeline(noteId);
+        return index === -1 ? null : this.cursorTimeline[index];
+      }
+    }
+    
+    const position = this._getClickedScorePosition(event);
+    return position ? this._findNoteAtScorePosition(position) : null;
+  }
+
+  /**
+   * Locate a click in the score using OSMD's graphic sheet
+   * 
+   * @param {MouseEvent} event - Click event from the container
+   * @returns {Object|null} { measure, quarters, staffIndex } with the offset
+   *   into the measure in quarter notes and the 0-based drawn staff, or null
+   * @private
+   */
+  _getClickedScorePosition(event) {
+    const sheet = this.osmd?.GraphicSheet;
+    if (!sheet || typeof sheet.domToSvg !== 'function' || typeof sheet.svgToOsmd !== 'function') {
+      return null;
+    }
+    
+    try {
+      const PointF2D = opensheetmusicdisplay.PointF2D;
+      const toPoint = (x, y) => (PointF2D ? new PointF2D(x, y) : { x, y });
+      const clickPosition = sheet.svgToOsmd(sheet.domToSvg(toPoint(event.clientX, event.clientY)));
+      
+      // Within two staff spaces counts as clicking the note itself
+      const sourceNote = sheet.GetNearestNote?.(clickPosition, toPoint(2, 2))?.sourceNote;
+      const staffEntry = sourceNote?.ParentStaffEntry || sheet.GetNearestStaffEntry?.(clickPosition)?.sourceStaffEntry;
+      const measure = sourceNote?.SourceMeasure || staffEntry?.VerticalContainerParent?.ParentMeasure;
+      return measure ? this._toScorePosition(measure, staffEntry) : null;
+    } catch (error) {
+      Logger.log(Logger.WARN, 'NotationRenderer', 'Could not locate click in score', {
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Describe where an OSMD staff entry sits in the written score
+   * 
+   * @param {Object} measure - OSMD source measure
+   * @param {Object} staffEntry - OSMD source staff entry (may be missing)
+   * @returns {Object} { measure, quarters, staffIndex }
+   * @private
+   */
+  _toScorePosition(measure, staffEntry) {
+    return {
+      measure: measure.MeasureNumber,
+      quarters: (staffEntry?.Timestamp?.RealValue || 0) * 4,
+      staffIndex: staffEntry?.ParentStaff?.idInMusicSheet ?? 0
+    };
+  }
+
+  /**
+   * Find the drawn note nearest a position in the written score
+   * 
+   * Repeated measures resolve to their first pass. Notes on the clicked
+   * staff are preferred; grace notes are skipped.
+   * 
+   * @param {Object} position - { measure, quarters, staffIndex } from `_getClickedScorePosition`
+   * @returns {Object|null} Timeline note, or null if the measure has no notes
+   * @private
+   */
+  _findNoteAtScorePosition({ measure, quarters, staffIndex }) {
+    const inMeasure = this.cursorTimeline.filter(note => note.measure === measure && !note.grace);
+    if (inMeasure.length === 0) {
+      return null;
+    }
+    
+    const pass = Math.min(...inMeasure.map(note => note.pass ?? 1));
+    let candidates = inMeasure.filter(note => (note.pass ?? 1) === pass);
+    
+    const staff = this.visibleStaves ? this.visibleStaves[staffIndex] : staffIndex + 1;
+    const onStaff = candidates.filter(note => (note.staff ?? 1) === staff);
+    if (onStaff.length > 0) {
+      candidates = onStaff;
+    }
+    
+    // Convert the written offset to time with the measure's performed length
+    const measureInfo = this.currentExercise?.measures?.find(entry =>
+      entry.number === measure && (entry.pass ?? 1) === pass);
+    const start = measureInfo ? measureInfo.timestamp : Math.min(...candidates.map(note => note.timestamp));
+    const target = measureInfo && measureInfo.length > 0
+      ? start + measureInfo.duration * quarters / measureInfo.length
+      : start;
+    
+    return candidates.reduce((best, note) =>
+      Math.abs(note.timestamp - target) < Math.abs(best.timestamp - target) ? note : best);
+  }
+
+  /**
+   * Set which staves are drawn and re-render the current exercise
+   * 
+   * @param {string} viewMode - One of `NOTATION_VIEW_MODES`
+   * @returns {Promise<void>} Resolves once the exercise is drawn again
+   * @throws {Error} If the view mode is unknown
+   */
+  async setViewMode(viewMode) {
+    if (!Object.values(NOTATION_VIEW_MODES).includes(viewMode)) {
+      throw new Error(`Unknown view mode: ${viewMode}`);
+    }
+    
+    this.config.viewMode = viewMode;
+    
+    if (this.osmd && this.currentExercise) {
+      await this.render(this.currentExercise);
+    }
+  }
+
+  /**
+   * Remove the staves a view mode hides from a MusicXML score
+   * 
+   * Only parts with both standard notation and TAB staves are changed. The
+   * kept staves are numbered from 1 again, hidden notes become `<forward>`
+   * so the voices that follow stay in time, and directions written for a
+   * hidden staff (tempo, dynamics) move to the first kept one.
+   * 
+   * @param {string} xmlContent - MusicXML score
+   * @param {string} viewMode - One of `NOTATION_VIEW_MODES`
+   * @returns {Object} { xml, staves } with staves the original numbers of
+   *   the drawn staves, or null when nothing was hidden
+   * @private
+   */
+  _filterStaves(xmlContent, viewMode) {
+    const unchanged = { xml: xmlContent, staves: null };
+    if (viewMode === NOTATION_VIEW_MODES.BOTH) {
+      return unchanged;
+    }
+    
+    const xmlDoc = new DOMParser().parseFromString(xmlContent, 'application/xml');
+    if (xmlDoc.querySelector('parsererror')) {
+      return unchanged;
+    }
+    
+    let staves = null;
+    
+    xmlDoc.querySelectorAll('part').forEach(part => {
+      const count = parseInt(part.querySelector('attributes > staves')?.textContent, 10) || 1;
+      const tabStaves = Array.from(part.querySelectorAll('attributes > clef'))
+        .filter(clef => clef.querySelector('sign')?.textContent.trim() === 'TAB')
+        .map(clef => parseInt(clef.getAttribute('number'), 10) || 1);
+      
+      const kept = [];
+      for (let staff = 1; staff <= count; staff++) {
+        if (tabStaves.includes(staff) === (viewMode === NOTATION_VIEW_MODES.TAB)) {
+          kept.push(staff);
+        }
+      }
+      if (kept.length === 0 || kept.length === count) {
+        return;
+      }
+      
+      this._keepStaves(part, kept);
+      staves = staves || kept;
+    });
+    
+    if (!staves) {
+      Logger.log(Logger.DEBUG, 'NotationRenderer', 'View mode needs notation and tab staves, drawing all', {
+        viewMode
+      });
+      return unchanged;
+    }
+    
+    return { xml: new XMLSerializer().serializeToString(xmlDoc), staves };
+  }
+
+  /**
+   * Keep only some staves of a part, numbering them from 1
+   * 
+   * @param {Element} part - Part element (modified)
+   * @param {Array<number>} kept - Staff numbers to keep, ascending
+   * @private
+   */
+  _keepStaves(part, kept) {
+    const numbers = new Map(kept.map((staff, index) => [staff, index + 1]));
+    const staffOf = element => parseInt(element.querySelector(':scope > staff')?.textContent, 10) || 1;
+    const renumber = element => {
+      const staffElement = element.querySelector(':scope > staff');
+      if (staffElement) {
+        staffElement.textContent = String(numbers.get(staffOf(element)) ?? 1);
+      }
+    };
+    
+    part.querySelectorAll('measure').forEach(measure => {
+      Array.from(measure.children).forEach(element => {
+        if (element.tagName === 'note') {
+          if (numbers.has(staffOf(element))) {
+            renumber(element);
+            return;
+          }
+          
+          // Hidden notes still take up time in their measure
+          const duration = element.querySelector(':scope > duration');
+          if (duration && !element.querySelector(':scope > chord, :scope > grace')) {
+            const forward = measure.ownerDocument.createElement('forward');
+            forward.appendChild(duration.cloneNode(true));
+            measure.replaceChild(forward, element);
+          } else {
+            element.remove();
+          }
+        } else if (['direction', 'harmony', 'forward'].includes(element.tagName)) {
+          renumber(element);
+        } else if (element.tagName === 'attributes' || element.tagName === 'print') {
+          element.querySelectorAll('clef, staff-details, key, time, transpose, measure-style, staff-layout')
+            .forEach(child => {
+              if (!child.hasAttribute('number')) return;
+              const staff = parseInt(child.getAttribute('number'), 10);
+              if (numbers.has(staff)) {
+                child.setAttribute('number', String(numbers.get(staff)));
+              } else {
+                child.remove();
+              }
+            });
+          
+          const stavesElement = element.querySelector(':scope > staves');
+          if (stavesElement) {
+            stavesElement.textContent = String(kept.length);
+          }
+          if (kept.length === 1) {
+            element.querySelector(':scope > part-symbol')?.remove();
+          }
+        }
+      });
+    });
+  }
+
+  /**
+   * Timeline notes on the staves the view mode draws
+   * 
+   * @param {Array} timeline - Exercise timeline
+   * @returns {Array} Notes of the visible staves (the timeline itself when all are drawn)
+   * @private
+   */
+  _getVisibleTimeline(timeline) {
+    if (!this.visibleStaves || !Array.isArray(timeline)) {
+      return timeline;
+    }
+    return timeline.filter(note => this.visibleStaves.includes(note.staff ?? 1));
   }
 
 
@@ -451,21 +895,26 @@ class NotationRenderer extends EventEmitter {
   _advanceCursorToNote(noteIndex) {
     try {
       const targetNote = this.cursorTimeline[noteIndex];
-      if (!targetNote || targetNote.isRest) {
-        // Skip rests - don't move cursor for rest notes
+      if (!targetNote || targetNote.isRest || targetNote.grace) {
+        // Skip rests and grace notes - don't move cursor for them
         return;
       }
 
       // Determine if this is a dual-staff file (timeline length suggests 2:1 ratio)
       const isDualStaff = this._isDualStaffFile();
 
-      // Convert timeline indices to visual note positions
+      // Repeated measures are performed again but drawn once, so work with
+      // each note's position in the written score rather than the timeline
+      const currentWrittenIndex = this._toWrittenIndex(this.lastRenderedNoteIndex);
+      const targetWrittenIndex = this._toWrittenIndex(noteIndex);
+
+      // Convert written indices to visual note positions
       // For dual-staff: each musical note appears twice, so use floor division
-      // For single-staff: timeline index equals visual position
-      const currentVisualPosition = isDualStaff ?
-        Math.floor(this.lastRenderedNoteIndex / 2) : this.lastRenderedNoteIndex;
+      // For single-staff: written index equals visual position
+      let currentVisualPosition = isDualStaff ?
+        Math.floor(currentWrittenIndex / 2) : currentWrittenIndex;
       const targetVisualPosition = isDualStaff ?
-        Math.floor(noteIndex / 2) : noteIndex;
+        Math.floor(targetWrittenIndex / 2) : targetWrittenIndex;
 
       Logger.log(Logger.DEBUG, 'NotationRenderer', 'Cursor advancement calculation', {
         noteId: targetNote.id,
@@ -484,7 +933,7 @@ class NotationRenderer extends EventEmitter {
         }))
       });
 
-      // Check if we need to move backward (e.g., after seeking)
+      // Check if we need to move backward (e.g., after seeking or a repeat)
       if (targetVisualPosition < currentVisualPosition) {
         Logger.log(Logger.DEBUG, 'NotationRenderer', 'Resetting cursor for backward seek', {
           from: this.lastRenderedNoteIndex,
@@ -495,6 +944,7 @@ class NotationRenderer extends EventEmitter {
         });
         this.osmd.cursor.reset();
         this.lastRenderedNoteIndex = -1;
+        currentVisualPosition = 0;
       }
 
       // Calculate how many visual steps to advance
@@ -548,6 +998,98 @@ class NotationRenderer extends EventEmitter {
     }
   }
 
+  /**
+   * Map each timeline index to its position in the written score
+   *
+   * Expanded repeats and D.C./D.S. jumps make the timeline revisit measures
+   * that are drawn only once, so notes from later passes share the written
+   * position of their first occurrence. Timelines without repeat data map
+   * onto themselves.
+   *
+   * @param {Array} timeline - Performance-ordered timeline
+   * @returns {Array<number>} Written position for each timeline index
+   * @private
+   */
+  _buildWrittenIndexMap(timeline) {
+    if (!Array.isArray(timeline)) {
+      return [];
+    }
+
+    // Identify each written note; the per-pass counter keeps identical
+    // notes at the same position apart
+    const counters = new Map();
+    const makeKey = (note, writtenTime) => {
+      const base = `${writtenTime}|${note.staff}|${note.voice}|${note.isRest ? 'rest' : note.midi}`;
+      const passKey = `${note.pass ?? 1}|${base}`;
+      const count = counters.get(passKey) || 0;
+      counters.set(passKey, count + 1);
+      return `${base}|${count}`;
+    };
+
+    const keys = [];
+    const tieContinuations = [];
+    timeline.forEach((note, index) => {
+      const writtenTime = note.writtenTimestamp ?? note.timestamp;
+
+      // Grace notes share the cursor stop of their main note
+      keys.push(note.grace ? null : { key: makeKey(note, writtenTime), writtenTime });
+
+      // Merged ties are one timeline note but several written notes
+      (note.tieSegments || []).slice(1).forEach(segment => {
+        tieContinuations.push({
+          key: makeKey(note, segment.writtenTimestamp),
+          writtenTime: segment.writtenTimestamp,
+          index
+        });
+      });
+    });
+
+    // Order unique written notes by written time, keeping timeline order for ties
+    const firstSeen = new Map();
+    keys.forEach((entry, index) => {
+      if (entry && !firstSeen.has(entry.key)) {
+        firstSeen.set(entry.key, { writtenTime: entry.writtenTime, index });
+      }
+    });
+    tieContinuations.forEach(({ key, writtenTime, index }) => {
+      if (!firstSeen.has(key)) {
+        firstSeen.set(key, { writtenTime, index });
+      }
+    });
+
+    const writtenOrder = Array.from(firstSeen.entries())
+      .sort((a, b) => a[1].writtenTime - b[1].writtenTime || a[1].index - b[1].index);
+    const positions = new Map(writtenOrder.map(([key], position) => [key, position]));
+
+    return keys.map(entry => (entry ? positions.get(entry.key) : undefined));
+  }
+
+  /**
+   * Convert a timeline index to its written-score position
+   *
+   * @param {number} noteIndex - Index in the performance-ordered timeline
+   * @returns {number} Written position, or the index itself when unmapped
+   * @private
+   */
+  _toWrittenIndex(noteIndex) {
+    const writtenIndex = this.writtenIndexMap[noteIndex];
+    return writtenIndex === undefined ? noteIndex : writtenIndex;
+  }
+
+  /**
+   * Number of distinct note positions in the written score
+   *
+   * @returns {number} Written length (timeline length when no repeats)
+   * @private
+   */
+  _getWrittenLength() {
+    if (this.writtenIndexMap.length === 0) {
+      return this.cursorTimeline ? this.cursorTimeline.length : 0;
+    }
+    return this.writtenIndexMap.reduce(
+      (length, position) => (position === undefined ? length : Math.max(length, position + 1)), 0);
+  }
+
   /**
    * Determine if the current file is dual-staff based on timeline pattern
    * Dual-staff files have each musical note appearing twice (staff 1 + staff 2)
@@ -560,6 +1102,11 @@ class NotationRenderer extends EventEmitter {
       return false; // Too small to determine pattern
     }
 
+    // A view mode showing one staff draws every note once
+    if (this.visibleStaves && this.visibleStaves.length === 1) {
+      return false;
+    }
+
     // Method 1: Check for perfect alternating staff pattern (1,2,1,2,1,2...)
     // This is more reliable than ratio-based detection
     const isAlternatingPattern = this._hasAlternatingStaffPattern();
@@ -575,7 +1122,7 @@ class NotationRenderer extends EventEmitter {
       }
     });
 
-    const ratio = this.cursorTimeline.length / uniqueNotes.size;
+    const ratio = this._getWrittenLength() / uniqueNotes.size;
     const isDualStaffByRatio = ratio >= 1.8 && ratio <= 2.2;
 
     // Use alternating pattern as primary detection, ratio as backup
@@ -673,7 +1220,12 @@ class NotationRenderer extends EventEmitter {
     Logger.log(Logger.DEBUG, 'NotationRenderer', 'Using manual highlighting fallback');
     
     for (const noteId of noteIds) {
-      const element = this.noteElementMap.get(noteId);
+      let element = this.noteElementMap.get(noteId);
+      if (!element && this.visibleStaves) {
+        // Notes on a hidden staff light up their drawn copy
+        const visibleNote = this.cursorTimeline?.[this._findNoteInTimeline(noteId)];
+        element = visibleNote && this.noteElementMap.get(visibleNote.id);
+      }
       if (element) {
         element.classList.add(className);
         this.lastHighlightedNotes.push({ noteId, element, className });
@@ -764,6 +1316,164 @@ class NotationRenderer extends EventEmitter {
     return this.noteElementMap.get(noteId) || null;
   }
 
+  /**
+   * Paint analysis outcomes onto the rendered score
+   * 
+   * Each note gets an `analysis-<outcome>` class and a hover tooltip; extra
+   * notes become ghost markers above the score at the time they were played.
+   * A note performed several times (repeats) shows its last outcome. The
+   * overlay replaces any previous one and survives redraws of the same
+   * exercise.
+   * 
+   * @param {Array<Object>} notes - { noteIds, outcome, tooltip } per analysed
+   *   note or chord; outcome is one of `ANALYSIS_OUTCOMES`
+   * @param {Array<Object>} extras - { timestamp, tooltip } per extra note
+   */
+  showAnalysisOverlay(notes, extras = []) {
+    this.clearAnalysisOverlay();
+    this.analysisOverlay = { notes, extras };
+    this._paintAnalysisOverlay();
+    
+    Logger.log(Logger.INFO, 'NotationRenderer', 'Analysis overlay shown', {
+      notes: notes.length,
+      extras: extras.length,
+      paintedNotes: this.overlayElements.size
+    });
+  }
+
+  /**
+   * Remove the analysis overlay, restoring the clean score
+   */
+  clearAnalysisOverlay() {
+    this.overlayElements.forEach(element => {
+      element.classList.remove('analysis-note', ...OUTCOME_CLASSES);
+      if (!element.getAttribute('class')) {
+        element.removeAttribute('class');
+      }
+      Array.from(element.children)
+        .filter(child => child.classList.contains('analysis-tooltip'))
+        .forEach(child => child.remove());
+    });
+    this.overlayMarkers.forEach(marker => marker.remove());
+    
+    this.overlayElements.clear();
+    this.overlayMarkers = [];
+    this.analysisOverlay = null;
+  }
+
+  /**
+   * Draw the stored analysis overlay on the current render
+   * 
+   * @private
+   */
+  _paintAnalysisOverlay() {
+    const { notes, extras } = this.analysisOverlay;
+    
+    notes.forEach(({ noteIds, outcome, tooltip }) => {
+      const elements = new Set(noteIds.map(noteId => this._resolveNoteElement(noteId)).filter(Boolean));
+      elements.forEach(element => {
+        element.classList.remove(...OUTCOME_CLASSES);
+        element.classList.add('analysis-note', `analysis-${outcome}`);
+        this._setOverlayTooltip(element, tooltip);
+        this.overlayElements.add(element);
+      });
+    });
+    
+    // Drawn notes that ghost markers can be placed between
+    const anchors = (this.cursorTimeline || [])
+      .filter(note => !note.isRest && !note.grace)
+      .map(note => ({ note, element: this.noteElementMap.get(note.id) }))
+      .filter(({ element }) => element && typeof element.getBBox === 'function')
+      .sort((a, b) => a.note.timestamp - b.note.timestamp);
+    
+    extras.forEach(extra => this._addGhostMarker(extra, anchors));
+  }
+
+  /**
+   * Find the element drawn for a note
+   * 
+   * Besides the element map, this resolves notes of a hidden staff to their
+   * drawn copy and notes of a repeated pass to the written note.
+   * 
+   * @param {string} noteId - Note identifier
+   * @returns {Element|null} Drawn element or null
+   * @private
+   */
+  _resolveNoteElement(noteId) {
+    const element = this.noteElementMap.get(noteId);
+    if (element) {
+      return element;
+    }
+    
+    const index = this._findNoteInTimeline(noteId);
+    if (index === -1) {
+      return null;
+    }
+    
+    const written = this.writtenIndexMap[index];
+    const firstIndex = written === undefined ? index : this.writtenIndexMap.indexOf(written);
+    return this.noteElementMap.get(this.cursorTimeline[index].id) ||
+      this.noteElementMap.get(this.cursorTimeline[firstIndex]?.id) || null;
+  }
+
+  /**
+   * Set the hover tooltip of an overlay element
+   * 
+   * @param {Element} element - Note element or ghost marker
+   * @param {string} text - Tooltip text
+   * @private
+   */
+  _setOverlayTooltip(element, text) {
+    let title = Array.from(element.children).find(child => child.classList.contains('analysis-tooltip'));
+    if (!title) {
+      title = element.ownerDocument.createElementNS(SVG_NS, 'title');
+      title.setAttribute('class', 'analysis-tooltip');
+      element.insertBefore(title, element.firstChild);
+    }
+    title.textContent = text;
+  }
+
+  /**
+   * Draw a ghost marker for a note that was played but is not in the score
+   * 
+   * The marker goes above the drawn notes around its time, placed between
+   * them in proportion when both are on the same system.
+   * 
+   * @param {Object} extra - { timestamp, tooltip }
+   * @param {Array<Object>} anchors - Drawn { note, element } in time order
+   * @private
+   */
+  _addGhostMarker({ timestamp, tooltip }, anchors) {
+    const next = anchors.find(anchor => anchor.note.timestamp >= timestamp);
+    const previous = [...anchors].reverse().find(anchor => anchor.note.timestamp <= timestamp);
+    const anchor = previous || next;
+    const svg = anchor && (anchor.element.ownerSVGElement || anchor.element.closest('svg'));
+    if (!svg) {
+      return;
+    }
+    
+    const box = anchor.element.getBBox();
+    let x = box.x + box.width / 2;
+    if (previous && next && next.note.timestamp > previous.note.timestamp &&
+        next.note.system === previous.note.system && next.element.closest('svg') === svg) {
+      const nextBox = next.element.getBBox();
+      const ratio = (timestamp - previous.note.timestamp) / (next.note.timestamp - previous.note.timestamp);
+      x += (nextBox.x + nextBox.width / 2 - x) * ratio;
+    }
+    
+    const marker = svg.ownerDocument.createElementNS(SVG_NS, 'g');
+    marker.setAttribute('class', 'analysis-ghost');
+    const circle = svg.ownerDocument.createElementNS(SVG_NS, 'circle');
+    circle.setAttribute('cx', x);
+    circle.setAttribute('cy', box.y - GHOST_OFFSET);
+    circle.setAttribute('r', GHOST_RADIUS);
+    marker.appendChild(circle);
+    this._setOverlayTooltip(marker, tooltip);
+    
+    svg.appendChild(marker);
+    this.overlayMarkers.push(marker);
+  }
+
   /**
    * Update OSMD configuration
    * 
@@ -794,6 +1504,8 @@ class NotationRenderer extends EventEmitter {
       }
     }
     
+    this.clearAnalysisOverlay();
+    
     if (this.containerElement) {
       this.containerElement.innerHTML = '';
     }
@@ -807,6 +1519,8 @@ class NotationRenderer extends EventEmitter {
     this.cursorTimeline = null;
     this.cursorIndex = 0;
     this.lastRenderedNoteIndex = -1;  // ✅ ADD: Reset cursor state
+    this.writtenIndexMap = [];
+    this.visibleStaves = null;
 
     Logger.log(Logger.INFO, 'NotationRenderer', 'Cleared');
   }
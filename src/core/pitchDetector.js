@@ -184,8 +184,8 @@ export class PitchDetector extends EventEmitter {
     // Remove DC offset
     this._removeDCOffset(processedBuffer);
     
-    // Apply high-pass filter
-    this._applyHighPassFilter(processedBuffer, 60);
+    // Apply high-pass filter (below the lowest expected note, e.g. bass E1)
+    this._applyHighPassFilter(processedBuffer, Math.min(60, this.config.minFrequency * 0.75));
     
     const threshold = this.config.confidenceThreshold;
     const bufferSize = processedBuffer.length;
@@ -713,6 +713,19 @@ export class PitchDetector extends EventEmitter {
     });
   }
 
+  /**
+   * Listen to the pitch range of an instrument
+   * @param {Object} range - { min, max } in Hz, e.g. INSTRUMENTS.bass.frequencyRange
+   * @throws {Error} If the range is empty or not positive
+   */
+  setFrequencyRange({ min, max }) {
+    if (!(min > 0) || !(max > min)) {
+      throw new Error('Frequency range must satisfy 0 < min < max');
+    }
+    
+    this.updateConfig({ minFrequency: min, maxFrequency: max });
+  }
+
   /**
    * Get current state including latency estimate
    * @returns {Object} Current state
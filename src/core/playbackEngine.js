@@ -14,7 +14,18 @@
 
 import { EventEmitter } from '../utils/eventEmitter.js';
 import { Logger } from '../utils/logger.js';
-import { PLAYBACK_STATES } from '../utils/constants.js';
+import { PLAYBACK_STATES, DYNAMICS, ARTICULATIONS } from '../utils/constants.js';
+import {
+  groupChordEvents,
+  getEventNotes,
+  createTempoMap,
+  quartersToMs,
+  msToQuarters,
+  getTempoAt,
+  getTechnique,
+  getLegatoStart,
+  isLegatoNote
+} from '../utils/timelineUtils.js';
 
 
 // Use global Tone if available (Node/Test), otherwise check window
@@ -28,6 +39,22 @@ if (!Tone) {
   }
 }
 
+// Semitones above the fretted pitch at which natural harmonics sound
+const NATURAL_HARMONICS = { 12: 12, 7: 19, 19: 19, 5: 24, 24: 24, 4: 28, 9: 28, 16: 28 };
+
+// Unpitched notes sound as a short muted thump (low E string), in seconds
+const UNPITCHED_MIDI = 40;
+const UNPITCHED_TIME = 0.05;
+
+// Monophonic voices for bends, slides and legato lines sounding at once
+const MAX_TECHNIQUE_VOICES = 4;
+
+// Shape of played techniques, in seconds and semitones
+const SLIDE_TIME = 0.12;
+const BEND_TIME = 0.15;
+const VIBRATO_RATE = 5.5;
+const VIBRATO_DEPTH = 0.25;
+
 /**
  * PlaybackEngine - Control audio playback and emit timing events
  * 
@@ -77,6 +104,8 @@ class PlaybackEngine extends EventEmitter {
     this.sampler = null;
     this.metronome = null;
     this.drumMachine = null;
+    this.techniqueVoices = [];
+    this.legatoNotes = new Set(); // IDs of notes already sounding through a legato chain
     // Normalize instrument mode to handle both "samples" and "sample"
     const mode = this.config.instrumentMode || 'synth';
     this.currentInstrumentMode = mode === 'samples' ? 'sample' : mode;
@@ -88,6 +117,9 @@ class PlaybackEngine extends EventEmitter {
       currentMode: this.currentInstrumentMode
     });
     
+    // Tempo the timeline was built for; setTempo() scales any tempo map from it
+    this.baseBpm = this.config.bpm;
+    
     // Set Tone.js Transport BPM
     if (Tone && Tone.Transport) {
       Tone.Transport.bpm.value = this.config.bpm;
@@ -107,12 +139,16 @@ class PlaybackEngine extends EventEmitter {
   _mergeConfig(config) {
     const defaults = {
       bpm: 120,
+      tempoMap: null,
+      measures: null,
       instrumentMode: 'synth',
       instrument: 'acoustic',
       volume: 0.7,
       metronomeEnabled: false,
       metronomeVolume: 0.5,
       loopEnabled: false,
+      loopStart: null,
+      loopEnd: null,
       timeSignature: { beats: 4, beatType: 4 }
     };
 
@@ -187,7 +223,7 @@ class PlaybackEngine extends EventEmitter {
    * await engine.play(); // Start from current position
    * await engine.play(5000); // Start from 5 seconds
    */
-  async play(offsetMs = 0) {
+  async play(offsetMs = this.currentPosition) {
     try {
       // Check Audio Context State
       if (Tone && Tone.context && Tone.context.state !== 'running') {
@@ -233,8 +269,8 @@ class PlaybackEngine extends EventEmitter {
 
       // Start Transport
       if (Tone && Tone.Transport) {
-        const startSeconds = this._convertMsToSeconds(this.currentPosition);
-        Tone.Transport.start('+0', startSeconds);
+        this._applyTempoAt(this.currentPosition);
+        Tone.Transport.start('+0', this._toTransportTime(this.currentPosition));
       }
 
       // Emit event
@@ -382,9 +418,10 @@ class PlaybackEngine extends EventEmitter {
       Tone.Transport.stop();
       this._clearScheduledEvents();
       this._scheduleAllEvents();
+      this.startTime = Date.now() - positionMs;
       
-      const startSeconds = this._convertMsToSeconds(positionMs);
-      Tone.Transport.start('+0', startSeconds);
+      this._applyTempoAt(positionMs);
+      Tone.Transport.start('+0', this._toTransportTime(positionMs));
     }
     
     Logger.log(Logger.INFO, 'PlaybackEngine', 
@@ -412,6 +449,7 @@ class PlaybackEngine extends EventEmitter {
     // Update Tone.Transport BPM
     if (Tone && Tone.Transport) {
       Tone.Transport.bpm.value = bpm;
+      this._applyTempoAt(this.currentPosition);
     }
     
     // Emit event
@@ -424,6 +462,72 @@ class PlaybackEngine extends EventEmitter {
       `Tempo changed: ${oldBpm} → ${bpm} BPM`);
   }
 
+  /**
+   * Repeat a section of the timeline
+   * 
+   * Playback jumps back to the loop start whenever it reaches the loop end.
+   * Starting or seeking past the loop end plays on without looping.
+   * 
+   * @param {number} startMs - Loop start in milliseconds
+   * @param {number} endMs - Loop end in milliseconds
+   * @returns {void}
+   * @throws {Error} If the loop end is not after the loop start
+   * 
+   * @example
+   * engine.setLoop(4000, 8000); // Repeat from 4 to 8 seconds
+   */
+  setLoop(startMs, endMs) {
+    if (!Number.isFinite(startMs) || !Number.isFinite(endMs) || startMs < 0 || endMs <= startMs) {
+      throw new Error('Loop end must be after loop start');
+    }
+    
+    this.config.loopEnabled = true;
+    this.config.loopStart = startMs;
+    this.config.loopEnd = endMs;
+    this._rescheduleIfPlaying();
+    
+    this.emit('playback:loopChanged', { loopStart: startMs, loopEnd: endMs });
+    
+    Logger.log(Logger.INFO, 'PlaybackEngine', `Loop set: ${startMs}ms → ${endMs}ms`);
+  }
+
+  /**
+   * Stop repeating and play through to the end
+   * 
+   * @returns {void}
+   * 
+   * @example
+   * engine.clearLoop();
+   */
+  clearLoop() {
+    if (!this.config.loopEnabled) return;
+    
+    this.config.loopEnabled = false;
+    this.config.loopStart = null;
+    this.config.loopEnd = null;
+    this._rescheduleIfPlaying();
+    
+    this.emit('playback:loopChanged', { loopStart: null, loopEnd: null });
+    
+    Logger.log(Logger.INFO, 'PlaybackEngine', 'Loop cleared');
+  }
+
+  /**
+   * Get the loop section
+   * 
+   * @returns {Object|null} { start, end } in milliseconds, or null when not looping
+   * 
+   * @example
+   * const loop = engine.getLoop();
+   */
+  getLoop() {
+    if (!this.config.loopEnabled || this.config.loopStart === null || this.config.loopEnd === null) {
+      return null;
+    }
+    
+    return { start: this.config.loopStart, end: this.config.loopEnd };
+  }
+
   /**
    * Get current playback position
    * 
@@ -474,23 +578,37 @@ class PlaybackEngine extends EventEmitter {
    * @private
    */
   _scheduleAllEvents() {
-    // Schedule only notes from currentNoteIndex onwards
-    for (let i = this.currentNoteIndex; i < this.timeline.length; i++) {
-      const note = this.timeline[i];
-      this._scheduleNote(note);
+    const loop = this._getActiveLoop();
+    
+    // Schedule only notes from currentNoteIndex onwards (chords as one event)
+    let notes = this.timeline.slice(this.currentNoteIndex);
+    if (loop) {
+      notes = notes.filter(note => note.timestamp < loop.end);
     }
+    const events = groupChordEvents(notes);
+    events.forEach(event => this._scheduleNote(event));
     
     // NEW: Schedule metronome clicks if enabled
     if (this.config.metronomeEnabled) {
       this._scheduleMetronome();
     }
     
+    this._scheduleTempoChanges();
+    
     // Schedule playback completed event at the end
     const lastNote = this.timeline[this.timeline.length - 1];
     const endTime = lastNote.timestamp + lastNote.duration;
-    const endSeconds = this._convertMsToSeconds(endTime);
+    const endTransportTime = this._toTransportTime(endTime);
     
-    if (Tone && Tone.Transport) {
+    if (loop && Tone && Tone.Transport) {
+      // Jump back instead of completing
+      const loopEventId = Tone.Transport.schedule(() => {
+        this.emit('playback:loop', { loopStart: loop.start, loopEnd: loop.end });
+        this.seek(loop.start);
+      }, this._toTransportTime(loop.end));
+      
+      this.scheduledEvents.push(loopEventId);
+    } else if (Tone && Tone.Transport) {
       const completedEventId = Tone.Transport.schedule((time) => {
         this.emit('playback:completed', {
           duration: endTime,
@@ -499,7 +617,7 @@ class PlaybackEngine extends EventEmitter {
         
         // Auto-stop after completion
         this.stop();
-      }, endSeconds);
+      }, endTransportTime);
       
       this.scheduledEvents.push(completedEventId);
     }
@@ -509,14 +627,44 @@ class PlaybackEngine extends EventEmitter {
   }
 
   /**
-   * Schedule single note event on Transport
+   * Get the loop to honour from the current position
+   * 
+   * @returns {Object|null} { start, end } ending no later than the timeline,
+   *   or null when not looping or already past the loop end
+   * @private
+   */
+  _getActiveLoop() {
+    const loop = this.getLoop();
+    if (!loop || this.currentPosition >= loop.end) return null;
+    
+    const lastNote = this.timeline[this.timeline.length - 1];
+    return { start: loop.start, end: Math.min(loop.end, lastNote.timestamp + lastNote.duration) };
+  }
+
+  /**
+   * Reschedule from the current position after the schedule has changed
    * 
-   * @param {Object} note - Note to schedule
+   * @returns {void}
+   * @private
+   */
+  _rescheduleIfPlaying() {
+    if (this.state === PLAYBACK_STATES.PLAYING) {
+      this.seek(this.getCurrentPosition());
+    }
+  }
+
+  /**
+   * Schedule single note or chord event on Transport
+   * 
+   * Chord members are triggered from one Transport callback so they sound
+   * together and produce a single tick.
+   * 
+   * @param {Object} note - Note or grouped chord event to schedule
    * @returns {void}
    * @private
    */
   _scheduleNote(note) {
-    const noteSeconds = this._convertMsToSeconds(note.timestamp);
+    const noteTime = this._toTransportTime(note.timestamp);
     
     if (Tone && Tone.Transport) {
       const eventId = Tone.Transport.schedule((time) => {
@@ -527,9 +675,9 @@ class PlaybackEngine extends EventEmitter {
         this.currentPosition = note.timestamp;
         
         // NEW: Play audio
-        this._playNoteAudio(note, time);
+        getEventNotes(note).forEach(member => this._playNoteAudio(member, time));
         
-      }, noteSeconds);
+      }, noteTime);
       
       this.scheduledEvents.push(eventId);
     }
@@ -538,7 +686,7 @@ class PlaybackEngine extends EventEmitter {
   /**
    * Emit tick event with note information
    * 
-   * @param {Object} note - Current note
+   * @param {Object} note - Current note or grouped chord event
    * @param {number} time - Web Audio context time
    * @returns {void}
    * @private
@@ -546,13 +694,16 @@ class PlaybackEngine extends EventEmitter {
   _emitTick(note, time) {
     // Check for system change
     const systemChanged = this._detectSystemChange(note);
+    const members = getEventNotes(note);
     
     // Emit tick event
     this.emit('playback:tick', {
       noteId: note.id,
+      noteIds: members.map(member => member.id),
+      chordId: note.chordId || null,
       timestamp: Date.now(),
       systemNumber: note.system,
-      midi: note.midi,
+      midi: members[0].midi,
       audioContextTime: time
     });
     
@@ -565,7 +716,7 @@ class PlaybackEngine extends EventEmitter {
     }
     
     Logger.log(Logger.DEBUG, 'PlaybackEngine', 
-      `Tick: ${note.id} (${note.isRest ? "REST" : note.pitch.step + note.pitch.octave})`);
+      `Tick: ${note.id} (${note.isRest ? "REST" : members.map(m => m.pitch.step + m.pitch.octave).join('+')})`);
   }
 
   /**
@@ -594,6 +745,101 @@ class PlaybackEngine extends EventEmitter {
     return ms / 1000;
   }
 
+  /**
+   * Check whether the exercise changes tempo while playing
+   * 
+   * @returns {boolean} True if the tempo map has more than one entry
+   * @private
+   */
+  _hasTempoChanges() {
+    return Array.isArray(this.config.tempoMap) && this.config.tempoMap.length > 1;
+  }
+
+  /**
+   * Convert an exercise time to a Transport time
+   * 
+   * With tempo changes, events are placed in Transport ticks so they stay
+   * aligned with the programmed BPM changes (and with drum and metronome
+   * events following the same BPM); otherwise plain seconds are used.
+   * 
+   * @param {number} ms - Exercise time in milliseconds
+   * @returns {number|string} Seconds, or a tick time such as "960i"
+   * @private
+   */
+  _toTransportTime(ms) {
+    if (!this._hasTempoChanges()) {
+      return this._convertMsToSeconds(ms);
+    }
+    
+    const ppq = Tone?.Transport?.PPQ || 192;
+    return `${Math.round(msToQuarters(this.config.tempoMap, ms) * ppq)}i`;
+  }
+
+  /**
+   * Set the Transport BPM to the tempo in effect at a position
+   * 
+   * @param {number} positionMs - Exercise time in milliseconds
+   * @returns {void}
+   * @private
+   */
+  _applyTempoAt(positionMs) {
+    if (!this._hasTempoChanges() || !Tone || !Tone.Transport) return;
+    
+    Tone.Transport.bpm.value = getTempoAt(this.config.tempoMap, positionMs) * this._getTempoScale();
+  }
+
+  /**
+   * Get the user tempo adjustment relative to the tempo map
+   * 
+   * @returns {number} Ratio of the current BPM to the BPM the timeline was built for
+   * @private
+   */
+  _getTempoScale() {
+    return this.config.bpm / this.baseBpm;
+  }
+
+  /**
+   * Program Transport BPM changes from the tempo map
+   * 
+   * Each change is scheduled as a Transport event so metronome and drums,
+   * which run on the same Transport, follow the exercise tempo. Gradual
+   * changes become linear BPM ramps ending at the next map entry.
+   * 
+   * @returns {void}
+   * @private
+   */
+  _scheduleTempoChanges() {
+    if (!this._hasTempoChanges() || !Tone || !Tone.Transport) return;
+    
+    const tempoMap = this.config.tempoMap;
+    const bpm = Tone.Transport.bpm;
+    
+    tempoMap.forEach((entry, index) => {
+      const next = tempoMap[index + 1];
+      // Changes before the start position are covered by _applyTempoAt(),
+      // except for a ramp that is still in progress
+      const rampInProgress = next && next.ramp && next.timestamp > this.currentPosition;
+      if (entry.timestamp < this.currentPosition && !rampInProgress) {
+        return;
+      }
+      
+      const startMs = Math.max(entry.timestamp, this.currentPosition);
+      const eventId = Tone.Transport.schedule((time) => {
+        const scale = this._getTempoScale();
+        if (next && next.ramp && typeof bpm.linearRampToValueAtTime === 'function') {
+          bpm.setValueAtTime(getTempoAt(tempoMap, startMs) * scale, time);
+          bpm.linearRampToValueAtTime(next.bpm * scale, time + (next.timestamp - startMs) / 1000 / scale);
+        } else if (typeof bpm.setValueAtTime === 'function') {
+          bpm.setValueAtTime(entry.bpm * scale, time);
+        } else {
+          bpm.value = entry.bpm * scale;
+        }
+      }, this._toTransportTime(startMs));
+      
+      this.scheduledEvents.push(eventId);
+    });
+  }
+
   /**
    * Clear all scheduled events from the Transport
    * and reset local tracking
@@ -615,6 +861,12 @@ class PlaybackEngine extends EventEmitter {
 
     // Reset local tracking
     this.scheduledEvents = [];
+    this.legatoNotes.clear();
+    this.techniqueVoices.forEach(voice => {
+      voice.synth.frequency.cancelScheduledValues(0);
+      voice.synth.triggerRelease();
+      voice.busyUntil = 0;
+    });
 
     Logger.log(
       Logger.DEBUG,
@@ -1049,6 +1301,20 @@ class PlaybackEngine extends EventEmitter {
    */
   _playNoteAudio(note, time) {
     try {
+      // Legato notes already sound through the note that leads into them
+      if (this.legatoNotes.delete(note.id)) {
+        return;
+      }
+
+      // Bends, slides, vibrato and legato need a voice that can change pitch
+      // (unpitched notes have none to change)
+      const chain = note.unpitched ? [note] : this._getLegatoChain(note);
+      if (!note.unpitched && (chain.length > 1 || getTechnique(note, 'bend') || getTechnique(note, 'vibrato'))) {
+        chain.slice(1).forEach(member => this.legatoNotes.add(member.id));
+        this._playTechniqueNotes(chain, time);
+        return;
+      }
+
       if (this.currentInstrumentMode === 'synth') {
         this._triggerSynthNote(note, time);
       } else if (this.currentInstrumentMode === 'sample') {
@@ -1076,18 +1342,17 @@ class PlaybackEngine extends EventEmitter {
       return;
     }
     
-    // Convert MIDI to frequency
-    const frequency = Tone.Frequency(note.midi, 'midi').toFrequency();
+    const sound = this._getNoteSound(note);
     
-    // Convert duration from ms to seconds
-    const durationSeconds = note.duration / 1000;
+    // Convert MIDI to frequency
+    const frequency = Tone.Frequency(sound.midi, 'midi').toFrequency();
     
     // Trigger note
     this.synthesizer.triggerAttackRelease(
       frequency,
-      durationSeconds,
+      sound.duration,
       time,
-      0.8 // Velocity (0-1)
+      sound.velocity
     );
   }
 
@@ -1099,8 +1364,10 @@ class PlaybackEngine extends EventEmitter {
    * @private
    */
   _triggerSampleNote(note, time) {
+    const sound = this._getNoteSound(note);
+
     // Convert MIDI to note name (e.g., 60 -> 'C4')
-    const noteName = Tone.Frequency(note.midi, 'midi').toNote();
+    const noteName = Tone.Frequency(sound.midi, 'midi').toNote();
 
     Logger.log(Logger.DEBUG, 'PlaybackEngine', 'Trigger sample note', {
       noteId: note.id,
@@ -1143,16 +1410,13 @@ class PlaybackEngine extends EventEmitter {
       return this._triggerSynthNote(note, time);
     }
 
-    // Convert duration from ms to seconds
-    const durationSeconds = note.duration / 1000;
-
     // Trigger sample with error handling
     try {
       this.sampler.triggerAttackRelease(
         noteName,
-        durationSeconds,
+        sound.duration,
         time,
-        0.8 // Velocity
+        sound.velocity
       );
     } catch (error) {
       Logger.log(Logger.ERROR, 'PlaybackEngine', 'Sample trigger failed, falling back to synth', {
@@ -1166,6 +1430,219 @@ class PlaybackEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Work out how a note sounds once its dynamics, articulations and techniques are applied
+   *
+   * The note's velocity comes from the dynamics it is played at; accents
+   * add to it and staccato marks shorten the note (see `ARTICULATIONS`).
+   * Harmonics sound above the fretted pitch (by the node's interval for
+   * natural harmonics, an octave for artificial ones) and palm-muted notes
+   * are short and soft. Unpitched notes (muted strums, slaps, slashes) play
+   * as a brief muted thump.
+   *
+   * @param {Object} note - Timeline note
+   * @returns {Object} { midi, duration, velocity } with duration in seconds
+   * @private
+   */
+  _getNoteSound(note) {
+    let midi = note.midi;
+    let duration = note.duration / 1000;
+    let velocity = note.velocity ?? DYNAMICS.DEFAULT_VELOCITY;
+
+    (note.articulations || []).forEach(name => {
+      const articulation = ARTICULATIONS[name] || {};
+      velocity += articulation.velocity || 0;
+      duration *= articulation.length ?? 1;
+    });
+    velocity = Math.min(1, velocity);
+
+    if (note.unpitched) {
+      return { midi: UNPITCHED_MIDI, duration: Math.min(duration, UNPITCHED_TIME), velocity };
+    }
+
+    const harmonic = getTechnique(note, 'harmonic');
+    if (harmonic && harmonic.pitch !== 'sounding') {
+      midi += harmonic.kind === 'natural' && note.tab
+        ? NATURAL_HARMONICS[note.tab.fret] || 12
+        : 12;
+    }
+
+    if (getTechnique(note, 'palm-mute')) {
+      duration = Math.min(duration, 0.25);
+      velocity *= 0.7;
+    }
+
+    return { midi, duration, velocity };
+  }
+
+  /**
+   * Collect a note and the notes it reaches by hammer-on, pull-off or slide
+   *
+   * @param {Object} note - Timeline note
+   * @returns {Array<Object>} The note followed by its legato notes
+   * @private
+   */
+  _getLegatoChain(note) {
+    const chain = [note];
+    let current = note;
+
+    while (getLegatoStart(current)) {
+      const next = this._findNextVoiceNote(current);
+      if (!next || !isLegatoNote(next) || chain.includes(next)) break;
+      chain.push(next);
+      current = next;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Find the next note played in the same staff and voice
+   *
+   * @param {Object} note - Timeline note
+   * @returns {Object|null} Following note, or null if the voice rests first
+   * @private
+   */
+  _findNextVoiceNote(note) {
+    const index = this.timeline.indexOf(note);
+    const end = note.timestamp + note.duration;
+
+    for (let i = index + 1; i < this.timeline.length; i++) {
+      const candidate = this.timeline[i];
+      if (candidate.timestamp > end + 1) break;
+      if (candidate.staff !== note.staff || candidate.voice !== note.voice) continue;
+      if (candidate.timestamp <= note.timestamp) continue;
+      return candidate.isRest ? null : candidate;
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the pitch path of notes played as one sound
+   *
+   * The first note is plucked; the following legato notes change pitch
+   * without a new attack (stepping for hammer-ons and pull-offs, gliding for
+   * slides). Bends rise to the bent pitch and fall back on release, and
+   * vibrato wavers around the held pitch.
+   *
+   * @param {Array<Object>} notes - Note and its legato notes from `_getLegatoChain`
+   * @returns {Object} { points, duration } where points are { time, midi, ramp }
+   *   with time in seconds from the attack and `ramp` gliding from the previous point
+   * @private
+   */
+  _buildPitchCurve(notes) {
+    const start = notes[0].timestamp;
+    const points = [];
+    const add = (time, midi, ramp = false) => points.push({ time: Math.max(0, time), midi, ramp });
+
+    notes.forEach((note, index) => {
+      const offset = (note.timestamp - start) / 1000;
+      const { midi, duration } = this._getNoteSound(note);
+      const bend = getTechnique(note, 'bend');
+
+      if (index === 0) {
+        add(0, bend && bend.preBend ? midi + bend.alter : midi);
+      } else if (getLegatoStart(notes[index - 1])?.type === 'slide') {
+        const previous = points[points.length - 1].midi;
+        add(offset - Math.min(SLIDE_TIME, duration / 2), previous);
+        add(offset, midi, true);
+      } else {
+        add(offset, midi);
+      }
+
+      let held = midi;
+      if (bend) {
+        const bendTime = Math.min(BEND_TIME, duration / 3);
+        if (!bend.preBend) {
+          add(offset + bendTime, midi + bend.alter, true);
+        }
+        held = midi + bend.alter;
+        if (bend.release) {
+          add(offset + duration * 0.6, midi + bend.alter);
+          add(offset + duration * 0.6 + bendTime, midi, true);
+          held = midi;
+        }
+      }
+
+      if (getTechnique(note, 'vibrato')) {
+        const halfCycle = 1 / (VIBRATO_RATE * 2);
+        let time = offset + Math.max(points[points.length - 1].time - offset, duration * 0.25);
+        let direction = 1;
+        add(time, held);
+        while (time + halfCycle < offset + duration) {
+          time += halfCycle;
+          add(time, held + direction * VIBRATO_DEPTH, true);
+          direction = -direction;
+        }
+      }
+    });
+
+    const last = notes[notes.length - 1];
+    return {
+      points,
+      duration: (last.timestamp - start) / 1000 + this._getNoteSound(last).duration
+    };
+  }
+
+  /**
+   * Play notes with pitch-changing techniques on a monophonic voice
+   *
+   * Used in both instrument modes, since samples cannot change pitch once
+   * started.
+   *
+   * @param {Array<Object>} notes - Note and its legato notes from `_getLegatoChain`
+   * @param {number} time - Web Audio context time of the first note
+   * @private
+   */
+  _playTechniqueNotes(notes, time) {
+    const { points, duration } = this._buildPitchCurve(notes);
+    const synth = this._getTechniqueVoice(time, duration);
+    const toFrequency = midi => Tone.Frequency(midi, 'midi').toFrequency();
+
+    synth.triggerAttack(toFrequency(points[0].midi), time, this._getNoteSound(notes[0]).velocity);
+    points.slice(1).forEach(point => {
+      if (point.ramp) {
+        synth.frequency.exponentialRampToValueAtTime(toFrequency(point.midi), time + point.time);
+      } else {
+        synth.frequency.setValueAtTime(toFrequency(point.midi), time + point.time);
+      }
+    });
+    synth.triggerRelease(time + duration);
+  }
+
+  /**
+   * Get a free monophonic voice for technique playback
+   *
+   * Voices are created on demand; when all are busy the one finishing
+   * first is reused.
+   *
+   * @param {number} time - Web Audio context time the voice is needed from
+   * @param {number} duration - Seconds the voice will be busy
+   * @returns {Object} Tone.js monophonic synth
+   * @private
+   */
+  _getTechniqueVoice(time, duration) {
+    let voice = this.techniqueVoices.find(candidate => candidate.busyUntil <= time);
+
+    if (!voice && this.techniqueVoices.length < MAX_TECHNIQUE_VOICES) {
+      const synth = new Tone.AMSynth({
+        harmonicity: 3.5,
+        envelope: { attack: 0.01, decay: 0.2, sustain: 0.3, release: 0.5 },
+        volume: this._volumeToDecibels(this.config.volume)
+      }).toDestination();
+      voice = { synth, busyUntil: 0 };
+      this.techniqueVoices.push(voice);
+    }
+
+    if (!voice) {
+      voice = this.techniqueVoices.reduce((a, b) => (b.busyUntil < a.busyUntil ? b : a));
+    }
+
+    voice.busyUntil = time + duration;
+    return voice.synth;
+  }
+
   /**
    * Schedule metronome clicks on beats
    * @private
@@ -1173,37 +1650,61 @@ class PlaybackEngine extends EventEmitter {
   _scheduleMetronome() {
     if (!this.metronome) return;
     
+    // Click the beats of the measure table so meter changes and pickups are accented correctly
+    if (Array.isArray(this.config.measures) && this.config.measures.length > 0) {
+      let beatCount = 0;
+      this.config.measures.forEach(measure => {
+        measure.beats.forEach(({ timestamp, beat }) => {
+          const isDownbeat = beat === 1;
+          const eventId = Tone.Transport.schedule((time) => {
+            this._playMetronomeClick(time, isDownbeat);
+          }, this._toTransportTime(timestamp));
+          
+          this.scheduledEvents.push(eventId);
+          beatCount++;
+        });
+      });
+      
+      Logger.log(Logger.DEBUG, 'PlaybackEngine', 
+        `Scheduled metronome: ${beatCount} beats in ${this.config.measures.length} measures`);
+      return;
+    }
+    
     // Get time signature from config or default to 4/4
     const beatsPerMeasure = this.config.timeSignature?.beats || 4;
     const beatType = this.config.timeSignature?.beatType || 4;
     
-    // Calculate beat duration in milliseconds
-    const beatDurationMs = (60000 / this.config.bpm) * (4 / beatType);
+    // Beats are counted in quarter notes so they follow tempo changes
+    const beatQuarters = 4 / beatType;
+    const tempoMap = this._hasTempoChanges()
+      ? this.config.tempoMap
+      : createTempoMap(this.config.bpm);
     
     // Get exercise duration
     const lastNote = this.timeline[this.timeline.length - 1];
     const exerciseDurationMs = lastNote.timestamp + lastNote.duration;
     
     // Schedule clicks for each beat
+    let beatIndex = 0;
     let currentBeatTime = 0;
     let beatNumber = 1;
     
     while (currentBeatTime < exerciseDurationMs) {
-      const beatSeconds = this._convertMsToSeconds(currentBeatTime);
       const isDownbeat = beatNumber === 1;
       
       const eventId = Tone.Transport.schedule((time) => {
         this._playMetronomeClick(time, isDownbeat);
-      }, beatSeconds);
+      }, this._toTransportTime(currentBeatTime));
       
       this.scheduledEvents.push(eventId);
       
-      currentBeatTime += beatDurationMs;
+      beatIndex++;
+      currentBeatTime = quartersToMs(tempoMap, beatIndex * beatQuarters);
       beatNumber = (beatNumber % beatsPerMeasure) + 1;
     }
     
     Logger.log(Logger.DEBUG, 'PlaybackEngine', 
-      `Scheduled metronome: ${Math.ceil(exerciseDurationMs / beatDurationMs)} beats`);
+      `Scheduled metronome: ${beatIndex} beats`);
   }
 
   /**
@@ -1307,6 +1808,10 @@ class PlaybackEngine extends EventEmitter {
       this.sampler.volume.value = volumeDb;
     }
     
+    this.techniqueVoices.forEach(voice => {
+      voice.synth.volume.value = volumeDb;
+    });
+    
     Logger.log(Logger.DEBUG, 'PlaybackEngine', 
       `Volume set to ${(volume * 100).toFixed(0)}%`);
   }
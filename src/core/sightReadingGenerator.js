@@ -0,0 +1,456 @@
+/**
+ * @module sightReadingGenerator
+ * @description Random sight-reading melodies at a difficulty level
+ *
+ * Writes fresh melodies within limits a teacher would set for a student:
+ * strings and frets, note values, how often rests and accidentals appear,
+ * the largest leap and the length. Each difficulty level is a preset of
+ * those limits and any of them can be overridden. Melodies come from a
+ * seeded random generator, so the same options and seed always give the
+ * same piece. The result is dual-staff MusicXML that ExerciseLoader parses
+ * like any other exercise.
+ *
+ * @example
+ * const xml = new SightReadingGenerator().toMusicXML({ difficulty: 'intermediate', seed: 42 });
+ *
+ * @see Architecture.md §3.1 (Exercise Loader Module)
+ */
+
+import { EventEmitter } from '../utils/eventEmitter.js';
+import { STANDARD_TUNING, noteNameToMidi, midiToPitch, midiToNoteName } from '../utils/fretboard.js';
+import { getKeyFifths, getPitchClass } from '../utils/keys.js';
+import { writeTabScore } from '../utils/musicXmlWriter.js';
+import { DIFFICULTY_LEVELS } from '../utils/constants.js';
+
+/**
+ * Limits for each difficulty level
+ *
+ * Strings are numbered from the highest (1). `keys` are tonics, with an
+ * 'm' suffix for minor keys; one is drawn at random. `maxLeap` is in
+ * semitones and `rests` and `accidentals` are the share of notes that
+ * become rests or leave the key.
+ */
+const LEVELS = {
+  beginner: {
+    strings: [1, 2, 3],
+    frets: { min: 0, max: 3 },
+    rhythms: ['half', 'quarter'],
+    rests: 0.1,
+    accidentals: 0,
+    maxLeap: 4,
+    measures: 4,
+    keys: ['C', 'G', 'Am'],
+    tempo: 60
+  },
+  intermediate: {
+    strings: [1, 2, 3, 4],
+    frets: { min: 0, max: 5 },
+    rhythms: ['half', 'dotted-quarter', 'quarter', 'eighth'],
+    rests: 0.15,
+    accidentals: 0.05,
+    maxLeap: 7,
+    measures: 8,
+    keys: ['C', 'G', 'D', 'F', 'Am', 'Em', 'Dm'],
+    tempo: 72
+  },
+  advanced: {
+    strings: [1, 2, 3, 4, 5, 6],
+    frets: { min: 0, max: 8 },
+    rhythms: ['half', 'dotted-quarter', 'quarter', 'eighth', 'triplet', 'sixteenth'],
+    rests: 0.2,
+    accidentals: 0.15,
+    maxLeap: 12,
+    measures: 8,
+    keys: ['C', 'G', 'D', 'A', 'E', 'F', 'Bb', 'Eb', 'Am', 'Em', 'Bm', 'Dm', 'Gm', 'Cm'],
+    tempo: 80
+  }
+};
+
+// Divisions per quarter note; fits dotted values, triplets and sixteenths
+const DIVISIONS = 12;
+
+// Note values in divisions; a triplet is three notes filling one beat
+const NOTE_VALUES = {
+  whole: 48,
+  'dotted-half': 36,
+  half: 24,
+  'dotted-quarter': 18,
+  quarter: 12,
+  eighth: 6,
+  triplet: 4,
+  sixteenth: 3
+};
+
+// Letters taking a sharp or flat, in key signature order
+const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+const FLAT_ORDER = ['B', 'E', 'A', 'D', 'G', 'C', 'F'];
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ *
+ * @param {number|string} seed - Seed; strings are hashed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = 2166136261;
+  if (typeof seed === 'number') {
+    state = seed >>> 0;
+  } else {
+    for (const char of String(seed)) {
+      state = Math.imul(state ^ char.charCodeAt(0), 16777619) >>> 0;
+    }
+  }
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick an item at random in proportion to its weight
+ *
+ * @param {Function} random - Random number generator
+ * @param {Array<*>} items - Items to choose from
+ * @param {Function} [weight] - Weight of an item (default 1)
+ * @returns {*} Chosen item
+ */
+function pick(random, items, weight = () => 1) {
+  const weights = items.map(weight);
+  let target = random() * weights.reduce((sum, value) => sum + value, 0);
+  for (let index = 0; index < items.length; index++) {
+    target -= weights[index];
+    if (target < 0) {
+      return items[index];
+    }
+  }
+  return items[items.length - 1];
+}
+
+/**
+ * SightReadingGenerator - Write random melodies for sight reading
+ *
+ * Responsibilities:
+ * - Resolve a difficulty level and overrides into limits
+ * - Fill measures with note values and rests
+ * - Choose pitches within the strings, frets, key and leap limits, ending
+ *   on the tonic
+ * - Write MusicXML with notation and tab staves
+ */
+class SightReadingGenerator extends EventEmitter {
+  /**
+   * Create sight-reading generator
+   *
+   * @param {Object} config - Generator configuration
+   * @param {Object} config.timeSignature - Meter { beats, beatType }
+   * @param {number} config.maxFret - Highest fret a melody may use
+   */
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      timeSignature: { beats: 4, beatType: 4 },
+      maxFret: 20,
+      ...config
+    };
+  }
+
+  /**
+   * Limits of a difficulty level
+   *
+   * @param {string} difficulty - Entry of DIFFICULTY_LEVELS
+   * @returns {Object|null} Copy of the level's limits
+   */
+  static getLevel(difficulty) {
+    const level = LEVELS[difficulty];
+    return level ? structuredClone(level) : null;
+  }
+
+  /**
+   * Generate a melody as MusicXML with notation and tab staves
+   *
+   * Options left out come from the difficulty level.
+   *
+   * @param {Object} options - Melody options
+   * @param {string} [options.difficulty='beginner'] - Entry of DIFFICULTY_LEVELS
+   * @param {number|string} [options.seed] - Seed; the same seed and options
+   *   give the same melody (default: random)
+   * @param {string} [options.key] - Tonic such as 'G' or 'Bb', 'm' suffix
+   *   for minor ('F#m'); default: drawn from the level's keys
+   * @param {Array<number>} [options.strings] - Strings to play on, 1 = highest
+   * @param {Object} [options.frets] - Fret range { min, max }
+   * @param {Array<string>} [options.rhythms] - Note values: 'whole',
+   *   'dotted-half', 'half', 'dotted-quarter', 'quarter', 'eighth',
+   *   'triplet', 'sixteenth'
+   * @param {number} [options.rests] - Share of notes that are rests (0-1)
+   * @param {number} [options.accidentals] - Share of notes outside the key (0-1)
+   * @param {number} [options.maxLeap] - Largest interval in semitones
+   * @param {number} [options.measures] - Length in measures
+   * @param {number} [options.tempo] - Tempo in BPM
+   * @param {Array<string>} [options.tuning] - Open strings, lowest first
+   * @param {string} [options.title] - Score title (default: level and seed)
+   * @returns {string} MusicXML document
+   * @throws {Error} If an option is invalid or the limits leave too few notes
+   */
+  toMusicXML(options = {}) {
+    const { difficulty = 'beginner', tuning = STANDARD_TUNING } = options;
+    if (!DIFFICULTY_LEVELS.includes(difficulty)) {
+      throw new Error(`Unknown difficulty: ${difficulty}`);
+    }
+    const limits = this._getLimits({ ...LEVELS[difficulty], ...options }, tuning.length);
+    const seed = options.seed ?? Math.floor(Math.random() * 1000000);
+    const random = createRandom(seed);
+
+    const keyName = options.key || pick(random, LEVELS[difficulty].keys);
+    const key = this._getKey(keyName);
+
+    const { timeSignature } = this.config;
+    const measureLength = Math.round(timeSignature.beats * 4 / timeSignature.beatType * DIVISIONS);
+    const beat = Math.round(4 / timeSignature.beatType * DIVISIONS);
+
+    const events = [];
+    for (let measure = 0; measure < limits.measures; measure++) {
+      events.push(...this._fillMeasure(random, limits.rhythms, measure * measureLength, measureLength, beat));
+    }
+    events.forEach((event, index) => {
+      event.rest = event.rest || (index > 0 && index < events.length - 1 && random() < limits.rests);
+    });
+    events[events.length - 1].rest = false;
+
+    const chords = this._chooseNotes(random, events.filter(event => !event.rest), key, limits, tuning);
+    const measures = [];
+    for (let measure = 0; measure < limits.measures; measure++) {
+      measures.push({
+        number: measure + 1,
+        start: measure * measureLength,
+        length: measureLength,
+        timeSignature: { ...timeSignature },
+        key: { fifths: key.fifths, mode: key.mode },
+        tempos: measure === 0 ? [{ offset: 0, bpm: limits.tempo }] : []
+      });
+    }
+
+    const level = difficulty.charAt(0).toUpperCase() + difficulty.slice(1);
+    return writeTabScore({
+      title: options.title || `Sight Reading - ${level} (seed ${seed})`,
+      partName: 'Guitar',
+      tuning: tuning.map(name => midiToNoteName(noteNameToMidi(name), name.includes('b'))),
+      divisions: DIVISIONS,
+      measures,
+      chords
+    });
+  }
+
+  /**
+   * Check the merged limits
+   *
+   * @param {Object} limits - Level limits with the options applied
+   * @param {number} stringCount - Strings of the tuning
+   * @returns {Object} The limits
+   * @throws {Error} If a limit is out of range
+   * @private
+   */
+  _getLimits(limits, stringCount) {
+    const { strings, frets, rhythms, rests, accidentals, maxLeap, measures, tempo } = limits;
+
+    if (!Array.isArray(strings) || strings.length === 0 ||
+        strings.some(string => !Number.isInteger(string) || string < 1 || string > stringCount)) {
+      throw new Error(`Invalid strings: ${strings}`);
+    }
+    if (!frets || !Number.isInteger(frets.min) || !Number.isInteger(frets.max) ||
+        frets.min < 0 || frets.min > frets.max || frets.max > this.config.maxFret) {
+      throw new Error(`Invalid fret range: ${JSON.stringify(frets)}`);
+    }
+    if (!Array.isArray(rhythms) || rhythms.length === 0) {
+      throw new Error('At least one rhythm is needed');
+    }
+    rhythms.forEach(rhythm => {
+      if (!NOTE_VALUES[rhythm]) {
+        throw new Error(`Unknown rhythm: ${rhythm}`);
+      }
+    });
+    [['rests', rests], ['accidentals', accidentals]].forEach(([name, share]) => {
+      if (!(share >= 0 && share < 1)) {
+        throw new Error(`Invalid ${name} share: ${share}`);
+      }
+    });
+    if (!(maxLeap >= 1)) {
+      throw new Error(`Invalid leap: ${maxLeap}`);
+    }
+    if (!Number.isInteger(measures) || measures < 1) {
+      throw new Error(`Invalid length: ${measures} measures`);
+    }
+    if (!(tempo > 0)) {
+      throw new Error(`Invalid tempo: ${tempo}`);
+    }
+    return limits;
+  }
+
+  /**
+   * Read a key name
+   *
+   * @param {string} name - Tonic, with an 'm' suffix for minor
+   * @returns {Object} { fifths, mode, tonic, tonicPc, spelling } where
+   *   spelling maps each pitch class of the key to { step, alter }
+   * @throws {Error} If no key signature has that tonic
+   * @private
+   */
+  _getKey(name) {
+    const match = /^([A-Ga-g][#b]?)(m?)$/.exec(String(name).trim());
+    const mode = match?.[2] ? 'minor' : 'major';
+    const fifths = match ? getKeyFifths(match[1], mode) : null;
+    if (fifths === null) {
+      throw new Error(`Unknown key: ${name}`);
+    }
+
+    const spelling = new Map();
+    SHARP_ORDER.forEach(step => {
+      let alter = 0;
+      if (fifths > 0 && SHARP_ORDER.indexOf(step) < fifths) {
+        alter = 1;
+      } else if (fifths < 0 && FLAT_ORDER.indexOf(step) < -fifths) {
+        alter = -1;
+      }
+      spelling.set((getPitchClass(step) + alter + 12) % 12, { step, alter });
+    });
+
+    return { fifths, mode, tonic: match[1], tonicPc: getPitchClass(match[1]), spelling };
+  }
+
+  /**
+   * Fill one measure with note values
+   *
+   * Notes starting off the beat end by the next beat, so the beats stay
+   * easy to see. Time no allowed value fits becomes a rest.
+   *
+   * @param {Function} random - Random number generator
+   * @param {Array<string>} rhythms - Allowed note values
+   * @param {number} start - Measure start in divisions
+   * @param {number} length - Measure length in divisions
+   * @param {number} beat - Beat length in divisions
+   * @returns {Array<Object>} Events { start, end, rest }
+   * @private
+   */
+  _fillMeasure(random, rhythms, start, length, beat) {
+    const events = [];
+    let position = 0;
+
+    while (position < length) {
+      const offBeat = position % beat;
+      const fits = rhythms.filter(rhythm => {
+        if (rhythm === 'triplet') {
+          return offBeat === 0 && beat === DIVISIONS && position + beat <= length;
+        }
+        const duration = NOTE_VALUES[rhythm];
+        return position + duration <= length && (offBeat === 0 || offBeat + duration <= beat);
+      });
+
+      if (fits.length === 0) {
+        const gap = offBeat ? beat - offBeat : Math.min(beat, length - position);
+        events.push({ start: start + position, end: start + position + gap, rest: true });
+        position += gap;
+        continue;
+      }
+
+      const rhythm = pick(random, fits);
+      const count = rhythm === 'triplet' ? 3 : 1;
+      for (let note = 0; note < count; note++) {
+        events.push({ start: start + position, end: start + position + NOTE_VALUES[rhythm], rest: false });
+        position += NOTE_VALUES[rhythm];
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Give each note event a pitch and a fret
+   *
+   * Steps are likelier than leaps. The melody starts on a note of the tonic
+   * chord near the middle of the range and ends on the tonic.
+   *
+   * @param {Function} random - Random number generator
+   * @param {Array<Object>} events - Note events { start, end }
+   * @param {Object} key - Key from _getKey
+   * @param {Object} limits - Checked limits
+   * @param {Array<string>} tuning - Open strings, lowest first
+   * @returns {Array<Object>} Chords { start, end, notes } for writeTabScore
+   * @throws {Error} If the strings and frets hold too few notes of the key
+   * @private
+   */
+  _chooseNotes(random, events, key, limits, tuning) {
+    const openStrings = tuning.map(noteNameToMidi);
+    const positions = new Map();
+    limits.strings.forEach(string => {
+      for (let fret = limits.frets.min; fret <= limits.frets.max; fret++) {
+        const midi = openStrings[openStrings.length - string] + fret;
+        positions.set(midi, [...(positions.get(midi) || []), { string, fret }]);
+      }
+    });
+
+    const pitches = [...positions.keys()].sort((a, b) => a - b);
+    const inKey = pitches.filter(midi => key.spelling.has(midi % 12));
+    const outOfKey = pitches.filter(midi => !key.spelling.has(midi % 12));
+    const tonics = inKey.filter(midi => midi % 12 === key.tonicPc);
+    if (inKey.length < 3 || tonics.length === 0) {
+      throw new Error(`Too few notes of ${key.tonic} ${key.mode} on strings ${limits.strings.join(', ')} ` +
+        `at frets ${limits.frets.min}-${limits.frets.max}`);
+    }
+
+    const middle = (pitches[0] + pitches[pitches.length - 1]) / 2;
+    const third = key.mode === 'minor' ? 3 : 4;
+    const chordTones = inKey.filter(midi => [0, third, 7].includes((midi - key.tonicPc + 12) % 12));
+    const nearest = (candidates, target) =>
+      candidates.reduce((best, midi) => (Math.abs(midi - target) < Math.abs(best - target) ? midi : best));
+    const withinLeap = (candidates, from) => candidates.filter(midi => Math.abs(midi - from) <= limits.maxLeap);
+
+    let hand = limits.frets.min;
+    let previous = null;
+    return events.map((event, index) => {
+      let midi;
+      if (previous === null) {
+        midi = nearest(chordTones, middle);
+      } else if (index === events.length - 1) {
+        midi = nearest(tonics, previous);
+      } else {
+        const chromatic = random() < limits.accidentals ? withinLeap(outOfKey, previous) : [];
+        const candidates = chromatic.length ? chromatic : withinLeap(inKey, previous);
+        midi = candidates.length
+          ? pick(random, candidates, candidate => (candidate === previous ? 0.5 : 1 / Math.abs(candidate - previous)))
+          : nearest(inKey, previous);
+      }
+
+      // Stay near the hand's position
+      const tab = positions.get(midi).reduce((best, position) =>
+        (Math.abs(position.fret - hand) < Math.abs(best.fret - hand) ? position : best));
+      hand = tab.fret;
+      previous = midi;
+
+      return { start: event.start, end: event.end, notes: [{ midi, pitch: this._spell(midi, key), tab }] };
+    });
+  }
+
+  /**
+   * Spell a note for the key
+   *
+   * Notes of the key take the signature's accidentals; others are written
+   * as sharps in sharp keys and flats in flat keys.
+   *
+   * @param {number} midi - MIDI note number
+   * @param {Object} key - Key from _getKey
+   * @returns {Object} Pitch { step, alter, octave }
+   * @private
+   */
+  _spell(midi, key) {
+    const spelled = key.spelling.get(midi % 12);
+    if (!spelled) {
+      return midiToPitch(midi, key.fifths < 0);
+    }
+    return { ...spelled, octave: Math.floor((midi - spelled.alter) / 12) - 1 };
+  }
+}
+
+export { SightReadingGenerator };
@@ -10,10 +10,12 @@
  * @fires tuner:stopped - Emitted when tuner deactivates
  * @fires tuner:update - Emitted on each pitch update with current state
  * @fires tuner:referencePitchChanged - Emitted when reference pitch changes
+ * @fires tuner:targetsChanged - Emitted when string targets are set or cleared
  */
 
 import { EventEmitter } from '../utils/eventEmitter.js';
 import { Logger } from '../utils/logger.js';
+import { getTuningName, noteNameToMidi } from '../utils/fretboard.js';
 
 const DEFAULT_CONFIG = {
   referencePitch: 440,
@@ -48,6 +50,16 @@ const DEFAULT_CONFIG = {
  * @property {string} color - Current zone color
  * @property {number} confidence - Detection confidence (0-1)
  * @property {number} referencePitch - Current A4 reference
+ * @property {TunerTarget|null} target - Nearest string target, when targets are set
+ */
+
+/**
+ * String target for "tune to this exercise"
+ * @typedef {Object} TunerTarget
+ * @property {number} string - String number (1 = highest)
+ * @property {string} noteName - Open string pitch (e.g. "D2")
+ * @property {number} frequency - Target frequency in Hz at the current reference pitch
+ * @property {number} [cents] - Deviation of the played pitch from the target
  */
 
 export class Tuner extends EventEmitter {
@@ -68,6 +80,10 @@ export class Tuner extends EventEmitter {
     this.smoothedFrequency = null;
     this.smoothedCents = null;
     
+    // Open strings to tune to (empty: chromatic tuner)
+    this.targetTuning = [];
+    this.capo = 0;
+    
     // Current display values
     this.currentState = this._getEmptyState();
     
@@ -99,7 +115,8 @@ export class Tuner extends EventEmitter {
       needleAngle: 0,
       color: this.config.zones.outOfTune.color,
       confidence: 0,
-      referencePitch: this.config.referencePitch
+      referencePitch: this.config.referencePitch,
+      target: null
     };
   }
   
@@ -213,7 +230,8 @@ export class Tuner extends EventEmitter {
       needleAngle: displayState.needleAngle,
       color: displayState.color,
       confidence: pitchData.confidence,
-      referencePitch: this.config.referencePitch
+      referencePitch: this.config.referencePitch,
+      target: this.findTarget(displayState.frequency)
     };
     
     // Emit update event via requestAnimationFrame
@@ -426,6 +444,79 @@ export class Tuner extends EventEmitter {
     return this.config.smoothingFactor;
   }
   
+  /**
+   * Tune to an exercise's strings instead of the nearest chromatic note
+   * 
+   * The strings are tuned open; the capo is reported so the player can put
+   * it on afterwards.
+   * 
+   * @param {Array<string>} tuning - Open string pitches, lowest first (ExerciseJSON `tuning`)
+   * @param {number} [capo=0] - Capo fret of the exercise
+   * @throws {Error} If a note name is invalid
+   */
+  setTargets(tuning, capo = 0) {
+    const invalid = tuning.find(note => noteNameToMidi(note) === null);
+    if (invalid !== undefined) {
+      throw new Error(`Invalid tuning note: ${invalid}`);
+    }
+    
+    this.targetTuning = [...tuning];
+    this.capo = capo;
+    this.reset();
+    
+    Logger.log(Logger.INFO, 'Tuner', 'String targets set', { tuning, capo });
+    
+    this.emit('tuner:targetsChanged', {
+      targets: this.getTargets(),
+      tuningName: getTuningName(tuning),
+      capo
+    });
+  }
+  
+  /**
+   * Go back to chromatic tuning
+   */
+  clearTargets() {
+    if (this.targetTuning.length === 0) {
+      return;
+    }
+    
+    this.targetTuning = [];
+    this.capo = 0;
+    
+    this.emit('tuner:targetsChanged', { targets: [], tuningName: null, capo: 0 });
+  }
+  
+  /**
+   * Get the string targets, lowest string first
+   * @returns {Array<TunerTarget>} Targets (empty when tuning chromatically)
+   */
+  getTargets() {
+    return this.targetTuning.map((noteName, index) => ({
+      string: this.targetTuning.length - index,
+      noteName,
+      frequency: this.config.referencePitch * Math.pow(2, (noteNameToMidi(noteName) - 69) / 12)
+    }));
+  }
+  
+  /**
+   * Find the string target closest to a frequency
+   * @param {number} frequency - Played frequency in Hz
+   * @returns {TunerTarget|null} Closest target with `cents` deviation, or null without targets
+   */
+  findTarget(frequency) {
+    let closest = null;
+    
+    this.getTargets().forEach(target => {
+      const cents = 1200 * Math.log2(frequency / target.frequency);
+      if (!closest || Math.abs(cents) < Math.abs(closest.cents)) {
+        closest = { ...target, cents: Math.round(cents) };
+      }
+    });
+    
+    return closest;
+  }
+  
   /**
    * Get current tuner state
    * @returns {TunerState} Current state
@@ -1,6 +1,6 @@
 /**
  * Test setup for Node.js environment
- * Provides browser API mocks for DOMParser, localStorage, and FileReader
+ * Provides browser API mocks for DOMParser, XMLSerializer, localStorage, and FileReader
  */
 
 import { JSDOM } from 'jsdom';
@@ -15,6 +15,9 @@ global.DOMParser = class DOMParser {
   }
 };
 
+// Mock XMLSerializer
+global.XMLSerializer = new JSDOM('').window.XMLSerializer;
+
 // Mock localStorage
 const storageData = {};
 global.localStorage = {
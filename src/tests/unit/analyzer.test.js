@@ -302,6 +302,168 @@ test.describe('Analyzer', () => {
     assert.strictEqual(result.aggregate.totalNotes, 2);
   });
 
+  test('Analyzer - scores grouped chord as one event', async () => {
+    const analyzer = new Analyzer({
+      pitchTolerance: 50,
+      timingTolerance: 100
+    });
+
+    analyzer.storage = new MockStorage();
+
+    const reference = [
+      { id: 'n1', midi: 60, timestamp: 0, duration: 500, chordId: 'c1' },
+      { id: 'n2', midi: 64, timestamp: 0, duration: 500, chordId: 'c1' },
+      { id: 'n3', midi: 67, timestamp: 0, duration: 500, chordId: 'c1' },
+      { id: 'n4', midi: 62, timestamp: 500, duration: 500, chordId: null }
+    ];
+
+    // Monophonic detector reports only one string of the strum
+    const detected = [
+      { type: 'monophonic', midi: 64, timestamp: 0, confidence: 1.0 },
+      { type: 'monophonic', midi: 62, timestamp: 500, confidence: 1.0 }
+    ];
+
+    const result = await analyzer.analyze(reference, detected);
+
+    assert.strictEqual(result.perNote.length, 2, 'Chord yields a single result');
+    assert.strictEqual(result.perNote[0].chordId, 'c1');
+    assert.deepStrictEqual(result.perNote[0].noteIds, ['n1', 'n2', 'n3']);
+    assert.strictEqual(result.perNote[0].expectedMidi, 64, 'Matched against closest chord member');
+    assert.strictEqual(result.perNote[0].pitchDeviation, 0);
+    assert.strictEqual(result.aggregate.totalNotes, 2);
+    assert.strictEqual(result.aggregate.notesMissed, 0);
+  });
+
+  test('Analyzer - scores legato note without a fresh onset', async () => {
+    const analyzer = new Analyzer({
+      pitchTolerance: 50,
+      timingTolerance: 100
+    });
+
+    analyzer.storage = new MockStorage();
+
+    const reference = [
+      { id: 'n1', midi: 60, timestamp: 0, duration: 500 },
+      { id: 'n2', midi: 62, timestamp: 500, duration: 500, legato: true }
+    ];
+
+    // Hammer-on: the pitch changes but the only onset is the picked note ringing on
+    const detected = [
+      { type: 'pitch:onset', midi: 60, timestamp: 0, confidence: 1.0 },
+      { type: 'monophonic', midi: 60, timestamp: 0, confidence: 0.9 },
+      { type: 'pitch:onset', midi: 60, timestamp: 480, confidence: 1.0 },
+      { type: 'monophonic', midi: 62, timestamp: 540, confidence: 0.6 }
+    ];
+
+    const result = await analyzer.analyze(reference, detected);
+    const legato = result.perNote[1];
+
+    assert.strictEqual(legato.detectedMidi, 62, 'Pitch taken from the continuous detection');
+    assert.strictEqual(legato.pitchDeviation, 0);
+    assert.notStrictEqual(legato.classification, 'MISSED');
+  });
+
+  test('Analyzer - scores legato chord without a fresh onset', async () => {
+    const analyzer = new Analyzer({
+      pitchTolerance: 50,
+      timingTolerance: 100
+    });
+
+    analyzer.storage = new MockStorage();
+
+    const reference = [
+      { id: 'n1', midi: 60, timestamp: 0, duration: 500 },
+      { id: 'n2', midi: 62, timestamp: 500, duration: 500, chordId: 'c1', legato: true },
+      { id: 'n3', midi: 66, timestamp: 500, duration: 500, chordId: 'c1', legato: true }
+    ];
+
+    // Double-stop hammer-on: only the picked note's onset rings on
+    const detected = [
+      { type: 'pitch:onset', midi: 60, timestamp: 0, confidence: 1.0 },
+      { type: 'monophonic', midi: 60, timestamp: 0, confidence: 0.9 },
+      { type: 'pitch:onset', midi: 60, timestamp: 480, confidence: 1.0 },
+      { type: 'monophonic', midi: 62, timestamp: 540, confidence: 0.6 }
+    ];
+
+    const result = await analyzer.analyze(reference, detected);
+    const chord = result.perNote[1];
+
+    assert.deepStrictEqual(chord.noteIds, ['n2', 'n3']);
+    assert.strictEqual(chord.detectedMidi, 62, 'Pitch taken from the continuous detection');
+    assert.strictEqual(chord.pitchDeviation, 0);
+    assert.notStrictEqual(chord.classification, 'MISSED');
+  });
+
+  test('Analyzer - scores unpitched notes on onset timing only', async () => {
+    const analyzer = new Analyzer({
+      pitchTolerance: 50,
+      timingTolerance: 100
+    });
+
+    analyzer.storage = new MockStorage();
+
+    const reference = [
+      { id: 'n1', midi: null, timestamp: 0, duration: 500, unpitched: true },
+      { id: 'n2', midi: null, timestamp: 500, duration: 500, unpitched: true },
+      { id: 'n3', midi: null, timestamp: 1000, duration: 500, unpitched: true },
+      { id: 'n4', midi: 64, timestamp: 2000, duration: 500 }
+    ];
+
+    // Muted strums: any detected pitch, on time for the first, late for the second, missing the third
+    const detected = [
+      { type: 'pitch:onset', midi: 47, timestamp: 0, confidence: 0.9 },
+      { type: 'monophonic', midi: 47, timestamp: 20, confidence: 0.3 },
+      { type: 'pitch:onset', midi: 71, timestamp: 640, confidence: 0.9 },
+      { type: 'monophonic', midi: 64, timestamp: 2000, confidence: 0.9 }
+    ];
+
+    const result = await analyzer.analyze(reference, detected, { tempo: 120 });
+    const [onTime, late, missed, pitched] = result.perNote;
+
+    assert.strictEqual(onTime.unpitched, true);
+    assert.strictEqual(onTime.expectedMidi, null);
+    assert.strictEqual(onTime.pitchScore, 1, 'Detected pitch is ignored');
+    assert.strictEqual(onTime.classification, 'PERFECT');
+    assert.strictEqual(late.timingDeviation, 140);
+    assert.ok(late.combinedScore < onTime.combinedScore, 'Late strum scores lower');
+    assert.strictEqual(missed.classification, 'MISSED');
+    assert.strictEqual(pitched.expectedMidi, 64);
+    assert.strictEqual(pitched.unpitched, undefined);
+    assert.strictEqual(result.aggregate.notesExtra, 0, 'Matched onsets and their attack are not extras');
+  });
+
+  test('Analyzer - sorts results into overlay outcomes and lists extra notes', async () => {
+    const analyzer = new Analyzer({
+      pitchTolerance: 50,
+      timingTolerance: 100
+    });
+
+    analyzer.storage = new MockStorage();
+
+    const reference = [
+      { id: 'n1', midi: 60, timestamp: 0, duration: 500 }
+    ];
+    const detected = [
+      { type: 'pitch:onset', midi: 60, timestamp: 0, confidence: 0.9 },
+      { type: 'monophonic', midi: 60, timestamp: 0, confidence: 0.9 },
+      { type: 'monophonic', midi: 67, timestamp: 3000, confidence: 0.9 }
+    ];
+
+    const result = await analyzer.analyze(reference, detected, { tempo: 120 });
+    assert.strictEqual(result.extraNotes.length, result.aggregate.notesExtra);
+    assert.ok(result.extraNotes.some(extra => extra.detectedMidi === 67 && extra.detectedTimestamp === 3000));
+
+    const tolerances = { pitch: 50, timing: 100 };
+    const outcome = (note) => Analyzer.getNoteOutcome({ classification: 'GOOD', ...note }, tolerances);
+    assert.strictEqual(Analyzer.getNoteOutcome(result.perNote[0], result.tolerances), 'correct');
+    assert.strictEqual(outcome({ pitchDeviation: 0.4, timingDeviation: -100 }), 'correct', 'Tolerances are inclusive');
+    assert.strictEqual(outcome({ pitchDeviation: -1, timingDeviation: 300 }), 'wrong-pitch', 'Pitch comes first');
+    assert.strictEqual(outcome({ pitchDeviation: 0, timingDeviation: -150 }), 'early');
+    assert.strictEqual(outcome({ pitchDeviation: 0, timingDeviation: 150 }), 'late');
+    assert.strictEqual(outcome({ pitchDeviation: 5, timingDeviation: 0, unpitched: true }), 'correct');
+    assert.strictEqual(outcome({ classification: 'MISSED', pitchDeviation: 0, timingDeviation: 0 }), 'missed');
+  });
+
   test('Analyzer - performance history stored and retrieved', async () => {
     const mockStorage = new MockStorage();
     const analyzer = new Analyzer({ 
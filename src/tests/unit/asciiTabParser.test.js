@@ -0,0 +1,142 @@
+/**
+ * Unit tests for AsciiTabParser module
+ * Tests tab system detection, tuning labels, techniques and rhythm inference
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { AsciiTabParser } from '../../core/asciiTabParser.js';
+import { ExerciseLoader } from '../../core/exerciseLoader.js';
+
+const riff = `Smoke Riff
+Tempo: 100
+
+e|-----------------|-----------------|
+B|-----------------|-----------------|
+G|-----0---3---5---|-----0---3---6-5-|
+D|-0---------------|-----------------|
+A|-----------------|-----------------|
+E|-----------------|-----------------|
+`;
+
+/**
+ * Get tab staff notes of an exercise
+ * @param {Object} exercise - Parsed ExerciseJSON
+ * @returns {Array<Object>} Staff 2 notes without rests
+ */
+function tabNotes(exercise) {
+  return exercise.timeline.filter(note => note.staff === 2 && !note.isRest);
+}
+
+test('AsciiTabParser - reads title, tempo and rhythm from spacing', async () => {
+  const exercise = await new ExerciseLoader().parseASCIITab(riff);
+  const notes = tabNotes(exercise);
+
+  assert.strictEqual(exercise.title, 'Smoke Riff');
+  assert.strictEqual(exercise.tempo, 100);
+  assert.strictEqual(exercise.measureCount, 2);
+  assert.deepStrictEqual(exercise.tuning, ['E2', 'A2', 'D3', 'G3', 'B3', 'E4']);
+
+  // 600ms per quarter; measure 2 starts with a quarter rest
+  assert.deepStrictEqual(notes.map(note => note.timestamp), [0, 600, 1200, 1800, 3000, 3600, 4200, 4500]);
+  assert.deepStrictEqual(notes.map(note => note.midi), [50, 55, 58, 60, 55, 58, 61, 60]);
+  assert.deepStrictEqual(notes[0].tab, { string: 4, fret: 0 });
+  assert.ok(exercise.timeline.some(note => note.isRest && note.measure === 2 && note.timestamp === 2400));
+});
+
+test('AsciiTabParser - rhythm line sets durations', async () => {
+  const tab = `  q   e e h
+e|-0---1-3-0-------|
+B|-----------------|
+G|-----------------|
+D|-----------------|
+A|-----------------|
+E|-----------------|`;
+
+  const exercise = await new ExerciseLoader().parseASCIITab(tab, { title: 'Rhythm' });
+  const notes = tabNotes(exercise);
+
+  assert.deepStrictEqual(notes.map(note => [note.timestamp, note.duration]),
+    [[0, 500], [500, 250], [750, 250], [1000, 1000]]);
+});
+
+test('AsciiTabParser - a short word title above the tab is not a rhythm line', async () => {
+  const tab = `sweet
+e|-0---1---3---0---|
+B|-----------------|
+G|-----------------|
+D|-----------------|
+A|-----------------|
+E|-----------------|`;
+
+  const exercise = await new ExerciseLoader().parseASCIITab(tab);
+  const notes = tabNotes(exercise);
+
+  assert.strictEqual(exercise.title, 'sweet');
+  assert.deepStrictEqual(notes.map(note => note.timestamp), [0, 500, 1000, 1500], 'Rhythm from spacing');
+
+  // Letters written together still count when each stands over a note
+  const aligned = new AsciiTabParser()._findSystems(['   qeeh', 'e|-0123---|', 'B|--------|', 'G|--------|']);
+  assert.strictEqual(aligned[0].rhythm, '   qeeh');
+});
+
+test('AsciiTabParser - writes technique markers into MusicXML', () => {
+  const tab = `e|-----------------|
+B|-----------------|
+G|-5h7-7p5-7/9-9b11r9~-|
+D|-----------------|
+A|-----------------|
+E|-x---------------|`;
+
+  const xml = new AsciiTabParser().toMusicXML(tab);
+
+  assert.ok(xml.includes('<hammer-on number="1" type="start">H</hammer-on>'));
+  assert.ok(xml.includes('<pull-off number="1" type="stop"/>'));
+  assert.ok(xml.includes('<slide number="1" type="start" line-type="solid"/>'));
+  assert.ok(xml.includes('<bend><bend-alter>2</bend-alter></bend><bend><bend-alter>-2</bend-alter><release/></bend>'));
+  assert.ok(xml.includes('<wavy-line type="start" number="1"/>'));
+  assert.ok(xml.includes('<notehead>x</notehead>'));
+  assert.ok(!xml.includes('<fret>11</fret>'), 'Bend target is not a separate note');
+});
+
+test('AsciiTabParser - derives alternate tuning from labels', async () => {
+  const tab = `E|-----|
+B|-----|
+G|-----|
+D|-----|
+A|-----|
+D|-0---|`;
+
+  const exercise = await new ExerciseLoader().parseASCIITab(tab);
+
+  assert.deepStrictEqual(exercise.tuning, ['D2', 'A2', 'D3', 'G3', 'B3', 'E4']);
+  assert.strictEqual(tabNotes(exercise)[0].midi, 38);
+});
+
+test('AsciiTabParser - rejects text without tab systems', () => {
+  assert.throws(() => new AsciiTabParser().toMusicXML('Just some lyrics\nand chords G D Em'), /No ASCII tab/);
+});
+
+test('ExerciseLoader - loadFromFile accepts .tab and .txt files', async () => {
+  const loader = new ExerciseLoader();
+  const originalFileReader = global.FileReader;
+  global.FileReader = class MockFileReader {
+    readAsText() {
+      this.result = riff;
+      setTimeout(() => this.onload({ target: this }), 0);
+    }
+  };
+
+  try {
+    const exercise = await loader.loadFromFile({ type: '', size: riff.length, name: 'riff.tab' });
+    assert.strictEqual(exercise.filename, 'riff.tab');
+    assert.strictEqual(tabNotes(exercise).length, 8);
+
+    const text = await loader.loadFromFile({ type: 'text/plain', size: riff.length, name: 'riff.txt' });
+    assert.strictEqual(tabNotes(text).length, 8);
+    assert.strictEqual(ExerciseLoader.getFileFormat('Riff.TXT'), 'TAB');
+    assert.strictEqual(ExerciseLoader.getFileFormat('riff.pdf'), null);
+  } finally {
+    global.FileReader = originalFileReader;
+  }
+});
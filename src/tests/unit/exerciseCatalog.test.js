@@ -0,0 +1,121 @@
+/**
+ * Unit tests for the exercise catalog
+ * Tests the bundled manifest, derived fields and catalog search
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync, existsSync } from 'fs';
+import {
+  readCatalog,
+  needsDerivedFields,
+  fillDerivedFields,
+  parseCatalogQuery,
+  filterCatalog
+} from '../../utils/exerciseCatalog.js';
+import { ExerciseLoader } from '../../core/exerciseLoader.js';
+
+const manifest = JSON.parse(readFileSync('assets/exercises/catalog.json', 'utf8'));
+const catalog = readCatalog(manifest, 'assets/exercises');
+const ids = entries => entries.map(entry => entry.id);
+
+test('ExerciseCatalog - bundled manifest lists existing exercises', () => {
+  assert.ok(catalog.length > 0);
+  catalog.forEach(entry => {
+    assert.ok(existsSync(entry.url), `${entry.url} exists`);
+    assert.ok(entry.title, `${entry.id} has a title`);
+    assert.ok(entry.difficulty, `${entry.id} has a difficulty`);
+    assert.ok(entry.tempoRange.min <= entry.tempoRange.max, `${entry.id} has a tempo range`);
+  });
+});
+
+test('ExerciseCatalog - bundled manifest describes each score without parsing it', async () => {
+  const loader = new ExerciseLoader();
+  const levels = new Set(catalog.map(entry => entry.difficulty));
+  assert.ok(levels.size > 1, 'Entries span more than one level');
+
+  for (const entry of catalog) {
+    assert.strictEqual(needsDerivedFields(entry), false, `${entry.id} is described`);
+    const derived = loader.describeExercise(await loader.parseXML(readFileSync(entry.url, 'utf8')));
+    ['composer', 'key', 'timeSignature', 'measureCount', 'noteRange'].forEach(field => {
+      assert.deepStrictEqual(entry[field], derived[field], `${entry.id} ${field} matches its score`);
+    });
+  }
+});
+
+test('ExerciseCatalog - rejects malformed manifests', () => {
+  assert.throws(() => readCatalog({}), /exercises array/);
+  assert.throws(() => readCatalog({ exercises: [{ id: 'a' }] }), /needs an id and a file/);
+  assert.throws(() => readCatalog({ exercises: [{ id: 'a', file: 'a.xml' }, { id: 'a', file: 'b.xml' }] }),
+    /Duplicate catalog id: a/);
+  assert.throws(() => readCatalog({ exercises: [{ id: 'a', file: 'a.xml', difficulty: 'expert' }] }),
+    /Unknown difficulty/);
+  assert.throws(() => readCatalog({ exercises: [{ id: 'a', file: 'a.xml', prerequisites: ['b'] }] }),
+    /Unknown prerequisite for a: b/);
+});
+
+test('ExerciseCatalog - parses difficulty, tempo and words from a search', () => {
+  assert.deepStrictEqual(parseCatalogQuery('Beginner, single string, under 90 BPM'), {
+    difficulty: ['beginner'],
+    minTempo: null,
+    maxTempo: { bpm: 90, strict: true },
+    tempo: null,
+    words: ['single', 'string']
+  });
+
+  const range = parseCatalogQuery('chords 60-80 bpm');
+  assert.deepStrictEqual([range.minTempo.bpm, range.maxTempo.bpm, range.words], [60, 80, ['chords']]);
+  assert.deepStrictEqual(parseCatalogQuery('at least 100').minTempo, { bpm: 100, strict: false });
+  assert.strictEqual(parseCatalogQuery('100 bpm').tempo, 100);
+});
+
+test('ExerciseCatalog - finds beginner single-string exercises under 90 BPM', () => {
+  assert.deepStrictEqual(ids(filterCatalog(catalog, 'beginner, single string, under 90 BPM')),
+    ['single-string-e', 'single-string-b', 'single-string-g']);
+});
+
+test('ExerciseCatalog - compares tempo conditions with the practice range', () => {
+  const entries = [
+    { id: 'slow', tempoRange: { min: 50, max: 80 }, techniques: [], tags: [] },
+    { id: 'fast', tempoRange: { min: 100, max: 160 }, techniques: [], tags: [] },
+    { id: 'unknown', tempoRange: null, techniques: [], tags: [] }
+  ];
+
+  assert.deepStrictEqual(ids(filterCatalog(entries, 'under 100 bpm')), ['slow']);
+  assert.deepStrictEqual(ids(filterCatalog(entries, 'up to 100 bpm')), ['slow', 'fast']);
+  assert.deepStrictEqual(ids(filterCatalog(entries, 'over 80')), ['fast']);
+  assert.deepStrictEqual(ids(filterCatalog(entries, '70 bpm')), ['slow']);
+  assert.deepStrictEqual(ids(filterCatalog(entries, '85-95 bpm')), []);
+  assert.deepStrictEqual(ids(filterCatalog(entries, '')), ['slow', 'fast', 'unknown']);
+});
+
+test('ExerciseCatalog - matches words by prefix, plural and accents', () => {
+  assert.deepStrictEqual(ids(filterCatalog(catalog, 'frere')), ['frere-jacques']);
+  assert.deepStrictEqual(ids(filterCatalog(catalog, 'penta')), ['pentatonic-scale']);
+  assert.ok(ids(filterCatalog(catalog, 'three strings')).includes('three-string-e-a-d'));
+  assert.deepStrictEqual(ids(filterCatalog(catalog, 'intermediate')), ['happy-birthday']);
+});
+
+test('ExerciseLoader - describes exercises for the catalog', async () => {
+  const entry = catalog.find(item => item.id === 'happy-birthday');
+  const loader = new ExerciseLoader();
+  const derived = loader.describeExercise(await loader.parseXML(readFileSync(entry.url, 'utf8')));
+
+  assert.deepStrictEqual(derived, {
+    title: 'Happy Birthday',
+    composer: 'Traditional',
+    key: 'C major',
+    timeSignature: '3/4',
+    tempoRange: { min: 120, max: 120 },
+    measureCount: 9,
+    noteRange: { lowest: 'G4', highest: 'G5' }
+  });
+
+  const { key, timeSignature, ...bare } = entry;
+  assert.strictEqual(needsDerivedFields(bare), true);
+  const filled = fillDerivedFields(bare, derived);
+  assert.strictEqual(filled.key, 'C major');
+  assert.strictEqual(filled.timeSignature, '3/4');
+  assert.deepStrictEqual(filled.tempoRange, entry.tempoRange, 'Manifest tempo range is kept');
+  assert.strictEqual(filterCatalog([filled], '3/4 c major').length, 1);
+});
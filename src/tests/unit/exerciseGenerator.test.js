@@ -0,0 +1,112 @@
+/**
+ * Unit tests for ExerciseGenerator module
+ * Tests fretboard boxes, key spelling, patterns, rhythms and loading
+ * generated exercises
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ExerciseGenerator } from '../../core/exerciseGenerator.js';
+import { ExerciseLoader } from '../../core/exerciseLoader.js';
+
+/**
+ * Generate and parse an exercise
+ * @param {Object} options - ExerciseGenerator options
+ * @returns {Promise<Object>} { exercise, notes, tab } with notation and tab notes
+ */
+async function generate(options) {
+  const exercise = await new ExerciseLoader().generateExercise(options);
+  const played = staff => exercise.timeline.filter(entry => entry.staff === staff && !entry.isRest);
+  return { exercise, notes: played(1), tab: played(2) };
+}
+
+const names = notes => notes.map(({ pitch }) =>
+  pitch.step + (pitch.alter > 0 ? '#' : pitch.alter < 0 ? 'b' : '') + pitch.octave);
+
+test('ExerciseGenerator - plays the E-shape minor pentatonic box root to root', async () => {
+  const { exercise, notes, tab } = await generate({ type: 'minor-pentatonic', tonic: 'A', direction: 'ascending' });
+
+  assert.deepStrictEqual(names(notes), ['A2', 'C3', 'D3', 'E3', 'G3', 'A3', 'C4', 'D4', 'E4', 'G4', 'A4']);
+  assert.deepStrictEqual(tab.map(entry => entry.tab), [
+    { string: 6, fret: 5 }, { string: 6, fret: 8 },
+    { string: 5, fret: 5 }, { string: 5, fret: 7 },
+    { string: 4, fret: 5 }, { string: 4, fret: 7 },
+    { string: 3, fret: 5 }, { string: 3, fret: 7 },
+    { string: 2, fret: 5 }, { string: 2, fret: 8 },
+    { string: 1, fret: 5 }
+  ]);
+  assert.strictEqual(exercise.key.name, 'A minor');
+  assert.strictEqual(exercise.title, 'A Minor Pentatonic Scale - E Shape, Straight, Eighths');
+});
+
+test('ExerciseGenerator - spells notes for the key', async () => {
+  const sharp = await generate({ type: 'major', tonic: 'F#', shape: 'A', direction: 'ascending' });
+  assert.deepStrictEqual(names(sharp.notes), ['F#3', 'G#3', 'A#3', 'B3', 'C#4', 'D#4', 'E#4', 'F#4']);
+  assert.strictEqual(sharp.exercise.key.name, 'F# major');
+
+  const flat = await generate({ type: 'dominant7-arpeggio', tonic: 'Bb', position: 5, direction: 'ascending' });
+  assert.ok(names(flat.notes).every(name => /^(Bb|D|F|Ab)\d$/.test(name)), names(flat.notes).join(' '));
+});
+
+test('ExerciseGenerator - follows patterns and directions', async () => {
+  const box = (await generate({ type: 'major', tonic: 'C', position: 7, direction: 'ascending' })).notes
+    .map(note => note.midi);
+
+  const thirds = (await generate({ type: 'major', tonic: 'C', position: 7, pattern: 'thirds', direction: 'ascending' }))
+    .notes.map(note => note.midi);
+  assert.deepStrictEqual(thirds.slice(0, 6), [box[0], box[2], box[1], box[3], box[2], box[4]]);
+  assert.strictEqual(thirds[thirds.length - 1], box[box.length - 1], 'Run ends on the top note');
+
+  const fours = (await generate({ type: 'major', tonic: 'C', position: 7, pattern: 'fours', direction: 'descending' }))
+    .notes.map(note => note.midi);
+  const down = [...box].reverse();
+  assert.deepStrictEqual(fours.slice(0, 8), [...down.slice(0, 4), ...down.slice(1, 5)]);
+
+  const upDown = (await generate({ type: 'major', tonic: 'C', position: 7 })).notes.map(note => note.midi);
+  assert.deepStrictEqual(upDown, [...box, ...down.slice(1)]);
+});
+
+test('ExerciseGenerator - lays notes out in the chosen rhythm and tempo', async () => {
+  const { exercise, notes } = await generate({
+    type: 'minor-arpeggio', tonic: 'E', shape: 'E', rhythm: 'triplets', tempo: 60
+  });
+
+  assert.strictEqual(exercise.tempo, 60);
+  assert.ok(exercise.osmdInput.includes('<actual-notes>3</actual-notes>'));
+  notes.slice(0, -1).forEach((note, index) => {
+    assert.ok(Math.abs(note.timestamp - index * 1000 / 3) < 1, `Triplet ${index} on the grid`);
+  });
+
+  // The last note is held to the barline
+  const last = notes[notes.length - 1];
+  const lastMeasure = exercise.measures[exercise.measures.length - 1];
+  assert.ok(Math.abs(last.timestamp + last.duration - (lastMeasure.timestamp + lastMeasure.duration)) < 1);
+});
+
+test('ExerciseGenerator - rejects unknown options', () => {
+  const generator = new ExerciseGenerator();
+
+  assert.throws(() => generator.toMusicXML({ type: 'bebop', tonic: 'C' }), /Unknown scale or arpeggio type/);
+  assert.throws(() => generator.toMusicXML({ type: 'major', tonic: 'H' }), /Unknown tonic/);
+  assert.throws(() => generator.toMusicXML({ type: 'major', tonic: 'C', shape: 'F' }), /Unknown CAGED shape/);
+  assert.throws(() => generator.toMusicXML({ type: 'major', tonic: 'C', pattern: 'sixths' }), /Unknown pattern/);
+  assert.throws(() => generator.toMusicXML({ type: 'major', tonic: 'C', rhythm: 'quintuplets' }), /Unknown rhythm/);
+  assert.throws(() => generator.toMusicXML({ type: 'major', tonic: 'C', position: 30 }), /Invalid position/);
+  assert.throws(() => generator.toMusicXML({ type: 'locrian', tonic: 'Db' }), /no key signature/);
+  assert.throws(() => generator.toMusicXML({
+    type: 'major', tonic: 'C', shape: 'E', tuning: ['B1', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4']
+  }), /six-string tuning/);
+  assert.ok(ExerciseGenerator.types.includes('minor7-arpeggio'));
+});
+
+test('ExerciseLoader - generated exercises are ready for scoring', async () => {
+  const loader = new ExerciseLoader();
+  const { exercise, notes, tab } = await generate({ type: 'blues', tonic: 'E', shape: 'E', pattern: 'thirds' });
+
+  assert.strictEqual(loader.validateExercise(exercise).valid, true);
+  assert.strictEqual(tab.length, notes.length, 'Every note has tab');
+  assert.strictEqual(loader.getAnalysisTimeline(exercise).length, notes.length);
+
+  const reloaded = await loader.parseXML(exercise.osmdInput);
+  assert.deepStrictEqual(reloaded.timeline, exercise.timeline);
+});
@@ -0,0 +1,132 @@
+/**
+ * Unit tests for ExerciseLibrary module
+ * Tests persistence of uploads, favourites, last-opened tracking, rename and delete
+ * using the in-memory fallback (no IndexedDB in Node.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ExerciseLibrary } from '../../core/exerciseLibrary.js';
+import { STORAGE_KEYS } from '../../utils/constants.js';
+
+const score = (title) => `<score-partwise><work><work-title>${title}</work-title></work></score-partwise>`;
+
+test('ExerciseLibrary - falls back to memory without IndexedDB', async () => {
+  const library = new ExerciseLibrary({ indexedDB: null });
+  await library.init();
+
+  assert.strictEqual(library.usingFallback, true);
+  assert.deepStrictEqual(await library.list(), []);
+});
+
+test('ExerciseLibrary - stores uploads with metadata and content', async () => {
+  const library = new ExerciseLibrary({ indexedDB: null });
+  const events = [];
+  library.on('library:changed', event => events.push(event));
+
+  const entry = await library.add({
+    name: 'etude.xml',
+    content: score('Etude'),
+    exercise: { title: 'Etude', composer: 'Sor', tempo: 90, timeSignature: { beats: 3, beatType: 4 } }
+  });
+
+  assert.strictEqual(entry.name, 'Etude');
+  assert.strictEqual(entry.fileName, 'etude.xml');
+  assert.strictEqual(entry.composer, 'Sor');
+  assert.strictEqual(entry.tempo, 90);
+  assert.strictEqual(entry.favourite, false);
+  assert.strictEqual(entry.lastOpened, null);
+  assert.ok(!('content' in entry), 'Summaries leave the score out');
+  assert.ok(library.inMemoryFallback.has(STORAGE_KEYS.EXERCISE_CACHE_PREFIX + entry.id));
+  assert.deepStrictEqual(events, [{ action: 'added', id: entry.id }]);
+
+  const stored = await library.get(entry.id);
+  assert.strictEqual(stored.content, score('Etude'));
+  assert.strictEqual(stored.size, score('Etude').length);
+});
+
+test('ExerciseLibrary - keeps scores larger than the LocalStorage guard', async () => {
+  const library = new ExerciseLibrary({ indexedDB: null });
+  const content = score('Big') + ' '.repeat(6 * 1024 * 1024);
+
+  const entry = await library.add({ name: 'big.xml', content });
+
+  assert.strictEqual((await library.get(entry.id)).content.length, content.length);
+});
+
+test('ExerciseLibrary - does not duplicate identical uploads', async () => {
+  const library = new ExerciseLibrary({ indexedDB: null });
+
+  const first = await library.add({ name: 'a.xml', content: score('A') });
+  const again = await library.add({ name: 'copy of a.xml', content: score('A') });
+
+  assert.strictEqual(again.id, first.id);
+  assert.strictEqual((await library.list()).length, 1);
+});
+
+test('ExerciseLibrary - lists and finds duplicates without reading every score', async () => {
+  const library = new ExerciseLibrary({ indexedDB: null });
+  await library.add({ name: 'a.xml', content: score('A') });
+  await library.add({ name: 'b.xml', content: score('B') });
+  await library.add({ name: 'c.xml', content: score('C') });
+
+  const reads = [];
+  const get = library.inMemoryScores.get.bind(library.inMemoryScores);
+  library.inMemoryScores.get = (key) => {
+    reads.push(key);
+    return get(key);
+  };
+
+  assert.strictEqual((await library.list()).length, 3);
+  assert.deepStrictEqual(reads, [], 'Listing reads metadata only');
+
+  const again = await library.add({ name: 'copy of b.xml', content: score('B') });
+  assert.deepStrictEqual(reads, [STORAGE_KEYS.EXERCISE_CACHE_PREFIX + again.id], 'Only the hash match is compared');
+  assert.ok(!('hash' in again));
+});
+
+test('ExerciseLibrary - orders favourites, then recently opened', async () => {
+  const library = new ExerciseLibrary({ indexedDB: null });
+  const a = await library.add({ name: 'a.xml', content: score('A') });
+  const b = await library.add({ name: 'b.xml', content: score('B') });
+  const c = await library.add({ name: 'c.xml', content: score('C') });
+
+  await library.markOpened(a.id);
+  await library.toggleFavourite(c.id);
+
+  assert.deepStrictEqual((await library.list()).map(entry => entry.id), [c.id, a.id, b.id]);
+  assert.strictEqual((await library.getLastOpened()).id, a.id);
+
+  await library.setFavourite(c.id, false);
+  assert.strictEqual((await library.list())[0].id, a.id);
+});
+
+test('ExerciseLibrary - renames and deletes entries', async () => {
+  const library = new ExerciseLibrary({ indexedDB: null });
+  const entry = await library.add({ name: 'a.xml', content: score('A') });
+
+  assert.strictEqual((await library.rename(entry.id, '  Warm-up  ')).name, 'Warm-up');
+  await assert.rejects(() => library.rename(entry.id, ' '), /must not be empty/);
+  await assert.rejects(() => library.markOpened('missing'), /not found/);
+
+  assert.strictEqual(await library.remove(entry.id), true);
+  assert.strictEqual(await library.remove(entry.id), false);
+  assert.strictEqual(await library.get(entry.id), null);
+  assert.deepStrictEqual(await library.list(), []);
+});
+
+test('ExerciseLibrary - falls back to memory when the database fails to open', async () => {
+  const indexedDB = {
+    open() {
+      const request = { error: new Error('denied') };
+      setTimeout(() => request.onerror(), 0);
+      return request;
+    }
+  };
+  const library = new ExerciseLibrary({ indexedDB });
+
+  const entry = await library.add({ name: 'a.xml', content: score('A') });
+
+  assert.strictEqual(library.usingFallback, true);
+  assert.strictEqual((await library.get(entry.id)).name, 'a.xml');
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for FingeringEngine module
+ * Tests chord shapes, hand movement, timeline fingering and tab staff generation
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { FingeringEngine } from '../../core/fingeringEngine.js';
+import { ExerciseLoader } from '../../core/exerciseLoader.js';
+
+/**
+ * Build a single-staff MusicXML score
+ * @param {string} measures - Measure elements
+ * @returns {string} MusicXML document
+ */
+function buildScore(measures) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="3.1">
+  <work><work-title>Notation Only</work-title></work>
+  <part-list><score-part id="P1"><part-name>Guitar</part-name></score-part></part-list>
+  <part id="P1">
+    <measure number="1">
+      <attributes>
+        <divisions>1</divisions>
+        <key><fifths>0</fifths></key>
+        <time><beats>4</beats><beat-type>4</beat-type></time>
+        <clef><sign>G</sign><line>2</line><clef-octave-change>-1</clef-octave-change></clef>
+      </attributes>
+      ${measures}
+    </measure>
+  </part>
+</score-partwise>`;
+}
+
+const note = (step, octave, extra = '') =>
+  `<note>${extra}<pitch><step>${step}</step><octave>${octave}</octave></pitch>` +
+  '<duration>1</duration><voice>1</voice><type>quarter</type><stem>up</stem></note>';
+
+const melody = buildScore([
+  note('G', 3),
+  note('A', 3),
+  note('B', 3),
+  note('C', 4) + note('E', 4, '<chord/>') + note('G', 4, '<chord/>')
+].join('\n'));
+
+test('FingeringEngine - picks open chord shapes', () => {
+  const [g, e] = new FingeringEngine().assignChords([
+    [43, 47, 50, 55, 59, 67],
+    [40, 47, 52, 55, 59, 64]
+  ]);
+
+  assert.deepStrictEqual(g.map(position => position.fret), [3, 2, 0, 0, 0, 3]);
+  assert.deepStrictEqual(e.map(position => position.string), [6, 5, 4, 3, 2, 1]);
+  assert.deepStrictEqual(e.map(position => position.fret), [0, 2, 2, 0, 0, 0]);
+});
+
+test('FingeringEngine - stays in position instead of shifting along a string', () => {
+  // C major run above the twelfth fret
+  const frets = new FingeringEngine()
+    .assignChords([[72], [74], [76], [77], [79], [77], [76], [74]])
+    .map(([position]) => position.fret);
+
+  assert.ok(Math.max(...frets) - Math.min(...frets) <= 3, `Frets stay within one hand span: ${frets}`);
+});
+
+test('FingeringEngine - avoids stretches beyond the hand span', () => {
+  const [[low, high]] = new FingeringEngine().assignChords([[43, 62]]);
+
+  assert.ok(Math.abs(low.fret - high.fret) <= 4, `Playable shape: ${JSON.stringify([low, high])}`);
+  assert.notStrictEqual(low.string, high.string);
+});
+
+test('ExerciseLoader - fills tab of notation-only scores', async () => {
+  const exercise = await new ExerciseLoader().parseXML(melody);
+  const notes = exercise.timeline.filter(entry => !entry.isRest);
+
+  assert.ok(notes.every(entry => entry.staff === 1), 'No tab staff added by default');
+  assert.deepStrictEqual(notes.map(entry => entry.tab), [
+    { string: 3, fret: 0 },
+    { string: 3, fret: 2 },
+    { string: 2, fret: 0 },
+    { string: 3, fret: 5 },
+    { string: 2, fret: 5 },
+    { string: 1, fret: 3 }
+  ]);
+  assert.strictEqual(exercise.osmdInput, melody);
+});
+
+test('ExerciseLoader - generateTabStaff adds a TAB staff to osmdInput', async () => {
+  const exercise = await new ExerciseLoader({ generateTabStaff: true }).parseXML(melody);
+  const plain = await new ExerciseLoader().parseXML(melody);
+
+  assert.ok(exercise.osmdInput.includes('<staves>2</staves>'));
+  assert.ok(exercise.osmdInput.includes('<clef number="2"><sign>TAB</sign><line>5</line></clef>'));
+
+  // The drawn tab staff adds no notes to score or play
+  assert.strictEqual(exercise.timeline.length, plain.timeline.length);
+  assert.deepStrictEqual(exercise.timeline, plain.timeline);
+
+  // The generated score loads like any dual-staff exercise
+  const reloaded = await new ExerciseLoader().parseXML(exercise.osmdInput);
+  const notation = reloaded.timeline.filter(entry => entry.staff === 1 && !entry.isRest);
+  const tab = reloaded.timeline.filter(entry => entry.staff === 2 && !entry.isRest);
+  assert.strictEqual(notation.length, plain.timeline.filter(entry => !entry.isRest).length);
+  assert.strictEqual(tab.length, notation.length);
+  assert.deepStrictEqual(tab.map(entry => entry.voice), [5, 5, 5, 5, 5, 5]);
+  assert.deepStrictEqual(tab.map(entry => entry.timestamp), notation.map(entry => entry.timestamp));
+  assert.deepStrictEqual(tab.map(entry => entry.tab), plain.timeline.map(entry => entry.tab));
+});
+
+test('ExerciseLoader - keeps written tablature untouched', async () => {
+  const score = buildScore(note('E', 4).replace('<stem>up</stem>',
+    '<stem>up</stem><notations><technical><string>2</string><fret>5</fret></technical></notations>'));
+  const exercise = await new ExerciseLoader({ generateTabStaff: true }).parseXML(score);
+
+  assert.strictEqual(exercise.osmdInput, score);
+  assert.strictEqual(exercise.timeline[0].tab, null);
+});
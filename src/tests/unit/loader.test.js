@@ -5,8 +5,13 @@
 
 import { test } from 'node:test';
 import assert from 'node:assert';
-import { readFileSync } from 'node:fs';
+import { readFileSync, readdirSync, writeFileSync, unlinkSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { deflateRawSync } from 'node:zlib';
 import { ExerciseLoader } from '../../core/exerciseLoader.js';
+import { extractMusicXML, isCompressedMusicXML } from '../../utils/mxlReader.js';
 
 // Test data
 const twinkleXmlPath = 'assets/exercises/twinkle2.xml';
@@ -171,9 +176,9 @@ test('ExerciseLoader - file validation rejects invalid files', async () => {
   
   // Test invalid file type
   const invalidTypeFile = {
-    type: 'text/plain',
+    type: 'application/pdf',
     size: 1000,
-    name: 'test.txt'
+    name: 'test.pdf'
   };
   
   assert.throws(() => {
@@ -201,7 +206,7 @@ test('ExerciseLoader - file validation rejects invalid files', async () => {
   const invalidExtFile = {
     type: 'text/xml',
     size: 1000,
-    name: 'test.txt'
+    name: 'test.pdf'
   };
   
   assert.throws(() => {
@@ -466,3 +471,938 @@ test('ExerciseLoader - system and measure counting', async () => {
     assert.ok(note.system > 0, 'Note has valid system number');
   });
 });
+
+/**
+ * Build a minimal single-staff score from measure bodies (one whole note each
+ * unless `notes` supplies the measure's note markup)
+ */
+function buildRepeatScore(measureBodies) {
+  const measures = measureBodies.map((body, index) => `
+        <measure number="${index + 1}">
+          ${index === 0 ? '<attributes><divisions>1</divisions><time><beats>4</beats><beat-type>4</beat-type></time></attributes>' : ''}
+          ${body.before || ''}
+          ${body.notes || `<note>
+            <pitch><step>${body.step}</step><octave>4</octave></pitch>
+            <duration>4</duration>
+            <voice>1</voice>
+            <type>whole</type>
+          </note>`}
+          ${body.after || ''}
+        </measure>`).join('');
+  
+  return `<?xml version="1.0"?>
+    <score-partwise version="3.1">
+      <work><work-title>Repeats</work-title></work>
+      <part-list><score-part id="P1"><part-name>Guitar</part-name></score-part></part-list>
+      <part id="P1">${measures}
+      </part>
+    </score-partwise>`;
+}
+
+test('ExerciseLoader - expands simple repeat into performance order', async () => {
+  const loader = new ExerciseLoader();
+  const exercise = await loader.parseXML(readFileSync('assets/exercises/ode-to-joy.xml', 'utf8'));
+  
+  const firstPass = exercise.timeline.filter(note => note.pass === 1);
+  const secondPass = exercise.timeline.filter(note => note.pass === 2);
+  
+  assert.strictEqual(exercise.measureCount, 16, 'Written measure count unchanged');
+  assert.strictEqual(secondPass.length, firstPass.length, 'Whole section played twice');
+  assert.strictEqual(secondPass[0].measure, 1, 'Second pass starts at measure 1');
+  assert.ok(secondPass[0].timestamp > firstPass[firstPass.length - 1].timestamp, 'Second pass follows the first');
+  assert.strictEqual(secondPass[0].writtenTimestamp, firstPass[0].writtenTimestamp, 'Passes share written position');
+});
+
+test('ExerciseLoader - plays first and second endings', async () => {
+  const xml = buildRepeatScore([
+    { step: 'C' },
+    { step: 'D', before: '<barline location="left"><ending number="1" type="start"/></barline>',
+      after: '<barline location="right"><ending number="1" type="stop"/><repeat direction="backward"/></barline>' },
+    { step: 'E', before: '<barline location="left"><ending number="2" type="start"/></barline>',
+      after: '<barline location="right"><ending number="2" type="discontinue"/></barline>' },
+    { step: 'F' }
+  ]);
+  
+  const loader = new ExerciseLoader();
+  const exercise = await loader.parseXML(xml);
+  
+  assert.deepStrictEqual(exercise.timeline.map(note => note.pitch.step), ['C', 'D', 'C', 'E', 'F']);
+  assert.deepStrictEqual(exercise.timeline.map(note => note.measure), [1, 2, 1, 3, 4]);
+  assert.deepStrictEqual(exercise.timeline.map(note => note.pass), [1, 1, 2, 1, 1]);
+  assert.strictEqual(exercise.timeline[3].timestamp, 6000, 'Second ending starts after three measures');
+});
+
+test('ExerciseLoader - follows D.C. al Fine without repeating again', async () => {
+  const xml = buildRepeatScore([
+    { step: 'C', before: '<barline location="left"><repeat direction="forward"/></barline>' },
+    { step: 'D', after: '<direction><direction-type><words>Fine</words></direction-type><sound fine="yes"/></direction><barline location="right"><repeat direction="backward"/></barline>' },
+    { step: 'E', after: '<direction><direction-type><words>D.C. al Fine</words></direction-type><sound dacapo="yes"/></direction>' }
+  ]);
+  
+  const loader = new ExerciseLoader();
+  const exercise = await loader.parseXML(xml);
+  
+  assert.deepStrictEqual(exercise.timeline.map(note => note.pitch.step), ['C', 'D', 'C', 'D', 'E', 'C', 'D']);
+  assert.deepStrictEqual(exercise.timeline.map(note => note.pass), [1, 1, 2, 2, 1, 3, 3]);
+});
+
+test('ExerciseLoader - chord members share onset and group id', async () => {
+  const xml = buildRepeatScore([
+    { step: 'C', after: `
+          <note><chord/><pitch><step>E</step><octave>4</octave></pitch><duration>4</duration><voice>1</voice><type>whole</type></note>
+          <note><chord/><pitch><step>G</step><octave>4</octave></pitch><duration>4</duration><voice>1</voice><type>whole</type></note>` },
+    { step: 'D' }
+  ]);
+  
+  const loader = new ExerciseLoader();
+  const exercise = await loader.parseXML(xml);
+  const [c, e, g, d] = exercise.timeline;
+  
+  assert.strictEqual(exercise.timeline.length, 4);
+  assert.strictEqual(e.timestamp, c.timestamp, 'Chord tones start together');
+  assert.strictEqual(g.timestamp, c.timestamp, 'Chord tones start together');
+  assert.strictEqual(d.timestamp, 2000, 'Next note follows the chord duration');
+  assert.strictEqual(c.chordId, 'c1');
+  assert.ok(c.chordId === e.chordId && e.chordId === g.chordId, 'Members share group id');
+  assert.strictEqual(d.chordId, null, 'Single notes have no group');
+});
+
+test('ExerciseLoader - merges tie chains into one sustained note', async () => {
+  const xml = buildRepeatScore([
+    { notes: `
+          <note><pitch><step>C</step><octave>4</octave></pitch><duration>2</duration><voice>1</voice><type>half</type></note>
+          <note><pitch><step>G</step><octave>4</octave></pitch><duration>2</duration><tie type="start"/><voice>1</voice><type>half</type></note>` },
+    { notes: `
+          <note><pitch><step>G</step><octave>4</octave></pitch><duration>2</duration><tie type="stop"/><voice>1</voice><type>half</type></note>
+          <note><pitch><step>E</step><octave>4</octave></pitch><duration>2</duration><voice>1</voice><type>half</type></note>` }
+  ]);
+  
+  const loader = new ExerciseLoader();
+  const exercise = await loader.parseXML(xml);
+  
+  assert.deepStrictEqual(exercise.timeline.map(note => note.pitch.step), ['C', 'G', 'E'], 'Continuation removed');
+  
+  const tied = exercise.timeline[1];
+  assert.strictEqual(tied.tied, true);
+  assert.strictEqual(tied.duration, 2000, 'Sustain spans both written notes');
+  assert.strictEqual(tied.tieSegments.length, 2);
+  assert.strictEqual(exercise.timeline[2].timestamp, 3000);
+  assert.strictEqual(exercise.timeline[0].tied, undefined, 'Untied notes are not flagged');
+});
+
+test('ExerciseLoader - grace notes steal time from the following note', async () => {
+  const xml = buildRepeatScore([
+    { notes: `
+          <note><grace slash="yes"/><pitch><step>D</step><octave>4</octave></pitch><voice>1</voice><type>eighth</type></note>
+          <note><pitch><step>C</step><octave>4</octave></pitch><duration>4</duration><voice>1</voice><type>whole</type></note>` }
+  ]);
+  
+  const loader = new ExerciseLoader();
+  const exercise = await loader.parseXML(xml);
+  const [grace, main] = exercise.timeline;
+  
+  assert.strictEqual(exercise.timeline.length, 2, 'Grace note kept in timeline');
+  assert.strictEqual(grace.grace, true);
+  assert.strictEqual(grace.timestamp, 0);
+  assert.strictEqual(grace.duration, 62.5, 'Grace lasts a 32nd note at 120 BPM');
+  assert.strictEqual(main.timestamp, 62.5, 'Main note starts after the ornament');
+  assert.strictEqual(main.duration, 2000 - 62.5, 'Main note shortened by the stolen time');
+  
+  const analysisTimeline = loader.getAnalysisTimeline(exercise);
+  assert.strictEqual(analysisTimeline[0].grace, true, 'Grace flag reaches the analyzer');
+});
+
+test('ExerciseLoader - reads guitar techniques into the timeline', async () => {
+  const note = (step, notations) =>
+    `<note><pitch><step>${step}</step><octave>4</octave></pitch><duration>1</duration><voice>1</voice><type>quarter</type>` +
+    `<notations>${notations}</notations></note>`;
+  const xml = buildRepeatScore([
+    { notes: [
+      note('C', '<technical><hammer-on type="start" number="1">H</hammer-on></technical>'),
+      note('D', '<technical><hammer-on type="stop" number="1"/></technical><glissando type="start"/>'),
+      note('E', '<glissando type="stop"/>'),
+      note('F', '<technical><bend><bend-alter>2</bend-alter></bend><bend><bend-alter>-2</bend-alter><release/></bend></technical>')
+    ].join('') },
+    { notes: [
+      note('G', '<technical><harmonic><natural/><base-pitch/></harmonic></technical>'),
+      note('A', '<technical><other-technical>P.M.</other-technical></technical>'),
+      note('B', '<ornaments><wavy-line type="start"/></ornaments>'),
+      '<note><pitch><step>C</step><octave>5</octave></pitch><duration>1</duration><voice>1</voice><type>quarter</type></note>'
+    ].join('') }
+  ]);
+
+  const loader = new ExerciseLoader();
+  const exercise = await loader.parseXML(xml);
+  const techniques = exercise.timeline.map(entry => entry.techniques);
+
+  assert.deepStrictEqual(techniques[0], [{ type: 'hammer-on', role: 'start' }]);
+  assert.deepStrictEqual(techniques[1], [{ type: 'hammer-on', role: 'stop' }, { type: 'slide', role: 'start' }]);
+  assert.deepStrictEqual(techniques[2], [{ type: 'slide', role: 'stop' }], 'Glissando read as a slide');
+  assert.deepStrictEqual(techniques[3], [{ type: 'bend', alter: 2, preBend: false, release: true }]);
+  assert.deepStrictEqual(techniques[4], [{ type: 'harmonic', kind: 'natural', pitch: 'base' }]);
+  assert.deepStrictEqual(techniques[5], [{ type: 'palm-mute' }]);
+  assert.deepStrictEqual(techniques[6], [{ type: 'vibrato' }]);
+  assert.strictEqual(techniques[7], undefined, 'Plain notes carry no techniques');
+
+  const legato = loader.getAnalysisTimeline(exercise).map(entry => entry.legato);
+  assert.deepStrictEqual(legato, [false, true, true, false, false, false, false, false],
+    'Hammered and slid notes are scored as legato');
+});
+
+test('ExerciseLoader - maps dynamics, wedges and articulations to velocity', async () => {
+  const direction = type => `<direction><direction-type>${type}</direction-type></direction>`;
+  const note = (step, notations = '', octave = 4) =>
+    `<note><pitch><step>${step}</step><octave>${octave}</octave></pitch><duration>1</duration><voice>1</voice>` +
+    `<type>quarter</type>${notations && `<notations>${notations}</notations>`}</note>`;
+  const xml = buildRepeatScore([
+    { notes: [
+      direction('<dynamics><p/></dynamics>'), note('C'),
+      direction('<wedge type="crescendo"/>'), note('D'), note('E'),
+      direction('<wedge type="stop"/>'), direction('<dynamics><f/></dynamics>'), note('F')
+    ].join('') },
+    { notes: [
+      note('G', '<dynamics><sfz/></dynamics><articulations><staccato/></articulations>'),
+      direction('<wedge type="diminuendo"/>'), note('A'), note('B'),
+      direction('<wedge type="stop"/>'), note('C', '', 5)
+    ].join('') }
+  ]);
+
+  const loader = new ExerciseLoader();
+  const exercise = await loader.parseXML(xml);
+
+  assert.deepStrictEqual(exercise.timeline.map(entry => entry.velocity),
+    [0.5, 0.5, 0.65, 0.8, 0.8, 0.8, 0.75, 0.7], 'Crescendo ramps to f, open diminuendo drops one step');
+  assert.deepStrictEqual(exercise.timeline[4].articulations, ['staccato', 'accent'], 'Sforzando accents its note');
+  assert.strictEqual(exercise.timeline[5].articulations, undefined);
+});
+
+test('ExerciseLoader - reads dynamics written as words', async () => {
+  const words = text => `<direction><direction-type><words>${text}</words></direction-type></direction>`;
+  const note = step => `<note><pitch><step>${step}</step><octave>4</octave></pitch><duration>1</duration>` +
+    '<voice>1</voice><type>quarter</type></note>';
+  const xml = buildRepeatScore([{ notes: [
+    words('p (piano - soft)'), note('C'), words('poco a poco'), note('D'),
+    words('mf'), note('E'), words('sfz'), note('F')
+  ].join('') }]);
+
+  const exercise = await new ExerciseLoader().parseXML(xml);
+
+  assert.deepStrictEqual(exercise.timeline.map(entry => entry.velocity), [0.5, 0.5, 0.7, 0.7],
+    'Other words leave the level alone');
+  assert.deepStrictEqual(exercise.timeline[3].articulations, ['accent']);
+
+  const bundled = await new ExerciseLoader().parseXML(
+    readFileSync('assets/exercises/15_beginner_dynamic_control_exercise.xml', 'utf8'));
+  assert.deepStrictEqual(bundled.timeline.filter(entry => entry.staff === 1 && !entry.isRest)
+    .map(entry => entry.velocity), [0.5, 0.5, 0.7, 0.7, 0.5, 0.6, 0.7, 0.8, 0.8, 0.7, 0.6, 0.5]);
+});
+
+test('ExerciseLoader - exposes chord symbols and lyrics', async () => {
+  const harmony = (root, kind, extra = '') =>
+    `<harmony><root><root-step>${root}</root-step></root>${kind}${extra}</harmony>`;
+  const note = (step, lyric = '') =>
+    `<note><pitch><step>${step}</step><octave>4</octave></pitch><duration>2</duration><voice>1</voice>` +
+    `<type>half</type>${lyric}</note>`;
+  const lyric = (text, syllabic, number = 1) =>
+    `<lyric number="${number}"><syllabic>${syllabic}</syllabic><text>${text}</text></lyric>`;
+  const xml = buildRepeatScore([
+    { notes: harmony('C', '<kind>major</kind>') + note('C', lyric('Hap', 'begin')) +
+      harmony('A', '<kind text="m7">minor-seventh</kind>') + note('E', lyric('py', 'end') + lyric('Oh', 'single', 2)) },
+    { notes: harmony('D', '<kind>dominant</kind>', '<bass><bass-step>F</bass-step><bass-alter>1</bass-alter></bass>') +
+      '<note><pitch><step>D</step><octave>4</octave></pitch><duration>4</duration><voice>1</voice><type>whole</type></note>' }
+  ]);
+
+  const loader = new ExerciseLoader();
+  const exercise = await loader.parseXML(xml);
+
+  assert.deepStrictEqual(exercise.chordSymbols.map(chord => chord.symbol), ['C', 'Am7', 'D7/F#']);
+  assert.deepStrictEqual(exercise.chordSymbols.map(chord => [chord.timestamp, chord.duration]),
+    [[0, 1000], [1000, 1000], [2000, 2000]], 'Each chord lasts until the next');
+  assert.deepStrictEqual(exercise.chordSymbols[2].bass, { step: 'F', alter: 1 });
+  assert.strictEqual(exercise.chordSymbols[1].kind, 'minor-seventh');
+  assert.deepStrictEqual(loader.recalculateChordSymbols(exercise.chordSymbols, 120, 60)
+    .map(chord => [chord.timestamp, chord.duration]), [[0, 2000], [2000, 2000], [4000, 4000]],
+    'Chord symbols follow tempo changes');
+
+  assert.deepStrictEqual(exercise.timeline[0].lyrics, [{ verse: 1, text: 'Hap', syllabic: 'begin', extend: false }]);
+  assert.deepStrictEqual(exercise.timeline[1].lyrics.map(entry => `${entry.verse}:${entry.text}`), ['1:py', '2:Oh']);
+  assert.strictEqual(exercise.timeline[2].lyrics, undefined);
+});
+
+test('ExerciseLoader - detects key from signature and pitch content', async () => {
+  const keyed = (key, notes) => buildRepeatScore([{ notes: notes.map(([step, alter = 0]) =>
+    `<note><pitch><step>${step}</step>${alter ? `<alter>${alter}</alter>` : ''}<octave>4</octave></pitch>` +
+    '<duration>1</duration><voice>1</voice><type>quarter</type></note>').join('') }])
+    .replace('<attributes>', `<attributes>${key}`);
+  const loader = new ExerciseLoader();
+
+  const major = await loader.parseXML(keyed('<key><fifths>1</fifths><mode>major</mode></key>', [['G'], ['B'], ['D'], ['G']]));
+  assert.deepStrictEqual(major.key, { fifths: 1, mode: 'major', tonic: 'G', name: 'G major', source: 'signature' });
+
+  const minor = await loader.parseXML(keyed('<key><fifths>0</fifths></key>', [['A'], ['C'], ['E'], ['A'], ['G', 1]]));
+  assert.strictEqual(minor.key.name, 'A minor', 'Relative minor chosen from the notes');
+
+  const estimated = await loader.parseXML(keyed('', [['D'], ['F', 1], ['A'], ['D'], ['E'], ['C', 1]]));
+  assert.strictEqual(estimated.key.name, 'D major');
+  assert.strictEqual(estimated.key.source, 'estimate');
+});
+
+test('ExerciseLoader - transposes notes, chord symbols and tab', async () => {
+  const tabNote = (step, alter, string, fret, chord = '') =>
+    `<note>${chord}<pitch><step>${step}</step>${alter ? `<alter>${alter}</alter>` : ''}<octave>3</octave></pitch>` +
+    '<duration>1</duration><voice>5</voice><type>quarter</type><accidental>sharp</accidental><staff>2</staff>' +
+    `<notations><technical><string>${string}</string><fret>${fret}</fret></technical></notations></note>`;
+  const xml = buildRepeatScore([{ notes:
+    '<harmony><root><root-step>D</root-step></root><kind>dominant</kind></harmony>' +
+    tabNote('F', 1, 4, 4) + tabNote('A', 0, 3, 2, '<chord/>') + tabNote('C', 0, 5, 3) + tabNote('G', 0, 3, 0) +
+    '<note><rest/><duration>1</duration><voice>1</voice></note>'
+  }]).replace('<attributes>', '<attributes><key><fifths>0</fifths><mode>major</mode></key>');
+
+  const loader = new ExerciseLoader();
+  const exercise = await loader.parseXML(xml);
+  const up = await loader.transpose(exercise, 7);
+  const spell = entry => entry.pitch.step + ['b', '', '#'][entry.pitch.alter + 1] + entry.pitch.octave;
+  const notes = up.timeline.filter(entry => !entry.isRest);
+
+  assert.strictEqual(up.id, exercise.id);
+  assert.strictEqual(up.transposition, 7);
+  assert.strictEqual(up.key.name, 'G major');
+  assert.deepStrictEqual(notes.map(spell), ['C#4', 'E4', 'G3', 'D4'], 'F# in C becomes C# in G');
+  assert.deepStrictEqual(notes.map(entry => entry.midi), exercise.timeline.filter(entry => !entry.isRest)
+    .map(entry => entry.midi + 7));
+  assert.deepStrictEqual(notes.map(entry => entry.tab), [
+    { string: 4, fret: 11 }, { string: 3, fret: 9 }, { string: 5, fret: 10 }, { string: 3, fret: 7 }
+  ], 'Strings kept while the frets fit');
+  assert.strictEqual(up.chordSymbols[0].symbol, 'A7');
+  assert.ok(up.osmdInput.includes('<fifths>1</fifths>'));
+  assert.ok(!up.osmdInput.includes('<accidental>'), 'Stale accidentals removed');
+
+  const down = await loader.transposeToKey(exercise, 'Bb');
+  assert.strictEqual(down.transposition, -2);
+  assert.deepStrictEqual(down.timeline.filter(entry => !entry.isRest).map(spell), ['E3', 'G3', 'Bb2', 'F3']);
+  assert.ok(down.timeline.every(entry => entry.isRest || entry.tab.fret >= 0), 'Open strings re-fretted');
+});
+
+test('ExerciseLoader - transposes tab written without pitches and keeps file metadata', async () => {
+  const tabNote = (string, fret) => '<note><duration>2</duration><voice>5</voice><staff>2</staff>' +
+    `<notations><technical><string>${string}</string><fret>${fret}</fret></technical></notations></note>`;
+  const xml = buildRepeatScore([{ notes: tabNote(6, 3) + tabNote(3, 0) }])
+    .replace('</time>', '</time><staves>2</staves>');
+
+  const loader = new ExerciseLoader();
+  const exercise = {
+    ...(await loader.parseXML(xml)),
+    filename: 'riff.xml',
+    excerpt: { parentId: 'song', firstMeasure: 3, lastMeasure: 4 }
+  };
+  assert.deepStrictEqual(exercise.timeline.map(entry => entry.midi), [43, 55]);
+
+  const up = await loader.transpose(exercise, 2);
+  assert.deepStrictEqual(up.timeline.map(entry => entry.midi), [45, 57]);
+  assert.deepStrictEqual(up.timeline.map(entry => entry.tab), [{ string: 6, fret: 5 }, { string: 3, fret: 2 }]);
+  assert.strictEqual(up.filename, 'riff.xml');
+  assert.deepStrictEqual(up.excerpt, exercise.excerpt);
+
+  // The open string cannot move down a fret, so the tab is fingered again
+  const down = await loader.transpose(exercise, -1);
+  assert.deepStrictEqual(down.timeline.map(entry => entry.midi), [42, 54]);
+  assert.ok(down.timeline.every(entry => entry.tab.fret >= 0), 'Open strings re-fretted');
+});
+
+test('ExerciseLoader - reads alternate tunings and capo', async () => {
+  const staffDetails = (notes, extra = '') => '<staff-details number="2"><staff-lines>' + notes.length +
+    '</staff-lines>' + notes.map(([step, alter, octave], index) =>
+      `<staff-tuning line="${index + 1}"><tuning-step>${step}</tuning-step>` +
+      `${alter ? `<tuning-alter>${alter}</tuning-alter>` : ''}<tuning-octave>${octave}</tuning-octave></staff-tuning>`
+    ).join('') + extra + '</staff-details>';
+  const tabNote = (pitch, string, fret) => `<note>${pitch}<duration>2</duration><voice>5</voice><staff>2</staff>` +
+    `<notations><technical><string>${string}</string><fret>${fret}</fret></technical></notations></note>`;
+
+  const dropD = [['D', 0, 2], ['A', 0, 2], ['D', 0, 3], ['G', 0, 3], ['B', 0, 3], ['E', 0, 4]];
+  const capoXml = buildRepeatScore([{ notes:
+    tabNote('', 6, 0) + tabNote('<pitch><step>A</step><octave>4</octave></pitch>', 1, 3)
+  }]).replace('</time>', '</time><staves>2</staves>' + staffDetails(dropD, '<capo>2</capo>'));
+  const exercise = await new ExerciseLoader().parseXML(capoXml);
+
+  assert.deepStrictEqual(exercise.tuning, ['D2', 'A2', 'D3', 'G3', 'B3', 'E4']);
+  assert.strictEqual(exercise.tuningName, 'Drop D');
+  assert.strictEqual(exercise.capo, 2);
+  assert.deepStrictEqual(exercise.timeline.map(entry => entry.midi), [40, 69],
+    'Tab without a pitch sounds at open string + capo + fret');
+
+  const sevenString = [['B', -1, 1], ['E', -1, 2], ['A', -1, 2], ['D', -1, 3], ['G', -1, 3], ['B', -1, 3], ['E', -1, 4]];
+  const lowXml = buildRepeatScore([{ notes: tabNote('', 7, 1) + tabNote('', 1, 0) }])
+    .replace('</time>', '</time><staves>2</staves>' + staffDetails(sevenString));
+  const low = await new ExerciseLoader().parseXML(lowXml);
+
+  assert.deepStrictEqual(low.tuning, ['Bb1', 'Eb2', 'Ab2', 'Db3', 'Gb3', 'Bb3', 'Eb4']);
+  assert.strictEqual(low.tuningName, null);
+  assert.deepStrictEqual(low.timeline.map(entry => entry.tab), [{ string: 7, fret: 1 }, { string: 1, fret: 0 }]);
+  assert.deepStrictEqual(low.timeline.map(entry => entry.midi), [35, 63]);
+  assert.ok(new ExerciseLoader().validateExercise(low).valid, 'Seventh string passes validation');
+
+  // Notation-only scores are fingered from the capo
+  const fingered = await new ExerciseLoader().parseXML(buildRepeatScore([{ step: 'E' }])
+    .replace('</time>', '</time><staff-details><capo>2</capo></staff-details>'));
+  assert.deepStrictEqual(fingered.timeline[0].tab, { string: 2, fret: 3 });
+});
+
+test('ExerciseLoader - listens down to the lowest string of the tuning', async () => {
+  const staffDetails = (notes, extra = '') => '<staff-details number="2">' + notes.map((note, index) =>
+    `<staff-tuning line="${index + 1}"><tuning-step>${note[0]}</tuning-step><tuning-octave>${note[1]}</tuning-octave>` +
+    '</staff-tuning>').join('') + extra + '</staff-details>';
+  const tabScore = (tuning, extra) => buildRepeatScore([{ notes:
+    '<note><duration>2</duration><voice>5</voice><staff>2</staff>' +
+    '<notations><technical><string>6</string><fret>0</fret></technical></notations></note>'
+  }]).replace('</time>', '</time><staves>2</staves>' + staffDetails(tuning, extra));
+  const loader = new ExerciseLoader();
+
+  const dropD = await loader.parseXML(tabScore(['D2', 'A2', 'D3', 'G3', 'B3', 'E4']));
+  assert.strictEqual(dropD.instrument.id, 'guitar');
+  assert.strictEqual(dropD.timeline[0].midi, 38);
+  assert.ok(dropD.frequencyRange.min < 73.4, `Drop D low string detected (min ${dropD.frequencyRange.min})`);
+  assert.strictEqual(dropD.frequencyRange.max, dropD.instrument.frequencyRange.max);
+
+  const dropC = await loader.parseXML(tabScore(['C2', 'G2', 'C3', 'F3', 'A3', 'D4']));
+  assert.ok(dropC.frequencyRange.min < 65.4 && dropC.frequencyRange.min > 61.7, 'Drop C: between B1 and C2');
+
+  // A capo raises the low string back into the guitar's own range
+  const capo = await loader.parseXML(tabScore(['D2', 'A2', 'D3', 'G3', 'B3', 'E4'], '<capo>2</capo>'));
+  assert.deepStrictEqual(capo.frequencyRange, capo.instrument.frequencyRange);
+
+  const standard = await loader.parseXML(buildRepeatScore([{ step: 'E' }]));
+  assert.deepStrictEqual(standard.frequencyRange, { min: 80, max: 1000 });
+});
+
+test('ExerciseLoader - identifies bass, ukulele and extended-range guitars', async () => {
+  const staffDetails = notes => '<staff-details number="2">' + notes.map((note, index) =>
+    `<staff-tuning line="${index + 1}"><tuning-step>${note[0]}</tuning-step>` +
+    `${note[1] === '#' ? '<tuning-alter>1</tuning-alter>' : ''}<tuning-octave>${note.slice(-1)}</tuning-octave></staff-tuning>`
+  ).join('') + '</staff-details>';
+  const tabNote = (string, fret, pitch = '') => `<note>${pitch}<duration>2</duration><voice>5</voice><staff>2</staff>` +
+    `<notations><technical><string>${string}</string><fret>${fret}</fret></technical></notations></note>`;
+
+  // Notation-only bass part: default bass tuning and four-string tab
+  const bassXml = buildRepeatScore([{ notes:
+    '<note><pitch><step>E</step><octave>1</octave></pitch><duration>2</duration><voice>1</voice></note>' +
+    '<note><pitch><step>C</step><octave>3</octave></pitch><duration>2</duration><voice>1</voice></note>'
+  }]).replace('<part-name>Guitar</part-name>', '<part-name>Electric Bass</part-name>');
+  const bass = await new ExerciseLoader().parseXML(bassXml);
+
+  assert.strictEqual(bass.instrument.id, 'bass');
+  assert.strictEqual(bass.instrument.type, 'bass');
+  assert.deepStrictEqual(bass.tuning, ['E1', 'A1', 'D2', 'G2']);
+  assert.deepStrictEqual(bass.instrument.frequencyRange, { min: 38, max: 420 });
+  assert.deepStrictEqual(bass.timeline.map(entry => entry.tab), [{ string: 4, fret: 0 }, { string: 1, fret: 5 }]);
+
+  // Re-entrant ukulele tuning is recognised from the strings; frets stop at 18
+  const ukeXml = buildRepeatScore([{ notes:
+    tabNote(3, 0) + tabNote(1, 19, '<pitch><step>E</step><octave>6</octave></pitch>')
+  }])
+    .replace('</time>', '</time><staves>2</staves>' + staffDetails(['G4', 'C4', 'E4', 'A4']));
+  const uke = await new ExerciseLoader().parseXML(ukeXml);
+
+  assert.strictEqual(uke.instrument.id, 'ukulele');
+  assert.strictEqual(uke.instrument.maxFret, 18);
+  assert.deepStrictEqual(uke.timeline.map(entry => entry.tab), [{ string: 3, fret: 0 }, null]);
+  assert.strictEqual(uke.timeline[0].midi, 60);
+  assert.ok(new ExerciseLoader().validateExercise({ ...uke, timeline: [{ ...uke.timeline[0], tab: { string: 1, fret: 19 } }] })
+    .errors.includes('tab.fret must be 0-18'));
+
+  const eightXml = buildRepeatScore([{ notes: tabNote(8, 0) + tabNote(1, 0) }])
+    .replace('</time>', '</time><staves>2</staves>' +
+      staffDetails(['F#1', 'B1', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4']));
+  const eight = await new ExerciseLoader().parseXML(eightXml);
+
+  assert.strictEqual(eight.instrument.id, 'guitar8');
+  assert.strictEqual(eight.instrument.strings, 8);
+  assert.deepStrictEqual(eight.timeline.map(entry => entry.midi), [30, 64]);
+});
+
+test('ExerciseLoader - exports exercises back to MusicXML', async () => {
+  const tuning = ['E2', 'A2', 'D3', 'G3', 'B3', 'E4'].map((note, index) =>
+    `<staff-tuning line="${index + 1}"><tuning-step>${note[0]}</tuning-step>` +
+    `<tuning-octave>${note[1]}</tuning-octave></staff-tuning>`).join('');
+  const note = (step, duration, type, { staff = 1, tab = null, before = '', after = '', notations = '' } = {}) =>
+    `<note>${before}<pitch><step>${step}</step><octave>4</octave></pitch><duration>${duration}</duration>${after}` +
+    `<voice>${staff === 1 ? 1 : 5}</voice><type>${type}</type><staff>${staff}</staff>` +
+    `<notations>${tab ? `<technical><string>${tab[0]}</string><fret>${tab[1]}</fret></technical>` : ''}${notations}</notations></note>`;
+  const staves = (build, length) => build(1) + `<backup><duration>${length}</duration></backup>` + build(2);
+
+  const xml = buildRepeatScore([
+    { before: '<harmony><root><root-step>C</root-step></root><kind>major</kind></harmony>' +
+        '<direction><direction-type><dynamics><mf/></dynamics></direction-type><sound tempo="90"/></direction>',
+      notes: staves(staff => [
+        `<note><grace/><pitch><step>D</step><octave>4</octave></pitch><voice>${staff === 1 ? 1 : 5}</voice>` +
+          `<type>eighth</type><staff>${staff}</staff>${staff === 2 ? '<notations><technical><string>3</string><fret>6</fret></technical></notations>' : ''}</note>`,
+        note('C', 2, 'quarter', { staff, tab: staff === 2 && [2, 0] }).replace('</note>', '<lyric><syllabic>single</syllabic><text>la</text></lyric></note>'),
+        note('E', 2, 'quarter', { staff, tab: staff === 2 && [2, 4], notations: '<articulations><staccato/></articulations>' }),
+        note('G', 2, 'quarter', { staff, tab: staff === 2 && [1, 2], before: '<chord/>' }),
+        `<note><rest/><duration>1</duration><voice>${staff === 1 ? 1 : 5}</voice><type>eighth</type><staff>${staff}</staff></note>`,
+        note('F', 3, 'quarter', { staff, tab: staff === 2 && [1, 0], after: '<tie type="start"/>',
+          notations: '<tied type="start"/><technical><hammer-on type="start">H</hammer-on></technical>' })
+          .replace('<type>quarter</type>', '<type>quarter</type><dot/>')
+      ].join(''), 8) },
+    { before: '<attributes><time><beats>3</beats><beat-type>4</beat-type></time></attributes>' +
+        '<direction><direction-type><words>rit.</words></direction-type></direction>' +
+        '<harmony><root><root-step>B</root-step><root-alter>-1</root-alter></root><kind text="7">dominant</kind></harmony>',
+      notes: staves(staff => [
+        note('F', 4, 'half', { staff, tab: staff === 2 && [1, 0], after: '<tie type="stop"/>',
+          notations: '<tied type="stop"/>' }),
+        staff === 1 ? '<direction><direction-type><metronome><beat-unit>quarter</beat-unit>' +
+          '<per-minute>60</per-minute></metronome></direction-type><sound tempo="60"/></direction>' : '',
+        note('G', 2, 'quarter', { staff, tab: staff === 2 && [1, 2],
+          notations: '<technical><hammer-on type="stop"/><bend><bend-alter>1</bend-alter></bend>' +
+            '<other-technical>P.M.</other-technical></technical>' })
+      ].join(''), 6) }
+  ])
+    .replace('<divisions>1</divisions>', '<divisions>2</divisions>')
+    .replace('</time>', `</time><staves>2</staves><staff-details number="2">${tuning}<capo>1</capo></staff-details>`)
+    .replace('<work-title>Repeats</work-title>', '<work-title>Intermediate: Export</work-title>');
+
+  const loader = new ExerciseLoader();
+  const exercise = await loader.parseXML(xml);
+  const exported = loader.exportMusicXML(exercise);
+  const reloaded = await loader.parseXML(exported);
+
+  assert.ok(exercise.timeline.some(entry => entry.grace) && exercise.timeline.some(entry => entry.tied));
+  assert.ok(exercise.tempoMap.some(entry => entry.ramp) && exercise.capo === 1);
+  assert.deepStrictEqual(reloaded.timeline, exercise.timeline, 'Timeline survives the round trip');
+  assert.deepStrictEqual(reloaded.tempoMap, exercise.tempoMap);
+  assert.deepStrictEqual(reloaded.measures, exercise.measures);
+  assert.deepStrictEqual(reloaded.chordSymbols, exercise.chordSymbols);
+  assert.deepStrictEqual([reloaded.tuning, reloaded.capo, reloaded.key.name],
+    [exercise.tuning, exercise.capo, exercise.key.name]);
+
+  // The written file passes the exercise validator
+  const file = join(tmpdir(), `export-${process.pid}.xml`);
+  writeFileSync(file, exported);
+  try {
+    execFileSync(process.execPath, ['scripts/validate-exercise-xml.js', file], { stdio: 'pipe' });
+  } finally {
+    unlinkSync(file);
+  }
+
+  // Bundled exercises with dynamics and several tempos load back the same
+  const bundled = await loader.parseXML(readFileSync('assets/exercises/15_beginner_dynamic_control_exercise.xml', 'utf8'));
+  assert.deepStrictEqual((await loader.parseXML(loader.exportMusicXML(bundled))).timeline, bundled.timeline);
+});
+
+/**
+ * List the errors the exercise validator reports for a MusicXML document
+ * @param {string} xml - MusicXML text
+ * @returns {Array<string>} Error lines without their numbers
+ */
+function validatorErrors(xml) {
+  const file = join(tmpdir(), `validate-${process.pid}.xml`);
+  writeFileSync(file, xml);
+  try {
+    execFileSync(process.execPath, ['scripts/validate-exercise-xml.js', file], { stdio: 'pipe' });
+    return [];
+  } catch (error) {
+    return String(error.stdout).split('WARNINGS')[0].split('\n')
+      .filter(line => /^\s+\d+\. /.test(line))
+      .map(line => line.replace(/^\s+\d+\. /, ''));
+  } finally {
+    unlinkSync(file);
+  }
+}
+
+/**
+ * Copy parsed exercise data with numbers rounded past floating-point noise
+ * @param {*} value - Timeline, measure table or other exercise data
+ * @returns {*} Copy for deep comparison
+ */
+function rounded(value) {
+  return JSON.parse(JSON.stringify(value, (key, item) =>
+    (typeof item === 'number' ? Math.round(item * 1e6) / 1e6 : item)));
+}
+
+test('ExerciseLoader - every bundled score survives an export round trip', async () => {
+  const loader = new ExerciseLoader();
+  const files = readdirSync('assets/exercises').filter(name => /\.(xml|musicxml)$/.test(name));
+
+  for (const name of files) {
+    const source = readFileSync(`assets/exercises/${name}`, 'utf8');
+    const exercise = await loader.parseXML(source);
+    const exported = loader.exportMusicXML(exercise);
+    const reloaded = await loader.parseXML(exported);
+
+    // Notes that overlapped in one voice (parts merged onto a staff) get a voice of their own
+    const withoutVoice = timeline => rounded(timeline.map(({ voice, ...entry }) => entry));
+    assert.deepStrictEqual(withoutVoice(reloaded.timeline), withoutVoice(exercise.timeline), `${name} timeline`);
+    assert.deepStrictEqual(rounded(reloaded.measures), rounded(exercise.measures), `${name} measures`);
+    assert.deepStrictEqual(rounded(reloaded.tempoMap), rounded(exercise.tempoMap), `${name} tempo map`);
+    assert.deepStrictEqual(reloaded.chordSymbols, exercise.chordSymbols, `${name} chord symbols`);
+
+    const sourceErrors = validatorErrors(source);
+    assert.deepStrictEqual(validatorErrors(exported).filter(error => !sourceErrors.includes(error)), [],
+      `${name} export adds no validator errors`);
+  }
+});
+
+test('ExerciseLoader - exports repeats, voltas and jumps once as written', async () => {
+  const scores = [
+    [
+      { step: 'C' },
+      { step: 'D', before: '<barline location="left"><ending number="1" type="start"/></barline>',
+        after: '<barline location="right"><ending number="1" type="stop"/><repeat direction="backward"/></barline>' },
+      { step: 'E', before: '<barline location="left"><ending number="2" type="start"/></barline>',
+        after: '<barline location="right"><ending number="2" type="discontinue"/></barline>' },
+      { step: 'F' }
+    ],
+    [
+      { step: 'C', before: '<barline location="left"><repeat direction="forward"/></barline>' },
+      { step: 'D', after: '<direction><direction-type><words>Fine</words></direction-type><sound fine="yes"/></direction>' +
+        '<barline location="right"><repeat direction="backward" times="3"/></barline>' },
+      { step: 'E', after: '<direction><direction-type><words>D.C. al Fine</words></direction-type><sound dacapo="yes"/></direction>' }
+    ],
+    [
+      { step: 'C' },
+      { step: 'D', before: '<direction><direction-type><segno/></direction-type></direction>' },
+      { step: 'E', after: '<direction><direction-type><words>To Coda</words></direction-type><sound tocoda="coda"/></direction>' },
+      { step: 'F', after: '<direction><direction-type><words>D.S. al Coda</words></direction-type><sound dalsegno="segno"/></direction>' },
+      { step: 'G', before: '<direction><direction-type><coda/></direction-type></direction>' }
+    ]
+  ];
+
+  const loader = new ExerciseLoader();
+  for (const bodies of scores) {
+    const exercise = await loader.parseXML(buildRepeatScore(bodies));
+    const exported = loader.exportMusicXML(exercise);
+    const reloaded = await loader.parseXML(exported);
+
+    assert.ok(exercise.timeline.some(note => note.pass > 1));
+    assert.strictEqual(exported.match(/<measure /g).length, bodies.length, 'Each measure is written once');
+    assert.deepStrictEqual(reloaded.timeline, exercise.timeline);
+    assert.deepStrictEqual(reloaded.measures, exercise.measures);
+  }
+});
+
+test('ExerciseLoader - follows tempo changes within the piece', async () => {
+  const xml = buildRepeatScore([
+    { step: 'C', before: '<direction><sound tempo="120"/></direction>' },
+    { step: 'D', before: '<direction><sound tempo="60"/></direction>' },
+    { step: 'E' }
+  ]);
+  
+  const loader = new ExerciseLoader();
+  const exercise = await loader.parseXML(xml);
+  
+  assert.strictEqual(exercise.tempo, 120, 'Exercise tempo is the first mark');
+  assert.deepStrictEqual(exercise.timeline.map(note => note.timestamp), [0, 2000, 6000]);
+  assert.strictEqual(exercise.timeline[1].duration, 4000, 'Whole note at 60 BPM');
+  assert.deepStrictEqual(exercise.tempoMap.map(entry => [entry.position, entry.timestamp, entry.bpm]),
+    [[0, 0, 120], [4, 2000, 60]]);
+});
+
+test('ExerciseLoader - reads tempo from metronome mark', async () => {
+  const xml = buildRepeatScore([
+    { step: 'C', before: `<direction><direction-type><metronome>
+      <beat-unit>half</beat-unit><per-minute>30</per-minute>
+    </metronome></direction-type></direction>` },
+    { step: 'D' }
+  ]);
+  
+  const loader = new ExerciseLoader();
+  const exercise = await loader.parseXML(xml);
+  
+  assert.strictEqual(exercise.tempo, 60, 'Half note = 30 is 60 quarter notes per minute');
+  assert.strictEqual(exercise.timeline[1].timestamp, 4000);
+});
+
+test('ExerciseLoader - ritardando ramps to the next tempo mark', async () => {
+  const xml = buildRepeatScore([
+    { step: 'C', before: '<direction><direction-type><words>rit.</words></direction-type><sound tempo="120"/></direction>' },
+    { step: 'D', before: '<direction><sound tempo="60"/></direction>' }
+  ]);
+  
+  const loader = new ExerciseLoader();
+  const exercise = await loader.parseXML(xml);
+  
+  // Four quarters at an average of 90 BPM
+  assert.ok(Math.abs(exercise.timeline[1].timestamp - 8000 / 3) < 0.001);
+  assert.strictEqual(exercise.tempoMap[exercise.tempoMap.length - 1].ramp, true);
+});
+
+test('ExerciseLoader - restores written tempo after D.C. jump', async () => {
+  const xml = buildRepeatScore([
+    { step: 'C', before: '<direction><sound tempo="120"/></direction>' },
+    { step: 'D', before: '<direction><sound tempo="60"/></direction>' },
+    { step: 'E', after: '<direction><direction-type><words>D.C.</words></direction-type><sound dacapo="yes"/></direction>' }
+  ]);
+  
+  const loader = new ExerciseLoader();
+  const exercise = await loader.parseXML(xml);
+  
+  assert.deepStrictEqual(exercise.timeline.map(note => note.timestamp), [0, 2000, 6000, 10000, 12000, 16000]);
+  assert.strictEqual(exercise.timeline[3].duration, 2000, 'Back at 120 BPM from the top');
+});
+
+test('ExerciseLoader - recalculateTempoMap scales with the timeline', async () => {
+  const loader = new ExerciseLoader();
+  const tempoMap = [
+    { position: 0, timestamp: 0, bpm: 120, ramp: false },
+    { position: 4, timestamp: 2000, bpm: 60, ramp: false }
+  ];
+  
+  const scaled = loader.recalculateTempoMap(tempoMap, 120, 60);
+  
+  assert.deepStrictEqual(scaled.map(entry => [entry.position, entry.timestamp, entry.bpm]),
+    [[0, 0, 60], [4, 4000, 30]]);
+  assert.strictEqual(tempoMap[1].timestamp, 2000, 'Original map untouched');
+});
+
+test('ExerciseLoader - builds measure table across meter changes', async () => {
+  const xml = buildRepeatScore([
+    { step: 'C' },
+    { before: '<attributes><time><beats>3</beats><beat-type>4</beat-type></time></attributes>',
+      notes: '<note><pitch><step>D</step><octave>4</octave></pitch><duration>3</duration><voice>1</voice><type>half</type><dot/></note>' },
+    { before: '<attributes><divisions>2</divisions><time><beats>6</beats><beat-type>8</beat-type></time></attributes>',
+      notes: '<note><pitch><step>E</step><octave>4</octave></pitch><duration>6</duration><voice>1</voice><type>half</type><dot/></note>' }
+  ]);
+  
+  const loader = new ExerciseLoader();
+  const exercise = await loader.parseXML(xml);
+  const [common, waltz, compound] = exercise.measures;
+  
+  assert.deepStrictEqual(exercise.measures.map(measure => measure.timeSignature),
+    [{ beats: 4, beatType: 4 }, { beats: 3, beatType: 4 }, { beats: 6, beatType: 8 }]);
+  assert.deepStrictEqual(exercise.measures.map(measure => measure.timestamp), [0, 2000, 3500]);
+  assert.deepStrictEqual(common.beats.map(beat => beat.beat), [1, 2, 3, 4]);
+  assert.deepStrictEqual(waltz.beats.map(beat => beat.timestamp), [2000, 2500, 3000]);
+  assert.deepStrictEqual(compound.beats.map(beat => [beat.timestamp, beat.beat]), [[3500, 1], [4250, 2]],
+    '6/8 is counted in dotted quarters');
+  assert.deepStrictEqual(exercise.timeSignature, { beats: 4, beatType: 4 }, 'Initial meter kept');
+});
+
+test('ExerciseLoader - pickup measure counts as the end of a bar', async () => {
+  const xml = buildRepeatScore([
+    { notes: '<note><pitch><step>G</step><octave>4</octave></pitch><duration>1</duration><voice>1</voice><type>quarter</type></note>' },
+    { step: 'C' }
+  ]);
+  
+  const loader = new ExerciseLoader();
+  const exercise = await loader.parseXML(xml);
+  
+  assert.strictEqual(exercise.upbeat.hasUpbeat, true);
+  assert.strictEqual(exercise.upbeat.upbeatBeats, 1);
+  assert.strictEqual(exercise.upbeat.startBeat, 4);
+  assert.strictEqual(exercise.measures[0].isPickup, true);
+  assert.deepStrictEqual(exercise.measures[0].beats, [{ timestamp: 0, beat: 4 }]);
+  assert.strictEqual(exercise.measures[1].beats[0].timestamp, 500, 'Downbeat after the pickup');
+});
+
+/**
+ * Build a minimal zip archive
+ * @param {Array<Object>} files - { name, content, store } entries
+ * @returns {Buffer} Zip archive bytes
+ */
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach(({ name, content, store }) => {
+    const nameBytes = Buffer.from(name);
+    const raw = Buffer.from(content);
+    const data = store ? raw : deflateRawSync(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(store ? 0 : 8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(store ? 0 : 8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+const containerXml = `<?xml version="1.0" encoding="UTF-8"?>
+<container>
+  <rootfiles>
+    <rootfile full-path="scores/twinkle.musicxml" media-type="application/vnd.recordare.musicxml+xml"/>
+  </rootfiles>
+</container>`;
+
+test('mxlReader - extracts the root score named in container.xml', async () => {
+  const archive = buildZip([
+    { name: 'META-INF/container.xml', content: containerXml },
+    { name: 'scores/other.xml', content: '<other/>' },
+    { name: 'scores/twinkle.musicxml', content: twinkleXmlContent }
+  ]);
+
+  assert.ok(isCompressedMusicXML(archive), 'Zip signature detected');
+  assert.ok(!isCompressedMusicXML(Buffer.from(twinkleXmlContent)), 'Plain XML is not compressed');
+  assert.strictEqual(await extractMusicXML(archive), twinkleXmlContent);
+});
+
+test('mxlReader - falls back to first score entry and stored entries', async () => {
+  const archive = buildZip([
+    { name: 'META-INF/manifest.xml', content: '<manifest/>', store: true },
+    { name: 'score.xml', content: twinkleXmlContent, store: true }
+  ]);
+
+  assert.strictEqual(await extractMusicXML(archive), twinkleXmlContent);
+  await assert.rejects(
+    () => extractMusicXML(buildZip([{ name: 'META-INF/container.xml', content: '<container/>' }])),
+    /no score file/
+  );
+  await assert.rejects(() => extractMusicXML(Buffer.from('not a zip')), /zip directory/);
+});
+
+test('ExerciseLoader - parses compressed .mxl uploads', async () => {
+  const loader = new ExerciseLoader();
+  const archive = buildZip([
+    { name: 'META-INF/container.xml', content: containerXml },
+    { name: 'scores/twinkle.musicxml', content: twinkleXmlContent }
+  ]);
+
+  const parsed = await loader.parseMXL(archive);
+  assert.strictEqual(parsed.title, 'Twinkle Twinkle Little Star');
+
+  const originalFileReader = global.FileReader;
+  global.FileReader = class MockFileReader {
+    readAsArrayBuffer() {
+      this.result = archive.buffer.slice(archive.byteOffset, archive.byteOffset + archive.length);
+      setTimeout(() => this.onload({ target: this }), 0);
+    }
+  };
+
+  try {
+    const exercise = await loader.loadFromFile({ type: '', size: archive.length, name: 'twinkle.mxl' });
+    assert.strictEqual(exercise.filename, 'twinkle.mxl');
+    assert.strictEqual(exercise.timeline.length, parsed.timeline.length);
+  } finally {
+    global.FileReader = originalFileReader;
+  }
+});
+
+test('ExerciseLoader - slices measures with the meter and tempo in effect', async () => {
+  const dottedHalf = step => `<note><pitch><step>${step}</step><octave>4</octave></pitch><duration>3</duration>` +
+    '<voice>1</voice><type>half</type><dot/></note>';
+  const xml = buildRepeatScore([
+    { step: 'C', before: '<barline location="left"><repeat direction="forward"/></barline>' },
+    { before: '<attributes><key><fifths>2</fifths></key><time><beats>3</beats><beat-type>4</beat-type></time></attributes>' +
+      '<direction><direction-type><words>Slower</words></direction-type><sound tempo="90"/></direction>',
+    notes: dottedHalf('D') },
+    { notes: dottedHalf('E') },
+    { notes: dottedHalf('F'),
+      after: '<barline location="right"><repeat direction="backward"/></barline>' },
+    { notes: dottedHalf('G') }
+  ]);
+
+  const loader = new ExerciseLoader();
+  const exercise = await loader.parseXML(xml);
+  const slice = await loader.sliceMeasures(exercise, 3, 4);
+
+  assert.strictEqual(slice.title, 'Repeats (mm. 3-4)');
+  assert.notStrictEqual(slice.id, exercise.id, 'Slice is an exercise of its own');
+  assert.deepStrictEqual(slice.excerpt, { parentId: exercise.id, firstMeasure: 3, lastMeasure: 4 });
+  assert.deepStrictEqual(slice.timeSignature, { beats: 3, beatType: 4 });
+  assert.strictEqual(slice.key.fifths, 2);
+  assert.strictEqual(slice.tempo, 90);
+  assert.strictEqual(slice.upbeat.hasUpbeat, false);
+  assert.deepStrictEqual(slice.measures.map(measure => measure.number), [3, 4], 'Repeat not taken');
+  assert.deepStrictEqual(slice.timeline.map(note => [note.pitch.step, note.timestamp, note.measure]),
+    [['E', 0, 3], ['F', 2000, 4]]);
+  assert.ok(!slice.osmdInput.includes('<repeat'), 'Repeat signs removed from the score');
+  assert.strictEqual(slice.measureCount, 2);
+
+  const [entry] = loader.getAnalysisTimeline(slice);
+  assert.strictEqual(entry.exerciseId, slice.id, 'Scored separately from the parent');
+  assert.strictEqual(entry.title, slice.title);
+});
+
+test('ExerciseLoader - slices keep the pickup and tab staff', async () => {
+  const loader = new ExerciseLoader();
+  const song = await loader.parseXML(readFileSync('assets/exercises/happy_birthday_musicxml.xml', 'utf8'));
+
+  const opening = await loader.sliceMeasures(song, 1, 2);
+  assert.strictEqual(opening.upbeat.hasUpbeat, true, 'Upbeat carried over');
+  assert.strictEqual(opening.upbeat.startBeat, song.upbeat.startBeat);
+
+  const middle = await loader.sliceMeasures(song, 5, 8);
+  const offset = song.measures.find(measure => measure.number === 5).timestamp;
+  const expected = song.timeline.filter(note => note.measure >= 5 && note.measure <= 8);
+  assert.strictEqual(middle.upbeat.hasUpbeat, false);
+  assert.deepStrictEqual(middle.timeline.map(note => [note.midi, note.staff, note.timestamp]),
+    expected.map(note => [note.midi, note.staff, note.timestamp - offset]), 'Timestamps start at zero');
+
+  const scale = await loader.parseXML(readFileSync('assets/exercises/10_beginner_pentatonic_scale_exercise.xml', 'utf8'));
+  const last = scale.measures[scale.measures.length - 1].number;
+  const drill = await loader.sliceMeasures(scale, last);
+  assert.deepStrictEqual(drill.tuning, scale.tuning, 'Tab tuning carried over');
+  assert.deepStrictEqual(drill.timeline.filter(note => note.staff === 2).map(note => note.tab),
+    scale.timeline.filter(note => note.staff === 2 && note.measure === last).map(note => note.tab));
+});
+
+test('ExerciseLoader - rejects invalid measure ranges', async () => {
+  const loader = new ExerciseLoader();
+  const exercise = await loader.parseXML(buildRepeatScore([{ step: 'C' }, { step: 'D' }]));
+
+  await assert.rejects(() => loader.sliceMeasures(exercise, 3, 1), /Invalid measure range/);
+  await assert.rejects(() => loader.sliceMeasures(exercise, 5, 8), /No measures 5-8/);
+  await assert.rejects(() => loader.sliceMeasures({}, 1, 2), /Invalid exercise/);
+});
+
+test('ExerciseLoader - reads unpitched, x and slash notes as onset-only events', async () => {
+  const quarter = '<duration>1</duration><voice>1</voice><type>quarter</type>';
+  const slashes = Array(4).fill(`<note><pitch><step>B</step><octave>4</octave></pitch>${quarter}</note>`).join('');
+  const xml = buildRepeatScore([
+    { notes: `
+          <note><unpitched><display-step>E</display-step><display-octave>5</display-octave></unpitched>${quarter}</note>
+          <note><pitch><step>E</step><octave>4</octave></pitch>${quarter}<notehead>x</notehead></note>
+          <note><pitch><step>G</step><octave>4</octave></pitch><duration>2</duration><voice>1</voice><type>half</type></note>` },
+    { before: '<attributes><measure-style><slash type="start"/></measure-style></attributes>', notes: slashes },
+    { before: '<attributes><measure-style><slash type="stop"/></measure-style></attributes>', step: 'C' }
+  ]);
+
+  const loader = new ExerciseLoader();
+  const exercise = await loader.parseXML(xml);
+  const { timeline } = exercise;
+
+  assert.strictEqual(timeline.length, 8, 'No note is dropped');
+  assert.deepStrictEqual(timeline.slice(0, 3).map(note => note.timestamp), [0, 500, 1000]);
+  assert.deepStrictEqual(timeline.map(note => !!note.unpitched),
+    [true, true, false, true, true, true, true, false]);
+  assert.deepStrictEqual(timeline.map(note => note.notehead),
+    [null, 'x', undefined, 'slash', 'slash', 'slash', 'slash', undefined]);
+  assert.ok(timeline.filter(note => note.unpitched).every(note => note.midi === null));
+  assert.deepStrictEqual(timeline[0].pitch, { step: 'E', octave: 5, alter: 0 }, 'Display position kept');
+  assert.strictEqual(timeline[7].midi, 60, 'Slash notation ends at its stop');
+  assert.strictEqual(exercise.key.name, 'C major');
+
+  assert.ok(loader.validateExercise(exercise).valid);
+  assert.deepStrictEqual(loader.getAnalysisTimeline(exercise).map(note => note.unpitched),
+    timeline.map(note => !!note.unpitched));
+  const written = note => [note.timestamp, note.midi, note.pitch, note.notehead];
+  const reloaded = await loader.parseXML(loader.exportMusicXML(exercise));
+  assert.deepStrictEqual(reloaded.timeline.filter(note => note.staff === 1).map(written), timeline.map(written),
+    'Onset-only notes survive the round trip');
+
+  const invalid = (note) => loader.validateExercise({ ...exercise, timeline: [{ ...timeline[0], ...note }] }).errors;
+  assert.ok(invalid({ midi: 64 }).includes('note.midi must be null for unpitched notes'));
+  assert.ok(invalid({ unpitched: false }).includes('note.midi must be 0-127'));
+});
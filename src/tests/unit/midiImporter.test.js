@@ -0,0 +1,167 @@
+/**
+ * Unit tests for MidiImporter module
+ * Tests MIDI parsing, track selection, quantization and generated tab
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { MidiImporter } from '../../core/midiImporter.js';
+import { ExerciseLoader } from '../../core/exerciseLoader.js';
+import { FingeringEngine } from '../../core/fingeringEngine.js';
+import { noteNameToMidi } from '../../utils/fretboard.js';
+
+const TICKS_PER_QUARTER = 480;
+
+/**
+ * Encode a MIDI variable-length quantity
+ * @param {number} value - Value to encode
+ * @returns {Array<number>} Bytes
+ */
+function variableLength(value) {
+  const bytes = [value & 0x7f];
+  while ((value >>= 7) > 0) {
+    bytes.unshift((value & 0x7f) | 0x80);
+  }
+  return bytes;
+}
+
+/**
+ * Build a track chunk from events with absolute ticks
+ * @param {Array<Object>} events - { tick, bytes } entries
+ * @returns {Array<number>} MTrk chunk bytes
+ */
+function buildTrack(events) {
+  const data = [];
+  let tick = 0;
+  [...events, { tick: events.reduce((max, event) => Math.max(max, event.tick), 0), bytes: [0xff, 0x2f, 0x00] }]
+    .sort((a, b) => a.tick - b.tick)
+    .forEach(event => {
+      data.push(...variableLength(event.tick - tick), ...event.bytes);
+      tick = event.tick;
+    });
+  return [0x4d, 0x54, 0x72, 0x6b, 0, 0, data.length >> 8, data.length & 0xff, ...data];
+}
+
+/**
+ * Build a format 1 MIDI file
+ * @param {Array<Array<Object>>} tracks - Events per track
+ * @returns {Uint8Array} MIDI file bytes
+ */
+function buildMidi(tracks) {
+  const header = [0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 1, 0, tracks.length,
+    TICKS_PER_QUARTER >> 8, TICKS_PER_QUARTER & 0xff];
+  return new Uint8Array([...header, ...tracks.flatMap(buildTrack)]);
+}
+
+const quarters = value => Math.round(value * TICKS_PER_QUARTER);
+const trackName = (name) => ({ tick: 0, bytes: [0xff, 0x03, name.length, ...Buffer.from(name)] });
+const tempo = (at, bpm) => {
+  const microseconds = Math.round(60000000 / bpm);
+  return { tick: quarters(at), bytes: [0xff, 0x51, 0x03, microseconds >> 16, (microseconds >> 8) & 0xff, microseconds & 0xff] };
+};
+const meter = (at, beats, beatType) => ({ tick: quarters(at), bytes: [0xff, 0x58, 0x04, beats, Math.log2(beatType), 24, 8] });
+const note = (start, length, midi, channel = 0) => [
+  { tick: quarters(start), bytes: [0x90 | channel, midi, 100] },
+  { tick: quarters(start + length), bytes: [0x80 | channel, midi, 0] }
+];
+
+test('MidiImporter - summarizes tracks for selection', () => {
+  const data = buildMidi([
+    [trackName('Conductor'), tempo(0, 100)],
+    [trackName('Melody'), { tick: 0, bytes: [0xc0, 24] }, ...note(0, 1, 64)],
+    [trackName('Drums'), ...note(0, 1, 36, 9), ...note(1, 1, 38, 9)]
+  ]);
+
+  const tracks = new MidiImporter().getTracks(data);
+
+  assert.deepStrictEqual(tracks.map(track => track.name), ['Conductor', 'Melody', 'Drums']);
+  assert.deepStrictEqual(tracks.map(track => track.noteCount), [0, 1, 2]);
+  assert.strictEqual(tracks[1].program, 24);
+  assert.deepStrictEqual(tracks.map(track => track.isDrums), [false, false, true]);
+});
+
+test('MidiImporter - rejects files without MIDI header', () => {
+  assert.throws(() => new MidiImporter().getTracks(new Uint8Array(20)), /MThd/);
+});
+
+test('ExerciseLoader - parseMIDI builds ExerciseJSON with tempo map and tab', async () => {
+  const data = buildMidi([
+    [trackName('Conductor'), meter(0, 3, 4), tempo(0, 120), tempo(3, 60)],
+    [
+      trackName('Guitar'),
+      ...note(0, 1, 64), ...note(1, 1, 67), ...note(2, 1, 69),
+      // C major triad on the downbeat of measure 2
+      ...note(3, 3, 48), ...note(3, 3, 52), ...note(3, 3, 55)
+    ],
+    [trackName('Drums'), ...note(0, 1, 36, 9)]
+  ]);
+
+  const exercise = await new ExerciseLoader().parseMIDI(data);
+  const notation = exercise.timeline.filter(entry => entry.staff === 1 && !entry.isRest);
+  const tab = exercise.timeline.filter(entry => entry.staff === 2 && !entry.isRest);
+
+  assert.strictEqual(exercise.title, 'Conductor');
+  assert.deepStrictEqual(exercise.timeSignature, { beats: 3, beatType: 4 });
+  assert.strictEqual(exercise.measureCount, 2);
+  assert.deepStrictEqual(exercise.tempoMap.map(entry => [entry.timestamp, entry.bpm]), [[0, 120], [1500, 60]]);
+  assert.deepStrictEqual(notation.map(entry => entry.timestamp), [0, 500, 1000, 1500, 1500, 1500]);
+  assert.strictEqual(notation[3].duration, 3000);
+  assert.ok(!notation.some(entry => entry.midi === 36), 'Drum channel skipped by default');
+
+  assert.deepStrictEqual(tab.map(entry => entry.tab), [
+    { string: 1, fret: 0 },
+    { string: 1, fret: 3 },
+    { string: 1, fret: 5 },
+    { string: 5, fret: 3 },
+    { string: 4, fret: 2 },
+    { string: 3, fret: 0 }
+  ]);
+  assert.ok(exercise.osmdInput.includes('<sign>TAB</sign>'), 'osmdInput contains generated tab staff');
+});
+
+test('ExerciseLoader - parseMIDI imports selected tracks only', async () => {
+  const data = buildMidi([
+    [trackName('Lead'), ...note(0, 1, 64)],
+    [trackName('Bass'), ...note(0, 4, 40)]
+  ]);
+
+  const exercise = await new ExerciseLoader().parseMIDI(data, { tracks: [1], title: 'Bass line' });
+  const notes = exercise.timeline.filter(entry => entry.staff === 1 && !entry.isRest);
+
+  assert.strictEqual(exercise.title, 'Bass line');
+  assert.deepStrictEqual(notes.map(entry => entry.midi), [40]);
+});
+
+test('ExerciseLoader - parseMIDI quantizes and ties notes across barlines', async () => {
+  const data = buildMidi([
+    [
+      // Slightly late start, held over the barline
+      { tick: 10, bytes: [0x90, 60, 100] },
+      { tick: quarters(5), bytes: [0x80, 60, 0] },
+      // Eighth-note triplet
+      ...note(5, 1 / 3, 62), ...note(5 + 1 / 3, 1 / 3, 64), ...note(5 + 2 / 3, 1 / 3, 65)
+    ]
+  ]);
+
+  const exercise = await new ExerciseLoader().parseMIDI(data);
+  const notes = exercise.timeline.filter(entry => entry.staff === 1 && !entry.isRest);
+
+  assert.strictEqual(exercise.measureCount, 2);
+  assert.deepStrictEqual(notes.map(entry => entry.midi), [60, 62, 64, 65]);
+  assert.strictEqual(notes[0].timestamp, 0);
+  assert.strictEqual(notes[0].duration, 2500, 'Tied across the barline into one note');
+  assert.deepStrictEqual(notes.slice(1).map(entry => Math.round(entry.timestamp)), [2500, 2667, 2833]);
+  assert.ok(exercise.osmdInput.includes('<actual-notes>3</actual-notes>'), 'Triplets written as tuplets');
+});
+
+test('FingeringEngine - uses one string per note', () => {
+  assert.strictEqual(noteNameToMidi('E2'), 40);
+  assert.strictEqual(noteNameToMidi('Bb3'), 58);
+
+  // Two notes only playable on the low E string: one cannot be placed
+  const engine = new FingeringEngine();
+  const [positions] = engine.assignChords([[40, 41]]);
+  assert.strictEqual(positions.filter(Boolean).length, 1);
+
+  assert.deepStrictEqual(engine.assignChords([[30]]), [[null]], 'Below the lowest string');
+});
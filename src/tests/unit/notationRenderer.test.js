@@ -479,3 +479,294 @@ test('NotationRenderer - _buildElementMap handles empty SVG', async () => {
   // TODO: Fix this test to properly validate empty SVG handling
   // assert.strictEqual(renderer.noteElementMap.size, 0);
 });
+
+/**
+ * Build a one-measure score with a notation staff and a TAB staff playing
+ * C D E F, and its alternating staff 1 / staff 2 timeline
+ */
+function buildDualStaffExercise() {
+  const steps = ['C', 'D', 'E', 'F'];
+  const staff = (number, voice) => steps.map((step, index) =>
+    `<note><pitch><step>${step}</step><octave>4</octave></pitch><duration>1</duration><voice>${voice}</voice>` +
+    `<type>quarter</type><staff>${number}</staff>` +
+    (number === 2 ? `<notations><technical><string>2</string><fret>${index + 1}</fret></technical></notations>` : '') +
+    '</note>').join('');
+
+  return {
+    id: 'dual-staff',
+    osmdInput: `<?xml version="1.0"?>
+      <score-partwise version="3.1">
+        <part-list><score-part id="P1"><part-name>Guitar</part-name></score-part></part-list>
+        <part id="P1"><measure number="1">
+          <attributes><divisions>1</divisions><time><beats>4</beats><beat-type>4</beat-type></time><staves>2</staves>
+            <clef number="1"><sign>G</sign><line>2</line></clef><clef number="2"><sign>TAB</sign><line>5</line></clef>
+            <staff-details number="2"><staff-lines>6</staff-lines></staff-details></attributes>
+          <direction><direction-type><words>Swing</words></direction-type><staff>1</staff></direction>
+          ${staff(1, 1)}<backup><duration>4</duration></backup>${staff(2, 5)}
+        </measure></part>
+      </score-partwise>`,
+    timeline: steps.flatMap((step, index) => [1, 2].map(number => ({
+      id: `n${index * 2 + number}`,
+      timestamp: index * 500,
+      duration: 500,
+      pitch: { step, octave: 4, alter: 0 },
+      midi: 60,
+      staff: number,
+      voice: number === 1 ? 1 : 5,
+      measure: 1
+    }))),
+    measures: [{ number: 1, pass: 1, timestamp: 0, duration: 2000, length: 4 }],
+    systemCount: 1
+  };
+}
+
+/**
+ * Render an exercise in a view mode with a stub OSMD cursor counting steps
+ */
+async function renderInViewMode(viewMode) {
+  const renderer = new NotationRenderer({ viewMode });
+  renderer.init(document.getElementById('notation-container-2'));
+  const exercise = buildDualStaffExercise();
+  await renderer.render(exercise);
+
+  const cursor = { steps: 0, iterator: { EndReached: false } };
+  cursor.next = () => { cursor.steps++; };
+  cursor.reset = () => { cursor.steps = 0; };
+  cursor.show = () => {};
+  renderer.osmd.cursor = cursor;
+  renderer.cursorEnabled = true;
+
+  const xmlDoc = new DOMParser().parseFromString(renderer.osmd.musicXML, 'application/xml');
+  return { renderer, exercise, cursor, xmlDoc };
+}
+
+test('NotationRenderer - tab view draws only the TAB staff', async () => {
+  const { renderer, cursor, xmlDoc } = await renderInViewMode('tab');
+  const signs = Array.from(xmlDoc.querySelectorAll('clef > sign')).map(sign => sign.textContent);
+
+  assert.deepStrictEqual(signs, ['TAB']);
+  assert.strictEqual(xmlDoc.querySelector('clef').getAttribute('number'), '1');
+  assert.strictEqual(xmlDoc.querySelector('staff-details').getAttribute('number'), '1');
+  assert.strictEqual(xmlDoc.querySelector('staves').textContent, '1');
+  assert.strictEqual(xmlDoc.querySelectorAll('note').length, 4);
+  assert.ok(Array.from(xmlDoc.querySelectorAll('note > staff')).every(staff => staff.textContent === '1'));
+  assert.strictEqual(xmlDoc.querySelector('forward > duration').textContent, '1', 'Hidden notes keep their time');
+  assert.strictEqual(xmlDoc.querySelector('direction > staff').textContent, '1', 'Directions stay visible');
+
+  assert.deepStrictEqual(renderer.visibleStaves, [2]);
+  assert.deepStrictEqual(renderer.cursorTimeline.map(note => note.id), ['n2', 'n4', 'n6', 'n8']);
+  assert.strictEqual(renderer._isDualStaffFile(), false);
+
+  // Playback ticks for notation notes move the cursor to their tab copy
+  renderer.highlightNotes(['n5'], 'active');
+  assert.strictEqual(cursor.steps, 2);
+  renderer.highlightNotes(['n8'], 'active');
+  assert.strictEqual(cursor.steps, 3);
+});
+
+test('NotationRenderer - tab view maps each chord member to its own tab note', async () => {
+  const { renderer } = await renderInViewMode('tab');
+  const note = (id, staff, midi, string, fret) =>
+    ({ id, timestamp: 0, duration: 500, midi, staff, measure: 1, tab: { string, fret } });
+  renderer.currentExercise.timeline = [
+    note('c1', 1, 60, 2, 1), note('c2', 1, 64, 1, 0), note('m1', 1, null, 1, 0),
+    note('t1', 2, 60, 2, 1), note('t2', 2, 64, 1, 0)
+  ];
+  renderer.cursorTimeline = renderer._getVisibleTimeline(renderer.currentExercise.timeline);
+  renderer.cursorEnabled = false;
+  const upper = document.createElement('div');
+  const lower = document.createElement('div');
+  renderer.noteElementMap = new Map([['t1', lower], ['t2', upper]]);
+
+  assert.strictEqual(renderer.cursorTimeline[renderer._findNoteInTimeline('c1')].id, 't1');
+  assert.strictEqual(renderer.cursorTimeline[renderer._findNoteInTimeline('c2')].id, 't2');
+  assert.strictEqual(renderer.cursorTimeline[renderer._findNoteInTimeline('m1')].id, 't2', 'Unpitched notes match by string and fret');
+
+  renderer.highlightNotes(['c2'], 'active');
+  assert.ok(upper.classList.contains('active'));
+  assert.ok(!lower.classList.contains('active'), 'The other chord member stays unlit');
+});
+
+test('NotationRenderer - notation view hides the TAB staff', async () => {
+  const { renderer, cursor, xmlDoc } = await renderInViewMode('notation');
+  const signs = Array.from(xmlDoc.querySelectorAll('clef > sign')).map(sign => sign.textContent);
+
+  assert.deepStrictEqual(signs, ['G']);
+  assert.strictEqual(xmlDoc.querySelector('staff-details'), null);
+  assert.strictEqual(xmlDoc.querySelectorAll('note').length, 4);
+  assert.strictEqual(xmlDoc.querySelectorAll('note technical').length, 0);
+  assert.deepStrictEqual(renderer.cursorTimeline.map(note => note.id), ['n1', 'n3', 'n5', 'n7']);
+  assert.strictEqual(renderer._isDualStaffFile(), false);
+
+  renderer.highlightNotes(['n7'], 'active');
+  assert.strictEqual(cursor.steps, 3);
+});
+
+test('NotationRenderer - both view keeps the score and dual-staff cursor steps', async () => {
+  const { renderer, exercise, cursor } = await renderInViewMode('both');
+
+  assert.strictEqual(renderer.osmd.musicXML, exercise.osmdInput);
+  assert.strictEqual(renderer.visibleStaves, null);
+  assert.strictEqual(renderer.cursorTimeline, exercise.timeline);
+  assert.strictEqual(renderer._isDualStaffFile(), true);
+
+  renderer.highlightNotes(['n5'], 'active');
+  assert.strictEqual(cursor.steps, 2);
+});
+
+test('NotationRenderer - setViewMode re-renders and ignores single-staff scores', async () => {
+  const { renderer, exercise } = await renderInViewMode('both');
+
+  await renderer.setViewMode('tab');
+  assert.strictEqual(renderer.config.viewMode, 'tab');
+  assert.deepStrictEqual(renderer.visibleStaves, [2]);
+  assert.ok(!renderer.osmd.musicXML.includes('<sign>G</sign>'));
+
+  await assert.rejects(() => renderer.setViewMode('piano-roll'), /Unknown view mode/);
+
+  // Without a TAB staff there is nothing to hide
+  const notationOnly = { ...exercise, osmdInput: '<score>test musicxml</score>' };
+  await renderer.render(notationOnly);
+  assert.strictEqual(renderer.osmd.musicXML, notationOnly.osmdInput);
+  assert.strictEqual(renderer.cursorTimeline, notationOnly.timeline);
+});
+
+/**
+ * Click the notation container with jsdom
+ */
+function clickScore(renderer, target, options = {}) {
+  const clicks = [];
+  renderer.on('note:click', data => clicks.push(data));
+  target.dispatchEvent(new dom.window.MouseEvent('click', { bubbles: true, ...options }));
+  return clicks;
+}
+
+test('NotationRenderer - clicking a mapped note reports its timeline note', async () => {
+  const { renderer } = await renderInViewMode('both');
+  const group = renderer.containerElement.querySelector('g');
+  renderer.noteElementMap.set('n5', group);
+
+  const clicks = clickScore(renderer, group.firstChild, { shiftKey: true });
+  assert.deepStrictEqual(clicks, [{ noteId: 'n5', timestamp: 1000, measure: 1, shiftKey: true }]);
+});
+
+test('NotationRenderer - clicking the score finds the nearest note in the measure', async () => {
+  const { renderer } = await renderInViewMode('tab');
+  const container = renderer.containerElement;
+
+  // Stub of OSMD's graphic sheet: a note on the third beat of measure 1
+  const staffEntry = { Timestamp: { RealValue: 0.5 }, ParentStaff: { idInMusicSheet: 0 } };
+  let nearestNote = { sourceNote: { SourceMeasure: { MeasureNumber: 1 }, ParentStaffEntry: staffEntry } };
+  renderer.osmd.GraphicSheet = {
+    domToSvg: point => point,
+    svgToOsmd: point => point,
+    GetNearestNote: () => nearestNote,
+    GetNearestStaffEntry: () => ({
+      sourceStaffEntry: { ...staffEntry, Timestamp: { RealValue: 0.25 }, VerticalContainerParent: { ParentMeasure: { MeasureNumber: 1 } } }
+    })
+  };
+
+  let clicks = clickScore(renderer, container);
+  assert.deepStrictEqual(clicks.map(click => click.noteId), ['n6'], 'Drawn TAB copy of the note');
+
+  // Away from any note the nearest staff entry of the measure is used
+  nearestNote = null;
+  clicks = clickScore(renderer, container);
+  assert.deepStrictEqual(clicks.map(click => click.noteId), ['n4']);
+
+  // Clicks outside the score are ignored
+  renderer.osmd.GraphicSheet.GetNearestStaffEntry = () => null;
+  clicks = clickScore(renderer, container);
+  assert.deepStrictEqual(clicks, []);
+});
+
+/**
+ * Add one SVG group per note of the first staff to a rendered score, with
+ * stub bounding boxes 40 units apart
+ */
+function drawNoteGroups(renderer, noteIds) {
+  const svg = renderer.containerElement.querySelector('svg');
+  return noteIds.map((noteId, index) => {
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    group.appendChild(document.createElementNS('http://www.w3.org/2000/svg', 'path'));
+    group.getBBox = () => ({ x: 100 + index * 40, y: 50, width: 10, height: 10 });
+    svg.appendChild(group);
+    renderer.noteElementMap.set(noteId, group);
+    return group;
+  });
+}
+
+test('NotationRenderer - maps OSMD graphical notes to timeline notes', async () => {
+  const { renderer } = await renderInViewMode('both');
+
+  // Stub of OSMD's graphic sheet: quarter notes on both staves, plus a tie
+  // continuation an eighth into the measure that starts no timeline note
+  const drawn = [];
+  const graphicalNote = (staffIndex, wholeNotes) => {
+    const element = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    drawn.push({ staffIndex, wholeNotes, element });
+    return {
+      getSVGGElement: () => element,
+      sourceNote: {
+        SourceMeasure: { MeasureNumber: 1 },
+        ParentStaffEntry: { Timestamp: { RealValue: wholeNotes }, ParentStaff: { idInMusicSheet: staffIndex } },
+        halfTone: 48,
+        isRest: () => false
+      }
+    };
+  };
+  const staffMeasure = staffIndex => ({
+    staffEntries: [0, 0.125, 0.25, 0.5, 0.75].map(wholeNotes => ({
+      graphicalVoiceEntries: [{ notes: [graphicalNote(staffIndex, wholeNotes)] }]
+    }))
+  });
+  renderer.osmd.GraphicSheet = { MeasureList: [[staffMeasure(0), staffMeasure(1)]] };
+
+  renderer.noteElementMap.clear();
+  renderer._mapGraphicalNotes();
+
+  const elementAt = (staffIndex, wholeNotes) =>
+    drawn.find(entry => entry.staffIndex === staffIndex && entry.wholeNotes === wholeNotes).element;
+  assert.strictEqual(renderer.noteElementMap.size, 8);
+  assert.strictEqual(renderer.getNoteElement('n1'), elementAt(0, 0));
+  assert.strictEqual(renderer.getNoteElement('n2'), elementAt(1, 0));
+  assert.strictEqual(renderer.getNoteElement('n7'), elementAt(0, 0.75));
+  assert.strictEqual(elementAt(0, 0.75).getAttribute('data-note-id'), 'n7');
+  assert.strictEqual(elementAt(0, 0.125).getAttribute('data-note-id'), null, 'Tie continuation stays unmapped');
+});
+
+test('NotationRenderer - paints and clears the analysis overlay', async () => {
+  const { renderer, exercise } = await renderInViewMode('notation');
+  const groups = drawNoteGroups(renderer, ['n1', 'n3', 'n5', 'n7']);
+  const cleanScore = renderer.containerElement.innerHTML;
+  const overlay = [
+    { noteIds: ['n1'], outcome: 'correct', tooltip: 'Correct: +3¢, -12ms' },
+    { noteIds: ['n4'], outcome: 'late', tooltip: 'Late: 0¢, +180ms' },
+    { noteIds: ['n5'], outcome: 'wrong-pitch', tooltip: 'Wrong pitch: -100¢, +5ms' },
+    { noteIds: ['n7'], outcome: 'missed', tooltip: 'Missed' }
+  ];
+
+  renderer.showAnalysisOverlay(overlay, [{ timestamp: 750, tooltip: 'Extra: G4 at 750ms' }]);
+
+  assert.ok(groups[0].classList.contains('analysis-correct'));
+  assert.ok(groups[1].classList.contains('analysis-late'), 'Hidden TAB note shown on its drawn copy');
+  assert.ok(groups[2].classList.contains('analysis-wrong-pitch'));
+  assert.ok(groups[3].classList.contains('analysis-missed'));
+  assert.strictEqual(groups[1].querySelector('title.analysis-tooltip').textContent, 'Late: 0¢, +180ms');
+
+  const ghost = renderer.containerElement.querySelector('.analysis-ghost');
+  assert.ok(ghost, 'Extra note drawn as a ghost marker');
+  assert.strictEqual(ghost.querySelector('circle').getAttribute('cx'), '165', 'Halfway between n3 and n5');
+  assert.strictEqual(ghost.querySelector('title').textContent, 'Extra: G4 at 750ms');
+
+  renderer.clearAnalysisOverlay();
+  assert.strictEqual(renderer.containerElement.innerHTML, cleanScore, 'Clean score restored');
+  assert.strictEqual(renderer.analysisOverlay, null);
+
+  // A redraw of the same exercise keeps the overlay; another exercise drops it
+  renderer.showAnalysisOverlay(overlay);
+  await renderer.render(exercise);
+  assert.strictEqual(renderer.analysisOverlay.notes, overlay);
+  await renderer.render({ ...exercise, id: 'other' });
+  assert.strictEqual(renderer.analysisOverlay, null);
+});
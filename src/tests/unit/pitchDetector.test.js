@@ -6,6 +6,7 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
 import { PitchDetector } from '../../core/pitchDetector.js';
+import { INSTRUMENTS } from '../../utils/constants.js';
 
 // Mock AudioContext for testing
 class MockAudioContext {
@@ -476,6 +477,18 @@ test.describe('PitchDetector', () => {
       'Should handle frequencies above maximum gracefully');
   });
 
+  test('PitchDetector - listens to an instrument frequency range', () => {
+    const lowE = generateSineWave(41.2, 0.1, 44100); // Bass E1
+    assert.strictEqual(detector._yinAlgorithm(lowE), null, 'Below the guitar range');
+    
+    detector.setFrequencyRange(INSTRUMENTS.bass.frequencyRange);
+    const result = detector._yinAlgorithm(lowE);
+    
+    assert.ok(result, 'Should detect bass E1 in the bass range');
+    assert.ok(Math.abs(result.frequency - 41.2) < 1, `Frequency ${result.frequency}Hz should be near 41.2Hz`);
+    assert.throws(() => detector.setFrequencyRange({ min: 500, max: 100 }), /Frequency range/);
+  });
+
   test('PitchDetector - parabolic interpolation accuracy', () => {
     // Create a test CMNDF array with known minimum
     const cmndf = new Float32Array([1.0, 0.8, 0.6, 0.3, 0.2, 0.15, 0.1, 0.2, 0.3, 0.5]);
@@ -219,6 +219,63 @@ test('PlaybackEngine - seek clamps to valid range', () => {
   assert.strictEqual(engine.getCurrentPosition(), maxTime);
 });
 
+test('PlaybackEngine - play resumes from a seeked position', async () => {
+  const mockTimeline = [
+    { id: 'n1', timestamp: 0, duration: 500, midi: 60, system: 1, pitch: {step: 'C', octave: 4} },
+    { id: 'n2', timestamp: 500, duration: 500, midi: 62, system: 1, pitch: {step: 'D', octave: 4} },
+    { id: 'n3', timestamp: 1000, duration: 500, midi: 64, system: 1, pitch: {step: 'E', octave: 4} }
+  ];
+
+  const engine = new PlaybackEngine(mockTimeline);
+  let startedAt = null;
+  engine.on('playback:started', (data) => {
+    startedAt = data.offsetMs;
+  });
+
+  engine.seek(1000);
+  await engine.play();
+
+  assert.strictEqual(engine.getState(), 'playing');
+  assert.strictEqual(startedAt, 1000);
+  engine.stop();
+});
+
+test('PlaybackEngine - loops between loop bounds', async () => {
+  const mockTimeline = [0, 500, 1000, 1500].map((timestamp, index) => ({
+    id: `n${index + 1}`, timestamp, duration: 500, midi: 60 + index, system: 1, pitch: {step: 'C', octave: 4}
+  }));
+
+  const engine = new PlaybackEngine(mockTimeline);
+  const scheduledAt = (time) => Tone.Transport.scheduledEvents
+    .filter(event => engine.scheduledEvents.includes(event.id) && event.time === time);
+  const loopEvents = [];
+  engine.on('playback:loop', (data) => loopEvents.push(data));
+
+  assert.throws(() => engine.setLoop(1000, 500), /Loop end must be after loop start/);
+  assert.strictEqual(engine.getLoop(), null);
+
+  engine.setLoop(500, 1500);
+  assert.deepStrictEqual(engine.getLoop(), { start: 500, end: 1500 });
+
+  await engine.play(1000);
+  assert.strictEqual(scheduledAt(2).length, 0, 'No completion while looping');
+  const [loopEvent] = scheduledAt(1.5);
+  assert.ok(loopEvent, 'Loop event at the loop end replaces the note there');
+  assert.strictEqual(scheduledAt(1.5).length, 1);
+
+  loopEvent.callback(0);
+  assert.deepStrictEqual(loopEvents, [{ loopStart: 500, loopEnd: 1500 }]);
+  assert.strictEqual(engine.currentPosition, 500);
+  assert.strictEqual(engine.getState(), 'playing');
+  assert.strictEqual(scheduledAt(1.5).length, 1, 'Rescheduled for the next pass');
+
+  // Clearing the loop plays through to the end again
+  engine.clearLoop();
+  assert.strictEqual(engine.getLoop(), null);
+  assert.strictEqual(scheduledAt(2).length, 1);
+  engine.stop();
+});
+
 test('PlaybackEngine - emits playback:started event', async () => {
   const mockTimeline = [
     { id: 'n1', timestamp: 0, duration: 500, midi: 60, system: 1, pitch: {step: 'C', octave: 4} }
@@ -408,6 +465,103 @@ test('PlaybackEngine - converts milliseconds to seconds correctly', () => {
   assert.strictEqual(engine._convertMsToSeconds(500), 0.5);
 });
 
+test('PlaybackEngine - schedules in ticks and programs BPM from tempo map', () => {
+  const mockTimeline = [
+    { id: 'n1', timestamp: 0, duration: 500, midi: 60, system: 1, pitch: {step: 'C', octave: 4} },
+    { id: 'n2', timestamp: 1000, duration: 1000, midi: 62, system: 1, pitch: {step: 'D', octave: 4} }
+  ];
+  const tempoMap = [
+    { position: 0, timestamp: 0, bpm: 120, ramp: false },
+    { position: 2, timestamp: 1000, bpm: 60, ramp: false }
+  ];
+
+  const engine = new PlaybackEngine(mockTimeline, { bpm: 120, tempoMap });
+
+  assert.strictEqual(engine._toTransportTime(1000), '384i', 'Two quarters at 192 PPQ');
+  assert.strictEqual(engine._toTransportTime(2000), '576i', 'One quarter at 60 BPM');
+
+  global.Tone.Transport.scheduledEvents = [];
+  engine._scheduleTempoChanges();
+  const [first, second] = global.Tone.Transport.scheduledEvents;
+  assert.strictEqual(first.time, '0i');
+  assert.strictEqual(second.time, '384i');
+
+  second.callback(0);
+  assert.strictEqual(global.Tone.Transport.bpm.value, 60, 'Tempo change applied at its position');
+});
+
+test('PlaybackEngine - plays legato and bends as one pitch curve', () => {
+  const mockTimeline = [
+    { id: 'n1', timestamp: 0, duration: 500, midi: 60, staff: 1, voice: 1, system: 1,
+      techniques: [{ type: 'hammer-on', role: 'start' }] },
+    { id: 'n2', timestamp: 500, duration: 500, midi: 62, staff: 1, voice: 1, system: 1,
+      techniques: [{ type: 'hammer-on', role: 'stop' }, { type: 'slide', role: 'start' }] },
+    { id: 'n3', timestamp: 1000, duration: 500, midi: 64, staff: 1, voice: 1, system: 1,
+      techniques: [{ type: 'slide', role: 'stop' }] },
+    { id: 'n4', timestamp: 1500, duration: 900, midi: 65, staff: 1, voice: 1, system: 1,
+      techniques: [{ type: 'bend', alter: 2, preBend: false, release: true }] }
+  ];
+
+  const engine = new PlaybackEngine(mockTimeline);
+  const chain = engine._getLegatoChain(mockTimeline[0]);
+  assert.deepStrictEqual(chain.map(note => note.id), ['n1', 'n2', 'n3'], 'Bend note is picked again');
+
+  const curve = engine._buildPitchCurve(chain);
+  assert.deepStrictEqual(curve.points, [
+    { time: 0, midi: 60, ramp: false },
+    { time: 0.5, midi: 62, ramp: false },
+    { time: 0.88, midi: 62, ramp: false },
+    { time: 1, midi: 64, ramp: true }
+  ], 'Hammer-on steps, slide glides');
+  assert.strictEqual(curve.duration, 1.5);
+
+  const bend = engine._buildPitchCurve([mockTimeline[3]]);
+  assert.deepStrictEqual(bend.points.map(point => point.midi), [65, 67, 67, 65], 'Bend up and release');
+  assert.strictEqual(bend.points[1].time, 0.15);
+});
+
+test('PlaybackEngine - sounds harmonics and palm mutes', () => {
+  const mockTimeline = [
+    { id: 'n1', timestamp: 0, duration: 1000, midi: 40, tab: { string: 6, fret: 7 }, system: 1,
+      techniques: [{ type: 'harmonic', kind: 'natural', pitch: 'base' }] },
+    { id: 'n2', timestamp: 1000, duration: 1000, midi: 40, system: 1, techniques: [{ type: 'palm-mute' }] },
+    { id: 'n3', timestamp: 2000, duration: 1000, midi: 40, system: 1 }
+  ];
+
+  const engine = new PlaybackEngine(mockTimeline);
+  const [harmonic, muted, plain] = mockTimeline.map(note => engine._getNoteSound(note));
+
+  assert.strictEqual(harmonic.midi, 59, 'Seventh-fret harmonic sounds an octave and a fifth up');
+  assert.ok(muted.duration < plain.duration && muted.velocity < plain.velocity, 'Palm mute is short and soft');
+  assert.deepStrictEqual(plain, { midi: 40, duration: 1, velocity: 0.8 });
+});
+
+test('PlaybackEngine - honours velocity and articulations', () => {
+  const mockTimeline = [
+    { id: 'n1', timestamp: 0, duration: 1000, midi: 60, system: 1, velocity: 0.5 },
+    { id: 'n2', timestamp: 1000, duration: 1000, midi: 60, system: 1, velocity: 0.5,
+      articulations: ['staccato', 'accent'] },
+    { id: 'n3', timestamp: 2000, duration: 1000, midi: 60, system: 1, velocity: 0.95,
+      articulations: ['strong-accent'] }
+  ];
+
+  const engine = new PlaybackEngine(mockTimeline);
+  engine.synthesizer = new global.Tone.PolySynth();
+  const frequency = global.Tone.Frequency;
+  global.Tone.Frequency = (midi) => ({ toFrequency: () => midi * 10 });
+
+  try {
+    mockTimeline.forEach(note => engine._triggerSynthNote(note, 0));
+  } finally {
+    global.Tone.Frequency = frequency;
+  }
+
+  const [soft, accented, capped] = engine.synthesizer.notes;
+  assert.deepStrictEqual([soft.duration, soft.velocity], [1, 0.5]);
+  assert.deepStrictEqual([accented.duration, accented.velocity], [0.5, 0.65], 'Staccato halves, accent adds');
+  assert.strictEqual(capped.velocity, 1, 'Velocity capped at 1');
+});
+
 test('PlaybackEngine - finds first musical note', () => {
   const mockTimeline = [
     { id: 'n1', timestamp: 0, duration: 500, midi: 60, system: 1, pitch: {step: 'C', octave: 4} },
@@ -663,3 +817,4 @@ test('PlaybackEngine - validates config merging with partial overrides', () => {
   assert.strictEqual(engine.config.metronomeVolume, 0.5);
   assert.strictEqual(engine.config.loopEnabled, false);
 });
+
@@ -0,0 +1,132 @@
+/**
+ * Unit tests for SightReadingGenerator module
+ * Tests seeding, difficulty limits, rhythm layout and loading generated
+ * melodies
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { SightReadingGenerator } from '../../core/sightReadingGenerator.js';
+import { ExerciseLoader } from '../../core/exerciseLoader.js';
+
+const SEEDS = [1, 2, 3, 'lesson-4', 99];
+
+/**
+ * Get played notes of one staff
+ * @param {Object} exercise - Parsed ExerciseJSON
+ * @param {number} staff - 1 for notation, 2 for tab
+ * @returns {Array<Object>} Staff notes without rests
+ */
+function staffNotes(exercise, staff) {
+  return exercise.timeline.filter(note => note.staff === staff && !note.isRest);
+}
+
+test('SightReadingGenerator - the same seed gives the same melody', () => {
+  const generator = new SightReadingGenerator();
+
+  ['beginner', 'intermediate', 'advanced'].forEach(difficulty => {
+    assert.strictEqual(generator.toMusicXML({ difficulty, seed: 42 }), generator.toMusicXML({ difficulty, seed: 42 }));
+    assert.strictEqual(generator.toMusicXML({ difficulty, seed: 'week 3' }),
+      generator.toMusicXML({ difficulty, seed: 'week 3' }));
+  });
+
+  const melodies = new Set(SEEDS.map(seed => generator.toMusicXML({ difficulty: 'advanced', seed, title: 'Melody' })));
+  assert.strictEqual(melodies.size, SEEDS.length, 'Different seeds give different melodies');
+  assert.ok(generator.toMusicXML({ seed: 42 }).includes('Sight Reading - Beginner (seed 42)'));
+});
+
+test('SightReadingGenerator - beginner melodies stay within the level limits', async () => {
+  const loader = new ExerciseLoader();
+  const level = SightReadingGenerator.getLevel('beginner');
+
+  for (const seed of SEEDS) {
+    const exercise = await loader.generateSightReading({ difficulty: 'beginner', seed });
+    const notes = staffNotes(exercise, 1);
+    const key = exercise.key;
+
+    assert.strictEqual(exercise.measures.length, level.measures);
+    assert.strictEqual(exercise.tempo, level.tempo);
+    assert.ok(['C major', 'G major', 'A minor'].includes(key.name), key.name);
+    assert.strictEqual(loader.validateExercise(exercise).valid, true);
+    assert.strictEqual(loader.getAnalysisTimeline(exercise).length, notes.length);
+
+    staffNotes(exercise, 2).forEach(({ tab: { string, fret } }) => {
+      assert.ok(level.strings.includes(string) && fret >= level.frets.min && fret <= level.frets.max,
+        `String ${string} fret ${fret} (seed ${seed})`);
+    });
+    notes.forEach((note, index) => {
+      assert.ok([1000, 2000].includes(Math.round(note.duration)), `Half or quarter notes (seed ${seed})`);
+      assert.ok(!note.pitch.alter || (key.fifths === 1 && note.pitch.step === 'F'), 'No accidentals');
+      if (index > 0 && index < notes.length - 1) {
+        assert.ok(Math.abs(note.midi - notes[index - 1].midi) <= level.maxLeap, `Leap within limit (seed ${seed})`);
+      }
+    });
+
+    assert.strictEqual(notes[notes.length - 1].pitch.step, key.tonic.charAt(0), `Ends on the tonic (seed ${seed})`);
+  }
+});
+
+test('SightReadingGenerator - applies overrides', async () => {
+  const exercise = await new ExerciseLoader().generateSightReading({
+    difficulty: 'intermediate',
+    seed: 5,
+    key: 'Bb',
+    strings: [3, 4],
+    frets: { min: 5, max: 9 },
+    rhythms: ['eighth'],
+    rests: 0,
+    accidentals: 0,
+    maxLeap: 3,
+    measures: 2,
+    tempo: 100
+  });
+  const notes = staffNotes(exercise, 1);
+  const tab = staffNotes(exercise, 2);
+
+  assert.strictEqual(exercise.key.name, 'Bb major');
+  assert.strictEqual(exercise.tempo, 100);
+  assert.strictEqual(exercise.measures.length, 2);
+  assert.strictEqual(notes.length, 16, 'Two measures of eighths without rests');
+  assert.strictEqual(tab.length, notes.length, 'Every note has tab');
+  assert.ok(exercise.osmdInput.includes('<sign>TAB</sign>'), 'Tab staff for rendering');
+  assert.ok(notes.every(note => note.pitch.alter === 0 || ['B', 'E'].includes(note.pitch.step)), 'Spelled with flats');
+  assert.ok(tab.every(({ tab: position }) => [3, 4].includes(position.string) && position.fret >= 5 && position.fret <= 9));
+});
+
+test('SightReadingGenerator - keeps beats visible and adds rests and accidentals', async () => {
+  const loader = new ExerciseLoader();
+  let rests = 0;
+  let accidentals = 0;
+
+  for (const seed of SEEDS) {
+    const exercise = await loader.generateSightReading({ difficulty: 'advanced', seed, key: 'C' });
+    const notes = staffNotes(exercise, 1);
+    rests += exercise.timeline.filter(entry => entry.staff === 1 && entry.isRest).length;
+    accidentals += notes.filter(note => note.pitch.alter).length;
+
+    const beat = 60000 / exercise.tempo;
+    notes.forEach(note => {
+      const offBeat = note.timestamp % beat;
+      if (offBeat > 1 && beat - offBeat > 1) {
+        assert.ok(offBeat + note.duration <= beat + 1, `Off-beat note ends by the next beat (seed ${seed})`);
+      }
+    });
+  }
+
+  assert.ok(rests > 0, 'Advanced melodies have rests');
+  assert.ok(accidentals > 0, 'Advanced melodies leave the key');
+});
+
+test('SightReadingGenerator - rejects invalid options', () => {
+  const generator = new SightReadingGenerator();
+
+  assert.throws(() => generator.toMusicXML({ difficulty: 'expert' }), /Unknown difficulty/);
+  assert.throws(() => generator.toMusicXML({ key: 'H' }), /Unknown key/);
+  assert.throws(() => generator.toMusicXML({ strings: [7] }), /Invalid strings/);
+  assert.throws(() => generator.toMusicXML({ frets: { min: 5, max: 2 } }), /Invalid fret range/);
+  assert.throws(() => generator.toMusicXML({ rhythms: ['breve'] }), /Unknown rhythm/);
+  assert.throws(() => generator.toMusicXML({ rests: 1 }), /Invalid rests share/);
+  assert.throws(() => generator.toMusicXML({ measures: 0 }), /Invalid length/);
+  assert.throws(() => generator.toMusicXML({ key: 'C', strings: [1], frets: { min: 0, max: 1 } }), /Too few notes/);
+  assert.strictEqual(SightReadingGenerator.getLevel('expert'), null);
+});
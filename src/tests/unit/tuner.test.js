@@ -364,6 +364,31 @@ test.describe('Tuner Module', () => {
     }, { message: /between 0.0 and 0.99/ });
   });
   
+  test('Tuner - tunes to exercise string targets', () => {
+    const tuner = new Tuner({ referencePitch: 440 });
+    let changed = null;
+    tuner.on('tuner:targetsChanged', (data) => { changed = data; });
+    
+    tuner.setTargets(['D2', 'A2', 'D3', 'G3', 'B3', 'E4'], 2);
+    assert.strictEqual(changed.tuningName, 'Drop D');
+    assert.strictEqual(changed.capo, 2);
+    assert.deepStrictEqual(changed.targets.map(target => target.string), [6, 5, 4, 3, 2, 1]);
+    assert.ok(Math.abs(changed.targets[0].frequency - 73.42) < 0.01, 'Low D at 73.42 Hz');
+    
+    // A low E string is a whole tone sharp of the Drop D target
+    const target = tuner.findTarget(82.41);
+    assert.strictEqual(target.string, 6);
+    assert.strictEqual(target.noteName, 'D2');
+    assert.ok(Math.abs(target.cents - 200) <= 1, `Expected +200 cents, got ${target.cents}`);
+    assert.strictEqual(tuner.findTarget(146.0).string, 4);
+    assert.ok(tuner.findTarget(146.0).cents < 0, 'Slightly flat of D3');
+    
+    tuner.clearTargets();
+    assert.deepStrictEqual(changed.targets, []);
+    assert.strictEqual(tuner.findTarget(82.41), null);
+    assert.throws(() => tuner.setTargets(['X2']), { message: /Invalid tuning note/ });
+  });
+  
   test('Tuner - event emission', async () => {
     const tuner = new Tuner({ referencePitch: 440 });
     const mockDetector = new MockPitchDetector();
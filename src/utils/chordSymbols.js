@@ -0,0 +1,70 @@
+/**
+ * @module chordSymbols
+ * @description Chord symbol spelling for MusicXML `<harmony>` chords
+ *
+ * Chords are described the way ExerciseJSON `chordSymbols` stores them:
+ * a root and optional bass as { step, alter } and the MusicXML `kind`
+ * value (e.g. 'minor-seventh'), with the score's own `text` for the kind
+ * when it has one.
+ *
+ * @see Architecture.md §4.1 (ExerciseJSON Structure)
+ */
+
+// Symbol suffix for each MusicXML <kind> value
+export const CHORD_KIND_SUFFIXES = {
+  major: '',
+  minor: 'm',
+  augmented: 'aug',
+  diminished: 'dim',
+  dominant: '7',
+  'major-seventh': 'maj7',
+  'minor-seventh': 'm7',
+  'diminished-seventh': 'dim7',
+  'augmented-seventh': 'aug7',
+  'half-diminished': 'm7b5',
+  'major-minor': 'm(maj7)',
+  'major-sixth': '6',
+  'minor-sixth': 'm6',
+  'dominant-ninth': '9',
+  'major-ninth': 'maj9',
+  'minor-ninth': 'm9',
+  'dominant-11th': '11',
+  'major-11th': 'maj11',
+  'minor-11th': 'm11',
+  'dominant-13th': '13',
+  'major-13th': 'maj13',
+  'minor-13th': 'm13',
+  'suspended-second': 'sus2',
+  'suspended-fourth': 'sus4',
+  power: '5'
+};
+
+/**
+ * Spell a pitch class as a chord root
+ *
+ * @param {Object} pitch - { step, alter }
+ * @returns {string} Name such as 'C', 'F#' or 'Bb'
+ */
+export function formatPitchClass({ step, alter = 0 }) {
+  const semitones = Math.round(alter);
+  return step + (semitones > 0 ? '#'.repeat(semitones) : 'b'.repeat(-semitones));
+}
+
+/**
+ * Write a chord as a lead-sheet symbol
+ *
+ * @param {Object} chord - { root, kind, text, bass }; a null root or kind
+ *   'none' means no chord
+ * @returns {string} Symbol such as 'Am7', 'D/F#' or 'N.C.'
+ *
+ * @example
+ * formatChordSymbol({ root: { step: 'B', alter: -1 }, kind: 'dominant' }); // 'Bb7'
+ */
+export function formatChordSymbol({ root, kind, text = null, bass = null }) {
+  if (!root || kind === 'none') {
+    return 'N.C.';
+  }
+
+  const suffix = text ?? CHORD_KIND_SUFFIXES[kind] ?? '';
+  return formatPitchClass(root) + suffix + (bass ? `/${formatPitchClass(bass)}` : '');
+}
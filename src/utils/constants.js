@@ -34,6 +34,9 @@ export const STORAGE_KEYS = {
   ERRORS: 'g4:errors'
 };
 
+// Exercise catalog difficulty levels, easiest first
+export const DIFFICULTY_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
 // Tolerance Presets
 export const TOLERANCE_PRESETS = {
   EASY: { pitch: 100, timing: 200 },    // Easy: 100 cents, 200ms
@@ -60,6 +63,28 @@ export const UI_CONSTANTS = {
   MIN_WINDOW_HEIGHT: 720
 };
 
+// Dynamics and Articulation (velocity 0-1)
+export const DYNAMICS = {
+  DEFAULT_VELOCITY: 0.8,     // Notes before any dynamic marking
+  LEVELS: {
+    pppp: 0.2, ppp: 0.3, pp: 0.4, p: 0.5, mp: 0.6,
+    mf: 0.7, f: 0.8, ff: 0.9, fff: 1, ffff: 1
+  },
+  SFORZANDO: ['sf', 'sfz', 'sffz', 'fz', 'rf', 'rfz', 'sfp', 'sfpp', 'fp'], // Accent one note
+  SFORZANDO_LEVELS: { fp: 'p', sfp: 'p', sfpp: 'pp' },  // Level after the accent
+  WEDGE_STEP: 0.1            // Change of a wedge that ends without a marking
+};
+
+export const ARTICULATIONS = {
+  accent: { velocity: 0.15 },           // Added to the velocity
+  'strong-accent': { velocity: 0.25 },
+  staccato: { length: 0.5 },            // Fraction of the written length
+  staccatissimo: { length: 0.25 },
+  spiccato: { length: 0.35 },
+  'detached-legato': { length: 0.75 },
+  tenuto: { length: 1 }
+};
+
 // Playback States
 export const PLAYBACK_STATES = {
   STOPPED: 'stopped',
@@ -67,6 +92,31 @@ export const PLAYBACK_STATES = {
   PAUSED: 'paused'
 };
 
+// Staves drawn by NotationRenderer
+export const NOTATION_VIEW_MODES = {
+  NOTATION: 'notation',
+  TAB: 'tab',
+  BOTH: 'both'
+};
+
+// Upload file extensions by format, shared by the loader, the app and the file inputs
+export const EXERCISE_FILE_EXTENSIONS = {
+  MUSICXML: ['.xml', '.musicxml'],
+  COMPRESSED: ['.mxl'],
+  MIDI: ['.mid', '.midi'],
+  TAB: ['.tab', '.txt']
+};
+
+// Per-note outcomes painted on the score by the analysis overlay
+export const ANALYSIS_OUTCOMES = {
+  CORRECT: 'correct',
+  WRONG_PITCH: 'wrong-pitch',
+  EARLY: 'early',
+  LATE: 'late',
+  MISSED: 'missed',
+  EXTRA: 'extra'
+};
+
 // Event Names
 export const EVENT_NAMES = {
   // Exercise events
@@ -125,7 +175,8 @@ export const ERROR_MESSAGES = {
 export const INSTRUMENT_TYPES = {
   GUITAR: 'guitar',
   PIANO: 'piano',
-  UKULELE: 'ukulene'
+  BASS: 'bass',
+  UKULELE: 'ukulele'
 };
 
 // Guitar Tuning (standard tuning in MIDI numbers)
@@ -137,3 +188,62 @@ export const GUITAR_TUNING = {
   B3: 59,  // 2nd string
   E4: 64   // 1st string (highest)
 };
+
+// Named guitar tunings (open strings, lowest first)
+export const GUITAR_TUNINGS = {
+  STANDARD: { name: 'Standard', notes: ['E2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+  HALF_STEP_DOWN: { name: 'Half Step Down', notes: ['Eb2', 'Ab2', 'Db3', 'Gb3', 'Bb3', 'Eb4'] },
+  DROP_D: { name: 'Drop D', notes: ['D2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+  DROP_C: { name: 'Drop C', notes: ['C2', 'G2', 'C3', 'F3', 'A3', 'D4'] },
+  DADGAD: { name: 'DADGAD', notes: ['D2', 'A2', 'D3', 'G3', 'A3', 'D4'] },
+  OPEN_G: { name: 'Open G', notes: ['D2', 'G2', 'D3', 'G3', 'B3', 'D4'] },
+  OPEN_D: { name: 'Open D', notes: ['D2', 'A2', 'D3', 'F#3', 'A3', 'D4'] },
+  OPEN_E: { name: 'Open E', notes: ['E2', 'B2', 'E3', 'G#3', 'B3', 'E4'] }
+};
+
+// Fretted instrument definitions: default tuning (lowest string first),
+// highest fret and the frequency range (Hz) pitch detection listens to
+export const INSTRUMENTS = {
+  guitar: {
+    type: INSTRUMENT_TYPES.GUITAR,
+    name: 'Guitar',
+    tuning: GUITAR_TUNINGS.STANDARD.notes,
+    maxFret: 24,
+    frequencyRange: { min: 80, max: 1000 }
+  },
+  guitar7: {
+    type: INSTRUMENT_TYPES.GUITAR,
+    name: '7-String Guitar',
+    tuning: ['B1', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4'],
+    maxFret: 24,
+    frequencyRange: { min: 58, max: 1000 }
+  },
+  guitar8: {
+    type: INSTRUMENT_TYPES.GUITAR,
+    name: '8-String Guitar',
+    tuning: ['F#1', 'B1', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4'],
+    maxFret: 24,
+    frequencyRange: { min: 43, max: 1000 }
+  },
+  bass: {
+    type: INSTRUMENT_TYPES.BASS,
+    name: 'Bass',
+    tuning: ['E1', 'A1', 'D2', 'G2'],
+    maxFret: 24,
+    frequencyRange: { min: 38, max: 420 }
+  },
+  bass5: {
+    type: INSTRUMENT_TYPES.BASS,
+    name: '5-String Bass',
+    tuning: ['B0', 'E1', 'A1', 'D2', 'G2'],
+    maxFret: 24,
+    frequencyRange: { min: 29, max: 420 }
+  },
+  ukulele: {
+    type: INSTRUMENT_TYPES.UKULELE,
+    name: 'Ukulele',
+    tuning: ['G4', 'C4', 'E4', 'A4'], // Re-entrant: the 4th string is above the 3rd
+    maxFret: 18,
+    frequencyRange: { min: 250, max: 1400 }
+  }
+};
@@ -0,0 +1,223 @@
+/**
+ * @module exerciseCatalog
+ * @description Exercise catalog manifest, derived fields and search
+ *
+ * The manifest (`assets/exercises/catalog.json`) lists the bundled
+ * exercises with what only a teacher can say about them: difficulty,
+ * techniques, tags, a practice tempo range and prerequisites (ids of
+ * other entries). The bundled manifest also stores the fields read from
+ * each score (see `ExerciseLoader.describeExercise`) so the list is shown
+ * without parsing any score; entries that leave them out are filled in
+ * once the exercise has been opened, and values in the manifest win.
+ *
+ * Searches are free text such as "beginner, single string, under 90 BPM":
+ * difficulty levels and tempo conditions are recognised, every other word
+ * has to appear in the entry's title, tags, techniques, key or meter.
+ *
+ * @see Architecture.md §3.9 (Storage Module - Exercise Catalog)
+ */
+
+import { DIFFICULTY_LEVELS } from './constants.js';
+
+// Fields ExerciseLoader.describeExercise derives from the score
+export const DERIVED_FIELDS = [
+  'title', 'composer', 'key', 'timeSignature', 'tempoRange', 'measureCount', 'noteRange'
+];
+
+// Tempo conditions; under/over are strict, up to/at least are not
+const TEMPO_PATTERNS = [
+  { pattern: /(\d+)\s*(?:-|–|to)\s*(\d+)\s*bpm/g, range: true },
+  { pattern: /(?:under|below|less than|slower than|<)\s*(\d+)\s*(?:bpm)?/g, max: true, strict: true },
+  { pattern: /(?:up to|at most|max(?:imum)?|<=)\s*(\d+)\s*(?:bpm)?/g, max: true },
+  { pattern: /(?:over|above|more than|faster than|>)\s*(\d+)\s*(?:bpm)?/g, min: true, strict: true },
+  { pattern: /(?:at least|min(?:imum)?|>=)\s*(\d+)\s*(?:bpm)?/g, min: true },
+  { pattern: /(\d+)\s*bpm/g, exact: true }
+];
+
+/**
+ * Read a catalog manifest
+ *
+ * @param {Object} manifest - Parsed catalog.json: { version, exercises }
+ * @param {string} [baseUrl=''] - Directory the manifest was loaded from;
+ *   entry files are relative to it
+ * @returns {Array<Object>} Entries { id, file, url, title, difficulty,
+ *   techniques, tags, prerequisites, ... } in manifest order
+ * @throws {Error} If the manifest has no exercise list, an entry has no
+ *   id or file, ids repeat or a prerequisite is not in the catalog
+ */
+export function readCatalog(manifest, baseUrl = '') {
+  if (!manifest || !Array.isArray(manifest.exercises)) {
+    throw new Error('Catalog manifest must have an exercises array');
+  }
+
+  const prefix = baseUrl && !baseUrl.endsWith('/') ? `${baseUrl}/` : baseUrl;
+  const ids = new Set();
+  const entries = manifest.exercises.map((entry, index) => {
+    if (!entry?.id || !entry.file) {
+      throw new Error(`Catalog entry ${index + 1} needs an id and a file`);
+    }
+    if (ids.has(entry.id)) {
+      throw new Error(`Duplicate catalog id: ${entry.id}`);
+    }
+    if (entry.difficulty && !DIFFICULTY_LEVELS.includes(entry.difficulty)) {
+      throw new Error(`Unknown difficulty for ${entry.id}: ${entry.difficulty}`);
+    }
+    ids.add(entry.id);
+
+    return {
+      ...entry,
+      url: prefix + entry.file,
+      difficulty: entry.difficulty || null,
+      techniques: entry.techniques || [],
+      tags: entry.tags || [],
+      prerequisites: entry.prerequisites || []
+    };
+  });
+
+  entries.forEach(entry => {
+    const missing = entry.prerequisites.find(id => !ids.has(id));
+    if (missing) {
+      throw new Error(`Unknown prerequisite for ${entry.id}: ${missing}`);
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Check whether an entry still lacks fields derived from its score
+ *
+ * @param {Object} entry - Catalog entry
+ * @returns {boolean} True if any derived field is missing (a null value
+ *   records that the score has none)
+ */
+export function needsDerivedFields(entry) {
+  return DERIVED_FIELDS.some(field => entry[field] === undefined);
+}
+
+/**
+ * Fill the fields an entry leaves out from its parsed score
+ *
+ * @param {Object} entry - Catalog entry
+ * @param {Object} derived - Result of ExerciseLoader.describeExercise
+ * @returns {Object} New entry; fields given in the manifest are kept
+ */
+export function fillDerivedFields(entry, derived) {
+  const filled = { ...entry };
+  DERIVED_FIELDS.forEach(field => {
+    if (filled[field] == null && derived?.[field] != null) {
+      filled[field] = derived[field];
+    }
+  });
+  return filled;
+}
+
+/**
+ * Parse a free-text catalog search
+ *
+ * @param {string} text - Search such as "beginner, single string, under 90 BPM"
+ * @returns {Object} { difficulty, minTempo, maxTempo, tempo, words } where
+ *   minTempo/maxTempo are { bpm, strict } or null, tempo is an exact BPM
+ *   or null and words are the remaining search words
+ *
+ * @example
+ * parseCatalogQuery('beginner, single string, under 90 BPM');
+ * // { difficulty: ['beginner'], maxTempo: { bpm: 90, strict: true },
+ * //   minTempo: null, tempo: null, words: ['single', 'string'] }
+ */
+export function parseCatalogQuery(text = '') {
+  const query = { difficulty: [], minTempo: null, maxTempo: null, tempo: null, words: [] };
+  let rest = normalizeText(text);
+
+  TEMPO_PATTERNS.forEach(({ pattern, range, min, max, strict = false, exact }) => {
+    rest = rest.replace(pattern, (match, first, second) => {
+      if (range) {
+        query.minTempo = { bpm: Math.min(first, second), strict: false };
+        query.maxTempo = { bpm: Math.max(first, second), strict: false };
+      } else if (min) {
+        query.minTempo = { bpm: Number(first), strict };
+      } else if (max) {
+        query.maxTempo = { bpm: Number(first), strict };
+      } else if (exact) {
+        query.tempo = Number(first);
+      }
+      return ' ';
+    });
+  });
+
+  rest.split(/[^a-z0-9#/]+/).filter(Boolean).forEach(word => {
+    if (DIFFICULTY_LEVELS.includes(word)) {
+      if (!query.difficulty.includes(word)) {
+        query.difficulty.push(word);
+      }
+    } else if (word !== 'bpm') {
+      query.words.push(word);
+    }
+  });
+
+  return query;
+}
+
+/**
+ * Filter catalog entries by a search
+ *
+ * Tempo conditions compare with the entry's practice tempo range: "under
+ * 90 BPM" keeps exercises that can be practised below 90 BPM. Entries
+ * without a tempo range are left out when the search has a tempo.
+ *
+ * @param {Array<Object>} entries - Catalog entries
+ * @param {string|Object} query - Search text or parseCatalogQuery result
+ * @returns {Array<Object>} Matching entries in catalog order
+ */
+export function filterCatalog(entries, query) {
+  const { difficulty, minTempo, maxTempo, tempo, words } =
+    typeof query === 'string' || query == null ? parseCatalogQuery(query ?? '') : query;
+  const searchWords = words.map(stem);
+
+  return entries.filter(entry => {
+    if (difficulty.length > 0 && !difficulty.includes(entry.difficulty)) {
+      return false;
+    }
+
+    if (minTempo || maxTempo || tempo != null) {
+      const range = entry.tempoRange;
+      if (!range) return false;
+      if (maxTempo && !(maxTempo.strict ? range.min < maxTempo.bpm : range.min <= maxTempo.bpm)) return false;
+      if (minTempo && !(minTempo.strict ? range.max > minTempo.bpm : range.max >= minTempo.bpm)) return false;
+      if (tempo != null && (tempo < range.min || tempo > range.max)) return false;
+    }
+
+    if (searchWords.length === 0) {
+      return true;
+    }
+    const entryWords = getSearchWords(entry);
+    return searchWords.every(word => entryWords.some(entryWord => entryWord.startsWith(word)));
+  });
+}
+
+/**
+ * Lowercase text and strip accents (Frère → frere)
+ * @private
+ */
+function normalizeText(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Drop a plural 's' so "strings" finds "string"
+ * @private
+ */
+function stem(word) {
+  return word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word;
+}
+
+/**
+ * Words an entry can be found by
+ * @private
+ */
+function getSearchWords(entry) {
+  return normalizeText([
+    entry.id, entry.title, entry.composer, entry.difficulty, entry.key, entry.timeSignature,
+    ...entry.techniques, ...entry.tags
+  ].filter(Boolean).join(' ')).split(/[^a-z0-9#/]+/).filter(Boolean).map(stem);
+}
@@ -0,0 +1,216 @@
+/**
+ * @module fretboard
+ * @description Pitch and string/fret helpers for fretted instruments
+ *
+ * Strings are numbered the way MusicXML `<technical><string>` numbers them:
+ * string 1 is the highest-pitched string. Tunings are note names listed
+ * from the lowest string to the highest, as in ExerciseJSON `tuning`.
+ *
+ * A capo raises every open string by its fret number; tab frets are then
+ * counted from the capo, as MusicXML `<staff-details><capo>` describes.
+ *
+ * @see Architecture.md §4.1 (ExerciseJSON Structure)
+ */
+
+import { GUITAR_TUNINGS, INSTRUMENTS } from './constants.js';
+
+export const STANDARD_TUNING = ['E2', 'A2', 'D3', 'G3', 'B3', 'E4'];
+
+const STEP_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const SHARP_SPELLING = [
+  ['C', 0], ['C', 1], ['D', 0], ['D', 1], ['E', 0], ['F', 0],
+  ['F', 1], ['G', 0], ['G', 1], ['A', 0], ['A', 1], ['B', 0]
+];
+const FLAT_SPELLING = [
+  ['C', 0], ['D', -1], ['D', 0], ['E', -1], ['E', 0], ['F', 0],
+  ['G', -1], ['G', 0], ['A', -1], ['A', 0], ['B', -1], ['B', 0]
+];
+
+/**
+ * Convert a note name to a MIDI note number
+ *
+ * @param {string} name - Note name such as 'E2', 'F#3' or 'Bb4'
+ * @returns {number|null} MIDI note number, or null if the name is invalid
+ *
+ * @example
+ * noteNameToMidi('E2'); // 40
+ */
+export function noteNameToMidi(name) {
+  const match = /^([A-Ga-g])(#{1,2}|b{1,2})?(-?\d+)$/.exec(String(name).trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, step, accidental = '', octave] = match;
+  const alter = accidental.startsWith('#') ? accidental.length : -accidental.length;
+  return (parseInt(octave, 10) + 1) * 12 + STEP_SEMITONES[step.toUpperCase()] + alter;
+}
+
+/**
+ * Spell a MIDI note number as a MusicXML pitch
+ *
+ * @param {number} midi - MIDI note number
+ * @param {boolean} [preferFlats=false] - Spell black keys as flats
+ * @returns {Object} Pitch { step, octave, alter }
+ */
+export function midiToPitch(midi, preferFlats = false) {
+  const [step, alter] = (preferFlats ? FLAT_SPELLING : SHARP_SPELLING)[((midi % 12) + 12) % 12];
+  return { step, octave: Math.floor(midi / 12) - 1, alter };
+}
+
+/**
+ * Convert a MIDI note number to a note name
+ *
+ * @param {number} midi - MIDI note number
+ * @param {boolean} [preferFlats=false] - Spell black keys as flats
+ * @returns {string} Note name such as 'E2' or 'Bb3'
+ */
+export function midiToNoteName(midi, preferFlats = false) {
+  const { step, octave, alter } = midiToPitch(midi, preferFlats);
+  return `${step}${alter > 0 ? '#' : alter < 0 ? 'b' : ''}${octave}`;
+}
+
+/**
+ * List every string/fret position that plays a pitch
+ *
+ * @param {number} midi - MIDI note number
+ * @param {Array<string>} [tuning=STANDARD_TUNING] - Open string pitches, lowest first
+ * @param {number} [maxFret=20] - Highest usable fret
+ * @returns {Array<Object>} Positions { string, fret }, highest string first
+ */
+export function getFretPositions(midi, tuning = STANDARD_TUNING, maxFret = 20) {
+  const positions = [];
+  tuning.forEach((note, index) => {
+    const fret = midi - noteNameToMidi(note);
+    if (fret >= 0 && fret <= maxFret) {
+      positions.push({ string: tuning.length - index, fret });
+    }
+  });
+  return positions.sort((a, b) => a.string - b.string);
+}
+
+/**
+ * Open string pitches with a capo applied
+ *
+ * @param {Array<string>} tuning - Open string pitches, lowest first
+ * @param {number} [capo=0] - Capo fret (0 for none)
+ * @returns {Array<string>} Pitches the strings sound at the capo, lowest first
+ *
+ * @example
+ * applyCapo(['E2', 'A2', 'D3', 'G3', 'B3', 'E4'], 2); // ['F#2', 'B2', 'E3', 'A3', 'C#4', 'F#4']
+ */
+export function applyCapo(tuning, capo = 0) {
+  if (!capo) {
+    return tuning;
+  }
+
+  return tuning.map(note => {
+    const midi = noteNameToMidi(note);
+    return midi === null ? note : midiToNoteName(midi + capo, note.includes('b'));
+  });
+}
+
+/**
+ * Pitch sounded by a string/fret position
+ *
+ * @param {Object} position - Tab position { string, fret }, string 1 highest
+ * @param {Array<string>} [tuning=STANDARD_TUNING] - Open string pitches, lowest first
+ * @param {number} [capo=0] - Capo fret; `fret` is counted from the capo
+ * @returns {number|null} MIDI note number, or null if the string does not exist
+ *
+ * @example
+ * getSoundingMidi({ string: 6, fret: 3 }, ['D2', 'A2', 'D3', 'G3', 'B3', 'E4']); // 41 (F2)
+ */
+export function getSoundingMidi({ string, fret }, tuning = STANDARD_TUNING, capo = 0) {
+  const open = noteNameToMidi(tuning[tuning.length - string] ?? '');
+  return open === null ? null : open + capo + fret;
+}
+
+/**
+ * Pitch range to listen to for a tuning
+ *
+ * Starts from the instrument's `frequencyRange` and lowers its minimum to a
+ * quarter tone under the lowest sounding open string, so the 6th string of
+ * Drop D (D2, 73.4 Hz) or Drop C (C2, 65.4 Hz) is still detected.
+ *
+ * @param {Object} instrument - Instrument definition (see `getInstrument`)
+ * @param {Array<string>} tuning - Open string pitches, lowest first
+ * @param {number} [capo=0] - Capo fret (0 for none)
+ * @returns {Object} Range { min, max } in Hz, for PitchDetector.setFrequencyRange
+ *
+ * @example
+ * getFrequencyRange(getInstrument('guitar'), ['D2', 'A2', 'D3', 'G3', 'B3', 'E4']); // { min: 71.3..., max: 1000 }
+ */
+export function getFrequencyRange(instrument, tuning, capo = 0) {
+  const midis = tuning.map(noteNameToMidi).filter(midi => midi !== null);
+  const { min, max } = instrument.frequencyRange;
+
+  if (midis.length === 0) {
+    return { min, max };
+  }
+
+  const lowest = 440 * Math.pow(2, (Math.min(...midis) + capo - 69.5) / 12);
+  return { min: Math.min(min, lowest), max };
+}
+
+/**
+ * Name a tuning if it is one of `GUITAR_TUNINGS`
+ *
+ * Enharmonic spellings match, so ['D#2', ...] is recognised as 'Half Step Down'.
+ *
+ * @param {Array<string>} tuning - Open string pitches, lowest first
+ * @returns {string|null} Tuning name such as 'Drop D', or null for other tunings
+ */
+export function getTuningName(tuning) {
+  const midis = tuning.map(noteNameToMidi);
+  const match = Object.values(GUITAR_TUNINGS).find(({ notes }) =>
+    notes.length === midis.length && notes.every((note, index) => noteNameToMidi(note) === midis[index]));
+  return match ? match.name : null;
+}
+
+/**
+ * Look up an instrument definition
+ *
+ * @param {string} id - Key of `INSTRUMENTS` (e.g. 'guitar', 'bass', 'ukulele')
+ * @returns {Object} Definition { id, type, name, strings, tuning, maxFret, frequencyRange }
+ * @throws {Error} If the instrument is unknown
+ */
+export function getInstrument(id) {
+  const instrument = INSTRUMENTS[id];
+  if (!instrument) {
+    throw new Error(`Unknown instrument: ${id}`);
+  }
+
+  return { id, ...instrument, strings: instrument.tuning.length };
+}
+
+/**
+ * Work out which instrument a score is written for
+ *
+ * The part or instrument name decides the family when it mentions bass or
+ * ukulele; otherwise the definition with the same string count whose
+ * default tuning lies closest to `tuning` is chosen, so a 4-string tab
+ * around E1 is a bass and one around C4 a ukulele.
+ *
+ * @param {Array<string>|null} tuning - Open string pitches, lowest first (null if not written)
+ * @param {string} [name=''] - Part or instrument name from the score
+ * @returns {Object} Instrument definition (see `getInstrument`)
+ */
+export function detectInstrument(tuning, name = '') {
+  const family = /bass/i.test(name) ? 'bass' : /ukulele|\buke\b/i.test(name) ? 'ukulele' : null;
+  const candidates = Object.keys(INSTRUMENTS).filter(id => !family || INSTRUMENTS[id].type === family);
+  const midis = (tuning || []).map(noteNameToMidi).filter(midi => midi !== null);
+
+  if (midis.length === 0) {
+    return getInstrument(family ? candidates[0] : 'guitar');
+  }
+
+  const average = notes => notes.reduce((sum, midi) => sum + midi, 0) / notes.length;
+  const distance = id => {
+    const notes = INSTRUMENTS[id].tuning;
+    const stringPenalty = notes.length === midis.length ? 0 : 100;
+    return stringPenalty + Math.abs(average(notes.map(noteNameToMidi)) - average(midis));
+  };
+
+  return getInstrument(candidates.reduce((best, id) => (distance(id) < distance(best) ? id : best)));
+}
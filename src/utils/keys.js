@@ -0,0 +1,177 @@
+/**
+ * @module keys
+ * @description Key signatures, key estimation and transposed spelling
+ *
+ * Keys are described the way ExerciseJSON `key` stores them: `fifths` as
+ * in MusicXML `<key>` (sharps positive, flats negative) and `mode`
+ * 'major' or 'minor'.
+ *
+ * @see Architecture.md §4.1 (ExerciseJSON Structure)
+ */
+
+import { noteNameToMidi, midiToPitch } from './fretboard.js';
+
+const STEPS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+
+// Tonics of each key signature, indexed by fifths + 7
+const MAJOR_TONICS = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+const MINOR_TONICS = ['Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#'];
+
+// Krumhansl-Kessler key profiles, starting at the tonic
+const KEY_PROFILES = {
+  major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+  minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+};
+
+/**
+ * Describe the key of a key signature
+ *
+ * @param {number} fifths - Sharps (positive) or flats (negative), -7 to 7
+ * @param {string} [mode='major'] - 'major' or 'minor'
+ * @returns {Object} { fifths, mode, tonic, name }
+ *
+ * @example
+ * describeKey(1, 'minor'); // { fifths: 1, mode: 'minor', tonic: 'E', name: 'E minor' }
+ */
+export function describeKey(fifths, mode = 'major') {
+  const tonics = mode === 'minor' ? MINOR_TONICS : MAJOR_TONICS;
+  const tonic = tonics[Math.max(-7, Math.min(7, fifths)) + 7];
+  return { fifths, mode, tonic, name: `${tonic} ${mode}` };
+}
+
+/**
+ * Find the key signature of a tonic
+ *
+ * @param {string} tonic - Tonic name such as 'G', 'F#' or 'Bb'
+ * @param {string} [mode='major'] - 'major' or 'minor'
+ * @returns {number|null} Fifths, or null if no key signature has that tonic
+ */
+export function getKeyFifths(tonic, mode = 'major') {
+  const tonics = mode === 'minor' ? MINOR_TONICS : MAJOR_TONICS;
+  const name = String(tonic).trim();
+  const index = tonics.indexOf(name.charAt(0).toUpperCase() + name.slice(1));
+  return index === -1 ? null : index - 7;
+}
+
+/**
+ * Get the pitch class (0-11, C = 0) of a tonic name
+ *
+ * @param {string} tonic - Tonic name such as 'G', 'F#' or 'Bb'
+ * @returns {number|null} Pitch class, or null if the name is invalid
+ */
+export function getPitchClass(tonic) {
+  const midi = noteNameToMidi(`${tonic}4`);
+  return midi === null ? null : ((midi % 12) + 12) % 12;
+}
+
+/**
+ * Key signature a transposition lands in
+ *
+ * Keys are written with at most six accidentals (Gb rather than F#);
+ * transposing by whole octaves keeps the signature as it is.
+ *
+ * @param {number} fifths - Current key signature
+ * @param {number} semitones - Transposition, positive upwards
+ * @returns {number} Key signature of the transposed key
+ */
+export function transposeFifths(fifths, semitones) {
+  if (semitones % 12 === 0) {
+    return fifths;
+  }
+  return ((((fifths + 7 * semitones) % 12) + 18) % 12) - 6;
+}
+
+/**
+ * Estimate the key from the notes played
+ *
+ * Correlates the duration-weighted pitch classes with major and minor key
+ * profiles. With a known key signature only its major key and relative
+ * minor are considered.
+ *
+ * @param {Array<Object>} notes - Notes { midi, duration }
+ * @param {number|null} [fifths=null] - Key signature to choose the mode for
+ * @returns {Object} { fifths, mode, tonic, name, confidence } where
+ *   confidence is the profile correlation (-1 to 1)
+ */
+export function estimateKey(notes, fifths = null) {
+  const histogram = new Array(12).fill(0);
+  notes.forEach(({ midi, duration }) => {
+    histogram[((midi % 12) + 12) % 12] += duration > 0 ? duration : 1;
+  });
+
+  const candidates = [];
+  const signatures = fifths === null ? [-6, -5, -4, -3, -2, -1, 0, 1, 2, 3, 4, 5] : [fifths];
+  signatures.forEach(signature => {
+    ['major', 'minor'].forEach(mode => {
+      const key = describeKey(signature, mode);
+      const tonic = getPitchClass(key.tonic);
+      const profile = KEY_PROFILES[mode];
+      const rotated = histogram.map((_, pitchClass) => histogram[(pitchClass + tonic) % 12]);
+      candidates.push({ ...key, confidence: correlate(rotated, profile) });
+    });
+  });
+
+  return candidates.reduce((best, candidate) => (candidate.confidence > best.confidence ? candidate : best));
+}
+
+/**
+ * Spell a transposed pitch
+ *
+ * Letter names move by the same number of steps as the key's tonic, so
+ * chromatic notes keep their function (F# in C major becomes C# in G
+ * major); the accidental makes up the difference.
+ *
+ * @param {Object} pitch - Written pitch { step, alter, octave }
+ * @param {number} semitones - Transposition, positive upwards
+ * @param {number} letterShift - Steps between the old and new tonic letters (0-6)
+ * @returns {Object} Transposed pitch { step, alter, octave }
+ */
+export function transposePitch(pitch, semitones, letterShift) {
+  const midi = noteNameToMidi(`${pitch.step}${pitch.octave}`) + (pitch.alter || 0) + semitones;
+  const step = STEPS[(STEPS.indexOf(pitch.step) + letterShift) % 7];
+  const octave = Math.floor(midi / 12) - 1;
+
+  let best = null;
+  [octave - 1, octave, octave + 1].forEach(candidate => {
+    const alter = midi - noteNameToMidi(`${step}${candidate}`);
+    if (Math.abs(alter) <= 2 && (!best || Math.abs(alter) < Math.abs(best.alter))) {
+      best = { step, alter, octave: candidate };
+    }
+  });
+
+  return best || midiToPitch(midi);
+}
+
+/**
+ * Count the letter steps between two tonics
+ *
+ * @param {string} from - Current tonic name
+ * @param {string} to - Target tonic name
+ * @returns {number} Steps upwards through the letter names (0-6)
+ */
+export function getLetterShift(from, to) {
+  return (STEPS.indexOf(to.charAt(0)) - STEPS.indexOf(from.charAt(0)) + 7) % 7;
+}
+
+/**
+ * Pearson correlation of two equally long series
+ *
+ * @param {Array<number>} a - First series
+ * @param {Array<number>} b - Second series
+ * @returns {number} Correlation, 0 when either series is constant
+ * @private
+ */
+function correlate(a, b) {
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const meanA = mean(a);
+  const meanB = mean(b);
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  a.forEach((value, index) => {
+    covariance += (value - meanA) * (b[index] - meanB);
+    varianceA += (value - meanA) ** 2;
+    varianceB += (b[index] - meanB) ** 2;
+  });
+  return varianceA && varianceB ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+}
@@ -0,0 +1,1298 @@
+/**
+ * @module musicXmlWriter
+ * @description Write generated scores as dual-staff MusicXML
+ *
+ * Importers (MIDI, ASCII tab) describe a score as quantized chords and
+ * measures; this module writes it in the layout used by the bundled
+ * exercises: staff 1 standard notation in voice 1 and staff 2 tablature in
+ * voice 5, so ExerciseLoader and NotationRenderer treat generated scores
+ * like any other. Parsed exercises are written back from their timeline
+ * with `writeExercise`.
+ *
+ * @see Architecture.md §3.1 (Exercise Loader Module)
+ */
+
+import { noteNameToMidi, midiToPitch } from './fretboard.js';
+import { createTempoMap, getPerformanceOrder, msToQuarters } from './timelineUtils.js';
+import { DYNAMICS } from './constants.js';
+
+// Note types with their length in quarter notes, longest first
+const NOTE_TYPES = [
+  ['whole', 4],
+  ['half', 2],
+  ['quarter', 1],
+  ['eighth', 0.5],
+  ['16th', 0.25],
+  ['32nd', 0.125]
+];
+
+const DEFAULT_KEY = { fifths: 0, mode: 'major' };
+
+// Divisions tried when writing an exercise, coarsest first
+const DIVISION_CANDIDATES = [1, 2, 3, 4, 5, 6, 8, 10, 12, 16, 20, 24, 32, 40, 48, 60, 96, 120, 192, 240, 480, 960];
+
+// Tuplet ratios (actual notes in the time of normal notes) besides triplets
+const TUPLETS = [[5, 4], [6, 4], [7, 4], [9, 8]];
+
+// Positions closer than this (in quarter notes) are the same point
+const EPSILON = 1e-6;
+
+/**
+ * Write a score with notation and tab staves
+ *
+ * Chords are cut at barlines and split into writable note values joined by
+ * ties; gaps become rests.
+ *
+ * @param {Object} score - Score description
+ * @param {string} score.title - Work title
+ * @param {string} score.partName - Part name
+ * @param {Array<string>} score.tuning - Tab tuning, lowest string first
+ * @param {number} score.divisions - Divisions per quarter note
+ * @param {Array<Object>} score.measures - Measures { number, start, length,
+ *   timeSignature, key, tempos: [{ offset, bpm }], isPickup, repeatStart,
+ *   repeatEnd } with positions in divisions
+ * @param {Array<Object>} score.chords - Chords { start, end, notes } with
+ *   notes { midi, pitch, tab, techniques, dead }, positions in divisions;
+ *   `pitch` { step, alter, octave } spells the note, otherwise it is spelled
+ *   from the key
+ * @returns {string} MusicXML document
+ *
+ * @example
+ * writeTabScore({ title: 'Riff', partName: 'Guitar', tuning, divisions: 4,
+ *   measures: [{ number: 1, start: 0, length: 16, timeSignature, tempos: [] }],
+ *   chords: [{ start: 0, end: 4, notes: [{ midi: 64, tab: { string: 1, fret: 0 } }] }] });
+ */
+export function writeTabScore({ title, partName, tuning, divisions, measures, chords }) {
+  const lines = writeHeader(title, partName);
+
+  let previous = null;
+  measures.forEach(measure => {
+    lines.push(`    <measure number="${measure.number}"${measure.isPickup ? ' implicit="yes"' : ''}>`);
+    lines.push(...writeAttributes(measure, previous, tuning, divisions));
+    if (measure.repeatStart) {
+      lines.push('      <barline location="left"><bar-style>heavy-light</bar-style>' +
+        '<repeat direction="forward"/></barline>');
+    }
+    lines.push(...writeTempos(measure));
+
+    const items = getMeasureItems(measure, chords);
+    const preferFlats = (measure.key || DEFAULT_KEY).fifths < 0;
+    lines.push(...writeStaff(items, 1, 1, preferFlats, divisions));
+    lines.push(`      <backup><duration>${measure.length}</duration></backup>`);
+    lines.push(...writeStaff(items, 2, 5, preferFlats, divisions));
+
+    if (measure.repeatEnd) {
+      lines.push('      <barline location="right"><bar-style>light-heavy</bar-style>' +
+        '<repeat direction="backward"/></barline>');
+    }
+    lines.push('    </measure>');
+    previous = measure;
+  });
+
+  lines.push('  </part>', '</score-partwise>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Write a parsed exercise back to dual-staff MusicXML
+ *
+ * Notes keep their spelling, tab, techniques, articulations, lyrics, ties
+ * and grace notes, and the meter, tempo map, dynamics and chord symbols are
+ * written where they occur, so parsing the result gives the same timeline.
+ * Each written measure is written once with the repeat barlines, voltas and
+ * D.C./D.S. marks that give the performed order of the measure table; an
+ * order they cannot give is written out in full and numbered from 1.
+ * Exercises without a tab staff get an alternate one from the fingering of
+ * their notes, which is drawn but not read into the timeline; a second
+ * staff of notes without tab is written in bass clef.
+ *
+ * @param {ExerciseJSON} exercise - Exercise from ExerciseLoader
+ * @returns {string} MusicXML document
+ *
+ * @example
+ * const xml = writeExercise(await loader.parseXML(source));
+ */
+export function writeExercise(exercise) {
+  const tempoMap = exercise.tempoMap || createTempoMap(exercise.tempo);
+  const toQuarters = ms => msToQuarters(tempoMap, ms);
+  const key = exercise.key ? { fifths: exercise.key.fifths, mode: exercise.key.mode } : DEFAULT_KEY;
+  const staffTwo = exercise.timeline.some(entry => entry.staff === 2) ?
+    (exercise.timeline.some(entry => entry.staff === 2 && entry.tab) ? 'tab' : 'bass') : 'alternate';
+
+  // Later passes of repeated measures are played from the written measure
+  const layout = getWrittenLayout(exercise.measures);
+  const toWritten = (position, firstPassOnly = true) => {
+    const measure = layout.performed.find(candidate => position < candidate.end - EPSILON) ||
+      layout.performed[layout.performed.length - 1];
+    return firstPassOnly && !measure.first ? null : position + measure.delta;
+  };
+
+  const events = getExerciseEvents(exercise.timeline, toQuarters).filter(event => {
+    const position = toWritten(event.start);
+    if (position === null) return false;
+    moveEvent(event, position - event.start);
+    return true;
+  });
+  const marks = [
+    ...getTempoMarks(tempoMap).map(mark => ({ ...mark, position: toWritten(mark.position) })),
+    ...getDynamicMarks(exercise.timeline, toQuarters)
+      .map(mark => ({ ...mark, position: toWritten(mark.position, false) }))
+      .filter((mark, index, all) => all.findIndex(other => Math.abs(other.position - mark.position) < EPSILON) === index),
+    ...(exercise.chordSymbols || [])
+      .map(chord => ({ type: 'harmony', position: toWritten(toQuarters(chord.timestamp)), chord }))
+  ].filter(mark => mark.position !== null).sort((a, b) => a.position - b.position);
+  const bounds = layout.measures.flatMap(({ measure, position }) => [position, position + measure.length]);
+
+  // Grace notes shift the notes around them off the grid of the others
+  const graceStarts = events.filter(event => event.graces).map(event => event.graces[0].start);
+  const principalStarts = events.filter(event => event.graces).map(event => event.start);
+  const near = (positions, position) => positions.some(other => Math.abs(other - position) < EPSILON);
+  placeGraceNotes(events, findDivisions([
+    ...bounds,
+    ...events.flatMap(event => [
+      ...(near(principalStarts, event.start) ? [] : [event.start]),
+      ...(near(graceStarts, event.end) ? [] : [event.end])
+    ])
+  ]));
+  const divisions = findDivisions([
+    ...bounds,
+    ...events.flatMap(event => [event.start, event.end, ...(event.segments || []).map(segment => segment.end)]),
+    ...marks.map(mark => mark.position)
+  ]);
+  const toDivisions = quarters => Math.round(quarters * divisions);
+
+  const measures = layout.measures.map(({ measure, position, number, markers }) => ({
+    number,
+    start: toDivisions(position),
+    length: toDivisions(position + measure.length) - toDivisions(position),
+    timeSignature: measure.timeSignature,
+    isPickup: measure.isPickup,
+    key,
+    markers,
+    system: exercise.timeline.find(entry =>
+      entry.timestamp >= measure.timestamp && entry.timestamp < measure.timestamp + measure.duration)?.system
+  }));
+  const items = splitAtBarlines(getExerciseItems(events, toDivisions), measures);
+
+  const lines = writeHeader(exercise.title, exercise.instrument?.name || 'Guitar', exercise.composer);
+  let previous = null;
+  let markIndex = 0;
+  measures.forEach((measure, index) => {
+    const end = measure.start + measure.length;
+    const isLast = index === measures.length - 1;
+
+    lines.push(`    <measure number="${measure.number ?? index + 1}"${measure.isPickup ? ' implicit="yes"' : ''}>`);
+    if (previous && measure.system !== undefined && previous.system !== undefined &&
+        measure.system !== previous.system) {
+      lines.push('      <print new-system="yes"/>');
+    }
+    lines.push(...writeAttributes(measure, previous, exercise.tuning, divisions, exercise.capo || 0, staffTwo));
+    lines.push(...writeRepeatStart(measure.markers, previous && previous.markers));
+
+    while (markIndex < marks.length &&
+        (isLast || toDivisions(marks[markIndex].position) < end)) {
+      lines.push(writeMark(marks[markIndex], toDivisions(marks[markIndex].position) - measure.start));
+      markIndex++;
+    }
+
+    // Every voice is filled to the barline
+    const lanes = getLanes(items.filter(item => item.start >= measure.start && item.start < end));
+    lanes.forEach((lane, laneIndex) => {
+      let cursor = measure.start;
+      lane.items.forEach(item => {
+        if (item.start > cursor) {
+          lines.push(writeForward(item.start - cursor, lane.voice, lane.staff));
+        }
+        lines.push(...writeExerciseItem(item, lane.staff, lane.voice, divisions,
+          !measure.isPickup && item.start === measure.start && item.end === end));
+        cursor = item.end;
+      });
+      if (cursor < end) {
+        lines.push(writeForward(end - cursor, lane.voice, lane.staff));
+      }
+      if (laneIndex < lanes.length - 1) {
+        lines.push(`      <backup><duration>${measure.length}</duration></backup>`);
+      }
+    });
+    if (lanes.length === 0 && measure.length > 0) {
+      lines.push(writeForward(measure.length, 1, 1));
+    }
+
+    lines.push(...writeRepeatEnd(measure.markers, measures[index + 1] && measures[index + 1].markers));
+    lines.push('    </measure>');
+    previous = measure;
+  });
+
+  lines.push('  </part>', '</score-partwise>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Split a duration into values that can be written as single notes
+ *
+ * @param {number} duration - Duration in divisions
+ * @param {number} divisions - Divisions per quarter note
+ * @returns {Array<Object>} Pieces { duration, type, dots, triplet }, longest
+ *   first; a remainder no note value fits has `type: null`
+ */
+export function splitDuration(duration, divisions) {
+  const values = [];
+  NOTE_TYPES.forEach(([type, quarters]) => {
+    values.push({ duration: quarters * 1.5 * divisions, type, dots: 1, triplet: false });
+    values.push({ duration: quarters * divisions, type, dots: 0, triplet: false });
+    values.push({ duration: quarters * 2 / 3 * divisions, type, dots: 0, triplet: true });
+  });
+  const writable = values
+    .filter(value => Number.isInteger(value.duration))
+    .sort((a, b) => b.duration - a.duration);
+
+  const pieces = [];
+  let remaining = duration;
+  while (remaining > 0) {
+    const value = writable.find(candidate => candidate.duration <= remaining);
+    if (!value) {
+      pieces.push({ duration: remaining, type: null, dots: 0, triplet: false });
+      break;
+    }
+    pieces.push(value);
+    remaining -= value.duration;
+  }
+  return pieces;
+}
+
+/**
+ * Write the document header up to the opening part element
+ *
+ * @param {string} title - Work title
+ * @param {string} partName - Part name
+ * @param {string} [composer] - Composer, omitted when unknown
+ * @returns {Array<string>} XML lines
+ * @private
+ */
+function writeHeader(title, partName, composer = null) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 3.1 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    '<score-partwise version="3.1">',
+    `  <work><work-title>${escapeXml(title)}</work-title></work>`
+  ];
+  if (composer && composer !== 'Unknown') {
+    lines.push(`  <identification><creator type="composer">${escapeXml(composer)}</creator></identification>`);
+  }
+  lines.push(
+    '  <part-list>',
+    `    <score-part id="P1"><part-name>${escapeXml(partName)}</part-name></score-part>`,
+    '  </part-list>',
+    '  <part id="P1">'
+  );
+  return lines;
+}
+
+/**
+ * Write the attributes element for changes at the start of a measure
+ *
+ * @param {Object} measure - Measure description
+ * @param {Object|null} previous - Preceding measure
+ * @param {Array<string>} tuning - Tab tuning, lowest string first
+ * @param {number} divisions - Divisions per quarter note
+ * @param {number} [capo=0] - Capo fret; frets are written relative to it
+ * @param {string} [staffTwo='tab'] - How staff 2 is drawn: 'tab', 'alternate'
+ *   (tab redrawing the notes of staff 1) or 'bass' (notation in bass clef)
+ * @returns {Array<string>} XML lines
+ * @private
+ */
+function writeAttributes(measure, previous, tuning, divisions, capo = 0, staffTwo = 'tab') {
+  const key = measure.key || DEFAULT_KEY;
+  const previousKey = previous && (previous.key || DEFAULT_KEY);
+  const keyChanged = !previous || previousKey.fifths !== key.fifths || previousKey.mode !== key.mode;
+  const timeChanged = !previous ||
+    previous.timeSignature.beats !== measure.timeSignature.beats ||
+    previous.timeSignature.beatType !== measure.timeSignature.beatType;
+
+  if (previous && !keyChanged && !timeChanged) {
+    return [];
+  }
+
+  const lines = ['      <attributes>'];
+  if (!previous) lines.push(`        <divisions>${divisions}</divisions>`);
+  if (keyChanged) {
+    lines.push(`        <key><fifths>${key.fifths}</fifths><mode>${key.mode}</mode></key>`);
+  }
+  if (timeChanged) {
+    lines.push(`        <time><beats>${measure.timeSignature.beats}</beats>` +
+      `<beat-type>${measure.timeSignature.beatType}</beat-type></time>`);
+  }
+  if (!previous) {
+    lines.push(
+      '        <staves>2</staves>',
+      '        <clef number="1"><sign>G</sign><line>2</line></clef>',
+      staffTwo === 'bass' ?
+        '        <clef number="2"><sign>F</sign><line>4</line></clef>' :
+        '        <clef number="2"><sign>TAB</sign><line>5</line></clef>',
+      '        <staff-details number="2">',
+      ...(staffTwo === 'alternate' ? ['          <staff-type>alternate</staff-type>'] : []),
+      ...(staffTwo === 'bass' ? [] : [`          <staff-lines>${tuning.length}</staff-lines>`]),
+      ...tuning.map((note, index) => {
+        const pitch = midiToPitch(noteNameToMidi(note), note.includes('b'));
+        const alter = pitch.alter ? `<tuning-alter>${pitch.alter}</tuning-alter>` : '';
+        return `          <staff-tuning line="${index + 1}"><tuning-step>${pitch.step}</tuning-step>` +
+          `${alter}<tuning-octave>${pitch.octave}</tuning-octave></staff-tuning>`;
+      }),
+      ...(capo ? [`          <capo>${capo}</capo>`] : []),
+      '        </staff-details>'
+    );
+  }
+  lines.push('      </attributes>');
+  return lines;
+}
+
+/**
+ * Write tempo directions for a measure
+ *
+ * @param {Object} measure - Measure description
+ * @returns {Array<string>} XML lines
+ * @private
+ */
+function writeTempos(measure) {
+  return (measure.tempos || []).map(({ offset, bpm }) => {
+    const offsetElement = offset > 0 ? `<offset>${offset}</offset>` : '';
+    return '      <direction placement="above"><direction-type><metronome>' +
+      `<beat-unit>quarter</beat-unit><per-minute>${Math.round(bpm)}</per-minute>` +
+      `</metronome></direction-type>${offsetElement}<staff>1</staff>` +
+      `<sound tempo="${bpm}"/></direction>`;
+  });
+}
+
+/**
+ * Cut the chord stream into the notes and rests of one measure
+ *
+ * @param {Object} measure - Measure description
+ * @param {Array<Object>} chords - Chords sorted by start
+ * @returns {Array<Object>} Items { duration, chord, tieStart, tieStop,
+ *   wholeMeasure } where `chord` is null for rests
+ * @private
+ */
+function getMeasureItems(measure, chords) {
+  const end = measure.start + measure.length;
+  const items = [];
+  let position = measure.start;
+
+  chords
+    .filter(chord => chord.start < end && chord.end > measure.start)
+    .forEach(chord => {
+      const start = Math.max(chord.start, measure.start);
+      if (start > position) {
+        items.push({ duration: start - position, chord: null });
+      }
+      const stop = Math.min(chord.end, end);
+      items.push({
+        duration: stop - start,
+        chord,
+        tieStop: chord.start < measure.start,
+        tieStart: chord.end > end
+      });
+      position = stop;
+    });
+
+  if (position < end) {
+    items.push({ duration: end - position, chord: null, wholeMeasure: position === measure.start });
+  }
+
+  return items;
+}
+
+/**
+ * Write the notes and rests of one staff in a measure
+ *
+ * @param {Array<Object>} items - Items from `getMeasureItems`
+ * @param {number} staff - Staff number (1 notation, 2 tablature)
+ * @param {number} voice - Voice number for the staff
+ * @param {boolean} preferFlats - Spell black keys as flats
+ * @param {number} divisions - Divisions per quarter note
+ * @returns {Array<string>} XML lines
+ * @private
+ */
+function writeStaff(items, staff, voice, preferFlats, divisions) {
+  const lines = [];
+
+  items.forEach(item => {
+    const members = item.chord
+      ? item.chord.notes.filter(note => staff === 1 || note.tab)
+      : [];
+
+    if (members.length === 0) {
+      if (item.wholeMeasure) {
+        lines.push(`      <note><rest measure="yes"/><duration>${item.duration}</duration>` +
+          `<voice>${voice}</voice><staff>${staff}</staff></note>`);
+        return;
+      }
+      splitDuration(item.duration, divisions).forEach(piece => {
+        lines.push(`      <note><rest/><duration>${piece.duration}</duration>` +
+          `<voice>${voice}</voice>${typeElements(piece)}<staff>${staff}</staff></note>`);
+      });
+      return;
+    }
+
+    const pieces = splitDuration(item.duration, divisions);
+    pieces.forEach((piece, pieceIndex) => {
+      const tieStop = pieceIndex > 0 || item.tieStop;
+      const tieStart = pieceIndex < pieces.length - 1 || item.tieStart;
+
+      members.forEach((member, memberIndex) => {
+        const pitch = member.pitch || midiToPitch(member.midi, preferFlats);
+        const alter = pitch.alter ? `<alter>${pitch.alter}</alter>` : '';
+        const ties = (tieStop ? '<tie type="stop"/>' : '') + (tieStart ? '<tie type="start"/>' : '');
+        const tied = (tieStop ? '<tied type="stop"/>' : '') + (tieStart ? '<tied type="start"/>' : '');
+        const notations = tied + techniqueElements(member, staff, !tieStop, !tieStart);
+
+        lines.push(`      <note>${memberIndex > 0 ? '<chord/>' : ''}` +
+          `<pitch><step>${pitch.step}</step>${alter}<octave>${pitch.octave}</octave></pitch>` +
+          `<duration>${piece.duration}</duration>${ties}<voice>${voice}</voice>` +
+          `${typeElements(piece)}${staff === 2 ? '<stem>none</stem>' : ''}` +
+          `${member.dead ? '<notehead>x</notehead>' : ''}` +
+          `<staff>${staff}</staff>${notations ? `<notations>${notations}</notations>` : ''}</note>`);
+      });
+    });
+  });
+
+  return lines;
+}
+
+/**
+ * Turn timeline entries into notes and rests on a quarter-note axis
+ *
+ * Tied notes are split back into their written segments and grace notes
+ * are attached to the main note they lead into. Exercises without a tab
+ * staff get staff 2 copies of their fingered notes and rests, in voices 5
+ * and up so the voices of staff 1 stay apart.
+ *
+ * @param {Array<Object>} timeline - Exercise timeline sorted by timestamp
+ * @param {Function} toQuarters - Converts milliseconds to quarter notes
+ * @returns {Array<Object>} Events { staff, voice, start, end, rest } for
+ *   rests and { staff, voice, start, end, note, segments, graces } for notes,
+ *   with graces as chords { start, notes }
+ * @private
+ */
+function getExerciseEvents(timeline, toQuarters) {
+  const entries = timeline.some(entry => entry.staff === 2) ? timeline : [
+    ...timeline,
+    ...timeline
+      .filter(entry => entry.staff === 1 && (entry.isRest || entry.tab))
+      .map(entry => ({ ...entry, staff: 2, voice: entry.isRest ? null : (entry.voice || 1) + 4 }))
+  ];
+
+  const events = [];
+  const pendingGraces = new Map();
+
+  entries.forEach(entry => {
+    const start = toQuarters(entry.timestamp);
+    if (entry.isRest) {
+      events.push({ staff: entry.staff, voice: null, start, end: toQuarters(entry.timestamp + entry.duration), rest: true });
+      return;
+    }
+
+    const key = `${entry.staff}|${entry.voice}`;
+    if (entry.grace) {
+      const graces = pendingGraces.get(key) || [];
+      const chord = graces.find(grace => Math.abs(grace.start - start) < EPSILON);
+      if (chord) {
+        chord.notes.push(entry);
+      } else {
+        graces.push({ start, notes: [entry] });
+      }
+      pendingGraces.set(key, graces);
+      return;
+    }
+
+    let time = entry.timestamp;
+    const segments = (entry.tieSegments || [{ duration: entry.duration }]).map(({ duration }) => {
+      const segment = { start: toQuarters(time), end: toQuarters(time + duration) };
+      time += duration;
+      return segment;
+    });
+
+    events.push({
+      staff: entry.staff,
+      voice: entry.voice,
+      start,
+      end: segments[segments.length - 1].end,
+      note: entry,
+      segments,
+      graces: pendingGraces.get(key) || null
+    });
+    pendingGraces.delete(key);
+  });
+
+  return events;
+}
+
+/**
+ * Find the written measures behind a performed measure table
+ *
+ * Measures played on a later pass are taken as repeats of the last written
+ * measure with their number. Repeat barlines, voltas and D.C./D.S. marks
+ * are only used when they give back the performed order; otherwise every
+ * performed measure is written, numbered from 1.
+ *
+ * @param {Array<Object>} measures - Measure table of the exercise
+ * @returns {Object} Layout { measures, performed } with written measures
+ *   { measure, position, number, markers } and, per performed measure,
+ *   { end, delta, first } where `delta` moves a position to its written
+ *   place and `first` marks the pass that is written
+ * @private
+ */
+function getWrittenLayout(measures) {
+  const written = [];
+  const order = measures.map(measure => {
+    if ((measure.pass || 1) > 1) {
+      const index = written.map(candidate => candidate.number).lastIndexOf(measure.number);
+      if (index !== -1) return index;
+    }
+    written.push(measure);
+    return written.length - 1;
+  });
+
+  const markers = written.length < measures.length ? getRepeatMarkers(order, written.length) : null;
+  const unrolled = written.length < measures.length && !markers;
+  const sections = unrolled ? measures : written;
+
+  let position = measures.length > 0 ? measures[0].position : 0;
+  const starts = sections.map(measure => {
+    const start = position;
+    position += measure.length;
+    return start;
+  });
+
+  return {
+    measures: sections.map((measure, index) => ({
+      measure,
+      position: starts[index],
+      number: unrolled ? index + 1 : measure.number,
+      markers: markers ? markers[index] : null
+    })),
+    performed: measures.map((measure, index) => {
+      const target = unrolled ? index : order[index];
+      return {
+        end: measure.position + measure.length,
+        delta: starts[target] - measure.position,
+        first: sections[target] === measure
+      };
+    })
+  };
+}
+
+/**
+ * Work out repeat markers that play written measures in a given order
+ *
+ * Jumps back before any D.C./D.S. become repeats with volta brackets for
+ * passes that leave the repeat early; any other jump back is a D.C. or D.S.
+ * and skips after it go to a coda, ending at Fine.
+ *
+ * @param {Array<number>} order - Written measure index of each performed measure
+ * @param {number} count - Number of written measures
+ * @returns {Array<Object>|null} Markers as read by `getPerformanceOrder`,
+ *   or null when they cannot give this order
+ * @private
+ */
+function getRepeatMarkers(order, count) {
+  const markers = Array.from({ length: count }, () => ({
+    forwardRepeat: false,
+    backwardRepeat: 0,
+    endingNumbers: null,
+    segno: false,
+    coda: false,
+    toCoda: false,
+    daCapo: false,
+    dalSegno: false,
+    fine: false
+  }));
+
+  let jumped = false;
+  let index = 0;
+  while (index < order.length - 1) {
+    const from = order[index];
+    const to = order[index + 1];
+    const repeatEnd = !jumped && to <= from ? addRepeat(markers, order, index) : null;
+
+    if (to === from + 1) {
+      index++;
+    } else if (repeatEnd !== null) {
+      index = repeatEnd;
+    } else if (!jumped && to <= from) {
+      markers[from].daCapo = to === 0;
+      markers[from].dalSegno = to !== 0;
+      markers[to].segno = to !== 0;
+      jumped = true;
+      index++;
+    } else if (jumped && to > from + 1) {
+      // Brackets that are not the last of their group are skipped anyway
+      if (!markers.slice(from + 1, to).every(marker => marker.endingNumbers)) {
+        markers[from].toCoda = true;
+        markers[to].coda = true;
+      }
+      index++;
+    } else {
+      return null;
+    }
+  }
+
+  const last = order[order.length - 1];
+  if (jumped && last < count - 1) {
+    markers[last].fine = true;
+  }
+
+  const performed = getPerformanceOrder(markers);
+  return performed.length === order.length && performed.every((entry, i) => entry.index === order[i]) ?
+    markers : null;
+}
+
+/**
+ * Mark a repeat that jumps back after `order[index]`
+ *
+ * Every pass plays from the jump target; passes that leave before the
+ * jump get volta brackets: the passes that reached the jump share the
+ * first bracket and each later pass plays its own.
+ *
+ * @param {Array<Object>} markers - Markers from `getRepeatMarkers` (modified)
+ * @param {Array<number>} order - Written measure index of each performed measure
+ * @param {number} index - Position in `order` of the measure that jumps back
+ * @returns {number|null} Position in `order` to go on from, or null if the
+ *   jump is not a repeat
+ * @private
+ */
+function addRepeat(markers, order, index) {
+  const end = order[index];
+  const start = order[index + 1];
+
+  // The first pass plays the repeated measures in a row
+  const length = end - start + 1;
+  if (index + 1 < length || order.slice(index + 1 - length, index + 1).some((measure, i) => measure !== start + i)) {
+    return null;
+  }
+  if (markers.slice(start).some(marker => marker.forwardRepeat || marker.backwardRepeat || marker.endingNumbers)) {
+    return null;
+  }
+
+  const brackets = [];
+  const fullPasses = [1];
+  let bracketStart = null;
+  let pass = 2;
+  let position = index + 1;
+  for (;;) {
+    // Follow this pass from the jump target for as long as it plays on
+    let reached = position;
+    while (order[reached + 1] === order[reached] + 1 && order[reached] < end) reached++;
+    const next = order[reached + 1];
+
+    if (order[reached] === end && bracketStart === null) {
+      fullPasses.push(pass);
+      if (next === start) {
+        pass++;
+        position = reached + 1;
+        continue;
+      }
+      markers[start].forwardRepeat = true;
+      markers[end].backwardRepeat = pass;
+      return reached;
+    }
+
+    // This pass leaves the shared measures for a bracket of its own
+    const leaves = order[reached] + 1;
+    if (bracketStart === null) {
+      bracketStart = leaves;
+      brackets.push({ first: leaves, last: end, numbers: fullPasses, repeats: true });
+    }
+    if (leaves !== bracketStart || next !== brackets[brackets.length - 1].last + 1) {
+      return null;
+    }
+
+    let bracketEnd = reached + 1;
+    while (order[bracketEnd + 1] === order[bracketEnd] + 1) bracketEnd++;
+    const repeats = order[bracketEnd + 1] === start;
+    brackets.push({ first: next, last: repeats ? order[bracketEnd] : next, numbers: [pass], repeats });
+    if (!repeats) {
+      break;
+    }
+    pass++;
+    position = bracketEnd + 1;
+  }
+
+  markers[start].forwardRepeat = true;
+  brackets.forEach(({ first, last, numbers, repeats }) => {
+    markers.slice(first, last + 1).forEach(marker => {
+      marker.endingNumbers = numbers;
+    });
+    if (repeats) {
+      markers[last].backwardRepeat = Math.max(...numbers) + 1;
+    }
+  });
+  return order.indexOf(brackets[brackets.length - 1].first, index);
+}
+
+/**
+ * Move an event and its tied segments and grace notes
+ *
+ * @param {Object} event - Event from `getExerciseEvents` (modified)
+ * @param {number} delta - Quarter notes to move by
+ * @private
+ */
+function moveEvent(event, delta) {
+  event.start += delta;
+  event.end += delta;
+  (event.segments || []).forEach(segment => {
+    segment.start += delta;
+    segment.end += delta;
+  });
+  (event.graces || []).forEach(grace => {
+    grace.start += delta;
+  });
+}
+
+/**
+ * Give the time of grace notes back to the notes they were taken from
+ *
+ * Grace notes are written before their main note and take time from it
+ * when parsed. Grace notes that start off the grid of the other notes
+ * took their time from the previous note instead, which is written
+ * `steal-time-previous`.
+ *
+ * @param {Array<Object>} events - Events from `getExerciseEvents` (modified)
+ * @param {number} divisions - Grid of the notes without grace notes
+ * @private
+ */
+function placeGraceNotes(events, divisions) {
+  const onGrid = position => Math.abs(position * divisions - Math.round(position * divisions)) < 1e-4;
+
+  events.filter(event => event.graces).forEach(principal => {
+    const graceStart = principal.graces[0].start;
+    const sameVoice = events.filter(event => !event.rest &&
+      event.staff === principal.staff && event.voice === principal.voice);
+    const previous = sameVoice.find(event => Math.abs(event.end - graceStart) < EPSILON);
+
+    if (previous && onGrid(principal.start) && !onGrid(graceStart)) {
+      principal.stealPrevious = true;
+      previous.end = principal.start;
+      previous.segments[previous.segments.length - 1].end = principal.start;
+      return;
+    }
+
+    // The chord members of the main note were moved with it
+    sameVoice
+      .filter(event => event === principal || (principal.note.chordId &&
+        event.note.chordId === principal.note.chordId && Math.abs(event.start - principal.start) < EPSILON))
+      .forEach(event => {
+        event.start = graceStart;
+        event.segments[0].start = graceStart;
+      });
+  });
+}
+
+/**
+ * Find the coarsest divisions that place every position on the grid
+ *
+ * @param {Array<number>} positions - Positions in quarter notes
+ * @returns {number} Divisions per quarter note
+ * @private
+ */
+function findDivisions(positions) {
+  return DIVISION_CANDIDATES.find(divisions => positions.every(position =>
+    Math.abs(position * divisions - Math.round(position * divisions)) < 1e-4
+  )) || DIVISION_CANDIDATES[DIVISION_CANDIDATES.length - 1];
+}
+
+/**
+ * Group exercise events into the notes, chords and rests to write
+ *
+ * @param {Array<Object>} events - Events from `getExerciseEvents`
+ * @param {Function} toDivisions - Converts quarter notes to divisions
+ * @returns {Array<Object>} Items { staff, voice, start, end, rest, members,
+ *   graces, stealPrevious } with members { note, tieStart, tieStop } and
+ *   positions in divisions
+ * @private
+ */
+function getExerciseItems(events, toDivisions) {
+  const items = [];
+  const chords = new Map();
+  const spans = new Map();
+
+  events.forEach(event => {
+    if (event.rest) {
+      items.push({ staff: event.staff, voice: null, start: toDivisions(event.start), end: toDivisions(event.end), rest: true });
+      return;
+    }
+
+    event.segments.forEach((segment, index) => {
+      const start = toDivisions(segment.start);
+      const end = toDivisions(segment.end);
+      const member = { note: event.note, tieStop: index > 0, tieStart: index < event.segments.length - 1 };
+
+      // Tied continuations sound with the notes they are written beside
+      const key = event.note.chordId && `${event.note.chordId}|${event.staff}|${event.voice}|${start}|${end}`;
+      const span = `${event.staff}|${event.voice}|${start}|${end}`;
+      const chord = (key && chords.get(key)) || (spans.get(span) || []).find(other =>
+        index > 0 || other.members.every(({ tieStop }) => tieStop));
+      if (chord) {
+        chord.members.push(member);
+        return;
+      }
+
+      const item = {
+        staff: event.staff,
+        voice: event.voice,
+        start,
+        end,
+        members: [member],
+        graces: index === 0 ? event.graces : null,
+        stealPrevious: !!event.stealPrevious
+      };
+      if (key) chords.set(key, item);
+      spans.set(span, [...(spans.get(span) || []), item]);
+      items.push(item);
+    });
+  });
+
+  return items.filter(item => item.end > item.start || item.graces);
+}
+
+/**
+ * Cut items that cross a barline into tied pieces
+ *
+ * @param {Array<Object>} items - Items from `getExerciseItems`
+ * @param {Array<Object>} measures - Measures { start, length } in divisions
+ * @returns {Array<Object>} Items that each fit in one measure
+ * @private
+ */
+function splitAtBarlines(items, measures) {
+  return items.flatMap(item => {
+    const pieces = measures
+      .filter(measure => measure.start < item.end && measure.start + measure.length > item.start)
+      .map(measure => ({ start: Math.max(item.start, measure.start), end: Math.min(item.end, measure.start + measure.length) }));
+    if (pieces.length <= 1) return [item];
+
+    return pieces.map((piece, index) => ({
+      ...item,
+      ...piece,
+      graces: index === 0 ? item.graces : null,
+      members: item.members && item.members.map(member => ({
+        ...member,
+        tieStop: member.tieStop || index > 0,
+        tieStart: member.tieStart || index < pieces.length - 1
+      }))
+    }));
+  });
+}
+
+/**
+ * Arrange the items of one measure into voices
+ *
+ * Notes keep their voice; a note that overlaps an earlier note of its
+ * voice moves to an unused voice. Rests then join the lowest voice of their
+ * staff that is free for their length, or an unused voice (1 on staff 1,
+ * 5 on staff 2).
+ *
+ * @param {Array<Object>} items - Items starting in the measure
+ * @returns {Array<Object>} Lanes { staff, voice, items } in writing order
+ * @private
+ */
+function getLanes(items) {
+  const lanes = [];
+  const taken = new Set(items.filter(item => !item.rest).map(item => item.voice));
+  const unusedVoice = staff => {
+    let voice = staff === 2 ? 5 : 1;
+    while (taken.has(voice)) voice++;
+    taken.add(voice);
+    return voice;
+  };
+  const fits = (lane, item) => lane.staff === item.staff &&
+    lane.items.every(other => other.end <= item.start || other.start >= item.end);
+
+  const sorted = [...items].sort((a, b) => a.start - b.start);
+  sorted.filter(item => !item.rest).forEach(item => {
+    let lane = lanes.find(candidate => candidate.written === item.voice && fits(candidate, item));
+    if (!lane) {
+      const voiceUsed = lanes.some(candidate => candidate.staff === item.staff && candidate.voice === item.voice);
+      lane = { staff: item.staff, voice: voiceUsed ? unusedVoice(item.staff) : item.voice, written: item.voice, items: [] };
+      lanes.push(lane);
+    }
+    lane.items.push(item);
+  });
+
+  lanes.sort((a, b) => a.staff - b.staff || a.voice - b.voice);
+  sorted.filter(item => item.rest).forEach(item => {
+    let lane = lanes.find(candidate => fits(candidate, item));
+    if (!lane) {
+      lane = { staff: item.staff, voice: unusedVoice(item.staff), items: [] };
+      lanes.push(lane);
+      lanes.sort((a, b) => a.staff - b.staff || a.voice - b.voice);
+    }
+    lane.items.push(item);
+  });
+
+  lanes.forEach(lane => lane.items.sort((a, b) => a.start - b.start));
+  return lanes;
+}
+
+/**
+ * Write a note, chord or rest of an exercise
+ *
+ * @param {Object} item - Item from `getExerciseItems`
+ * @param {number} staff - Staff number
+ * @param {number} voice - Voice number
+ * @param {number} divisions - Divisions per quarter note
+ * @param {boolean} wholeMeasure - Rest fills the whole measure
+ * @returns {Array<string>} XML lines
+ * @private
+ */
+function writeExerciseItem(item, staff, voice, divisions, wholeMeasure) {
+  const duration = item.end - item.start;
+
+  // Rests stay single notes so they parse back as one entry
+  if (item.rest) {
+    const pieces = getPieces(duration, divisions);
+    const type = !wholeMeasure && pieces.length === 1 ? typeElements(pieces[0]) : '';
+    return [`      <note><rest${wholeMeasure ? ' measure="yes"' : ''}/><duration>${duration}</duration>` +
+      `<voice>${voice}</voice>${type}<staff>${staff}</staff></note>`];
+  }
+
+  const lines = [];
+  (item.graces || []).forEach(chord => {
+    chord.notes.forEach((note, index) => {
+      lines.push(writeExerciseNote(note, null, {
+        staff, voice, chord: index > 0, grace: true, stealPrevious: item.stealPrevious
+      }));
+    });
+  });
+
+  if (duration === 0) return lines;
+
+  const pieces = getPieces(duration, divisions);
+  pieces.forEach((piece, pieceIndex) => {
+    item.members.forEach((member, memberIndex) => {
+      lines.push(writeExerciseNote(member.note, piece, {
+        staff,
+        voice,
+        chord: memberIndex > 0,
+        tieStop: pieceIndex > 0 || member.tieStop,
+        tieStart: pieceIndex < pieces.length - 1 || member.tieStart
+      }));
+    });
+  });
+  return lines;
+}
+
+/**
+ * Split a duration into writable values, keeping tuplet notes whole
+ *
+ * @param {number} duration - Duration in divisions
+ * @param {number} divisions - Divisions per quarter note
+ * @returns {Array<Object>} Pieces as from `splitDuration`, or a single
+ *   piece with `tuplet: { actual, normal }`
+ * @private
+ */
+function getPieces(duration, divisions) {
+  const pieces = splitDuration(duration, divisions);
+  if (pieces.length === 1) return pieces;
+
+  for (const [actual, normal] of TUPLETS) {
+    const match = NOTE_TYPES.find(([, quarters]) =>
+      Math.abs(quarters * divisions * normal / actual - duration) < EPSILON);
+    if (match) {
+      return [{ duration, type: match[0], dots: 0, triplet: false, tuplet: { actual, normal } }];
+    }
+  }
+  return pieces;
+}
+
+/**
+ * Write one note element of an exercise
+ *
+ * @param {Object} note - Timeline entry
+ * @param {Object|null} piece - Piece from `splitDuration`, null for grace notes
+ * @param {Object} options - { staff, voice, chord, grace, stealPrevious,
+ *   tieStart, tieStop }
+ * @returns {string} XML line
+ * @private
+ */
+function writeExerciseNote(note, piece, { staff, voice, chord, grace = false, stealPrevious = false,
+  tieStart = false, tieStop = false }) {
+  const { step, alter, octave } = note.pitch;
+  const ties = (tieStop ? '<tie type="stop"/>' : '') + (tieStart ? '<tie type="start"/>' : '');
+  const tied = (tieStop ? '<tied type="stop"/>' : '') + (tieStart ? '<tied type="start"/>' : '');
+  const articulations = !tieStop && note.articulations
+    ? `<articulations>${note.articulations.map(name => `<${name}/>`).join('')}</articulations>`
+    : '';
+  const notations = tied + techniqueElements(note, staff, !tieStop, !tieStart) + articulations;
+  const lyrics = tieStop ? '' : (note.lyrics || []).map(lyric =>
+    `<lyric number="${lyric.verse}">` +
+    (lyric.text ? `<syllabic>${lyric.syllabic}</syllabic><text>${escapeXml(lyric.text)}</text>` : '') +
+    `${lyric.extend ? '<extend/>' : ''}</lyric>`).join('');
+
+  // Onset-only notes keep their notehead, or are written unpitched at their display position
+  const position = note.unpitched && !note.notehead
+    ? `<unpitched><display-step>${step}</display-step><display-octave>${octave}</display-octave></unpitched>`
+    : `<pitch><step>${step}</step>${alter ? `<alter>${alter}</alter>` : ''}<octave>${octave}</octave></pitch>`;
+
+  return '      <note>' +
+    (grace ? `<grace${stealPrevious ? ' steal-time-previous="50"' : ''}/>` : '') +
+    (chord ? '<chord/>' : '') +
+    position +
+    (piece ? `<duration>${piece.duration}</duration>` : '') +
+    `${ties}<voice>${voice}</voice>` +
+    (piece ? typeElements(piece) : '<type>eighth</type>') +
+    `${staff === 2 ? '<stem>none</stem>' : ''}` +
+    `${note.unpitched && note.notehead ? `<notehead>${note.notehead}</notehead>` : ''}<staff>${staff}</staff>` +
+    `${notations ? `<notations>${notations}</notations>` : ''}${lyrics}</note>`;
+}
+
+/**
+ * Write a forward element moving one voice ahead
+ *
+ * @param {number} duration - Duration in divisions
+ * @param {number} voice - Voice number
+ * @param {number} staff - Staff number
+ * @returns {string} XML line
+ * @private
+ */
+function writeForward(duration, voice, staff) {
+  return `      <forward><duration>${duration}</duration><voice>${voice}</voice><staff>${staff}</staff></forward>`;
+}
+
+/**
+ * Write the left barline and signs at the start of a measure
+ *
+ * @param {Object|null} markers - Repeat markers of the measure (see `getRepeatMarkers`)
+ * @param {Object|null} previous - Repeat markers of the preceding measure
+ * @returns {Array<string>} XML lines
+ * @private
+ */
+function writeRepeatStart(markers, previous) {
+  if (!markers) return [];
+
+  const lines = [];
+  const opensEnding = markers.endingNumbers && (!previous || previous.endingNumbers !== markers.endingNumbers);
+  if (markers.forwardRepeat || opensEnding) {
+    lines.push('      <barline location="left">' +
+      (markers.forwardRepeat ? '<bar-style>heavy-light</bar-style>' : '') +
+      (opensEnding ? `<ending number="${markers.endingNumbers.join(', ')}" type="start"/>` : '') +
+      (markers.forwardRepeat ? '<repeat direction="forward"/>' : '') + '</barline>');
+  }
+  if (markers.segno) {
+    lines.push('      <direction placement="above"><direction-type><segno/></direction-type>' +
+      '<sound segno="segno"/></direction>');
+  }
+  if (markers.coda) {
+    lines.push('      <direction placement="above"><direction-type><coda/></direction-type>' +
+      '<sound coda="coda"/></direction>');
+  }
+  return lines;
+}
+
+/**
+ * Write the jumps and right barline at the end of a measure
+ *
+ * @param {Object|null} markers - Repeat markers of the measure (see `getRepeatMarkers`)
+ * @param {Object|null} next - Repeat markers of the following measure
+ * @returns {Array<string>} XML lines
+ * @private
+ */
+function writeRepeatEnd(markers, next) {
+  if (!markers) return [];
+
+  const jump = (words, sound) => `      <direction placement="below"><direction-type><words>${words}</words>` +
+    `</direction-type><sound ${sound}/></direction>`;
+  const lines = [];
+  if (markers.fine) lines.push(jump('Fine', 'fine="yes"'));
+  if (markers.toCoda) lines.push(jump('To Coda', 'tocoda="coda"'));
+  if (markers.daCapo) lines.push(jump('D.C.', 'dacapo="yes"'));
+  if (markers.dalSegno) lines.push(jump('D.S.', 'dalsegno="segno"'));
+
+  const closesEnding = markers.endingNumbers && (!next || next.endingNumbers !== markers.endingNumbers);
+  if (markers.backwardRepeat || closesEnding) {
+    const times = markers.backwardRepeat > 2 ? ` times="${markers.backwardRepeat}"` : '';
+    lines.push('      <barline location="right">' +
+      (markers.backwardRepeat ? '<bar-style>light-heavy</bar-style>' : '') +
+      (closesEnding ? `<ending number="${markers.endingNumbers.join(', ')}" ` +
+        `type="${markers.backwardRepeat ? 'stop' : 'discontinue'}"/>` : '') +
+      (markers.backwardRepeat ? `<repeat direction="backward"${times}/>` : '') + '</barline>');
+  }
+  return lines;
+}
+
+/**
+ * List the tempo changes and gradual tempo changes of a tempo map
+ *
+ * @param {Array<Object>} tempoMap - Tempo map from `createTempoMap`
+ * @returns {Array<Object>} Marks { type: 'tempo', position, bpm } and
+ *   { type: 'ramp', position, slower } in quarter notes
+ * @private
+ */
+function getTempoMarks(tempoMap) {
+  const marks = [];
+  tempoMap.forEach((entry, index) => {
+    if (index === 0 || entry.bpm !== tempoMap[index - 1].bpm) {
+      marks.push({ type: 'tempo', position: entry.position, bpm: entry.bpm });
+    }
+    const next = tempoMap[index + 1];
+    if (next && next.ramp) {
+      marks.push({ type: 'ramp', position: entry.position, slower: next.bpm < entry.bpm });
+    }
+  });
+  return marks;
+}
+
+/**
+ * List the points where the velocity of the timeline changes
+ *
+ * @param {Array<Object>} timeline - Exercise timeline sorted by timestamp
+ * @param {Function} toQuarters - Converts milliseconds to quarter notes
+ * @returns {Array<Object>} Marks { type: 'dynamics', position, velocity }
+ * @private
+ */
+function getDynamicMarks(timeline, toQuarters) {
+  const marks = [];
+  let level = DYNAMICS.DEFAULT_VELOCITY;
+
+  timeline.forEach(entry => {
+    if (entry.isRest || typeof entry.velocity !== 'number' || entry.velocity === level) return;
+    level = entry.velocity;
+    marks.push({ type: 'dynamics', position: toQuarters(entry.timestamp), velocity: level });
+  });
+  return marks;
+}
+
+/**
+ * Write a tempo, dynamics or chord symbol mark
+ *
+ * @param {Object} mark - Mark from `getTempoMarks`, `getDynamicMarks` or a
+ *   chord symbol { type: 'harmony', chord }
+ * @param {number} offset - Position in the measure in divisions
+ * @returns {string} XML line
+ * @private
+ */
+function writeMark(mark, offset) {
+  const offsetElement = offset > 0 ? `<offset>${offset}</offset>` : '';
+
+  switch (mark.type) {
+    case 'tempo':
+      return writeTempos({ tempos: [{ offset, bpm: mark.bpm }] })[0];
+    case 'ramp':
+      return `      <direction placement="above"><direction-type><words>${mark.slower ? 'rit.' : 'accel.'}` +
+        `</words></direction-type>${offsetElement}<staff>1</staff></direction>`;
+    case 'dynamics': {
+      const percentage = Math.round(mark.velocity / DYNAMICS.LEVELS.f * 10000) / 100;
+      const level = Object.keys(DYNAMICS.LEVELS).find(name => DYNAMICS.LEVELS[name] === mark.velocity);
+      return level
+        ? `      <direction placement="below"><direction-type><dynamics><${level}/></dynamics></direction-type>` +
+          `${offsetElement}<staff>1</staff><sound dynamics="${percentage}"/></direction>`
+        : `      <sound dynamics="${percentage}">${offsetElement}</sound>`;
+    }
+    default: {
+      const { root, kind, text, bass } = mark.chord;
+      const pitch = (prefix, { step, alter }) => `<${prefix}-step>${step}</${prefix}-step>` +
+        (alter ? `<${prefix}-alter>${alter}</${prefix}-alter>` : '');
+      const textAttribute = text !== null && text !== undefined ? ` text="${escapeXml(text)}"` : '';
+      return '      <harmony>' +
+        (root ? `<root>${pitch('root', root)}</root>` : '') +
+        `<kind${textAttribute}>${kind}</kind>` +
+        (bass ? `<bass>${pitch('bass', bass)}</bass>` : '') +
+        `${offsetElement}</harmony>`;
+    }
+  }
+}
+
+/**
+ * Write technique notations of a note
+ *
+ * Techniques leading into the next note (`role: 'start'`) are written on
+ * the last tied piece, everything else on the first.
+ *
+ * @param {Object} note - Chord member { tab, techniques }
+ * @param {number} staff - Staff number (string/fret only on the tab staff)
+ * @param {boolean} isFirst - Piece is the start of the note
+ * @param {boolean} isLast - Piece is the end of the note
+ * @returns {string} XML fragment of notations children
+ * @private
+ */
+function techniqueElements(note, staff, isFirst, isLast) {
+  const techniques = (note.techniques || [])
+    .filter(technique => (technique.role === 'start' ? isLast : isFirst));
+
+  const slides = [];
+  const ornaments = [];
+  const technical = [];
+
+  techniques.forEach(technique => {
+    switch (technique.type) {
+      case 'hammer-on':
+      case 'pull-off': {
+        const text = technique.role === 'start' ? (technique.type === 'hammer-on' ? 'H' : 'P') : '';
+        technical.push(text
+          ? `<${technique.type} number="1" type="start">${text}</${technique.type}>`
+          : `<${technique.type} number="1" type="stop"/>`);
+        break;
+      }
+      case 'slide':
+        slides.push(`<slide number="1" type="${technique.role}" line-type="solid"/>`);
+        break;
+      case 'bend':
+        technical.push(`<bend><bend-alter>${technique.alter}</bend-alter>` +
+          `${technique.preBend ? '<pre-bend/>' : ''}</bend>`);
+        if (technique.release) {
+          technical.push(`<bend><bend-alter>${-technique.alter}</bend-alter><release/></bend>`);
+        }
+        break;
+      case 'vibrato':
+        ornaments.push('<wavy-line type="start" number="1"/><wavy-line type="stop" number="1"/>');
+        break;
+      case 'harmonic':
+        technical.push(`<harmonic><${technique.kind}/><${technique.pitch}-pitch/></harmonic>`);
+        break;
+      case 'palm-mute':
+        technical.push('<other-technical>P.M.</other-technical>');
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (staff === 2 && note.tab) {
+    technical.unshift(`<string>${note.tab.string}</string><fret>${note.tab.fret}</fret>`);
+  }
+
+  return slides.join('') +
+    (ornaments.length > 0 ? `<ornaments>${ornaments.join('')}</ornaments>` : '') +
+    (technical.length > 0 ? `<technical>${technical.join('')}</technical>` : '');
+}
+
+/**
+ * Write the type, dot and time-modification elements of a note
+ *
+ * @param {Object} piece - Piece from `splitDuration`, optionally with
+ *   `tuplet: { actual, normal }`
+ * @returns {string} XML fragment
+ * @private
+ */
+function typeElements(piece) {
+  if (!piece.type) return '';
+  const dots = '<dot/>'.repeat(piece.dots);
+  const { actual, normal } = piece.tuplet || (piece.triplet ? { actual: 3, normal: 2 } : {});
+  const tuplet = actual
+    ? `<time-modification><actual-notes>${actual}</actual-notes><normal-notes>${normal}</normal-notes></time-modification>`
+    : '';
+  return `<type>${piece.type}</type>${dots}${tuplet}`;
+}
+
+/**
+ * Escape text for use in XML content
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,199 @@
+/**
+ * @module mxlReader
+ * @description Extract MusicXML from compressed .mxl archives
+ *
+ * An .mxl file is a zip archive whose META-INF/container.xml names the
+ * root score file. Entries are read from the zip central directory and
+ * inflated with the platform DecompressionStream, so no zip library is needed.
+ *
+ * @see Architecture.md §3.1 (Exercise Loader Module)
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const CONTAINER_PATH = 'META-INF/container.xml';
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * Check whether a file name has the compressed MusicXML extension
+ *
+ * @param {string} fileName - File name or path
+ * @returns {boolean} True for .mxl files
+ */
+export function isCompressedFileName(fileName) {
+  return /\.mxl$/i.test(fileName || '');
+}
+
+/**
+ * Check whether data starts with a zip local file header
+ *
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @returns {boolean} True if the data looks like a compressed MusicXML archive
+ */
+export function isCompressedMusicXML(data) {
+  const bytes = toBytes(data);
+  if (bytes.length < 4) {
+    return false;
+  }
+  return new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true) === LOCAL_HEADER_SIGNATURE;
+}
+
+/**
+ * Extract the root MusicXML document from an .mxl archive
+ *
+ * The score named by the first `rootfile` in META-INF/container.xml is
+ * returned. Archives without a container fall back to the first .xml or
+ * .musicxml entry outside META-INF.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - Archive contents
+ * @returns {Promise<string>} MusicXML text of the root score
+ * @throws {Error} If the archive is malformed or contains no score
+ *
+ * @example
+ * const xmlContent = await extractMusicXML(await file.arrayBuffer());
+ * const exercise = await loader.parseXML(xmlContent);
+ */
+export async function extractMusicXML(data) {
+  const bytes = toBytes(data);
+  const entries = readCentralDirectory(bytes);
+
+  let rootPath = null;
+  const container = entries.get(CONTAINER_PATH);
+  if (container) {
+    const containerXml = decodeText(await readEntry(bytes, container));
+    const match = containerXml.match(/<rootfile\b[^>]*\bfull-path\s*=\s*["']([^"']+)["']/);
+    rootPath = match ? match[1] : null;
+  }
+
+  if (!rootPath) {
+    rootPath = [...entries.keys()].find(name =>
+      !name.startsWith('META-INF/') && /\.(xml|musicxml)$/i.test(name)
+    );
+  }
+
+  const rootEntry = rootPath ? entries.get(rootPath) : null;
+  if (!rootEntry) {
+    throw new Error(`Compressed MusicXML archive has no score file${rootPath ? `: ${rootPath}` : ''}`);
+  }
+
+  return decodeText(await readEntry(bytes, rootEntry));
+}
+
+/**
+ * Normalize input to a Uint8Array
+ *
+ * @param {ArrayBuffer|Uint8Array} data - Binary data
+ * @returns {Uint8Array} Byte view
+ * @private
+ */
+function toBytes(data) {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  throw new Error('Compressed MusicXML must be an ArrayBuffer or Uint8Array');
+}
+
+/**
+ * Read zip entries from the central directory
+ *
+ * @param {Uint8Array} bytes - Archive contents
+ * @returns {Map<string, Object>} Entries by path { name, method, compressedSize, offset }
+ * @throws {Error} If the end of central directory record is missing
+ * @private
+ */
+function readCentralDirectory(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // The end record is 22 bytes plus an optional comment of up to 64KB
+  let endOffset = -1;
+  for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 22 - 0xffff); offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('Invalid compressed MusicXML: zip directory not found');
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('Invalid compressed MusicXML: corrupt zip directory');
+    }
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    entries.set(name, {
+      name,
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      offset: view.getUint32(offset + 42, true)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Read and decompress a single zip entry
+ *
+ * @param {Uint8Array} bytes - Archive contents
+ * @param {Object} entry - Entry from `readCentralDirectory`
+ * @returns {Promise<Uint8Array>} Uncompressed entry data
+ * @throws {Error} If the entry uses an unsupported compression method
+ * @private
+ */
+async function readEntry(bytes, entry) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint32(entry.offset, true) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`Invalid compressed MusicXML: corrupt entry ${entry.name}`);
+  }
+
+  const nameLength = view.getUint16(entry.offset + 26, true);
+  const extraLength = view.getUint16(entry.offset + 28, true);
+  const start = entry.offset + 30 + nameLength + extraLength;
+  const data = bytes.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === METHOD_STORED) {
+    return data;
+  }
+  if (entry.method !== METHOD_DEFLATE) {
+    throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+  }
+
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Decode XML bytes, honouring a UTF-16 byte order mark
+ *
+ * @param {Uint8Array} bytes - Encoded text
+ * @returns {string} Decoded text without BOM
+ * @private
+ */
+function decodeText(bytes) {
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+  }
+  return new TextDecoder('utf-8').decode(bytes);
+}
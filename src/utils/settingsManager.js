@@ -32,6 +32,8 @@ export class SettingsManager {
       lastExercise: null,
       // Tempo behavior settings
       useXmlTempo: true,            // Use tempo from MusicXML files by default
+      notationView: 'both',         // Staves drawn: 'notation', 'tab' or 'both' (NOTATION_VIEW_MODES)
+      analysisOverlay: true,        // Paint analysis outcomes onto the score
       // Audio latency calibration settings
       calibratedLatency: null,      // Measured latency from synthetic tone test
       hasCalibrated: false,         // Whether user has completed calibration
@@ -0,0 +1,446 @@
+/**
+ * @module timelineUtils
+ * @description Helpers for reading ExerciseJSON timelines
+ *
+ * Shared by playback, drum and analysis modules so they agree on how
+ * timeline entries combine into musical events.
+ *
+ * @see Architecture.md §4.1 (ExerciseJSON Structure)
+ */
+
+// Note flags a chord event carries when every member has them
+const CHORD_FLAGS = ['legato', 'grace', 'tied', 'unpitched'];
+
+/**
+ * Group chord members into single simultaneous events
+ *
+ * Notes sharing a `chordId` collapse into one chord event placed where the
+ * first member appears; all other entries (single notes, rests) are passed
+ * through unchanged.
+ *
+ * @param {Array} timeline - Timeline entries sorted by timestamp
+ * @returns {Array<Object>} Events in timeline order. Chord events have the shape
+ *   { id, chordId, isChord: true, timestamp, duration, staff, voice, system,
+ *   measure, pass, legato, grace, tied, unpitched, notes } where `id` is the
+ *   first member's note ID, `duration` the longest member duration and each
+ *   flag true only when every member has it.
+ *
+ * @example
+ * groupChordEvents(exercise.timeline).forEach(event => {
+ *   const notes = event.isChord ? event.notes : [event];
+ * });
+ */
+export function groupChordEvents(timeline) {
+  if (!Array.isArray(timeline)) {
+    return [];
+  }
+
+  const events = [];
+  const chords = new Map();
+
+  timeline.forEach(note => {
+    if (!note || !note.chordId) {
+      events.push(note);
+      return;
+    }
+
+    const chord = chords.get(note.chordId);
+    if (chord) {
+      chord.notes.push(note);
+      chord.duration = Math.max(chord.duration, note.duration);
+      CHORD_FLAGS.forEach(flag => {
+        chord[flag] = chord[flag] && !!note[flag];
+      });
+      return;
+    }
+
+    const event = {
+      id: note.id,
+      chordId: note.chordId,
+      isChord: true,
+      timestamp: note.timestamp,
+      duration: note.duration,
+      staff: note.staff,
+      voice: note.voice,
+      system: note.system,
+      measure: note.measure,
+      pass: note.pass,
+      ...Object.fromEntries(CHORD_FLAGS.map(flag => [flag, !!note[flag]])),
+      notes: [note]
+    };
+    chords.set(note.chordId, event);
+    events.push(event);
+  });
+
+  return events;
+}
+
+/**
+ * Get the individual notes that make up a timeline event
+ *
+ * @param {Object} event - Timeline note or grouped chord event
+ * @returns {Array<Object>} Member notes (the event itself for single notes)
+ */
+export function getEventNotes(event) {
+  return event && event.isChord ? event.notes : [event];
+}
+
+// Techniques that carry the sound from one note into the next
+const LEGATO_TECHNIQUES = ['hammer-on', 'pull-off', 'slide'];
+
+/**
+ * Find a technique on a timeline note
+ *
+ * @param {Object} note - Timeline note
+ * @param {string} type - Technique type such as 'bend' or 'hammer-on'
+ * @param {string} [role] - Required role ('start' or 'stop') for connecting techniques
+ * @returns {Object|null} Technique, or null if the note does not use it
+ */
+export function getTechnique(note, type, role) {
+  return (note && note.techniques || []).find(technique =>
+    technique.type === type && (role === undefined || technique.role === role)
+  ) || null;
+}
+
+/**
+ * Check whether a note is reached legato from the previous note
+ *
+ * Hammer-ons, pull-offs and slides sound the arriving note with the
+ * fretting hand, so it has no new pick attack.
+ *
+ * @param {Object} note - Timeline note
+ * @returns {boolean} True if a hammer-on, pull-off or slide ends on the note
+ */
+export function isLegatoNote(note) {
+  return LEGATO_TECHNIQUES.some(type => getTechnique(note, type, 'stop'));
+}
+
+/**
+ * Check whether a note leads legato into the next note
+ *
+ * @param {Object} note - Timeline note
+ * @returns {Object|null} The hammer-on, pull-off or slide starting on the note
+ */
+export function getLegatoStart(note) {
+  for (const type of LEGATO_TECHNIQUES) {
+    const technique = getTechnique(note, type, 'start');
+    if (technique) return technique;
+  }
+  return null;
+}
+
+/**
+ * Build a tempo map from tempo points given in quarter-note positions
+ *
+ * Points are applied in order of position; a later point at the same
+ * position replaces an earlier one. A point with `bpm: null` restates the
+ * tempo in effect (used to mark where a gradual change begins), and a point
+ * with `ramp: true` is reached by a linear tempo change from the previous
+ * entry instead of a jump. Points that do not change the tempo are dropped.
+ *
+ * @param {number} initialBpm - Tempo at position 0 (quarter notes per minute)
+ * @param {Array<Object>} points - Tempo points { position, bpm, ramp }
+ * @returns {Array<Object>} Tempo map entries { position, timestamp, bpm, ramp }
+ *   sorted by position; `position` is in quarter notes, `timestamp` in ms
+ *
+ * @example
+ * createTempoMap(120, [{ position: 16, bpm: 90 }]);
+ * // [{ position: 0, timestamp: 0, bpm: 120, ramp: false },
+ * //  { position: 16, timestamp: 8000, bpm: 90, ramp: false }]
+ */
+export function createTempoMap(initialBpm, points = []) {
+  const byPosition = new Map([[0, { position: 0, bpm: initialBpm, ramp: false }]]);
+  [...points]
+    .sort((a, b) => a.position - b.position)
+    .forEach(point => byPosition.set(point.position, point));
+
+  const tempoMap = [];
+  for (const point of byPosition.values()) {
+    const previous = tempoMap[tempoMap.length - 1];
+    if (!previous) {
+      tempoMap.push({ position: 0, timestamp: 0, bpm: point.bpm ?? initialBpm, ramp: false });
+      continue;
+    }
+
+    const bpm = point.bpm ?? previous.bpm;
+    const ramp = !!point.ramp && bpm !== previous.bpm;
+    if (bpm === previous.bpm && point.bpm !== null) continue;
+
+    const quarters = point.position - previous.position;
+    const averageBpm = ramp ? (previous.bpm + bpm) / 2 : previous.bpm;
+    tempoMap.push({
+      position: point.position,
+      timestamp: previous.timestamp + quarters * 60000 / averageBpm,
+      bpm,
+      ramp
+    });
+  }
+
+  return tempoMap;
+}
+
+/**
+ * Find the tempo map segment containing a position
+ *
+ * @param {Array<Object>} tempoMap - Tempo map entries
+ * @param {string} key - 'position' or 'timestamp'
+ * @param {number} value - Value to look up
+ * @returns {Object} { start, end } entries (end is undefined past the last entry)
+ * @private
+ */
+function findTempoSegment(tempoMap, key, value) {
+  let index = 0;
+  while (index + 1 < tempoMap.length && tempoMap[index + 1][key] <= value) {
+    index++;
+  }
+  return { start: tempoMap[index], end: tempoMap[index + 1] };
+}
+
+/**
+ * Convert a quarter-note position to milliseconds
+ *
+ * @param {Array<Object>} tempoMap - Tempo map from `createTempoMap`
+ * @param {number} position - Position in quarter notes
+ * @returns {number} Time in milliseconds
+ */
+export function quartersToMs(tempoMap, position) {
+  const { start, end } = findTempoSegment(tempoMap, 'position', position);
+  const quarters = position - start.position;
+
+  if (!end || !end.ramp) {
+    return start.timestamp + quarters * 60000 / start.bpm;
+  }
+
+  // Tempo changes linearly in time: solve k·t²/2 + bpm·t = quarters·60000
+  const slope = (end.bpm - start.bpm) / (end.timestamp - start.timestamp);
+  const elapsed = (-start.bpm + Math.sqrt(start.bpm ** 2 + 2 * slope * 60000 * quarters)) / slope;
+  return start.timestamp + elapsed;
+}
+
+/**
+ * Convert milliseconds to a quarter-note position
+ *
+ * @param {Array<Object>} tempoMap - Tempo map from `createTempoMap`
+ * @param {number} ms - Time in milliseconds
+ * @returns {number} Position in quarter notes
+ */
+export function msToQuarters(tempoMap, ms) {
+  const { start, end } = findTempoSegment(tempoMap, 'timestamp', ms);
+  const elapsed = ms - start.timestamp;
+
+  if (!end || !end.ramp) {
+    return start.position + elapsed * start.bpm / 60000;
+  }
+
+  const slope = (end.bpm - start.bpm) / (end.timestamp - start.timestamp);
+  return start.position + (start.bpm * elapsed + slope * elapsed ** 2 / 2) / 60000;
+}
+
+/**
+ * Get the tempo in effect at a point in time
+ *
+ * @param {Array<Object>} tempoMap - Tempo map from `createTempoMap`
+ * @param {number} ms - Time in milliseconds
+ * @returns {number} Tempo in quarter notes per minute
+ */
+export function getTempoAt(tempoMap, ms) {
+  const { start, end } = findTempoSegment(tempoMap, 'timestamp', ms);
+
+  if (!end || !end.ramp) {
+    return start.bpm;
+  }
+
+  const progress = (ms - start.timestamp) / (end.timestamp - start.timestamp);
+  return start.bpm + (end.bpm - start.bpm) * progress;
+}
+
+/**
+ * Get the counted beats of a meter
+ *
+ * Compound meters (6/8, 9/8, 12/8, ...) are counted in dotted beats, all
+ * other meters in their beat-type unit.
+ *
+ * @param {Object} timeSignature - { beats, beatType }
+ * @returns {Object} { count, quarters } - beats per full measure and the
+ *   length of one beat in quarter notes
+ *
+ * @example
+ * getMeterBeats({ beats: 6, beatType: 8 }); // { count: 2, quarters: 1.5 }
+ */
+export function getMeterBeats(timeSignature) {
+  const beats = timeSignature?.beats || 4;
+  const beatType = timeSignature?.beatType || 4;
+
+  if (beatType >= 8 && beats > 3 && beats % 3 === 0) {
+    return { count: beats / 3, quarters: 3 * 4 / beatType };
+  }
+
+  return { count: beats, quarters: 4 / beatType };
+}
+
+/**
+ * Build a measure table with absolute times and beat positions
+ *
+ * A pickup measure is aligned to the end of the bar, so its beats are
+ * numbered as the last beats of a full measure (e.g. beat 4 in 4/4).
+ *
+ * @param {Array<Object>} layout - Measures in performance order
+ *   { number, pass, position, length, timeSignature, isPickup } with
+ *   `position` and `length` in quarter notes
+ * @param {Array<Object>} tempoMap - Tempo map from `createTempoMap`
+ * @returns {Array<Object>} Measures { number, pass, position, length, timestamp,
+ *   duration, timeSignature, isPickup, beats: [{ timestamp, beat }] } with
+ *   times in milliseconds
+ */
+export function createMeasureTable(layout, tempoMap) {
+  const epsilon = 1e-6;
+
+  return layout.map(({ number, pass, position, length, timeSignature, isPickup }) => {
+    const meter = getMeterBeats(timeSignature);
+    const timestamp = quartersToMs(tempoMap, position);
+
+    // Offset of the measure start from where a full measure would begin
+    const missing = isPickup ? meter.count * meter.quarters - length : 0;
+    const beats = [];
+    const firstBeat = Math.ceil(missing / meter.quarters - epsilon);
+    for (let beatIndex = firstBeat; beatIndex * meter.quarters - missing < length - epsilon; beatIndex++) {
+      beats.push({
+        timestamp: quartersToMs(tempoMap, position + beatIndex * meter.quarters - missing),
+        beat: (beatIndex % meter.count) + 1
+      });
+    }
+
+    return {
+      number,
+      pass,
+      position,
+      length,
+      timestamp,
+      duration: quartersToMs(tempoMap, position + length) - timestamp,
+      timeSignature: { ...timeSignature },
+      isPickup: !!isPickup,
+      beats
+    };
+  });
+}
+
+/**
+ * Find the measure being played at a point in time
+ *
+ * @param {Array<Object>} measures - Measure table from `createMeasureTable`
+ * @param {number} ms - Time in milliseconds
+ * @returns {Object|null} Measure entry, or null before the first measure
+ */
+export function findMeasureAt(measures, ms) {
+  if (!Array.isArray(measures)) {
+    return null;
+  }
+
+  let found = null;
+  for (const measure of measures) {
+    if (measure.timestamp > ms) break;
+    found = measure;
+  }
+  return found;
+}
+
+/**
+ * Expand repeats, voltas and D.C./D.S./Coda/Fine jumps into performance order
+ *
+ * Follows the usual conventions: a backward repeat without a matching
+ * forward repeat returns to the start (or the end of the previous repeat),
+ * and after a D.C./D.S. repeats are not taken again and only the last volta
+ * is played.
+ *
+ * @param {Array<Object>} markers - Per written measure { forwardRepeat,
+ *   backwardRepeat, endingNumbers, segno, coda, toCoda, daCapo, dalSegno,
+ *   fine } where `backwardRepeat` is how often the section is played (0 for
+ *   none) and measures of one volta bracket share their `endingNumbers` array
+ * @returns {Array<Object>} Ordered list of { index, pass } entries
+ */
+export function getPerformanceOrder(markers) {
+  // The last bracket of a volta group is the one played after a D.C./D.S.
+  const lastEnding = new Array(markers.length).fill(false);
+  for (let i = markers.length - 1; i >= 0; i--) {
+    const next = markers[i + 1];
+    if (!markers[i].endingNumbers) continue;
+
+    lastEnding[i] = next && next.endingNumbers === markers[i].endingNumbers ?
+      lastEnding[i + 1] :
+      !next || !next.endingNumbers;
+  }
+
+  const order = [];
+  const passCounts = new Array(markers.length).fill(0);
+
+  let repeatStart = 0;
+  let repeatPass = 1;
+  let afterJump = false;
+  let jumpTaken = false;
+  let index = 0;
+
+  // Guard against malformed markup producing an endless loop
+  const maxSteps = markers.length * 32;
+
+  while (index < markers.length && order.length < maxSteps) {
+    const marker = markers[index];
+
+    if (marker.forwardRepeat && index !== repeatStart && !afterJump) {
+      repeatStart = index;
+      repeatPass = 1;
+    }
+
+    // Skip volta brackets that do not belong to the current pass
+    if (marker.endingNumbers) {
+      const playEnding = afterJump ?
+        lastEnding[index] :
+        marker.endingNumbers.includes(repeatPass);
+      if (!playEnding) {
+        index++;
+        continue;
+      }
+    } else if (index > 0 && markers[index - 1].endingNumbers && !afterJump) {
+      // Leaving a volta group: a later repeat starts from here
+      repeatStart = index;
+      repeatPass = 1;
+    }
+
+    passCounts[index]++;
+    order.push({ index, pass: passCounts[index] });
+
+    if (afterJump && marker.fine) {
+      break;
+    }
+
+    if (afterJump && marker.toCoda) {
+      const codaIndex = markers.findIndex((m, i) => i > index && m.coda);
+      if (codaIndex !== -1) {
+        index = codaIndex;
+        continue;
+      }
+    }
+
+    if (marker.backwardRepeat && !afterJump && repeatPass < marker.backwardRepeat) {
+      repeatPass++;
+      index = repeatStart;
+      continue;
+    }
+
+    if (marker.backwardRepeat && !afterJump && !marker.endingNumbers) {
+      repeatStart = index + 1;
+      repeatPass = 1;
+    }
+
+    if (!jumpTaken && (marker.daCapo || marker.dalSegno)) {
+      const segnoIndex = marker.dalSegno ? markers.findIndex(m => m.segno) : -1;
+      jumpTaken = true;
+      afterJump = true;
+      index = segnoIndex !== -1 ? segnoIndex : 0;
+      continue;
+    }
+
+    index++;
+  }
+
+  return order;
+}